@@ -7,6 +7,7 @@ import { renderRoutes } from 'react-router-config'
 
 import LoadingData from '_/components/LoadingData'
 import NoLogin from '_/components/NoLogin'
+import OfflineBanner from '_/components/OfflineBanner'
 import OvirtApiCheckFailed from '_/components/OvirtApiCheckFailed'
 import RefreshIntervalChangeHandler from '_/components/RefreshIntervalChangeHandler'
 import SessionActivityTracker from '_/components/SessionActivityTracker'
@@ -96,6 +97,7 @@ const App = ({ history, config, appReady, activateSessionTracker }) => {
           isNotificationDrawerExpanded={isDrawerExpanded}
         >
           <OvirtApiCheckFailed />
+          <OfflineBanner />
           { appReady && renderRoutes(getRoutes()) }
         </Page>
       </div>
@@ -6,6 +6,7 @@ export function openConsole ({
   openInPage = false,
   skipSSO = false,
   logoutOtherUsers = false,
+  stayOnPage = false,
 }) {
   return {
     type: C.OPEN_CONSOLE,
@@ -15,6 +16,7 @@ export function openConsole ({
       openInPage,
       skipSSO,
       logoutOtherUsers,
+      stayOnPage,
     },
   }
 }
@@ -30,6 +32,18 @@ export function setConsoleTickets ({ vmId, proxyTicket, ticket }) {
   }
 }
 
+/**
+ * Set the VMs the console wall can show, fetched independently of the VM list's pages.
+ */
+export function setConsoleWallVms ({ vms }) {
+  return {
+    type: C.SET_CONSOLE_WALL_VMS,
+    payload: {
+      vms,
+    },
+  }
+}
+
 export function setConsoleStatus ({ vmId, status, reason, consoleType }) {
   return {
     type: C.SET_CONSOLE_STATUS,
@@ -49,6 +63,7 @@ export function addConsoleError ({
   status,
   consoleId,
   logoutOtherUsers,
+  stayOnPage,
 }) {
   return {
     type: C.ADD_CONSOLE_ERROR,
@@ -59,6 +74,7 @@ export function addConsoleError ({
       status,
       consoleId,
       logoutOtherUsers,
+      stayOnPage,
     },
   }
 }
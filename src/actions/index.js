@@ -11,6 +11,7 @@ import {
   SET_DEFAULT_TIMEZONE,
   SET_GLOBAL_DEFAULT_CONSOLE,
   SET_GLOBAL_DEFAULT_VNC_MODE,
+  SET_OFFLINE,
   SET_USB_AUTOSHARE,
   SET_USB_FILTER,
   SET_USER_FILTER_PERMISSION,
@@ -30,6 +31,7 @@ export * from './error'
 export * from './vm'
 export * from './clusters'
 export * from './hosts'
+export * from './tags'
 export * from './operatingSystems'
 export * from './templates'
 export * from './options'
@@ -43,6 +45,7 @@ export * from './console'
 export * from './userMessages'
 export * from './disks'
 export * from './roles'
+export * from './vmMetrics'
 
 export function appConfigured () {
   return { type: APP_CONFIGURED }
@@ -77,6 +80,15 @@ export function updateLastRefresh () {
   return { type: UPDATE_LAST_REFRESH }
 }
 
+export function setOffline ({ offline }) {
+  return {
+    type: SET_OFFLINE,
+    payload: {
+      offline,
+    },
+  }
+}
+
 export function setUserFilterPermission (filter) {
   return {
     type: SET_USER_FILTER_PERMISSION,
@@ -84,6 +84,7 @@ export function saveGlobalOptions ({
     preferredConsole,
     fullScreenVnc,
     fullScreenNoVnc,
+    keyShortcutsNoVnc,
     ctrlAltEndVnc,
     fullScreenSpice,
     ctrlAltEndSpice,
@@ -104,6 +105,7 @@ export function saveGlobalOptions ({
       preferredConsole,
       fullScreenVnc,
       fullScreenNoVnc,
+      keyShortcutsNoVnc,
       ctrlAltEndVnc,
       fullScreenSpice,
       ctrlAltEndSpice,
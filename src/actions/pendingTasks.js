@@ -3,10 +3,16 @@
 import {
   ADD_DISK_REMOVAL_PENDING_TASK,
   ADD_SNAPSHOT_ADD_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
   ADD_SNAPSHOT_REMOVAL_PENDING_TASK,
   ADD_SNAPSHOT_RESTORE_PENDING_TASK,
   REMOVE_DISK_REMOVAL_PENDING_TASK,
   REMOVE_SNAPSHOT_ADD_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
   REMOVE_SNAPSHOT_REMOVAL_PENDING_TASK,
   REMOVE_SNAPSHOT_RESTORE_PENDING_TASK,
 } from '_/constants'
@@ -86,3 +92,59 @@ export function removeSnapshotAddPendingTask (vmId: string): any {
     },
   }
 }
+
+export function addSnapshotPreviewPendingTask (vmId: string, snapshotId: string): any {
+  return {
+    type: ADD_SNAPSHOT_PREVIEW_PENDING_TASK,
+    payload: {
+      vmId,
+      snapshotId,
+    },
+  }
+}
+
+export function removeSnapshotPreviewPendingTask (vmId: string, snapshotId: string): any {
+  return {
+    type: REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK,
+    payload: {
+      vmId,
+      snapshotId,
+    },
+  }
+}
+
+export function addSnapshotPreviewCommitPendingTask (vmId: string): any {
+  return {
+    type: ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+    payload: {
+      vmId,
+    },
+  }
+}
+
+export function removeSnapshotPreviewCommitPendingTask (vmId: string): any {
+  return {
+    type: REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+    payload: {
+      vmId,
+    },
+  }
+}
+
+export function addSnapshotPreviewUndoPendingTask (vmId: string): any {
+  return {
+    type: ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
+    payload: {
+      vmId,
+    },
+  }
+}
+
+export function removeSnapshotPreviewUndoPendingTask (vmId: string): any {
+  return {
+    type: REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
+    payload: {
+      vmId,
+    },
+  }
+}
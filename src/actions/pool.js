@@ -24,11 +24,12 @@ export function getPoolsByPage ({ page }) {
   }
 }
 
-export function getPoolsByCount ({ count }) {
+export function getPoolsByCount ({ count, search }) {
   return {
     type: C.GET_POOLS,
     payload: {
       count,
+      search,
     },
   }
 }
@@ -0,0 +1,10 @@
+import {
+  SET_TAGS,
+} from '_/constants'
+
+export function setTags (tags) {
+  return {
+    type: SET_TAGS,
+    payload: tags,
+  }
+}
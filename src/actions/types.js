@@ -22,6 +22,7 @@ export type SaveGlobalOptionsActionType = {
     preferredConsole?: string,
     fullScreenVnc?: boolean,
     fullScreenNoVnc?: boolean,
+    keyShortcutsNoVnc?: string,
     ctrlAltEndVnc?: boolean,
     fullScreenSpice?: boolean,
     ctrlAltEndSpice?: boolean,
@@ -44,13 +44,14 @@ export function getVmsByPage ({ page, shallowFetch = true }) {
   }
 }
 
-export function getVmsByCount ({ count, shallowFetch = true }) {
+export function getVmsByCount ({ count, shallowFetch = true, search }) {
   return {
     type: C.GET_VMS,
     payload: {
       shallowFetch,
       page: 1,
       count,
+      search,
     },
   }
 }
@@ -75,11 +76,12 @@ export function restartVm ({ vmId, force = false }) {
   }
 }
 
-export function startVm ({ vmId }) {
+export function startVm ({ vmId, runOnce }) {
   return {
     type: C.START_VM,
     payload: {
       vmId,
+      runOnce,
     },
   }
 }
@@ -93,6 +95,28 @@ export function suspendVm ({ vmId }) {
   }
 }
 
+export function cloneVm ({ vmId, name, clusterId, storageDomainId }) {
+  return {
+    type: C.CLONE_VM,
+    payload: {
+      vmId,
+      name,
+      clusterId,
+      storageDomainId,
+    },
+  }
+}
+
+export function migrateVm ({ vmId, hostId }) {
+  return {
+    type: C.MIGRATE_VM,
+    payload: {
+      vmId,
+      hostId,
+    },
+  }
+}
+
 export function composeAndCreateVm ({ basic, nics, disks }, { correlationId, ...additionalMeta }) {
   return {
     type: C.COMPOSE_CREATE_VM,
@@ -159,6 +183,35 @@ export function removeVm ({ vmId, preserveDisks = false }) {
   }
 }
 
+/**
+ * Run the same VM action (start, shutdown, restart, suspend or remove) on a set of VMs.
+ */
+export function runBulkVmAction ({ name, vmIds, force = false, preserveDisks = false }) {
+  return {
+    type: C.BULK_VM_ACTION,
+    payload: {
+      name,
+      vmIds,
+      force,
+      preserveDisks,
+    },
+  }
+}
+
+export function setVmSelection ({ vmIds, selected = true }) {
+  return {
+    type: C.SET_VM_SELECTION,
+    payload: {
+      vmIds,
+      selected,
+    },
+  }
+}
+
+export function clearVmSelection () {
+  return { type: C.CLEAR_VM_SELECTION }
+}
+
 export function setVmActionResult ({ vmId, correlationId, result }) {
   return {
     type: C.SET_VM_ACTION_RESULT,
@@ -228,6 +281,20 @@ export function updateVms ({
   }
 }
 
+/**
+ * Track the index of the last engine event the VM list has been brought up to date with.
+ * A full list refresh also passes the time it was done at.
+ */
+export function setLastEventIndex ({ index, fullRefreshTime }) {
+  return {
+    type: C.SET_LAST_EVENT_INDEX,
+    payload: {
+      index,
+      fullRefreshTime,
+    },
+  }
+}
+
 export function updateIcons ({ icons }) {
   return {
     type: C.UPDATE_ICONS,
@@ -390,6 +457,36 @@ export function editVmNic ({ vmId, nic }) {
   }
 }
 
+export function setVmTags ({ vmId, tags }) {
+  return {
+    type: C.SET_VM_TAGS,
+    payload: {
+      vmId,
+      tags,
+    },
+  }
+}
+
+export function attachVmTag ({ vmId, tagId }) {
+  return {
+    type: C.ATTACH_VM_TAG,
+    payload: {
+      vmId,
+      tagId,
+    },
+  }
+}
+
+export function detachVmTag ({ vmId, tagId }) {
+  return {
+    type: C.DETACH_VM_TAG,
+    payload: {
+      vmId,
+      tagId,
+    },
+  }
+}
+
 export function updateVmSnapshot ({ vmId, snapshot }) {
   return {
     type: C.UPDATE_VM_SNAPSHOT,
@@ -426,3 +523,21 @@ export function setVmSort ({ sort }) {
     },
   }
 }
+
+export function exportVms ({ format }) {
+  return {
+    type: C.EXPORT_VMS,
+    payload: {
+      format,
+    },
+  }
+}
+
+export function applyVmListView ({ view }) {
+  return {
+    type: C.APPLY_VM_LIST_VIEW,
+    payload: {
+      view,
+    },
+  }
+}
@@ -0,0 +1,24 @@
+import {
+  ADD_VM_METRICS_SAMPLE,
+  SET_VM_METRICS,
+} from '_/constants'
+
+export function setVmMetrics ({ vmId, samples }) {
+  return {
+    type: SET_VM_METRICS,
+    payload: {
+      vmId,
+      samples,
+    },
+  }
+}
+
+export function addVmMetricsSample ({ vmId, sample }) {
+  return {
+    type: ADD_VM_METRICS_SAMPLE,
+    payload: {
+      vmId,
+      sample,
+    },
+  }
+}
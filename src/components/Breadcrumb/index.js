@@ -7,7 +7,7 @@ import { Breadcrumb, BreadcrumbItem } from '@patternfly/react-core'
 
 import styles from './styles.css'
 
-const NONE_VM_ROUTES = ['/settings']
+const NONE_VM_ROUTES = ['/settings', '/consoles']
 
 const buildPath = ({ vms, branches, msg }) => {
   const res = []
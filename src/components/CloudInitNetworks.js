@@ -0,0 +1,141 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  Flex,
+  FlexItem,
+  HelperText,
+  HelperTextItem,
+  TextInput,
+} from '@patternfly/react-core'
+import { PlusCircleIcon, TrashIcon } from '@patternfly/react-icons/dist/esm/icons'
+
+import { withMsg } from '_/intl'
+import { isCloudInitNetworkValid } from '_/components/utils'
+import SelectBox from './SelectBox'
+
+const EMPTY_NETWORK = {
+  name: '',
+  bootProtocol: 'dhcp',
+  address: '',
+  netmask: '',
+  gateway: '',
+}
+
+/**
+ * Purely controlled editor of the cloud-init network interface configurations.  Each
+ * interface is configured either by DHCP or statically with an IPv4 address, netmask
+ * and gateway.
+ */
+const CloudInitNetworks = ({ id, networks = [], onChange, msg }) => {
+  const bootProtocols = [
+    { id: 'dhcp', value: msg.cloudInitBootProtocolDhcp() },
+    { id: 'static', value: msg.cloudInitBootProtocolStatic() },
+  ]
+  const staticFields = [
+    { field: 'address', label: msg.address() },
+    { field: 'netmask', label: msg.cloudInitNetmask() },
+    { field: 'gateway', label: msg.cloudInitGateway() },
+  ]
+
+  const updateNetwork = (index, field, value) => {
+    onChange(networks.map((network, i) => i === index ? { ...network, [field]: value } : network))
+  }
+
+  return (
+    <div id={id}>
+      { networks.length === 0 && (
+        <HelperText><HelperTextItem>{msg.cloudInitNoNetworks()}</HelperTextItem></HelperText>
+      )}
+
+      { networks.map((network, index) => {
+        const networkId = `${id}-${index}`
+        const isStatic = network.bootProtocol === 'static'
+        const isValid = isCloudInitNetworkValid(network)
+
+        return (
+          <div key={index} id={networkId} style={{ marginBottom: '10px' }}>
+            <Flex spaceItems={{ default: 'spaceItemsSm' }} alignItems={{ default: 'alignItemsCenter' }}>
+              <FlexItem>
+                <TextInput
+                  id={`${networkId}-name`}
+                  aria-label={msg.cloudInitNetworkName()}
+                  placeholder={msg.cloudInitNetworkName()}
+                  value={network.name}
+                  validated={network.name ? 'default' : 'error'}
+                  onChange={value => updateNetwork(index, 'name', value)}
+                />
+              </FlexItem>
+              <FlexItem>
+                <SelectBox
+                  id={`${networkId}-boot-protocol`}
+                  ariaLabel={msg.cloudInitBootProtocol()}
+                  items={bootProtocols}
+                  selected={network.bootProtocol}
+                  onChange={value => updateNetwork(index, 'bootProtocol', value)}
+                />
+              </FlexItem>
+              <FlexItem>
+                <Button
+                  id={`${networkId}-remove`}
+                  variant='plain'
+                  aria-label={msg.remove()}
+                  onClick={() => onChange(networks.filter((_, i) => i !== index))}
+                >
+                  <TrashIcon />
+                </Button>
+              </FlexItem>
+            </Flex>
+
+            { isStatic && (
+              <Flex spaceItems={{ default: 'spaceItemsSm' }} style={{ marginTop: '5px' }}>
+                { staticFields.map(({ field, label }) => (
+                  <FlexItem key={field}>
+                    <TextInput
+                      id={`${networkId}-${field}`}
+                      aria-label={label}
+                      placeholder={label}
+                      value={network[field]}
+                      onChange={value => updateNetwork(index, field, value)}
+                    />
+                  </FlexItem>
+                ))}
+              </Flex>
+            )}
+
+            { !isValid && (
+              <HelperText>
+                <HelperTextItem variant='error'>{msg.pleaseEnterValidCloudInitNetwork()}</HelperTextItem>
+              </HelperText>
+            )}
+          </div>
+        )
+      })}
+
+      <Button
+        id={`${id}-add`}
+        variant='link'
+        icon={<PlusCircleIcon />}
+        isInline
+        onClick={() => onChange([...networks, { ...EMPTY_NETWORK }])}
+      >
+        {msg.cloudInitAddNetwork()}
+      </Button>
+    </div>
+  )
+}
+
+CloudInitNetworks.propTypes = {
+  id: PropTypes.string.isRequired,
+  networks: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    bootProtocol: PropTypes.oneOf(['dhcp', 'static']),
+    address: PropTypes.string,
+    netmask: PropTypes.string,
+    gateway: PropTypes.string,
+  })),
+  onChange: PropTypes.func.isRequired, // (networks: Array<Object>) => any
+  msg: PropTypes.object.isRequired,
+}
+
+export default withMsg(CloudInitNetworks)
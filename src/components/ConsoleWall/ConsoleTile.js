@@ -0,0 +1,143 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Button,
+  Card,
+  CardActions,
+  CardBody,
+  CardHeader,
+  CardTitle,
+  EmptyState,
+  EmptyStateBody,
+} from '@patternfly/react-core'
+import { TimesIcon } from '@patternfly/react-icons/dist/esm/icons'
+
+import * as Actions from '_/actions'
+import * as C from '_/constants'
+import { withMsg } from '_/intl'
+import VncConsole from '_/components/VmConsole/VncConsole'
+import Loader, { SIZES } from '_/components/Loader'
+
+import style from './style.css'
+
+/**
+ * One browser VNC console of the console wall.  The console state and tickets are kept
+ * per VM in the store, so each tile connects and reconnects independently of the others.
+ * Reconnecting fetches fresh tickets and remounts the console with them.  If the tickets
+ * can't be fetched, the tile is left without a console until it is reconnected.
+ */
+const ConsoleTile = ({
+  vmId,
+  vmName,
+  isHidden,
+  vmConsoleState,
+  websocketHost,
+  websocketPort,
+  msg,
+  onRemove,
+  openConsole,
+  onConnected,
+  onDisconnected,
+}) => {
+  const {
+    proxyTicket,
+    ticket,
+    [C.BROWSER_VNC]: {
+      status: consoleStatus,
+      reason: disconnectReason,
+    } = {},
+  } = vmConsoleState
+  const idPrefix = `console-wall-${vmId}`
+  const hasConsole = !!ticket &&
+    (consoleStatus === C.INIT_CONSOLE || consoleStatus === C.RECONNECTED_CONSOLE || consoleStatus === C.DISCONNECTED_CONSOLE)
+
+  return (
+    <Card id={idPrefix} hidden={isHidden} isCompact>
+      <CardHeader>
+        <CardTitle>{vmName}</CardTitle>
+        <CardActions>
+          <Button id={`${idPrefix}-reconnect`} variant='secondary' onClick={openConsole}>
+            {msg.consoleWallReconnect()}
+          </Button>
+          <Button id={`${idPrefix}-remove`} variant='plain' aria-label={msg.consoleWallRemove()} onClick={onRemove}>
+            <TimesIcon />
+          </Button>
+        </CardActions>
+      </CardHeader>
+      <CardBody className={style['console-tile-body']}>
+        { hasConsole && (
+          <VncConsole
+            key={ticket?.value}
+            encrypt
+            shared
+            resizeSession
+            scaleViewport
+            textConnect={msg.connect()}
+            textConnecting={msg.connecting()}
+            textDisconnected={
+              disconnectReason === 'CONNECTION_FAILURE'
+                ? msg.connectionFailConsoleInfo()
+                : msg.disconectedConsoleInfo()
+            }
+            textDisconnect={msg.disconnect()}
+            textSendShortcut={msg.sendShortcutKey()}
+            textCtrlAltDel={msg.sendCtrlAltDel()}
+
+            credentials={{ password: ticket?.value }}
+            path={proxyTicket}
+            host={websocketHost}
+            port={websocketPort}
+            consoleContainerId={`${idPrefix}-container`}
+
+            onDisconnected={(e) => e?.detail?.clean ? onDisconnected() : onDisconnected('CONNECTION_FAILURE')}
+            onConnected={onConnected}
+            onInitFailed={() => onDisconnected('CONNECTION_FAILURE')}
+            onSecurityFailure={() => onDisconnected('CONNECTION_FAILURE')}
+            wsProtocols={['binary']}
+            className={style['console-tile-screen']}
+          />
+        )}
+        { !hasConsole && consoleStatus === C.OPEN_IN_PROGRESS && (
+          <Loader loaderText={msg.loadingTripleDot()} size={SIZES.SMALL} />
+        )}
+        { !hasConsole && consoleStatus !== C.OPEN_IN_PROGRESS && (
+          <EmptyState>
+            <EmptyStateBody>{msg.consoleWallNotConnected()}</EmptyStateBody>
+          </EmptyState>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
+
+ConsoleTile.propTypes = {
+  // own
+  vmId: PropTypes.string.isRequired,
+  vmName: PropTypes.string.isRequired,
+  isHidden: PropTypes.bool,
+  onRemove: PropTypes.func.isRequired,
+
+  // connected
+  vmConsoleState: PropTypes.object.isRequired,
+  websocketHost: PropTypes.string,
+  websocketPort: PropTypes.string,
+  msg: PropTypes.object.isRequired,
+  openConsole: PropTypes.func.isRequired,
+  onConnected: PropTypes.func.isRequired,
+  onDisconnected: PropTypes.func.isRequired,
+}
+
+export default connect(
+  ({ consoles, config }, { vmId }) => ({
+    vmConsoleState: consoles?.vms?.[vmId] ?? {},
+    websocketPort: config.getIn(['websocket', 'port']),
+    websocketHost: config.getIn(['websocket', 'host']),
+  }),
+  (dispatch, { vmId }) => ({
+    openConsole: () => dispatch(Actions.openConsole({ vmId, consoleType: C.BROWSER_VNC, stayOnPage: true })),
+    onConnected: () => dispatch(Actions.setConsoleStatus({ vmId, status: C.RECONNECTED_CONSOLE, consoleType: C.BROWSER_VNC })),
+    onDisconnected: (reason) => dispatch(Actions.setConsoleStatus({ vmId, status: C.DISCONNECTED_CONSOLE, reason, consoleType: C.BROWSER_VNC })),
+  })
+)(withMsg(ConsoleTile))
@@ -0,0 +1,161 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Button,
+  EmptyState,
+  EmptyStateBody,
+  Tab,
+  Tabs,
+  TabTitleText,
+  ToggleGroup,
+  ToggleGroupItem,
+  Toolbar,
+  ToolbarContent,
+  ToolbarItem,
+  Tooltip,
+} from '@patternfly/react-core'
+import {
+  ListIcon,
+  ThLargeIcon,
+} from '@patternfly/react-icons/dist/esm/icons'
+
+import * as Actions from '_/actions'
+import * as C from '_/constants'
+import { withMsg } from '_/intl'
+import { localeCompare } from '_/helpers'
+import { isRunning } from '_/components/utils'
+import SelectBox from '_/components/SelectBox'
+import ConsoleTile from './ConsoleTile'
+
+import style from './style.css'
+
+const GRID = 'grid'
+const TABS = 'tabs'
+const NO_VM = ''
+
+const hasVncConsole = (vm) => !!(vm.consoles || []).find(({ protocol }) => protocol === C.VNC)
+
+/**
+ * Console wall: several browser VNC consoles open on one page, either tiled or in tabs.
+ * All the consoles stay mounted (inactive tabs are only hidden) so their sessions stay
+ * alive while the user switches between them.
+ *
+ * The running VMs offered are fetched for the wall, independently of the VM list's pages
+ * and filters.  Each tile keeps the VM it was opened for until the user removes it.
+ */
+const ConsoleWall = ({ wallVms, websocket, msg, locale, openConsole }) => {
+  const [tiles, setTiles] = useState([])
+  const [selectedVmId, setSelectedVmId] = useState(NO_VM)
+  const [layout, setLayout] = useState(GRID)
+  const [activeVmId, setActiveVmId] = useState()
+
+  const shownVmIds = tiles.map(({ id }) => id)
+  const availableVms = Object.values(wallVms)
+    .filter(vm => isRunning(vm.status) && hasVncConsole(vm) && !shownVmIds.includes(vm.id))
+    .sort((a, b) => localeCompare(a.name, b.name, locale))
+  const activeTab = shownVmIds.includes(activeVmId) ? activeVmId : shownVmIds[0]
+
+  const addVm = () => {
+    const { id, name } = wallVms[selectedVmId]
+    setTiles([...tiles, { id, name }])
+    setActiveVmId(id)
+    setSelectedVmId(NO_VM)
+    openConsole(id)
+  }
+
+  const removeVm = (vmId) => setTiles(tiles.filter(({ id }) => id !== vmId))
+
+  return (
+    <>
+      <Toolbar className='portaled-toolbars-padding'>
+        <ToolbarContent>
+          <ToolbarItem>
+            <SelectBox
+              id='console-wall-vm'
+              items={[
+                { id: NO_VM, value: msg.consoleWallSelectVm() },
+                ...availableVms.map(({ id, name }) => ({ id, value: name })),
+              ]}
+              selected={selectedVmId}
+              onChange={setSelectedVmId}
+              disabled={!websocket}
+            />
+          </ToolbarItem>
+          <ToolbarItem>
+            <Button id='console-wall-add' variant='primary' isDisabled={selectedVmId === NO_VM} onClick={addVm}>
+              {msg.consoleWallAdd()}
+            </Button>
+          </ToolbarItem>
+          <ToolbarItem alignment={{ default: 'alignRight' }}>
+            <ToggleGroup aria-label={msg.consoleWallLayout()}>
+              <Tooltip content={msg.consoleWallGrid()}>
+                <ToggleGroupItem
+                  icon={<ThLargeIcon />}
+                  aria-label={msg.consoleWallGrid()}
+                  buttonId='console-wall-grid'
+                  isSelected={layout === GRID}
+                  onChange={() => setLayout(GRID)}
+                />
+              </Tooltip>
+              <Tooltip content={msg.consoleWallTabs()}>
+                <ToggleGroupItem
+                  icon={<ListIcon />}
+                  aria-label={msg.consoleWallTabs()}
+                  buttonId='console-wall-tabs'
+                  isSelected={layout === TABS}
+                  onChange={() => setLayout(TABS)}
+                />
+              </Tooltip>
+            </ToggleGroup>
+          </ToolbarItem>
+        </ToolbarContent>
+      </Toolbar>
+
+      { shownVmIds.length === 0 && (
+        <EmptyState>
+          <EmptyStateBody>{websocket ? msg.consoleWallEmpty() : msg.consoleWallNoWebsocket()}</EmptyStateBody>
+        </EmptyState>
+      )}
+
+      { layout === TABS && shownVmIds.length > 0 && (
+        <Tabs activeKey={activeTab} onSelect={(event, vmId) => setActiveVmId(vmId)} id='console-wall-tabs-list'>
+          { tiles.map(({ id, name }) => (
+            <Tab key={id} eventKey={id} title={<TabTitleText>{name}</TabTitleText>} />
+          ))}
+        </Tabs>
+      )}
+
+      <div className={layout === GRID ? style['console-wall-grid'] : style['console-wall-tabs']}>
+        { tiles.map(({ id, name }) => (
+          <ConsoleTile
+            key={id}
+            vmId={id}
+            vmName={name}
+            isHidden={layout === TABS && id !== activeTab}
+            onRemove={() => removeVm(id)}
+          />
+        ))}
+      </div>
+    </>
+  )
+}
+
+ConsoleWall.propTypes = {
+  wallVms: PropTypes.object.isRequired,
+  websocket: PropTypes.object,
+  msg: PropTypes.object.isRequired,
+  locale: PropTypes.string.isRequired,
+  openConsole: PropTypes.func.isRequired,
+}
+
+export default connect(
+  ({ consoles, config }) => ({
+    wallVms: consoles.wallVms,
+    websocket: config.get('websocket'),
+  }),
+  (dispatch) => ({
+    openConsole: (vmId) => dispatch(Actions.openConsole({ vmId, consoleType: C.BROWSER_VNC, stayOnPage: true })),
+  })
+)(withMsg(ConsoleWall))
@@ -152,6 +152,91 @@ function getInitialState ({
   return state
 }
 
+/**
+ * Build the initial new VM state for the create wizard from a snapshot of an existing
+ * VM.  The settings, NICs and disks are taken from the snapshot, falling back to the
+ * current VM settings for anything the snapshot does not hold.
+ */
+function getInitialStateFromSnapshot ({
+  sourceVm,
+  sourceSnapshot,
+  clusters,
+  operatingSystems,
+  storageDomains,
+  defaultGeneralTimezone,
+  locale,
+  msg,
+}) {
+  const fromSnapshot = (path, defaultValue) =>
+    sourceSnapshot.getIn(['vm', ...path]) ?? sourceVm.getIn(path, defaultValue)
+
+  const clusterId = sourceVm.getIn(['cluster', 'id'])
+  const dataCenterId = clusters.getIn([clusterId, 'dataCenterId'])
+  const osType = fromSnapshot(['os', 'type'])
+  const operatingSystem = operatingSystems.find(os => os.get('name') === osType)
+  const topology = fromSnapshot(['cpu', 'topology'])
+
+  const dataCenterStorageDomainsList = createStorageDomainList({ storageDomains, dataCenterId, locale, msg })
+
+  return produce(DEFAULT_STATE, draft => {
+    draft.basicDefaultValues = { ...DEFAULT_STATE.steps.basic }
+
+    draft.steps.basic = {
+      ...draft.steps.basic,
+      name: msg.cloneVmSuggestedName({ name: sourceVm.get('name') }),
+      clusterId,
+      dataCenterId,
+      provisionSource: 'snapshot',
+      snapshotId: sourceSnapshot.get('id'),
+      snapshotDescription: sourceSnapshot.get('description'),
+      operatingSystemId: operatingSystem ? operatingSystem.get('id') : DEFAULT_STATE.steps.basic.operatingSystemId,
+      memory: fromSnapshot(['memory', 'total'], 0) / (1024 ** 2), // bytes to MiB
+      cpus: fromSnapshot(['cpu', 'vCPUs'], 1),
+      topology: topology ? topology.toJS() : DEFAULT_STATE.steps.basic.topology,
+      optimizedFor: fromSnapshot(['type'], DEFAULT_STATE.steps.basic.optimizedFor),
+      timeZone: fromSnapshot(['timeZone'])?.toJS() ?? { name: defaultGeneralTimezone },
+    }
+
+    // the snapshot NICs and disks are copied to the new VM along with the snapshot
+    draft.steps.network = {
+      updated: 1,
+      nics: sourceSnapshot.get('nics', List())
+        .map(nic => ({
+          id: nic.get('id'),
+          name: nic.get('name'),
+          vnicProfileId: nic.getIn(['vnicProfile', 'id']) || EMPTY_VNIC_PROFILE_ID,
+          deviceType: nic.get('interface'),
+          isFromTemplate: true,
+          isFromSnapshot: true,
+        }))
+        .toJS(),
+    }
+
+    draft.steps.storage = {
+      updated: 1,
+      disks: sourceSnapshot.get('disks', List())
+        .map(disk => ({
+          id: disk.get('id'),
+          name: disk.get('name'),
+
+          diskId: disk.get('id'),
+          storageDomainId: disk.get('storageDomainId'),
+          canUserUseStorageDomain: !!dataCenterStorageDomainsList.find(sd => sd.id === disk.get('storageDomainId')),
+
+          bootable: disk.get('bootable'),
+          diskType: disk.get('sparse') ? 'thin' : 'pre',
+          size: disk.get('provisionedSize'), // bytes
+          isFromTemplate: true,
+          isFromSnapshot: true,
+        }))
+        .toJS(),
+    }
+
+    draft.stepNavigation.basic.valid = true
+    draft.stepNavigation.storage.valid = true
+  })
+}
+
 /**
  * Wizard to create a new VM.  Each step in the wizard is a controlled component.  All
  * of the new VM data is held in this component's state until the creation is submitted
@@ -175,12 +260,16 @@ function getInitialState ({
  *     - Boot based on template settings
  *     - Use thin or cloned disks from template (allow adding more and change storage domains)
  *     - NICs default to those from the template (allow adding more)
+ *
+ *   3. Snapshot (only when opened with a `sourceSnapshot`)
+ *     - The cluster, settings, NICs and disks start from the snapshot of the source VM
+ *     - The snapshot's disks are copied to the new VM (allow adding more NICs and disks)
  */
 class CreateVmWizard extends React.Component {
   constructor (props) {
     super(props)
 
-    this.state = getInitialState(props)
+    this.state = props.sourceSnapshot ? getInitialStateFromSnapshot(props) : getInitialState(props)
     this.hideAndResetState = this.hideAndResetState.bind(this)
     this.hideAndNavigate = this.hideAndNavigate.bind(this)
     this.handleBasicOnUpdate = this.handleBasicOnUpdate.bind(this)
@@ -337,7 +426,7 @@ class CreateVmWizard extends React.Component {
 
   hideAndResetState () {
     this.setState({
-      ...getInitialState(this.props),
+      ...(this.props.sourceSnapshot ? getInitialStateFromSnapshot(this.props) : getInitialState(this.props)),
       wizardKey: this.state.wizardKey + 1,
     })
     this.props.onHide()
@@ -361,7 +450,8 @@ class CreateVmWizard extends React.Component {
       const { provisionSource, templateId } = draft.steps.basic
       const { provisionSource: provisionSource_, templateId: templateId_ } = partialUpdate
 
-      if (provisionSource !== provisionSource_ || templateId !== templateId_) {
+      // a snapshot always provides its own NICs and disks
+      if (provisionSource !== 'snapshot' && (provisionSource !== provisionSource_ || templateId !== templateId_)) {
         draft.steps.network.updated = 0
         draft.steps.storage.updated = 0
       }
@@ -508,7 +598,7 @@ class CreateVmWizard extends React.Component {
   }
 
   render () {
-    const { msg, show, actionResults } = this.props
+    const { msg, show, actionResults, sourceSnapshot } = this.props
     const { correlationId, showCloseWizardDialog, wizardKey } = this.state
     const vmCreateStarted = correlationId !== null && !!actionResults?.get(correlationId)
 
@@ -525,7 +615,7 @@ class CreateVmWizard extends React.Component {
           <Wizard
             key={wizardKey}
             isOpen={show}
-            title={msg.addNewVm()}
+            title={sourceSnapshot ? msg.createVmFromSnapshot() : msg.addNewVm()}
             onClose={this.showCloseWizardDialog}
             steps={wizardSteps}
             cancelButtonText={msg.createVmWizardButtonCancel()}
@@ -552,6 +642,9 @@ class CreateVmWizard extends React.Component {
 CreateVmWizard.propTypes = {
   show: PropTypes.bool,
   onHide: PropTypes.func,
+  // eslint-disable-next-line react/no-unused-prop-types
+  sourceVm: PropTypes.object, // VM the source snapshot belongs to
+  sourceSnapshot: PropTypes.object, // create the VM from this snapshot instead of a template or ISO
 
   // todo remove the "eslint-disable-next-line"s below when updating the eslint to newer version
   // eslint-disable-next-line react/no-unused-prop-types
@@ -6,10 +6,12 @@ export const BASIC_DATA_SHAPE = {
   dataCenterId: PropTypes.string,
   clusterId: PropTypes.string,
 
-  provisionSource: PropTypes.oneOf(['iso', 'template']),
+  provisionSource: PropTypes.oneOf(['iso', 'template', 'snapshot']),
   isoImage: PropTypes.string,
   templateId: PropTypes.string,
   templateClone: PropTypes.bool,
+  snapshotId: PropTypes.string,
+  snapshotDescription: PropTypes.string,
 
   operatingSystemId: PropTypes.string,
   tpmEnabled: PropTypes.bool,
@@ -25,6 +27,16 @@ export const BASIC_DATA_SHAPE = {
   initTimezone: PropTypes.string,
   initAdminPassword: PropTypes.string,
   initCustomScript: PropTypes.string,
+  initUsername: PropTypes.string,
+  initDnsServers: PropTypes.string,
+  initDnsSearch: PropTypes.string,
+  initNetworks: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    bootProtocol: PropTypes.oneOf(['dhcp', 'static']),
+    address: PropTypes.string,
+    netmask: PropTypes.string,
+    gateway: PropTypes.string,
+  })),
 
   topology: PropTypes.exact({
     cores: PropTypes.number.isRequired,
@@ -39,7 +51,8 @@ export const NIC_SHAPE = {
   name: PropTypes.string,
   vnicProfileId: PropTypes.string,
   deviceType: PropTypes.string, // interface: [ virtio | rtl8139 | e1000 | e1000e ]
-  isFromTemplate: PropTypes.bool,
+  isFromTemplate: PropTypes.bool, // defined by the template or snapshot, cannot be edited
+  isFromSnapshot: PropTypes.bool,
 }
 
 export const STORAGE_SHAPE = {
@@ -52,5 +65,6 @@ export const STORAGE_SHAPE = {
   bootable: PropTypes.bool,
   format: PropTypes.string, // [ cow | raw ]
   size: PropTypes.number, // bytes
-  isFromTemplate: PropTypes.bool,
+  isFromTemplate: PropTypes.bool, // defined by the template or snapshot, cannot be edited
+  isFromSnapshot: PropTypes.bool,
 }
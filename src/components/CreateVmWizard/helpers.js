@@ -83,7 +83,7 @@ const handleProvisionSourceChange = (provisionSource, { defaultValues, defaultGe
   // when changing Provision type to ISO, set the default time zone according to the OS
   if (changes.provisionSource === 'iso') {
     changes.timeZone = checkTimeZone(changes.operatingSystemId, changes.templateId, { defaultGeneralTimezone, defaultWindowsTimezone, templates, operatingSystems })
-    changes.initTimezone = '' // reset the sysprep timezone value, we don't support cloud-init TZ yet
+    changes.initTimezone = '' // reset the cloud-init/sysprep timezone value, it depends on the OS
   }
   return changes
 }
@@ -109,13 +109,17 @@ const handleTemplateIdChange = (templateId, defaultOptimizedFor, { templates, op
   changes.initSshKeys = template.getIn(['cloudInit', 'sshAuthorizedKeys'])
   changes.initTimezone = template.getIn(['cloudInit', 'timezone'])
   changes.initCustomScript = template.getIn(['cloudInit', 'customScript'])
+  changes.initUsername = template.getIn(['cloudInit', 'userName'])
+  changes.initDnsServers = template.getIn(['cloudInit', 'dnsServers'])
+  changes.initDnsSearch = template.getIn(['cloudInit', 'dnsSearch'])
+  changes.initNetworks = template.getIn(['cloudInit', 'networks'])?.toJS() || []
   if (changes.initTimezone && isOsWindows(changes.operatingSystemId, operatingSystems)) {
     // Configure Timezone checkbox should be checked if template's timezone set
     changes.enableInitTimezone = true
     changes.lastInitTimezone = changes.initTimezone // select template's timezone in the Timezone drop down
   } else {
     changes.enableInitTimezone = false
-    changes.initTimezone = ''
+    changes.initTimezone = changes.initTimezone || '' // a Linux template's timezone is used by cloud-init
     // select the same default GMT sysprep timezone as in Admin Portal
     changes.lastInitTimezone = timezones.find(timezone => timezone.value.startsWith('(GMT) Greenwich')).id
   }
@@ -21,6 +21,7 @@ import {
   createTemplateList,
   getTopology,
   getTopologyPossibleValues,
+  isCloudInitNetworkValid,
   isHostNameValid,
   isVmNameValid,
   validateTopologyValues,
@@ -39,8 +40,10 @@ import {
 
 import { Grid, Row, Col } from '_/components/Grid'
 import SelectBox from '_/components/SelectBox'
+import CloudInitNetworks from '_/components/CloudInitNetworks'
 
 import timezones from '_/components/utils/timezones.json'
+import cloudInitTimezones from '_/components/utils/cloud-init-timezones.json'
 
 import style from './style.css'
 import { InfoTooltip } from '_/components/tooltips'
@@ -74,6 +77,12 @@ const FieldRow = ({
         <Col offset={labelCols} cols={fieldCols} className={style['col-data']} id={id}>
           <div className={style['col-label-vertical']}>
             {label}
+            { tooltip && (
+              <InfoTooltip
+                tooltip={tooltip}
+                id={`${id}-tooltip`}
+              />
+            )}
           </div>
           <div>{children}</div>
           {(validationState && errorMessage) && (
@@ -137,7 +146,7 @@ SubHeading.propTypes = {
 }
 
 function isValidSource (toTest) {
-  return ['iso', 'template'].includes(toTest)
+  return ['iso', 'template', 'snapshot'].includes(toTest)
 }
 
 function isValidUid (toTest) {
@@ -201,6 +210,8 @@ class BasicSettings extends React.Component {
     const okProvisionTemplate = dataSet.provisionSource === 'template' &&
         [null, dataSet.clusterId].includes(templates.getIn([dataSet.templateId, 'clusterId']))
 
+    const okProvisionSnapshot = dataSet.provisionSource === 'snapshot' && !!dataSet.snapshotId
+
     const okCpu = isNumberInRange(dataSet.cpus, 0, maxNumOfVmCpus) && this.validateCpuValue(dataSet.cpus) && validateTopologyValues({
       vCpuCount: dataSet.cpus,
       numOfSockets: dataSet.topology.sockets,
@@ -214,12 +225,15 @@ class BasicSettings extends React.Component {
 
     const checkInit = dataSet.cloudInitEnabled
     const okInitHostname = dataSet.initHostname ? isHostNameValid(dataSet.initHostname) : true
+    const okInitNetworks = isOsLinux(dataSet.operatingSystemId, operatingSystems)
+      ? (dataSet.initNetworks || []).every(isCloudInitNetworkValid)
+      : true
 
     return okName &&
       okDataCenter && okCluster &&
-      okProvision && (okProvisionIso || okProvisionTemplate) &&
+      okProvision && (okProvisionIso || okProvisionTemplate || okProvisionSnapshot) &&
       okOperatingSystem && okMemory && okCpu && okOptimizedFor &&
-      (checkInit ? okInitHostname : true)
+      (checkInit ? okInitHostname && okInitNetworks : true)
   }
 
   /**
@@ -316,12 +330,16 @@ class BasicSettings extends React.Component {
 
       case 'operatingSystemId': {
         changes[field] = value
-        const { data: { templateId } } = this.props
+        const { data: { templateId, cloudInitEnabled, enableInitTimezone, lastInitTimezone, initTimezone, operatingSystemId } } = this.props
         changes.timeZone = checkTimeZone(value, templateId, this.props)
-        // only when changing the OS from one Windows to other Windows
-        changes.initTimezone = this.props.data.cloudInitEnabled && this.props.data.enableInitTimezone && isOsWindows(value, this.props.operatingSystems)
-          ? this.props.data.lastInitTimezone // set the sysprep timezone as the last selected sysprep timezone
-          : ''
+        if (isOsWindows(value, this.props.operatingSystems)) {
+          changes.initTimezone = cloudInitEnabled && enableInitTimezone
+            ? lastInitTimezone // set the sysprep timezone as the last selected sysprep timezone
+            : ''
+        } else {
+          // only keep the cloud-init timezone when changing the OS from one Linux to other Linux
+          changes.initTimezone = isOsWindows(operatingSystemId, this.props.operatingSystems) ? '' : initTimezone
+        }
         changes.tpmEnabled = isTpmRequired(value, this.props.operatingSystems) || undefined
         break
       }
@@ -356,11 +374,17 @@ class BasicSettings extends React.Component {
         changes.lastInitTimezone = value // save the actual selected sysprep timezone
         break
 
+      case 'cloudInitTimezone': // cloud-init timezone change
+        changes.initTimezone = value
+        break
+
       case 'cloudInitEnabled': // Cloud-init/Sysprep checkbox change
         changes[field] = value
-        changes.initTimezone = value && this.props.data.enableInitTimezone && isOsWindows(this.props.data.operatingSystemId, this.props.operatingSystems)
-          ? this.props.data.lastInitTimezone
-          : ''
+        if (isOsWindows(this.props.data.operatingSystemId, this.props.operatingSystems)) {
+          changes.initTimezone = value && this.props.data.enableInitTimezone
+            ? this.props.data.lastInitTimezone
+            : ''
+        }
         break
 
       default:
@@ -422,8 +446,11 @@ class BasicSettings extends React.Component {
       delete indicators.cluster
     }
 
-    const provisionSourceList =
-      [
+    // a snapshot source is set when the wizard is opened and cannot be changed
+    const isSnapshotSource = data.provisionSource === 'snapshot'
+    const provisionSourceList = isSnapshotSource
+      ? [{ id: 'snapshot', value: msg.createVmWizardSourceSnapshot() }]
+      : [
         { id: 'iso', value: msg.createVmWizardSourceISO() },
         { id: 'template', value: msg.createVmWizardSourceTemplate() },
       ]
@@ -434,7 +461,7 @@ class BasicSettings extends React.Component {
       delete indicators.provisionSource
     }
 
-    const enableOsSelect = isValidUid(data.clusterId) && ['iso', 'template'].includes(data.provisionSource)
+    const enableOsSelect = isValidUid(data.clusterId) && ['iso', 'template', 'snapshot'].includes(data.provisionSource)
     const operatingSystemList = enableOsSelect
       ? createOsList({ clusterId: data.clusterId, clusters, operatingSystems, locale })
       : [{ id: '_', value: `-- ${msg.createVmWizardSelectClusterBeforeOS()} --` }]
@@ -542,6 +569,7 @@ class BasicSettings extends React.Component {
               selected={data.clusterId || '_'}
               onChange={selectedId => this.handleChange('clusterId', selectedId)}
               validationState={indicators.cluster}
+              disabled={isSnapshotSource}
             />
           </FieldRow>
 
@@ -552,9 +580,22 @@ class BasicSettings extends React.Component {
               items={provisionSourceList}
               selected={data.provisionSource || '_'}
               onChange={selectedId => this.handleChange('provisionSource', selectedId)}
+              disabled={isSnapshotSource}
             />
           </FieldRow>
 
+          {/* -- Provision Source: Snapshot -- */}
+          { isSnapshotSource && (
+            <FieldRow label={msg.createVmWizardSourceSnapshot()} id={`${idPrefix}-snapshot`}>
+              <TextInput
+                id={`${idPrefix}-snapshot-edit`}
+                type='text'
+                value={data.snapshotDescription}
+                isReadOnly
+              />
+            </FieldRow>
+          )}
+
           {/* -- Provision Source: ISO -- */}
           { data.provisionSource === 'iso' && (
             <FieldRow label={msg.cd()} id={`${idPrefix}-iso`} required>
@@ -678,6 +719,88 @@ class BasicSettings extends React.Component {
                   onChange={value => this.handleChange('initSshKeys', value)}
                 />
               </FieldRow>
+
+              <FieldRow
+                label={msg.cloudInitUserName()}
+                id={`${idPrefix}-cloudInitUserName`}
+                vertical
+                tooltip={msg.cloudInitUserNameHelp()}
+              >
+                <TextInput
+                  id={`${idPrefix}-cloudInitUserName-edit`}
+                  type='text'
+                  value={data.initUsername}
+                  onChange={value => this.handleChange('initUsername', value)}
+                />
+              </FieldRow>
+
+              <FieldRow
+                label={msg.cloudInitPassword()}
+                id={`${idPrefix}-cloudInitPassword`}
+                vertical
+                tooltip={msg.cloudInitPasswordHelp()}
+              >
+                <TextInput
+                  id={`${idPrefix}-cloudInitPassword-edit`}
+                  type='password'
+                  value={data.initAdminPassword}
+                  onChange={value => this.handleChange('initAdminPassword', value)}
+                />
+              </FieldRow>
+
+              <FieldRow label={msg.timezone()} id={`${idPrefix}-cloudInitTimezone`} vertical>
+                <SelectBox
+                  id={`${idPrefix}-cloudInitTimezone-edit`}
+                  items={[{ id: '', value: msg.cloudInitTimezoneNotConfigured() }, ...cloudInitTimezones]}
+                  selected={data.initTimezone || ''}
+                  onChange={selectedId => this.handleChange('cloudInitTimezone', selectedId)}
+                />
+              </FieldRow>
+
+              <FieldRow
+                label={msg.cloudInitDnsServers()}
+                id={`${idPrefix}-cloudInitDnsServers`}
+                vertical
+                tooltip={msg.cloudInitDnsSeparatorHelp()}
+              >
+                <TextInput
+                  id={`${idPrefix}-cloudInitDnsServers-edit`}
+                  type='text'
+                  value={data.initDnsServers}
+                  onChange={value => this.handleChange('initDnsServers', value)}
+                />
+              </FieldRow>
+
+              <FieldRow
+                label={msg.cloudInitDnsSearch()}
+                id={`${idPrefix}-cloudInitDnsSearch`}
+                vertical
+                tooltip={msg.cloudInitDnsSeparatorHelp()}
+              >
+                <TextInput
+                  id={`${idPrefix}-cloudInitDnsSearch-edit`}
+                  type='text'
+                  value={data.initDnsSearch}
+                  onChange={value => this.handleChange('initDnsSearch', value)}
+                />
+              </FieldRow>
+
+              <FieldRow label={msg.cloudInitNetworks()} id={`${idPrefix}-cloudInitNetworks`} vertical>
+                <CloudInitNetworks
+                  id={`${idPrefix}-cloudInitNetworks-edit`}
+                  networks={data.initNetworks}
+                  onChange={networks => this.handleChange('initNetworks', networks)}
+                />
+              </FieldRow>
+
+              <FieldRow label={msg.cloudInitCustomScript()} id={`${idPrefix}-cloudInitCustomScript`} vertical>
+                <TextArea
+                  id={`${idPrefix}-cloudInitCustomScript-edit`}
+                  rows={5}
+                  value={data.initCustomScript}
+                  onChange={value => this.handleChange('initCustomScript', value)}
+                />
+              </FieldRow>
             </>
           )}
 
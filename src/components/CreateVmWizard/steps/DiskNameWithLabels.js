@@ -9,13 +9,20 @@ import {
 import style from './style.css'
 import { Tooltip } from '_/components/tooltips'
 
-const DiskNameWithLabels = ({ id, name, isFromTemplate, bootable }) => {
+const DiskNameWithLabels = ({ id, name, isFromTemplate, isFromSnapshot, bootable }) => {
   const { msg } = useContext(MsgContext)
   const idPrefix = `${id}-disk`
   return (
     <>
       <span id={`${idPrefix}-name`}>{ name }</span>
-      { isFromTemplate && (
+      { isFromSnapshot && (
+        <Tooltip id={`${idPrefix}-snapshot-defined-badge`} tooltip={msg.snapshotDefined()}>
+          <Label id={`${idPrefix}-from-snapshot`} className={`${style['disk-label']}`}>
+            S
+          </Label>
+        </Tooltip>
+      )}
+      { isFromTemplate && !isFromSnapshot && (
         <Tooltip id={`${idPrefix}-template-defined-badge`} tooltip={msg.templateDefined()}>
           <Label id={`${idPrefix}-from-template`} className={`${style['disk-label']}`}>
             T
@@ -34,6 +41,7 @@ DiskNameWithLabels.propTypes = {
   id: PropTypes.string,
   name: PropTypes.string,
   isFromTemplate: PropTypes.bool,
+  isFromSnapshot: PropTypes.bool,
   bootable: PropTypes.bool,
 }
 
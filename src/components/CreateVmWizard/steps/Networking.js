@@ -131,12 +131,12 @@ const Networking = ({
               </Thead>
               <Tbody>
                 {nicList.map(({ id, underConstruction, ...rest }) => {
-                  const { name, vnicProfileId, deviceType, isFromTemplate } = underConstruction ?? rest
+                  const { name, vnicProfileId, deviceType, isFromTemplate, isFromSnapshot } = underConstruction ?? rest
                   const isValid = isNicNameUnique(nicList, { name, id }) && isNicNameValid(name)
                   return (
                     <Tr key={id}>
                       <Td dataLabel={columnNames.nicName}>
-                        {!underConstruction && <NicNameWithLabels {...{ id, name, isFromTemplate }} />}
+                        {!underConstruction && <NicNameWithLabels {...{ id, name, isFromTemplate, isFromSnapshot }} />}
                         {underConstruction && (
                           <>
                             <TextInput
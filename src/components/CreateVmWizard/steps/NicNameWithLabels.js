@@ -11,12 +11,19 @@ import {
 
 import style from './style.css'
 
-const NicNameWithLabels = ({ id, name, isFromTemplate }) => {
+const NicNameWithLabels = ({ id, name, isFromTemplate, isFromSnapshot }) => {
   const { msg } = useContext(MsgContext)
   return (
     <>
       <span id={`${id}-name`}>{ name }</span>
-      { isFromTemplate && (
+      { isFromSnapshot && (
+        <Tooltip id={`${id}-snapshot-defined-badge`} tooltip={msg.snapshotDefined()}>
+          <Label id={`${id}-from-snapshot`} className={style['nic-label']}>
+            S
+          </Label>
+        </Tooltip>
+      )}
+      { isFromTemplate && !isFromSnapshot && (
         <Tooltip id={`${id}-template-defined-badge`} tooltip={msg.templateDefined()}>
           <Label id={`${id}-from-template`} className={style['nic-label']}>
             T
@@ -30,6 +37,7 @@ NicNameWithLabels.propTypes = {
   id: PropTypes.string,
   name: PropTypes.string,
   isFromTemplate: PropTypes.bool,
+  isFromSnapshot: PropTypes.bool,
 }
 
 export default NicNameWithLabels
@@ -229,7 +229,7 @@ const Storage = ({
               </Thead>
               <Tbody>
                 {diskList.map(({ id, underConstruction, ...rest }) => {
-                  const { name, storageDomainId, canUserUseStorageDomain, isFromTemplate, bootable, size, diskType } = underConstruction ?? rest
+                  const { name, storageDomainId, canUserUseStorageDomain, isFromTemplate, isFromSnapshot, bootable, size, diskType } = underConstruction ?? rest
                   const isSdValid = !!isSdOk({ storageDomainId, canUserUseStorageDomain })
                   // for template based disk we need to accept even invalid values
                   // as user is not able to change them (except storage domain)
@@ -240,7 +240,7 @@ const Storage = ({
                   return (
                     <Tr key={id}>
                       <Td dataLabel={columnNames.name}>
-                        {(!underConstruction || isFromTemplate) && <DiskNameWithLabels {...{ id, name, isFromTemplate, bootable }} />}
+                        {(!underConstruction || isFromTemplate) && <DiskNameWithLabels {...{ id, name, isFromTemplate, isFromSnapshot, bootable }} />}
                         {underConstruction && !isFromTemplate && (
                           <>
                             <TextInput
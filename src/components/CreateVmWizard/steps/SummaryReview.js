@@ -62,6 +62,12 @@ const ReviewBasic = ({ id, dataCenters, clusters, isos, templates, operatingSyst
           </Item>
         </>
       )}
+      { basic.provisionSource === 'snapshot' && (
+        <>
+          <Item id={`${id}-provision-source`} label={msg.provisionSource()}>{msg.createVmWizardSourceSnapshot()}</Item>
+          <Item id={`${id}-snapshot`} label={msg.createVmWizardSourceSnapshot()}>{basic.snapshotDescription}</Item>
+        </>
+      )}
 
       <Item id={`${id}-timezone`} label={msg.timezone()}>{basic.timeZone.name}</Item>
       <Item id={`${id}-os`} label={msg.operatingSystem()}>{vmOS.get('description')}</Item>
@@ -210,6 +216,40 @@ const ReviewAdvanced = ({ id, operatingSystems, basic }) => {
             { basic.initSshKeys &&
               <Item id={`${id}-cloud-init-sshkey`} label={msg.sshAuthorizedKeys()}>{ basic.initSshKeys }</Item>
           }
+            { basic.initUsername &&
+              <Item id={`${id}-cloud-init-username`} label={msg.cloudInitUserName()}>{ basic.initUsername }</Item>
+          }
+            { basic.initAdminPassword && (
+              <Item id={`${id}-cloud-init-pwd`} label={msg.cloudInitPassword()}>
+                ******
+              </Item>
+            )}
+            { basic.initTimezone &&
+              <Item id={`${id}-cloud-init-tz`} label={msg.timezone()}>{ basic.initTimezone }</Item>
+          }
+            { basic.initDnsServers &&
+              <Item id={`${id}-cloud-init-dns-servers`} label={msg.cloudInitDnsServers()}>{ basic.initDnsServers }</Item>
+          }
+            { basic.initDnsSearch &&
+              <Item id={`${id}-cloud-init-dns-search`} label={msg.cloudInitDnsSearch()}>{ basic.initDnsSearch }</Item>
+          }
+            { basic.initNetworks && basic.initNetworks.length > 0 && (
+              <Item id={`${id}-cloud-init-networks`} label={msg.cloudInitNetworks()}>
+                { basic.initNetworks.map((network, index) => (
+                  <div key={index}>
+                    { network.bootProtocol === 'static'
+                      ? `${network.name}: ${network.address}/${network.netmask}${network.gateway ? `, ${msg.cloudInitGateway()}: ${network.gateway}` : ''}`
+                      : `${network.name}: ${msg.cloudInitBootProtocolDhcp()}`
+                    }
+                  </div>
+                ))}
+              </Item>
+            )}
+            { basic.initCustomScript && (
+              <Item id={`${id}-cloud-init-custom-script`} label={msg.cloudInitCustomScript()}>
+                { basic.initCustomScript }
+              </Item>
+            )}
           </div>
         </>
       )}
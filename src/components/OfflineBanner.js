@@ -0,0 +1,40 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+
+import { connect } from 'react-redux'
+import { MsgContext } from '_/intl'
+
+import { Alert, Spinner } from '@patternfly/react-core'
+
+/**
+ * Banner shown while the engine can not be reached.  The reconnect attempts and the
+ * pause of the background refresh are handled by the background refresh sagas.
+ */
+const OfflineBanner = ({ isOffline }) => {
+  const { msg } = useContext(MsgContext)
+
+  if (!isOffline) {
+    return null
+  }
+
+  return (
+    <Alert
+      isInline
+      variant='warning'
+      id='engine-offline'
+      title={msg.engineOfflineTitle()}
+      customIcon={<Spinner size='md' aria-valuetext={msg.engineOfflineReconnecting()} />}
+    >
+      {msg.engineOfflineReconnecting()}
+    </Alert>
+  )
+}
+OfflineBanner.propTypes = {
+  isOffline: PropTypes.bool.isRequired,
+}
+
+export default connect(
+  (state) => ({
+    isOffline: !!state.config.get('isOffline'),
+  })
+)(OfflineBanner)
@@ -8,6 +8,7 @@ import { RouterPropTypeShapes } from '_/propTypeShapes'
 import VmsList from '../VmsList'
 import VmDetails from '../VmDetails'
 import VmConsole from '../VmConsole'
+import ConsoleWall from '../ConsoleWall'
 import Handler404 from '_/Handler404'
 import { GlobalSettings } from '../UserSettings'
 
@@ -22,6 +23,13 @@ const GlobalSettingsPage = () => {
   return <GlobalSettings />
 }
 
+/**
+ * Route component (for PageRouter) to view several VM consoles at once
+ */
+const ConsoleWallPage = () => {
+  return <ConsoleWall />
+}
+
 /**
  * Route component (for PageRouter) to view a VM's details
  */
@@ -84,7 +92,7 @@ const VmDetailsPageConnected = connect(
 )(VmDetailsPage)
 
 /**
- * Route component (for PageRouter) to view a VM's console (with webVNC)
+ * Route component (for PageRouter) to view a VM's console (with noVNC or spice-html5)
  */
 class VmConsolePage extends React.Component {
   render () {
@@ -111,4 +119,5 @@ export {
   VmDetailsPageConnected as VmDetailsPage,
   VmsListPage,
   GlobalSettingsPage,
+  ConsoleWallPage,
 }
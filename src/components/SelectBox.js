@@ -5,7 +5,7 @@ import { sortedBy } from '_/helpers'
 import { withMsg } from '_/intl'
 import { Select, SelectOption, SelectVariant } from '@patternfly/react-core'
 
-const SelectBox = ({ msg, sort, items = [], locale, selected: selectedId, onChange, validationState, id, disabled, placeholderText, width }) => {
+const SelectBox = ({ msg, sort, items = [], locale, selected: selectedId, onChange, validationState, id, disabled, placeholderText, width, ariaLabel }) => {
   const [open, setOpen] = useState(false)
   if (sort) {
     sortedBy(items, 'value', locale)
@@ -22,6 +22,7 @@ const SelectBox = ({ msg, sort, items = [], locale, selected: selectedId, onChan
   return (
     <Select
       id={id}
+      aria-label={ariaLabel}
       width={width}
       variant={SelectVariant.single}
       onToggle={setOpen}
@@ -59,6 +60,7 @@ SelectBox.propTypes = {
   disabled: PropTypes.bool,
   placeholderText: PropTypes.string,
   width: PropTypes.string,
+  ariaLabel: PropTypes.string,
   locale: PropTypes.string.isRequired,
   msg: PropTypes.object.isRequired,
 }
@@ -22,12 +22,67 @@ import { FilterIcon, SearchIcon } from '@patternfly/react-icons/dist/esm/icons'
 import DatePickerFilter from './DatePickerFilter'
 import SelectFilter from './SelectFilter'
 
-const Filters = ({ msg, locale, selectedFilters, onFilterUpdate, filterTypes, textBasedFilterId }) => {
+const TextFilter = ({ filterId, title, placeholder, selectedFilters, showToolbarItem, onFilterUpdate }) => {
+  const [inputValue, setInputValue] = useState('')
+
+  const onInput = (event) => {
+    if ((event.key && event.key !== 'Enter') ||
+     !inputValue ||
+      selectedFilters.includes(inputValue)) {
+      return
+    }
+    onFilterUpdate([...selectedFilters, inputValue])
+    setInputValue('')
+  }
+
+  return (
+    <ToolbarFilter
+      key={filterId}
+      chips={selectedFilters}
+      deleteChip={(category, option) => onFilterUpdate(selectedFilters.filter(value => value !== option))}
+      deleteChipGroup={() => onFilterUpdate([])}
+      categoryName={title}
+      showToolbarItem={showToolbarItem}
+    >
+      <InputGroup>
+        <TextInput
+          id={filterId}
+          type="search"
+          onChange={setInputValue}
+          value={inputValue}
+          placeholder={placeholder}
+          onKeyDown={onInput}
+        />
+        <Button
+          variant={ButtonVariant.control}
+          aria-label={placeholder}
+          onClick={onInput}
+        >
+          <SearchIcon />
+        </Button>
+      </InputGroup>
+    </ToolbarFilter>
+  )
+}
+
+TextFilter.propTypes = {
+  filterId: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  placeholder: PropTypes.string.isRequired,
+  selectedFilters: PropTypes.array.isRequired,
+  showToolbarItem: PropTypes.bool.isRequired,
+  onFilterUpdate: PropTypes.func.isRequired,
+}
+
+/**
+ * Filter toolbar with a filter type selector.  Filter types with `textInput` set take
+ * free text values, those with `datePicker` set take dates and those with `filterValues`
+ * are selected from the given values.
+ */
+const Filters = ({ msg, locale, selectedFilters, onFilterUpdate, filterTypes }) => {
   const [currentFilterType, setCurrentFilterType] = useState(filterTypes[0])
   const [expanded, setExpanded] = useState(false)
-  const [inputValue, setInputValue] = useState('')
 
-  const nameFilter = filterTypes.find(({ id }) => id === textBasedFilterId)
   const labelToFilter = (label) => filterTypes.find(({ title }) => title === label) ?? currentFilterType
 
   const onFilterTypeSelect = (event) => {
@@ -35,15 +90,6 @@ const Filters = ({ msg, locale, selectedFilters, onFilterUpdate, filterTypes, te
     setExpanded(!expanded)
   }
   const onFilterTypeToggle = () => setExpanded(!expanded)
-  const onNameInput = (event) => {
-    if ((event.key && event.key !== 'Enter') ||
-     !inputValue ||
-      selectedFilters?.[textBasedFilterId]?.includes(inputValue)) {
-      return
-    }
-    onFilterUpdate({ ...selectedFilters, [textBasedFilterId]: [...(selectedFilters?.[textBasedFilterId] ?? []), inputValue] })
-    setInputValue('')
-  }
 
   return (
     <ToolbarToggleGroup toggleIcon={<Tooltip content={msg.filter()}><FilterIcon /></Tooltip>} breakpoint="xl">
@@ -65,35 +111,19 @@ const Filters = ({ msg, locale, selectedFilters, onFilterUpdate, filterTypes, te
           }
           />
         </ToolbarItem>
-        <ToolbarFilter
-          key={textBasedFilterId}
-          chips={selectedFilters?.[textBasedFilterId] ?? [] }
-          deleteChip={(category, option) => onFilterUpdate({
-            ...selectedFilters,
-            [textBasedFilterId]: selectedFilters?.[textBasedFilterId]?.filter?.(value => value !== option) ?? [],
-          })}
-          deleteChipGroup={() => onFilterUpdate({ ...selectedFilters, [textBasedFilterId]: [] })}
-          categoryName={nameFilter.title}
-          showToolbarItem={currentFilterType.id === textBasedFilterId}
-        >
-          <InputGroup>
-            <TextInput
-              id={textBasedFilterId}
-              type="search"
-              onChange={setInputValue}
-              value={inputValue}
-              placeholder={nameFilter.placeholder}
-              onKeyDown={onNameInput}
+        {
+          filterTypes.filter(({ textInput }) => textInput).map(({ id: filterId, title, placeholder }) => (
+            <TextFilter
+              key={filterId}
+              filterId={filterId}
+              title={title}
+              placeholder={placeholder}
+              selectedFilters={selectedFilters?.[filterId] ?? []}
+              showToolbarItem={currentFilterType.id === filterId}
+              onFilterUpdate={(filtersToSave) => onFilterUpdate({ ...selectedFilters, [filterId]: filtersToSave })}
             />
-            <Button
-              variant={ButtonVariant.control}
-              aria-label={msg.vmFilterTypePlaceholderName()}
-              onClick={onNameInput}
-            >
-              <SearchIcon />
-            </Button>
-          </InputGroup>
-        </ToolbarFilter>
+          ))
+        }
         {
           filterTypes.filter(({ datePicker }) => datePicker).map(({ id: filterId, title }) => (
             <DatePickerFilter
@@ -133,7 +163,6 @@ const Filters = ({ msg, locale, selectedFilters, onFilterUpdate, filterTypes, te
 Filters.propTypes = {
   selectedFilters: PropTypes.object.isRequired,
   filterTypes: PropTypes.array.isRequired,
-  textBasedFilterId: PropTypes.string.isRequired,
   onFilterUpdate: PropTypes.func.isRequired,
   msg: PropTypes.object.isRequired,
   locale: PropTypes.string.isRequired,
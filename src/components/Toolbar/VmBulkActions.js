@@ -0,0 +1,221 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Checkbox,
+  Dropdown,
+  DropdownItem,
+  DropdownToggle,
+  DropdownToggleCheckbox,
+  ToolbarGroup,
+  ToolbarItem,
+} from '@patternfly/react-core'
+
+import { clearVmSelection, runBulkVmAction, setVmSelection } from '_/actions'
+import { withMsg } from '_/intl'
+import {
+  canRemove,
+  canRestart,
+  canShutdown,
+  canStart,
+  canSuspend,
+} from '_/vm-status'
+import ConfirmationModal from '../VmActions/ConfirmationModal'
+
+/**
+ * Select all (or none) of the VMs visible in the list, and run a VM action on all
+ * of the selected VMs that the action can be applied to.
+ */
+const VmBulkActions = ({
+  vms,
+  selectedVmIds,
+  visibleVmIds,
+  onSelectVms,
+  onClearSelection,
+  onBulkAction,
+  msg,
+}) => {
+  const [selectOpen, setSelectOpen] = useState(false)
+  const [actionsOpen, setActionsOpen] = useState(false)
+  const [confirmation, setConfirmation] = useState(undefined)
+  const [removePreserveDisks, setRemovePreserveDisks] = useState(false)
+
+  const idPrefix = 'vms-bulk'
+  const selectedVms = selectedVmIds.map(vmId => vms.get(vmId)).filter(Boolean)
+  const selectedCount = selectedVms.length
+  const allVisibleSelected = visibleVmIds.length > 0 && visibleVmIds.every(vmId => selectedVmIds.includes(vmId))
+
+  const eligibleVmIds = (canRun) => selectedVms
+    .filter(vm => canRun(vm))
+    .map(vm => vm.get('id'))
+
+  const actions = [
+    {
+      name: 'start',
+      title: msg.run(),
+      vmIds: eligibleVmIds(vm => canStart(vm.get('status'))),
+    },
+    {
+      name: 'shutdown',
+      title: msg.shutdown(),
+      vmIds: eligibleVmIds(vm => canShutdown(vm.get('status'))),
+      confirmation: (vmIds) => ({
+        title: msg.shutdownVm(),
+        body: msg.bulkShutdownVmsQuestion({ count: vmIds.length }),
+        confirm: { title: msg.yes(), onClick: () => onBulkAction({ name: 'shutdown', vmIds }) },
+        extra: { title: msg.force(), onClick: () => onBulkAction({ name: 'shutdown', vmIds, force: true }) },
+      }),
+    },
+    {
+      name: 'restart',
+      title: msg.reboot(),
+      vmIds: eligibleVmIds(vm => canRestart(vm.get('status'))),
+      confirmation: (vmIds) => ({
+        title: msg.rebootVm(),
+        body: msg.bulkRebootVmsQuestion({ count: vmIds.length }),
+        confirm: { title: msg.yes(), onClick: () => onBulkAction({ name: 'restart', vmIds }) },
+      }),
+    },
+    {
+      name: 'suspend',
+      title: msg.suspend(),
+      vmIds: eligibleVmIds(vm => !vm.getIn(['pool', 'id']) && canSuspend(vm.get('status'))),
+      confirmation: (vmIds) => ({
+        title: msg.suspendVm(),
+        body: msg.bulkSuspendVmsQuestion({ count: vmIds.length }),
+        confirm: { title: msg.yes(), onClick: () => onBulkAction({ name: 'suspend', vmIds }) },
+      }),
+    },
+    {
+      name: 'remove',
+      title: msg.remove(),
+      vmIds: eligibleVmIds(vm => canRemove(vm.get('status'))),
+      confirmation: (vmIds) => ({
+        title: msg.removeVm(),
+        body: msg.bulkRemoveVmsQuestion({ count: vmIds.length }),
+        subContent: (
+          <Checkbox
+            id={`${idPrefix}-preservedisks`}
+            isChecked={removePreserveDisks}
+            onChange={setRemovePreserveDisks}
+            label={msg.preserveDisks()}
+          />
+        ),
+        confirm: {
+          title: msg.remove(),
+          type: 'danger',
+          onClick: () => onBulkAction({ name: 'remove', vmIds, preserveDisks: removePreserveDisks }),
+        },
+      }),
+    },
+  ]
+
+  const onSelectAction = ({ name, vmIds, confirmation }) => {
+    if (confirmation) {
+      setRemovePreserveDisks(false)
+      setConfirmation({ name, vmIds })
+    } else {
+      onBulkAction({ name, vmIds })
+    }
+  }
+
+  // the confirmation content is rebuilt on each render to pick up the checkbox state
+  const activeAction = confirmation && actions.find(({ name }) => name === confirmation.name)
+  const activeConfirmation = activeAction && activeAction.confirmation(confirmation.vmIds)
+
+  return (
+    <ToolbarGroup variant='button-group'>
+      <ToolbarItem>
+        <Dropdown
+          onSelect={() => setSelectOpen(false)}
+          isOpen={selectOpen}
+          toggle={(
+            <DropdownToggle
+              id={`${idPrefix}-select-toggle`}
+              onToggle={setSelectOpen}
+              splitButtonItems={[
+                <DropdownToggleCheckbox
+                  id={`${idPrefix}-select-checkbox`}
+                  key='select-checkbox'
+                  aria-label={msg.bulkSelectAllVms()}
+                  isChecked={allVisibleSelected ? true : selectedCount > 0 ? null : false}
+                  onChange={(checked) => checked ? onSelectVms(visibleVmIds) : onClearSelection()}
+                >
+                  {selectedCount > 0 ? msg.bulkSelectedVms({ count: selectedCount }) : ''}
+                </DropdownToggleCheckbox>,
+              ]}
+            />
+          )}
+          dropdownItems={[
+            <DropdownItem key='none' id={`${idPrefix}-select-none`} component='button' onClick={onClearSelection}>
+              {msg.bulkSelectNoVms()}
+            </DropdownItem>,
+            <DropdownItem key='all' id={`${idPrefix}-select-all`} component='button' onClick={() => onSelectVms(visibleVmIds)}>
+              {msg.bulkSelectAllVms()}
+            </DropdownItem>,
+          ]}
+        />
+      </ToolbarItem>
+      <ToolbarItem>
+        <Dropdown
+          onSelect={() => setActionsOpen(false)}
+          isOpen={actionsOpen}
+          toggle={(
+            <DropdownToggle
+              id={`${idPrefix}-actions-toggle`}
+              isDisabled={selectedCount === 0}
+              onToggle={setActionsOpen}
+            >
+              {msg.bulkActions()}
+            </DropdownToggle>
+          )}
+          dropdownItems={actions.map(action => (
+            <DropdownItem
+              key={action.name}
+              id={`${idPrefix}-action-${action.name}`}
+              component='button'
+              isDisabled={action.vmIds.length === 0}
+              onClick={() => onSelectAction(action)}
+            >
+              {action.title}
+            </DropdownItem>
+          ))}
+        />
+      </ToolbarItem>
+      {activeConfirmation && (
+        <ConfirmationModal
+          show
+          onClose={() => setConfirmation(undefined)}
+          title={activeConfirmation.title}
+          body={activeConfirmation.body}
+          confirm={activeConfirmation.confirm}
+          extra={activeConfirmation.extra}
+          subContent={activeConfirmation.subContent}
+        />
+      )}
+    </ToolbarGroup>
+  )
+}
+
+VmBulkActions.propTypes = {
+  vms: PropTypes.object.isRequired,
+  selectedVmIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  visibleVmIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectVms: PropTypes.func.isRequired,
+  onClearSelection: PropTypes.func.isRequired,
+  onBulkAction: PropTypes.func.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default connect(
+  ({ vms }) => ({
+    vms: vms.get('vms'),
+    selectedVmIds: vms.get('selectedVms').toArray(),
+  }),
+  (dispatch) => ({
+    onSelectVms: (vmIds) => dispatch(setVmSelection({ vmIds, selected: true })),
+    onClearSelection: () => dispatch(clearVmSelection()),
+    onBulkAction: ({ name, vmIds, force, preserveDisks }) => dispatch(runBulkVmAction({ name, vmIds, force, preserveDisks })),
+  })
+)(withMsg(VmBulkActions))
@@ -3,13 +3,22 @@ import PropTypes from 'prop-types'
 import { connect } from 'react-redux'
 import { enumMsg, withMsg } from '_/intl'
 import { saveVmsFilters } from '_/actions'
-import { localeCompare, toJS } from '_/helpers'
+import { localeCompare, templateNameRenderer, toJS } from '_/helpers'
 
 import Filters from './Filters'
 
 const STATUS = 'status'
 const OS = 'os'
 const NAME = 'name'
+const CLUSTER = 'cluster'
+const DATA_CENTER = 'dataCenter'
+const HOST = 'host'
+const TEMPLATE = 'template'
+const POOL = 'pool'
+const IP = 'ip'
+const TAG = 'tag'
+const CREATED_FROM = 'createdFrom'
+const CREATED_TO = 'createdTo'
 
 const composeStatus = (msg, locale) => {
   const statuses = [
@@ -62,28 +71,107 @@ const composeOs = (msg, locale, operatingSystems) => {
   })
 }
 
-const VmFilters = ({ msg, locale, operatingSystems, selectedFilters, onFilterUpdate }) => {
+// entities: [{ id, title }], entities with the same title are a single filter value
+const composeEntities = ({ id, title, placeholder, entities, locale }) => ({
+  id,
+  title,
+  placeholder,
+  filterValues: Object.entries(entities
+    .reduce((acc, { id, title }) => {
+      acc[title] = { ...acc[title], [id]: id }
+      return acc
+    }, {}))
+    .map(([title, ids]) => ({ title, ids }))
+    .sort((a, b) => localeCompare(a.title, b.title, locale)),
+})
+
+const VmFilters = ({ msg, locale, operatingSystems, clusters, dataCenters, hosts, templates, pools, tags, selectedFilters, onFilterUpdate }) => {
   const filterTypes = useMemo(() => [
     {
       id: NAME,
       title: msg.name(),
       placeholder: msg.vmFilterTypePlaceholderName(),
+      textInput: true,
     },
     composeStatus(msg, locale),
     composeOs(msg, locale, operatingSystems),
-  ], [msg, locale, operatingSystems])
+    composeEntities({
+      id: CLUSTER,
+      title: msg.cluster(),
+      placeholder: msg.vmFilterTypePlaceholderCluster(),
+      entities: clusters.toList().map(cluster => ({ id: cluster.get('id'), title: cluster.get('name') })).toArray(),
+      locale,
+    }),
+    composeEntities({
+      id: DATA_CENTER,
+      title: msg.dataCenter(),
+      placeholder: msg.vmFilterTypePlaceholderDataCenter(),
+      entities: Object.values(dataCenters).map(({ id, name }) => ({ id, title: name })),
+      locale,
+    }),
+    composeEntities({
+      id: HOST,
+      title: msg.host(),
+      placeholder: msg.vmFilterTypePlaceholderHost(),
+      entities: Object.values(hosts).map(({ id, name }) => ({ id, title: name })),
+      locale,
+    }),
+    composeEntities({
+      id: TEMPLATE,
+      title: msg.template(),
+      placeholder: msg.vmFilterTypePlaceholderTemplate(),
+      entities: templates.toList().map(template => ({ id: template.get('id'), title: templateNameRenderer(template) })).toArray(),
+      locale,
+    }),
+    // Pools are filtered by name, see `filterVms()`
+    composeEntities({
+      id: POOL,
+      title: msg.pool(),
+      placeholder: msg.vmFilterTypePlaceholderPool(),
+      entities: pools.toList().map(pool => ({ id: pool.get('name'), title: pool.get('name') })).toArray(),
+      locale,
+    }),
+    {
+      id: IP,
+      title: msg.ipAddress(),
+      placeholder: msg.vmFilterTypePlaceholderIp(),
+      textInput: true,
+    },
+    composeEntities({
+      id: TAG,
+      title: msg.tag(),
+      placeholder: msg.vmFilterTypePlaceholderTag(),
+      entities: Object.values(tags).map(({ id, name }) => ({ id, title: name })),
+      locale,
+    }),
+    {
+      id: CREATED_FROM,
+      title: msg.createdFrom(),
+      datePicker: true,
+    },
+    {
+      id: CREATED_TO,
+      title: msg.createdTo(),
+      datePicker: true,
+    },
+  ], [msg, locale, operatingSystems, clusters, dataCenters, hosts, templates, pools, tags])
   return (
     <Filters
       selectedFilters={selectedFilters}
       onFilterUpdate={onFilterUpdate}
       filterTypes={filterTypes}
-      textBasedFilterId={NAME}
     />
   )
 }
 
 VmFilters.propTypes = {
   operatingSystems: PropTypes.object.isRequired,
+  clusters: PropTypes.object.isRequired,
+  dataCenters: PropTypes.object.isRequired,
+  hosts: PropTypes.object.isRequired,
+  templates: PropTypes.object.isRequired,
+  pools: PropTypes.object.isRequired,
+  tags: PropTypes.object.isRequired,
   selectedFilters: PropTypes.object.isRequired,
   onFilterUpdate: PropTypes.func.isRequired,
   msg: PropTypes.object.isRequired,
@@ -91,8 +179,14 @@ VmFilters.propTypes = {
 }
 
 export default connect(
-  ({ operatingSystems, vms }) => ({
+  ({ operatingSystems, clusters, dataCenters, hosts, templates, tags, vms }) => ({
     operatingSystems,
+    clusters,
+    dataCenters,
+    hosts,
+    templates,
+    pools: vms.get('pools'),
+    tags,
     selectedFilters: toJS(vms.get('filters')),
   }),
   (dispatch) => ({
@@ -0,0 +1,267 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Button,
+  Checkbox,
+  ClipboardCopy,
+  Dropdown,
+  DropdownItem,
+  DropdownSeparator,
+  DropdownToggle,
+  Form,
+  FormGroup,
+  Modal,
+  ModalVariant,
+  TextInput,
+  ToolbarItem,
+} from '@patternfly/react-core'
+import { TrashIcon } from '@patternfly/react-icons/dist/esm/icons'
+
+import { applyVmListView, saveRemoteOptionSilently } from '_/actions'
+import { withMsg } from '_/intl'
+import { generateUnique, toJS } from '_/helpers'
+import { VIEW_QUERY_PARAM, encodeVmListView, toVmListView } from '_/utils'
+
+const shareLink = (view) =>
+  `${window.location.origin}${window.location.pathname}?${VIEW_QUERY_PARAM}=${encodeURIComponent(encodeVmListView(view))}`
+
+const SaveViewModal = ({ msg, onSave, onClose }) => {
+  const [name, setName] = useState('')
+  const [isInvalid, setIsInvalid] = useState(false)
+  const idPrefix = 'vm-list-views-save'
+
+  const handleSave = (event) => {
+    event?.preventDefault()
+    if (name.trim() === '') {
+      setIsInvalid(true)
+      return
+    }
+    onSave(name.trim())
+  }
+
+  return (
+    <Modal
+      isOpen
+      id={idPrefix}
+      title={msg.vmListViewsSave()}
+      variant={ModalVariant.small}
+      position='top'
+      onClose={onClose}
+      actions={[
+        <Button key='save' variant='primary' onClick={handleSave} id={`${idPrefix}-save`}>
+          {msg.save()}
+        </Button>,
+        <Button key='cancel' variant='link' onClick={onClose} id={`${idPrefix}-cancel`}>
+          {msg.cancel()}
+        </Button>,
+      ]}
+    >
+      <Form onSubmit={handleSave}>
+        <FormGroup
+          label={msg.name()}
+          isRequired
+          fieldId={`${idPrefix}-name`}
+          validated={isInvalid ? 'error' : 'default'}
+          helperTextInvalid={msg.vmListViewsNameRequired()}
+        >
+          <TextInput
+            id={`${idPrefix}-name`}
+            type='text'
+            value={name}
+            validated={isInvalid ? 'error' : 'default'}
+            onChange={(value) => {
+              setName(value)
+              setIsInvalid(false)
+            }}
+          />
+        </FormGroup>
+      </Form>
+    </Modal>
+  )
+}
+SaveViewModal.propTypes = {
+  msg: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+}
+
+const ManageViewsModal = ({ views, msg, onSave, onClose }) => {
+  const [editedViews, setEditedViews] = useState(views)
+  const idPrefix = 'vm-list-views-manage'
+  const isInvalid = editedViews.some(({ name }) => name.trim() === '')
+
+  const updateView = (id, changes) => setEditedViews(editedViews.map(view => view.id === id ? { ...view, ...changes } : view))
+  const setDefaultView = (id, isDefault) => setEditedViews(editedViews.map(view => ({ ...view, isDefault: view.id === id && isDefault })))
+
+  return (
+    <Modal
+      isOpen
+      id={idPrefix}
+      title={msg.vmListViewsManage()}
+      variant={ModalVariant.medium}
+      position='top'
+      onClose={onClose}
+      actions={[
+        <Button
+          key='save'
+          variant='primary'
+          isDisabled={isInvalid}
+          onClick={() => onSave(editedViews.map(view => ({ ...view, name: view.name.trim() })))}
+          id={`${idPrefix}-save`}
+        >
+          {msg.save()}
+        </Button>,
+        <Button key='cancel' variant='link' onClick={onClose} id={`${idPrefix}-cancel`}>
+          {msg.cancel()}
+        </Button>,
+      ]}
+    >
+      {editedViews.length === 0 && msg.vmListViewsEmpty()}
+      <Form>
+        {editedViews.map(view => (
+          <FormGroup
+            key={view.id}
+            label={msg.name()}
+            fieldId={`${idPrefix}-${view.id}-name`}
+            validated={view.name.trim() === '' ? 'error' : 'default'}
+            helperTextInvalid={msg.vmListViewsNameRequired()}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1em' }}>
+              <TextInput
+                id={`${idPrefix}-${view.id}-name`}
+                type='text'
+                value={view.name}
+                validated={view.name.trim() === '' ? 'error' : 'default'}
+                onChange={(name) => updateView(view.id, { name })}
+              />
+              <Checkbox
+                id={`${idPrefix}-${view.id}-default`}
+                label={msg.vmListViewsDefault()}
+                isChecked={view.isDefault}
+                onChange={(isDefault) => setDefaultView(view.id, isDefault)}
+              />
+              <Button
+                variant='plain'
+                id={`${idPrefix}-${view.id}-delete`}
+                aria-label={msg.delete()}
+                onClick={() => setEditedViews(editedViews.filter(({ id }) => id !== view.id))}
+              >
+                <TrashIcon />
+              </Button>
+            </div>
+            <ClipboardCopy
+              isReadOnly
+              hoverTip={msg.vmListViewsCopyLink()}
+              clickTip={msg.vmListViewsLinkCopied()}
+            >
+              {shareLink(view)}
+            </ClipboardCopy>
+          </FormGroup>
+        ))}
+      </Form>
+    </Modal>
+  )
+}
+ManageViewsModal.propTypes = {
+  views: PropTypes.arrayOf(PropTypes.object).isRequired,
+  msg: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+}
+
+/**
+ * Named views (filters and sort order) of the VM list.  The views are saved as a remote
+ * user option, and one of them may be applied by default on login.
+ */
+const VmListViews = ({ views, filters, sort, msg, onApply, onSaveViews }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [openModal, setOpenModal] = useState(null)
+  const idPrefix = 'vm-list-views'
+
+  const saveViews = (views) => {
+    onSaveViews(views)
+    setOpenModal(null)
+  }
+
+  return (
+    <ToolbarItem>
+      <Dropdown
+        onSelect={() => setIsOpen(false)}
+        isOpen={isOpen}
+        toggle={(
+          <DropdownToggle id={`${idPrefix}-toggle`} onToggle={setIsOpen}>
+            {msg.vmListViews()}
+          </DropdownToggle>
+        )}
+        dropdownItems={[
+          ...views.map(view => (
+            <DropdownItem
+              key={view.id}
+              id={`${idPrefix}-${view.id}`}
+              component='button'
+              description={view.isDefault ? msg.vmListViewsDefault() : undefined}
+              onClick={() => onApply(view)}
+            >
+              {view.name}
+            </DropdownItem>
+          )),
+          views.length > 0 && <DropdownSeparator key='separator' />,
+          <DropdownItem key='save' id={`${idPrefix}-save`} component='button' onClick={() => setOpenModal('save')}>
+            {msg.vmListViewsSave()}
+          </DropdownItem>,
+          <DropdownItem key='manage' id={`${idPrefix}-manage`} component='button' onClick={() => setOpenModal('manage')}>
+            {msg.vmListViewsManage()}
+          </DropdownItem>,
+        ].filter(Boolean)}
+      />
+
+      {openModal === 'save' && (
+        <SaveViewModal
+          msg={msg}
+          onClose={() => setOpenModal(null)}
+          onSave={(name) => saveViews([
+            ...views,
+            toVmListView({ id: generateUnique('VmListView_'), name, filters, sort }),
+          ])}
+        />
+      )}
+      {openModal === 'manage' && (
+        <ManageViewsModal
+          views={views}
+          msg={msg}
+          onClose={() => setOpenModal(null)}
+          onSave={saveViews}
+        />
+      )}
+    </ToolbarItem>
+  )
+}
+
+VmListViews.propTypes = {
+  views: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    filters: PropTypes.object.isRequired,
+    sort: PropTypes.object.isRequired,
+    isDefault: PropTypes.bool,
+  })).isRequired,
+  filters: PropTypes.object.isRequired,
+  sort: PropTypes.object.isRequired,
+  msg: PropTypes.object.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onSaveViews: PropTypes.func.isRequired,
+}
+
+export default connect(
+  ({ vms, options }) => ({
+    views: toJS(options.getIn(['remoteOptions', 'vmListViews', 'content'], [])),
+    filters: toJS(vms.get('filters')),
+    sort: toJS(vms.get('sort')),
+  }),
+  (dispatch) => ({
+    onApply: (view) => dispatch(applyVmListView({ view })),
+    onSaveViews: (views) => dispatch(saveRemoteOptionSilently({ name: 'vmListViews', value: views.map(toVmListView) })),
+  })
+)(withMsg(VmListViews))
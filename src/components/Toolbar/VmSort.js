@@ -1,12 +1,19 @@
-import React from 'react'
+import React, { useMemo } from 'react'
 import PropTypes from 'prop-types'
 import { connect } from 'react-redux'
 import Sort from './Sort'
-import { SortFields } from '_/utils'
+import { OPTIONAL_COLUMNS, SortFields } from '_/utils'
 import { setVmSort } from '_/actions'
 import { withMsg } from '_/intl'
+import { toJS } from '_/helpers'
 
-const VmSort = ({ sort, onSortChange }) => <Sort sort={sort} onSortChange={onSortChange} SortFields={SortFields}/>
+const VmSort = ({ sort, shownColumns, onSortChange }) => {
+  // the fields of the optional table columns are only offered while the columns are shown
+  const sortFields = useMemo(() => Object.fromEntries(
+    Object.entries(SortFields).filter(([id]) => !OPTIONAL_COLUMNS.includes(id) || shownColumns.includes(id))
+  ), [shownColumns])
+  return <Sort sort={sort} onSortChange={onSortChange} SortFields={sortFields}/>
+}
 
 VmSort.propTypes = {
   sort: PropTypes.shape({
@@ -14,12 +21,16 @@ VmSort.propTypes = {
     messageDescriptor: PropTypes.object.isRequired,
     isAsc: PropTypes.bool,
   }).isRequired,
+  shownColumns: PropTypes.arrayOf(PropTypes.string).isRequired,
   onSortChange: PropTypes.func.isRequired,
 }
 
 export default connect(
   (state) => ({
     sort: state.vms.get('sort').toJS(),
+    shownColumns: state.options.getIn(['remoteOptions', 'viewForVirtualMachines', 'content']) === 'table'
+      ? toJS(state.options.getIn(['remoteOptions', 'columnsForVirtualMachines', 'content'], []))
+      : [],
   }),
   (dispatch) => ({
     onSortChange: (sort) => dispatch(setVmSort({ sort })),
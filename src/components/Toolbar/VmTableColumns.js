@@ -0,0 +1,72 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Select,
+  SelectOption,
+  SelectVariant,
+  ToolbarItem,
+} from '@patternfly/react-core'
+import { ColumnsIcon } from '@patternfly/react-icons/dist/esm/icons'
+
+import { manualRefresh, saveRemoteOptionSilently } from '_/actions'
+import { withMsg } from '_/intl'
+import { toJS, translate } from '_/helpers'
+import { OPTIONAL_COLUMNS, SortFields } from '_/utils'
+
+/**
+ * Choose the optional columns of the VM list's table view.  The choice is saved as a
+ * remote user option.
+ */
+const VmTableColumns = ({ selectedColumns, msg, onColumnsChange }) => {
+  const [isOpen, setIsOpen] = useState(false)
+
+  const onSelect = (event, columnId) => onColumnsChange(
+    selectedColumns.includes(columnId)
+      ? selectedColumns.filter(id => id !== columnId)
+      : OPTIONAL_COLUMNS.filter(id => id === columnId || selectedColumns.includes(id))
+  )
+
+  return (
+    <ToolbarItem>
+      <Select
+        variant={SelectVariant.checkbox}
+        toggleId='vms-table-columns'
+        toggleIcon={<ColumnsIcon />}
+        aria-label={msg.vmsTableColumns()}
+        placeholderText={msg.vmsTableColumns()}
+        isCheckboxSelectionBadgeHidden
+        selections={selectedColumns}
+        onSelect={onSelect}
+        isOpen={isOpen}
+        onToggle={setIsOpen}
+      >
+        {OPTIONAL_COLUMNS.map(id => (
+          <SelectOption key={id} value={id}>
+            {translate({ ...SortFields[id].messageDescriptor, msg })}
+          </SelectOption>
+        ))}
+      </Select>
+    </ToolbarItem>
+  )
+}
+
+VmTableColumns.propTypes = {
+  selectedColumns: PropTypes.arrayOf(PropTypes.string).isRequired,
+  msg: PropTypes.object.isRequired,
+  onColumnsChange: PropTypes.func.isRequired,
+}
+
+export default connect(
+  ({ options }) => ({
+    selectedColumns: toJS(options.getIn(['remoteOptions', 'columnsForVirtualMachines', 'content'], [])),
+  }),
+  (dispatch) => ({
+    onColumnsChange: (columns) => {
+      dispatch(saveRemoteOptionSilently({ name: 'columnsForVirtualMachines', value: columns }))
+      // some of the columns need VM sub resources the list has not fetched yet
+      dispatch(manualRefresh())
+    },
+  })
+)(withMsg(VmTableColumns))
@@ -0,0 +1,55 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Dropdown,
+  DropdownItem,
+  DropdownToggle,
+  ToolbarItem,
+} from '@patternfly/react-core'
+
+import { exportVms } from '_/actions'
+import { withMsg } from '_/intl'
+
+/**
+ * Export the VMs and Pools, as currently filtered and sorted, to a file.
+ */
+const VmsExport = ({ msg, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const idPrefix = 'vms-export'
+
+  return (
+    <ToolbarItem>
+      <Dropdown
+        onSelect={() => setIsOpen(false)}
+        isOpen={isOpen}
+        toggle={(
+          <DropdownToggle id={`${idPrefix}-toggle`} onToggle={setIsOpen}>
+            {msg.exportVms()}
+          </DropdownToggle>
+        )}
+        dropdownItems={[
+          <DropdownItem key='csv' id={`${idPrefix}-csv`} component='button' onClick={() => onExport('csv')}>
+            {msg.exportVmsCsv()}
+          </DropdownItem>,
+          <DropdownItem key='json' id={`${idPrefix}-json`} component='button' onClick={() => onExport('json')}>
+            {msg.exportVmsJson()}
+          </DropdownItem>,
+        ]}
+      />
+    </ToolbarItem>
+  )
+}
+
+VmsExport.propTypes = {
+  msg: PropTypes.object.isRequired,
+  onExport: PropTypes.func.isRequired,
+}
+
+export default connect(
+  null,
+  (dispatch) => ({
+    onExport: (format) => dispatch(exportVms({ format })),
+  })
+)(withMsg(VmsExport))
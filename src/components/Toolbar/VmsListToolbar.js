@@ -18,6 +18,10 @@ import {
 import { AddVmButton } from '_/components/CreateVmWizard'
 import VmFilters from './VmFilters'
 import VmSort from './VmSort'
+import VmBulkActions from './VmBulkActions'
+import VmsExport from './VmsExport'
+import VmListViews from './VmListViews'
+import VmTableColumns from './VmTableColumns'
 import {
   TableIcon,
   ThLargeIcon,
@@ -29,6 +33,7 @@ const VmsListToolbar = ({
   match,
   vms,
   pools,
+  clusters,
   filters = {},
   onClearFilters,
   msg,
@@ -37,12 +42,13 @@ const VmsListToolbar = ({
   tableView,
   hasMoreItems,
 }) => {
-  const { name, status, os } = filters
-  const hasFilters = name?.length || status?.length || os?.length
+  const hasFilters = Object.values(filters).some(values => values?.length)
 
   const total = vms.size + pools.size
-  const available = vms.filter(vm => filterVms(vm, filters)).size +
-    pools.filter(vm => filterVms(vm, filters)).size
+  const context = { clusters, pools }
+  const filteredVms = vms.filter(vm => filterVms(vm, filters, context))
+  const available = filteredVms.size +
+    pools.filter(vm => filterVms(vm, filters, context)).size
 
   return (
     <>
@@ -50,6 +56,9 @@ const VmsListToolbar = ({
         <ToolbarContent>
           <VmFilters/>
           <VmSort />
+          <VmListViews />
+          <VmBulkActions visibleVmIds={filteredVms.keySeq().toArray()} />
+          <VmsExport />
           <ToolbarItem>
             {
             /* integration tests (OST) expect VM count under xpath //div[@class='col-sm-12']/h5
@@ -73,6 +82,7 @@ const VmsListToolbar = ({
             <AddVmButton key='addbutton' id='route-add-vm' />
           </ToolbarItem>
           <ToolbarItem variant='separator'/>
+          {tableView && <VmTableColumns />}
           <ToolbarItem>
             <ToggleGroup aria-label={msg.toggleViewForVirtualMachines()}>
               <Tooltip content={msg.cardView()}>
@@ -104,6 +114,7 @@ const VmsListToolbar = ({
 VmsListToolbar.propTypes = {
   vms: PropTypes.object.isRequired,
   pools: PropTypes.object.isRequired,
+  clusters: PropTypes.object.isRequired,
   filters: PropTypes.object.isRequired,
   tableView: PropTypes.bool.isRequired,
   hasMoreItems: PropTypes.bool.isRequired,
@@ -116,9 +127,10 @@ VmsListToolbar.propTypes = {
 }
 
 export default connect(
-  ({ vms, options }) => ({
+  ({ vms, clusters, options }) => ({
     vms: vms.get('vms'),
     pools: vms.get('pools'),
+    clusters,
     filters: toJS(vms.get('filters')),
     tableView: options.getIn(['remoteOptions', 'viewForVirtualMachines', 'content']) === 'table',
     hasMoreItems: vms.get('vmsExpectMorePages') || vms.get('poolsExpectMorePages'),
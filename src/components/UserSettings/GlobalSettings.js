@@ -5,6 +5,8 @@ import { connect } from 'react-redux'
 import { push } from 'connected-react-router'
 import { saveGlobalOptions } from '_/actions'
 import {
+  HelperText,
+  HelperTextItem,
   Switch,
   Nav,
   NavItem,
@@ -21,8 +23,9 @@ import { Settings, SettingsBase } from '../Settings'
 import SelectBox from '../SelectBox'
 import moment from 'moment'
 import AppConfiguration from '_/config'
-import { BROWSER_VNC, NATIVE_VNC, SPICE, RDP } from '_/constants/console'
+import { BROWSER_VNC, NATIVE_VNC, SPICE, BROWSER_SPICE, RDP } from '_/constants/console'
 import VmSelect from './VmSelect'
+import { invalidKeyShortcuts } from '_/utils'
 
 const GENERAL_SECTION = 'general'
 
@@ -83,6 +86,10 @@ class GlobalSettings extends Component {
         id: SPICE,
         value: msg.spiceConsole(),
       },
+      {
+        id: BROWSER_SPICE,
+        value: msg.spiceConsoleBrowser(),
+      },
       {
         id: RDP,
         value: msg.remoteDesktop(),
@@ -134,6 +141,7 @@ class GlobalSettings extends Component {
         persistLocale: AppConfiguration.persistLocale,
         fullScreenVnc: false,
         fullScreenNoVnc: false,
+        keyShortcutsNoVnc: '',
         fullScreenSpice: false,
         ctrlAltEndVnc: false,
         ctrlAltEndSpice: false,
@@ -194,6 +202,7 @@ class GlobalSettings extends Component {
     const { draftValues } = this.state
     const { config, msg } = this.props
     const toId = (name) => `global-user-settings-${name}`
+    const invalidShortcuts = invalidKeyShortcuts(draftValues.keyShortcutsNoVnc)
     return {
       [GENERAL_SECTION]: {
         title: msg.general(),
@@ -387,6 +396,34 @@ class GlobalSettings extends Component {
                   />
                 ),
               }))('fullScreenNoVnc'),
+              ((name) => ({
+                title: msg.keyShortcuts(),
+                tooltip: msg.keyShortcutsTooltip(),
+                key: name,
+                fieldId: toId(name),
+                fullSize: true,
+                body: (
+                  <>
+                    <TextArea
+                      id={toId(name)}
+                      onChange={value => onChange(name)(value)}
+                      value={draftValues[name] || ''}
+                      rows={5}
+                      resizeOrientation='vertical'
+                      placeholder={'Ctrl+Alt+F2\nWin+R\nAlt+SysRq+H'}
+                      aria-label={msg.keyShortcuts()}
+                      validated={invalidShortcuts.length > 0 ? 'error' : 'default'}
+                    />
+                    { invalidShortcuts.length > 0 && (
+                      <HelperText id={`${toId(name)}-invalid`}>
+                        <HelperTextItem variant='error'>
+                          {msg.keyShortcutsInvalid({ shortcuts: invalidShortcuts.join(', ') })}
+                        </HelperTextItem>
+                      </HelperText>
+                    )}
+                  </>
+                ),
+              }))('keyShortcutsNoVnc'),
             ],
           },
           spice: {
@@ -574,6 +611,7 @@ export default connect(
       persistLocale: options.getIn(['remoteOptions', 'persistLocale', 'content']),
       fullScreenVnc: options.getIn(['remoteOptions', 'fullScreenVnc', 'content']),
       fullScreenNoVnc: options.getIn(['remoteOptions', 'fullScreenNoVnc', 'content']),
+      keyShortcutsNoVnc: options.getIn(['remoteOptions', 'keyShortcutsNoVnc', 'content']),
       fullScreenSpice: options.getIn(['remoteOptions', 'fullScreenSpice', 'content']),
       ctrlAltEndVnc: options.getIn(['remoteOptions', 'ctrlAltEndVnc', 'content']),
       ctrlAltEndSpice: options.getIn(['remoteOptions', 'ctrlAltEndSpice', 'content']),
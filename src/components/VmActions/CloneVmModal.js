@@ -0,0 +1,122 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Button,
+  Form,
+  FormGroup,
+  Modal,
+  ModalVariant,
+  TextInput,
+} from '@patternfly/react-core'
+
+import { cloneVm } from '_/actions'
+import { withMsg } from '_/intl'
+import { createClusterList, createStorageDomainList, isVmNameValid } from '_/components/utils'
+import SelectBox from '_/components/SelectBox'
+
+/**
+ * Ask for the name, cluster and storage domain of a copy of the VM, and start the clone.
+ * Only clusters and storage domains in the VM's data center are offered.
+ */
+const CloneVmModal = ({ vm, clusters, storageDomains, locale, idPrefix, onClose, onClone, msg }) => {
+  const vmClusterId = vm.getIn(['cluster', 'id'])
+  const dataCenterId = clusters.getIn([vmClusterId, 'dataCenterId'])
+
+  const clusterList = createClusterList({ clusters, dataCenterId, locale })
+  const storageDomainList = createStorageDomainList({ storageDomains, dataCenterId, includeUsage: true, locale, msg })
+
+  const [name, setName] = useState(msg.cloneVmSuggestedName({ name: vm.get('name') }))
+  const [clusterId, setClusterId] = useState(clusterList.find(({ id }) => id === vmClusterId)?.id ?? clusterList[0]?.id)
+  const [storageDomainId, setStorageDomainId] = useState(storageDomainList[0]?.id)
+  const [nameError, setNameError] = useState(false)
+
+  const modalId = `${idPrefix}-modal`
+
+  const handleClone = (e) => {
+    e.preventDefault()
+    const trimmedName = name.trim()
+    if (!isVmNameValid(trimmedName)) {
+      setNameError(true)
+      return
+    }
+
+    onClone({ name: trimmedName, clusterId, storageDomainId })
+    onClose()
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      id={modalId}
+      title={msg.cloneVm()}
+      variant={ModalVariant.small}
+      position='top'
+      actions={[
+        <Button key='clone' variant='primary' onClick={handleClone} id={`${modalId}-clone`}>
+          {msg.clone()}
+        </Button>,
+        <Button key='cancel' variant='link' onClick={onClose} id={`${modalId}-cancel`}>
+          {msg.cancel()}
+        </Button>,
+      ]}
+    >
+      <Form onSubmit={handleClone} isHorizontal>
+        <FormGroup
+          label={msg.name()}
+          fieldId={`${modalId}-name`}
+          validated={nameError ? 'error' : 'default'}
+          helperTextInvalid={msg.pleaseEnterValidVmName()}
+        >
+          <TextInput
+            type='text'
+            id={`${modalId}-name`}
+            value={name}
+            validated={nameError ? 'error' : 'default'}
+            onChange={(value) => { setName(value); setNameError(false) }}
+          />
+        </FormGroup>
+        <FormGroup label={msg.cluster()} fieldId={`${modalId}-cluster`}>
+          <SelectBox
+            id={`${modalId}-cluster`}
+            items={clusterList}
+            selected={clusterId}
+            onChange={setClusterId}
+          />
+        </FormGroup>
+        <FormGroup label={msg.storageDomain()} fieldId={`${modalId}-storage-domain`}>
+          <SelectBox
+            id={`${modalId}-storage-domain`}
+            items={storageDomainList}
+            selected={storageDomainId}
+            onChange={setStorageDomainId}
+          />
+        </FormGroup>
+      </Form>
+    </Modal>
+  )
+}
+
+CloneVmModal.propTypes = {
+  vm: PropTypes.object.isRequired,
+  idPrefix: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+
+  clusters: PropTypes.object.isRequired,
+  storageDomains: PropTypes.object.isRequired,
+  onClone: PropTypes.func.isRequired,
+  locale: PropTypes.string.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default connect(
+  ({ clusters, storageDomains }) => ({
+    clusters,
+    storageDomains,
+  }),
+  (dispatch, { vm }) => ({
+    onClone: ({ name, clusterId, storageDomainId }) => dispatch(cloneVm({ vmId: vm.get('id'), name, clusterId, storageDomainId })),
+  })
+)(withMsg(CloneVmModal))
@@ -15,6 +15,7 @@ import {
   BROWSER_VNC,
   NATIVE_VNC,
   SPICE,
+  BROWSER_SPICE,
 } from '_/constants/console'
 
 const ConsoleNotificationsDialog = ({
@@ -22,6 +23,7 @@ const ConsoleNotificationsDialog = ({
   vmName,
   consoleType,
   status,
+  stayOnPage,
   msg,
   dismissConsoleError,
   openConsole,
@@ -34,6 +36,7 @@ const ConsoleNotificationsDialog = ({
       case BROWSER_VNC:
         return msg.vncConsole()
       case SPICE:
+      case BROWSER_SPICE:
         return msg.spiceConsole()
       default:
         return msg.console()
@@ -54,6 +57,7 @@ const ConsoleNotificationsDialog = ({
               logoutOtherUsers: true,
               vmId,
               consoleType,
+              stayOnPage,
             }),
           }}
         />
@@ -69,6 +73,7 @@ ConsoleNotificationsDialog.propTypes = {
   consoleType: PropTypes.string,
   status: PropTypes.string,
   logoutOtherUsers: PropTypes.bool,
+  stayOnPage: PropTypes.bool,
   msg: PropTypes.object.isRequired,
   dismissConsoleError: PropTypes.func.isRequired,
   openConsole: PropTypes.func.isRequired,
@@ -83,6 +88,7 @@ export default connect(
         consoleType,
         status,
         logoutOtherUsers,
+        stayOnPage,
       } = {}] = [],
     },
   }) => ({
@@ -91,6 +97,7 @@ export default connect(
     consoleType,
     status,
     logoutOtherUsers,
+    stayOnPage,
   })
   ,
   (dispatch) => ({
@@ -100,11 +107,13 @@ export default connect(
       skipSSO,
       consoleType,
       logoutOtherUsers,
+      stayOnPage,
     }) => dispatch(Actions.openConsole({
       vmId,
       skipSSO,
       consoleType,
       logoutOtherUsers,
+      stayOnPage,
     }))
     ,
   }))(withMsg(ConsoleNotificationsDialog))
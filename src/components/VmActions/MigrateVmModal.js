@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Button,
+  Form,
+  FormGroup,
+  Modal,
+  ModalVariant,
+} from '@patternfly/react-core'
+
+import { migrateVm } from '_/actions'
+import { withMsg } from '_/intl'
+import { sortedBy } from '_/helpers'
+import SelectBox from '_/components/SelectBox'
+
+const AUTOMATIC_HOST = 'automatic'
+
+/**
+ * Ask for the host a running VM should be live migrated to.  Only the other hosts in
+ * the VM's cluster are offered, next to letting the engine pick the host.
+ */
+const MigrateVmModal = ({ vm, hosts, locale, idPrefix, onClose, onMigrate, msg }) => {
+  const vmClusterId = vm.getIn(['cluster', 'id'])
+  const vmHostId = vm.get('hostId')
+
+  const hostList = sortedBy(
+    Object.values(hosts)
+      .filter(host => host.clusterId === vmClusterId && host.id !== vmHostId)
+      .map(host => ({ id: host.id, value: host.name, description: host.address })),
+    'value',
+    locale
+  )
+
+  const [hostId, setHostId] = useState(AUTOMATIC_HOST)
+
+  const modalId = `${idPrefix}-modal`
+
+  const handleMigrate = (e) => {
+    e.preventDefault()
+    onMigrate({ hostId: hostId === AUTOMATIC_HOST ? undefined : hostId })
+    onClose()
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      id={modalId}
+      title={msg.migrateVm()}
+      variant={ModalVariant.small}
+      position='top'
+      actions={[
+        <Button key='migrate' variant='primary' onClick={handleMigrate} id={`${modalId}-migrate`}>
+          {msg.migrate()}
+        </Button>,
+        <Button key='cancel' variant='link' onClick={onClose} id={`${modalId}-cancel`}>
+          {msg.cancel()}
+        </Button>,
+      ]}
+    >
+      <Form onSubmit={handleMigrate} isHorizontal>
+        <FormGroup
+          label={msg.migrateVmDestinationHost()}
+          fieldId={`${modalId}-host`}
+          helperText={hostList.length === 0 ? msg.migrateVmNoHosts() : undefined}
+        >
+          <SelectBox
+            id={`${modalId}-host`}
+            items={[{ id: AUTOMATIC_HOST, value: msg.migrateVmAutomaticHost() }, ...hostList]}
+            selected={hostId}
+            onChange={setHostId}
+          />
+        </FormGroup>
+      </Form>
+    </Modal>
+  )
+}
+
+MigrateVmModal.propTypes = {
+  vm: PropTypes.object.isRequired,
+  idPrefix: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+
+  hosts: PropTypes.object.isRequired,
+  onMigrate: PropTypes.func.isRequired,
+  locale: PropTypes.string.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default connect(
+  ({ hosts }) => ({
+    hosts,
+  }),
+  (dispatch, { vm }) => ({
+    onMigrate: ({ hostId }) => dispatch(migrateVm({ vmId: vm.get('id'), hostId })),
+  })
+)(withMsg(MigrateVmModal))
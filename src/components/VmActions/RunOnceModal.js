@@ -0,0 +1,214 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { Map, fromJS } from 'immutable'
+
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Form,
+  FormGroup,
+  Modal,
+  ModalVariant,
+} from '@patternfly/react-core'
+
+import { startVm } from '_/actions'
+import { withMsg } from '_/intl'
+import { isWindows } from '_/helpers'
+import { createIsoList, isCloudInitNetworkValid } from '_/components/utils'
+import SelectBox from '_/components/SelectBox'
+import CloudInitForm from '_/components/VmDetails/cards/DetailsCard/CloudInit/CloudInitForm'
+import SysprepForm from '_/components/VmDetails/cards/DetailsCard/CloudInit/SysprepForm'
+import timezones from '_/components/utils/timezones.json'
+
+const ALLOWED_BOOT_DEVICES = ['hd', 'network', 'cdrom']
+const DEFAULT_GMT_TIMEZONE = timezones.find(timezone => timezone.value.startsWith('(GMT) Greenwich')).id
+
+// map the field names used by the cloud-init/sysprep forms to the cloud-init keys
+const CLOUD_INIT_FIELDS = {
+  cloudInitHostName: 'hostName',
+  cloudInitSshAuthorizedKeys: 'sshAuthorizedKeys',
+  cloudInitUserName: 'userName',
+  cloudInitPassword: 'password',
+  cloudInitTimezone: 'timezone',
+  cloudInitDnsServers: 'dnsServers',
+  cloudInitDnsSearch: 'dnsSearch',
+  cloudInitNetworks: 'networks',
+  cloudInitCustomScript: 'customScript',
+}
+
+/**
+ * Start a VM once with settings that override its configuration for this run only:
+ * an attached CD, the boot order, starting paused, a cloud-init/sysprep payload and
+ * the console protocol.  The VM's configuration is not changed.
+ */
+const RunOnceModal = ({ vm, storageDomains, clusters, idPrefix, onClose, onRunOnce, msg }) => {
+  const vmDataCenterId = clusters.getIn([vm.getIn(['cluster', 'id']), 'dataCenterId'])
+  const isoList = createIsoList(storageDomains, vmDataCenterId)
+  const isOsWindows = isWindows(vm.getIn(['os', 'type']))
+
+  const [cdImageId, setCdImageId] = useState(vm.getIn(['cdrom', 'fileId']) || '')
+  const [bootDevices, setBootDevices] = useState([
+    vm.getIn(['os', 'bootDevices', 0], 'hd'),
+    vm.getIn(['os', 'bootDevices', 1], null),
+  ])
+  const [startPaused, setStartPaused] = useState(false)
+  const [consoleProtocol, setConsoleProtocol] = useState('')
+  const [useCloudInit, setUseCloudInit] = useState(!!vm.getIn(['cloudInit', 'enabled']))
+  // the cloud-init/sysprep forms edit the `cloudInit` of a VM
+  const [cloudInitVm, setCloudInitVm] = useState(Map({ cloudInit: vm.get('cloudInit', Map()) }))
+  const [lastInitTimezone, setLastInitTimezone] = useState(vm.getIn(['cloudInit', 'timezone']) || DEFAULT_GMT_TIMEZONE)
+
+  const modalId = `${idPrefix}-modal`
+
+  const cloudInitNetworksAreValid = isOsWindows || !useCloudInit ||
+    cloudInitVm.getIn(['cloudInit', 'networks'], fromJS([])).every(network => isCloudInitNetworkValid(network.toJS()))
+
+  const handleBootDeviceChange = (index, device) => {
+    const devices = [...bootDevices]
+    devices[index] = device
+    if (index === 0 && devices[1] === device) {
+      devices[1] = null
+    }
+    setBootDevices(devices)
+  }
+
+  const handleCloudInitChange = (field, value) => {
+    if (field === 'enableInitTimezone') {
+      setCloudInitVm(cloudInitVm.setIn(['cloudInit', 'timezone'], value ? lastInitTimezone : ''))
+      return
+    }
+    if (field === 'cloudInitTimezone' && value) {
+      setLastInitTimezone(value)
+    }
+    setCloudInitVm(cloudInitVm.setIn(['cloudInit', CLOUD_INIT_FIELDS[field]], fromJS(value)))
+  }
+
+  const handleRunOnce = (e) => {
+    e.preventDefault()
+    onRunOnce({
+      cdImageId: cdImageId || undefined,
+      bootDevices,
+      startPaused,
+      cloudInit: useCloudInit ? cloudInitVm.get('cloudInit').toJS() : undefined,
+      useSysprep: isOsWindows,
+      consoleProtocol: consoleProtocol || undefined,
+    })
+    onClose()
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      id={modalId}
+      title={msg.runOnce()}
+      variant={ModalVariant.medium}
+      position='top'
+      actions={[
+        <Button
+          key='run'
+          variant='primary'
+          onClick={handleRunOnce}
+          isDisabled={!cloudInitNetworksAreValid}
+          id={`${modalId}-run`}
+        >
+          {msg.run()}
+        </Button>,
+        <Button key='cancel' variant='link' onClick={onClose} id={`${modalId}-cancel`}>
+          {msg.cancel()}
+        </Button>,
+      ]}
+    >
+      <Alert isInline isPlain variant='info' title={msg.runOnceInfo()} />
+      <Form onSubmit={handleRunOnce}>
+        <FormGroup label={msg.runOnceAttachCd()} fieldId={`${modalId}-cd`}>
+          <SelectBox
+            id={`${modalId}-cd`}
+            items={[
+              { id: '', value: `[${msg.empty()}]` },
+              ...isoList.map(isoFile => ({
+                id: isoFile.file.id,
+                value: isoFile.file.name,
+              })),
+            ]}
+            selected={cdImageId}
+            onChange={setCdImageId}
+          />
+        </FormGroup>
+        <FormGroup label={msg.firstDevice()} fieldId={`${modalId}-boot-first-device`}>
+          <SelectBox
+            id={`${modalId}-boot-first-device`}
+            items={ALLOWED_BOOT_DEVICES.map(item => ({ id: item, value: msg[`${item}Boot`]() }))}
+            selected={bootDevices[0]}
+            onChange={device => handleBootDeviceChange(0, device)}
+          />
+        </FormGroup>
+        <FormGroup label={msg.secondDevice()} fieldId={`${modalId}-boot-second-device`}>
+          <SelectBox
+            id={`${modalId}-boot-second-device`}
+            items={[
+              { id: null, value: msg.noneItem() },
+              ...ALLOWED_BOOT_DEVICES
+                .filter(item => item !== bootDevices[0])
+                .map(item => ({ id: item, value: msg[`${item}Boot`]() })),
+            ]}
+            selected={bootDevices[1]}
+            onChange={device => handleBootDeviceChange(1, device)}
+          />
+        </FormGroup>
+        <FormGroup label={msg.runOnceConsoleProtocol()} fieldId={`${modalId}-console-protocol`}>
+          <SelectBox
+            id={`${modalId}-console-protocol`}
+            items={[
+              { id: '', value: msg.runOnceConsoleProtocolDefault() },
+              { id: 'vnc', value: msg.runOnceConsoleProtocolVnc() },
+              { id: 'spice', value: msg.runOnceConsoleProtocolSpice() },
+            ]}
+            selected={consoleProtocol}
+            onChange={setConsoleProtocol}
+          />
+        </FormGroup>
+        <Checkbox
+          id={`${modalId}-start-paused`}
+          label={msg.runOnceStartPaused()}
+          isChecked={startPaused}
+          onChange={setStartPaused}
+        />
+        <Checkbox
+          id={`${modalId}-cloud-init`}
+          label={isOsWindows ? msg.runOnceUseSysprep() : msg.runOnceUseCloudInit()}
+          isChecked={useCloudInit}
+          onChange={setUseCloudInit}
+        />
+        { useCloudInit && (
+          isOsWindows
+            ? <SysprepForm idPrefix={modalId} vm={cloudInitVm} onChange={handleCloudInitChange} lastInitTimezone={lastInitTimezone} />
+            : <CloudInitForm idPrefix={modalId} vm={cloudInitVm} onChange={handleCloudInitChange} />
+        )}
+      </Form>
+    </Modal>
+  )
+}
+
+RunOnceModal.propTypes = {
+  vm: PropTypes.object.isRequired,
+  idPrefix: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+
+  storageDomains: PropTypes.object.isRequired,
+  clusters: PropTypes.object.isRequired,
+  onRunOnce: PropTypes.func.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default connect(
+  ({ storageDomains, clusters }) => ({
+    storageDomains,
+    clusters,
+  }),
+  (dispatch, { vm }) => ({
+    onRunOnce: (runOnce) => dispatch(startVm({ vmId: vm.get('id'), runOnce })),
+  })
+)(withMsg(RunOnceModal))
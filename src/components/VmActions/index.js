@@ -13,6 +13,8 @@ import {
   canConsole,
   canSuspend,
   canRemove,
+  canClone,
+  canMigrate,
   canExternalService,
 } from '../../vm-status'
 
@@ -24,6 +26,9 @@ import { Checkbox } from '@patternfly/react-core'
 import { getConsoles, isNativeConsole } from '_/utils/console'
 import VmDropdownActions from './VmDropdownActions'
 import VmDetailsActions from './VmDetailsActions'
+import CloneVmModal from './CloneVmModal'
+import MigrateVmModal from './MigrateVmModal'
+import RunOnceModal from './RunOnceModal'
 import { ExternalLinkAltIcon } from '@patternfly/react-icons/dist/esm/icons'
 
 export function getConsoleActions ({ vm, msg, onOpenConsole, idPrefix, config, preferredConsole }) {
@@ -54,6 +59,9 @@ class VmActions extends React.Component {
 
     this.state = {
       removePreserveDisks: false,
+      showCloneModal: false,
+      showMigrateModal: false,
+      showRunOnceModal: false,
     }
 
     this.getDefaultActions = this.getDefaultActions.bind(this)
@@ -94,6 +102,13 @@ class VmActions extends React.Component {
         id: `${idPrefix}-button-start`,
         onClick: onStart,
       },
+      {
+        priority: 0,
+        actionDisabled: isPool || !canStart(status) || vm.getIn(['actionInProgress', 'start']),
+        shortTitle: msg.runOnce(),
+        id: `${idPrefix}-button-run-once`,
+        onClick: () => this.setState({ showRunOnceModal: true }),
+      },
       {
         priority: 0,
         actionDisabled: isPool || isPoolVm || !canSuspend(status) || vm.getIn(['actionInProgress', 'suspend']),
@@ -174,6 +189,9 @@ class VmActions extends React.Component {
     } = this.props
     const {
       removePreserveDisks,
+      showCloneModal,
+      showMigrateModal,
+      showRunOnceModal,
     } = this.state
 
     const isPool = !!pool
@@ -183,16 +201,40 @@ class VmActions extends React.Component {
 
     idPrefix = `${idPrefix}-actions`
 
+    const runOnceModal = showRunOnceModal && (
+      <RunOnceModal
+        vm={vm}
+        idPrefix={`${idPrefix}-run-once`}
+        onClose={() => this.setState({ showRunOnceModal: false })}
+      />
+    )
+
     // Actions for Card
     if (isOnCard) {
       return (
         <div className={`text-center ${className}`} id={idPrefix}>
           <VmDropdownActions id={`${idPrefix}-dropdown`} actions={actions} />
+          {runOnceModal}
         </div>
       )
     }
 
     // Actions for the Toolbar
+    const isPoolVm = !!vm.getIn(['pool', 'id'], false)
+    const cloneAction = {
+      actionDisabled: isPool || isPoolVm || !canClone(status) || vm.getIn(['actionInProgress', 'clone']),
+      shortTitle: msg.clone(),
+      id: `${idPrefix}Kebab-button-clone`,
+      onClick: () => this.setState({ showCloneModal: true }),
+    }
+
+    const migrateAction = {
+      actionDisabled: isPool || isPoolVm || !vm.get('canUserMigrateVm') || !canMigrate(status) || vm.getIn(['actionInProgress', 'migrate']),
+      shortTitle: msg.migrate(),
+      id: `${idPrefix}Kebab-button-migrate`,
+      onClick: () => this.setState({ showMigrateModal: true }),
+    }
+
     const removeAction = {
       actionDisabled: isPool || !canRemove(status) || vm.getIn(['actionInProgress', 'remove']),
       shortTitle: msg.remove(),
@@ -218,11 +260,28 @@ class VmActions extends React.Component {
     }
 
     return (
-      <VmDetailsActions
-        id={`${idPrefix}-toolbar`}
-        actions={[...actions, { ...removeAction }]}
-        idPrefix={idPrefix}
-      />
+      <>
+        <VmDetailsActions
+          id={`${idPrefix}-toolbar`}
+          actions={[...actions, { ...cloneAction }, { ...migrateAction }, { ...removeAction }]}
+          idPrefix={idPrefix}
+        />
+        {showCloneModal && (
+          <CloneVmModal
+            vm={vm}
+            idPrefix={`${idPrefix}-clone`}
+            onClose={() => this.setState({ showCloneModal: false })}
+          />
+        )}
+        {showMigrateModal && (
+          <MigrateVmModal
+            vm={vm}
+            idPrefix={`${idPrefix}-migrate`}
+            onClose={() => this.setState({ showMigrateModal: false })}
+          />
+        )}
+        {runOnceModal}
+      </>
     )
   }
 }
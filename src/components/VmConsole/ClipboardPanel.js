@@ -0,0 +1,101 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+
+import {
+  Button,
+  Form,
+  FormGroup,
+  Popover,
+  TextArea,
+} from '@patternfly/react-core'
+
+import { withMsg } from '_/intl'
+
+const canReadHostClipboard = () => typeof navigator.clipboard?.readText === 'function'
+const canWriteHostClipboard = () => typeof navigator.clipboard?.writeText === 'function'
+
+/**
+ * Exchange text with the guest of a browser VNC console.  The text is either pasted to
+ * the guest's clipboard or typed key by key for guests without clipboard integration.
+ * The text last copied in the guest is shown as the remote clipboard.
+ */
+const ClipboardPanel = ({ id, remoteClipboard, onPaste, onType, msg }) => {
+  const [text, setText] = useState('')
+
+  const readHostClipboard = () => {
+    navigator.clipboard.readText()
+      .then(setText)
+      .catch(error => console.warn('ClipboardPanel: the host clipboard could not be read', error))
+  }
+
+  const copyRemoteClipboard = () => {
+    navigator.clipboard.writeText(remoteClipboard)
+      .catch(error => console.warn('ClipboardPanel: the host clipboard could not be written', error))
+  }
+
+  return (
+    <Popover
+      id={id}
+      position='bottom'
+      minWidth='30rem'
+      headerContent={msg.consoleClipboard()}
+      bodyContent={(
+        <Form onSubmit={e => e.preventDefault()}>
+          <FormGroup label={msg.consoleClipboardText()} fieldId={`${id}-text`}>
+            <TextArea
+              id={`${id}-text`}
+              value={text}
+              onChange={setText}
+              rows={4}
+              resizeOrientation='vertical'
+            />
+          </FormGroup>
+          <div>
+            { canReadHostClipboard() && (
+              <Button id={`${id}-read-host`} variant='link' isInline onClick={readHostClipboard}>
+                {msg.consoleClipboardReadHost()}
+              </Button>
+            )}
+          </div>
+          <div>
+            <Button id={`${id}-paste`} variant='primary' isDisabled={!text} onClick={() => onPaste(text)}>
+              {msg.consoleClipboardPaste()}
+            </Button>
+            {' '}
+            <Button id={`${id}-type`} variant='secondary' isDisabled={!text} onClick={() => onType(text)}>
+              {msg.consoleClipboardType()}
+            </Button>
+          </div>
+          <FormGroup
+            label={msg.consoleClipboardRemote()}
+            fieldId={`${id}-remote`}
+            helperText={remoteClipboard ? undefined : msg.consoleClipboardRemoteEmpty()}
+          >
+            <TextArea id={`${id}-remote`} value={remoteClipboard} rows={3} isReadOnly />
+          </FormGroup>
+          { canWriteHostClipboard() && (
+            <div>
+              <Button id={`${id}-copy-remote`} variant='link' isInline isDisabled={!remoteClipboard} onClick={copyRemoteClipboard}>
+                {msg.consoleClipboardCopyRemote()}
+              </Button>
+            </div>
+          )}
+        </Form>
+      )}
+    >
+      <Button id={`${id}-toggle`} variant='secondary'>
+        {msg.consoleClipboard()}
+      </Button>
+    </Popover>
+  )
+}
+
+ClipboardPanel.propTypes = {
+  id: PropTypes.string.isRequired,
+  remoteClipboard: PropTypes.string.isRequired,
+  onPaste: PropTypes.func.isRequired,
+  onType: PropTypes.func.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default withMsg(ClipboardPanel)
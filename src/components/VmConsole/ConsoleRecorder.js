@@ -0,0 +1,111 @@
+import React, { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+
+import { Button, Label } from '@patternfly/react-core'
+import { CircleIcon } from '@patternfly/react-icons/dist/esm/icons'
+
+import { withMsg } from '_/intl'
+import { blobDownload, formatTwoDigits } from '_/helpers'
+
+import style from './style.css'
+
+const RECORDING_FRAME_RATE = 15
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+const isRecordingSupported = () =>
+  typeof window.MediaRecorder !== 'undefined' &&
+  typeof window.HTMLCanvasElement?.prototype.captureStream === 'function'
+
+const formatElapsed = (seconds) => `${formatTwoDigits(Math.floor(seconds / 60))}:${formatTwoDigits(seconds % 60)}`
+
+/**
+ * Record the noVNC canvas of a console session with a MediaRecorder and download the
+ * recording as a WebM file when the recording stops.  A recording in progress stops
+ * (and downloads) when the console disconnects.
+ */
+const ConsoleRecorder = ({ containerId, vmName, msg }) => {
+  const recorder = useRef()
+  const isMounted = useRef(true)
+  const [isRecording, setIsRecording] = useState(false)
+  const [elapsed, setElapsed] = useState(0)
+
+  useEffect(() => {
+    if (!isRecording) {
+      return
+    }
+    const started = Date.now()
+    setElapsed(0)
+    const timer = setInterval(() => setElapsed(Math.floor((Date.now() - started) / 1000)), 1000)
+    return () => clearInterval(timer)
+  }, [isRecording])
+
+  // the toolbar, and so the recorder, goes away when the console disconnects
+  useEffect(() => () => {
+    isMounted.current = false
+    recorder.current?.stop()
+  }, [])
+
+  if (!isRecordingSupported()) {
+    return null
+  }
+
+  const startRecording = () => {
+    const canvas = document.querySelector(`#${containerId} canvas`)
+    if (!canvas) {
+      return
+    }
+
+    const mimeType = RECORDING_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type))
+    const fileName = `${vmName}-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`
+    const chunks = []
+
+    try {
+      const mediaRecorder = new window.MediaRecorder(canvas.captureStream(RECORDING_FRAME_RATE), mimeType ? { mimeType } : undefined)
+      mediaRecorder.ondataavailable = (event) => {
+        if (event.data?.size > 0) {
+          chunks.push(event.data)
+        }
+      }
+      mediaRecorder.onstop = () => {
+        recorder.current = undefined
+        if (chunks.length > 0) {
+          blobDownload({ blob: new Blob(chunks, { type: 'video/webm' }), fileName })
+        }
+        if (isMounted.current) {
+          setIsRecording(false)
+        }
+      }
+      mediaRecorder.start(1000)
+      recorder.current = mediaRecorder
+      setIsRecording(true)
+    } catch (error) {
+      console.warn('ConsoleRecorder: recording could not be started', error)
+    }
+  }
+
+  const stopRecording = () => recorder.current?.stop()
+
+  return (
+    <>
+      { isRecording && (
+        <Label color='red' icon={<CircleIcon />} className={style['recording-indicator']}>
+          {msg.consoleRecording({ elapsed: formatElapsed(elapsed) })}
+        </Label>
+      )}
+      <Button
+        variant='secondary'
+        onClick={isRecording ? stopRecording : startRecording}
+      >
+        {isRecording ? msg.consoleStopRecording() : msg.consoleStartRecording()}
+      </Button>
+    </>
+  )
+}
+
+ConsoleRecorder.propTypes = {
+  containerId: PropTypes.string.isRequired,
+  vmName: PropTypes.string.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default withMsg(ConsoleRecorder)
@@ -0,0 +1,52 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+
+import {
+  Dropdown,
+  DropdownItem,
+  DropdownToggle,
+} from '@patternfly/react-core'
+
+import { withMsg } from '_/intl'
+
+/**
+ * Menu of the user defined key shortcuts (see the global settings) of a browser VNC
+ * console.  Nothing is rendered if the user has no shortcuts defined.
+ */
+const KeyShortcutsMenu = ({ id, shortcuts, onSelect, msg }) => {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (shortcuts.length === 0) {
+    return null
+  }
+
+  return (
+    <Dropdown
+      id={id}
+      isOpen={isOpen}
+      onSelect={() => setIsOpen(false)}
+      toggle={(
+        <DropdownToggle id={`${id}-toggle`} onToggle={setIsOpen}>
+          {msg.keyShortcuts()}
+        </DropdownToggle>
+      )}
+      dropdownItems={shortcuts.map(({ label, keys }, index) => (
+        <DropdownItem key={index} id={`${id}-${index}`} onClick={() => onSelect(keys)}>
+          {label}
+        </DropdownItem>
+      ))}
+    />
+  )
+}
+
+KeyShortcutsMenu.propTypes = {
+  id: PropTypes.string.isRequired,
+  shortcuts: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    keys: PropTypes.arrayOf(PropTypes.string).isRequired,
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired, // (keys: Array<string>) => any
+  msg: PropTypes.object.isRequired,
+}
+
+export default withMsg(KeyShortcutsMenu)
@@ -0,0 +1,211 @@
+import React, { useRef, useState, useEffect, useCallback } from 'react'
+
+import PropTypes from 'prop-types'
+
+import {
+  Button,
+  EmptyState,
+  EmptyStateBody,
+  EmptyStateIcon,
+  Spinner,
+} from '@patternfly/react-core'
+
+import {
+  SpiceMainConn,
+  handle_resize as handleResize,
+  resize_helper as resizeHelper,
+  sendCtrlAltDel,
+} from '@spice-project/spice-html5'
+
+import {
+  constants,
+} from '@patternfly/react-console'
+
+import { VncActions } from '@patternfly/react-console/dist/esm/components/VncConsole/VncActions'
+
+const { CONNECTED, CONNECTING, DISCONNECTED } = constants
+
+/**
+ * In-browser SPICE console based on spice-html5.  The connection goes through the engine's
+ * websocket proxy the same way as the noVNC based `VncConsole`, and the component follows
+ * the same connect/disconnect life cycle.
+ *
+ * Note: spice-html5 looks up the active connection on `window` for its resize and
+ * Ctrl+Alt+Del helpers.  The globals are only taken while no other SPICE console holds
+ * them, and only released by the console that took them.
+ */
+const SpiceConsole = ({
+  host,
+  port = '80',
+  path = '',
+  encrypt = false,
+  password,
+  consoleContainerId,
+  additionalButtons = [],
+  onConnected = () => {},
+  onDisconnected = () => {},
+  onInitFailed = () => {},
+  textConnect = 'Connect',
+  textConnecting = 'Connecting',
+  textDisconnected = 'Click Connect to open the SPICE console.',
+  textDisconnect = 'Disconnect',
+  textSendShortcut,
+  textCtrlAltDel,
+  className,
+}) => {
+  const spice = useRef()
+  // auto-connect when entering the page
+  const [status, setStatus] = useState(CONNECTING)
+
+  const stop = useCallback(() => {
+    if (spice.current && window.spice_connection === spice.current) {
+      window.removeEventListener('resize', handleResize)
+      window.spice_connection = undefined
+      window.sc = undefined
+    }
+    spice.current?.stop()
+    spice.current = undefined
+  }, [])
+
+  const connect = useCallback(() => {
+    try {
+      const protocol = encrypt ? 'wss' : 'ws'
+      spice.current = new SpiceMainConn({
+        uri: `${protocol}://${host}:${port}/${path}`,
+        password,
+        screen_id: consoleContainerId,
+        onsuccess: () => {
+          setStatus(CONNECTED)
+          onConnected()
+        },
+        onerror: (e) => {
+          stop()
+          setStatus(DISCONNECTED)
+          onDisconnected(e)
+        },
+        onagent: (connection) => {
+          // with the guest agent running, the guest display follows the size of the console
+          // (the resize handler works on the connection held by `window.spice_connection`)
+          if (window.spice_connection === connection) {
+            window.addEventListener('resize', handleResize)
+          }
+          resizeHelper(connection)
+        },
+      })
+      if (!window.spice_connection) {
+        window.spice_connection = spice.current
+        window.sc = spice.current
+      }
+    } catch (e) {
+      stop()
+      setStatus(DISCONNECTED)
+      onInitFailed(e)
+    }
+  }, [encrypt, host, port, path, password, consoleContainerId, onConnected, onDisconnected, onInitFailed, stop])
+
+  useEffect(() => {
+    // side effect for CONNECTING state
+    if (status === CONNECTING && !spice.current) {
+      connect()
+    }
+  }, [status, connect])
+
+  // cleanup when leaving the page
+  useEffect(() => () => stop(), [stop])
+
+  // the connection is closed by the client, spice-html5 does not report it
+  const disconnect = () => {
+    stop()
+    setStatus(DISCONNECTED)
+    onDisconnected()
+  }
+
+  // spice-html5 sends the keys to the connection held by `window.sc`, point it to this
+  // console's connection for the call
+  const ctrlAltDel = () => {
+    const owner = window.sc
+    window.sc = spice.current
+    sendCtrlAltDel()
+    window.sc = owner
+  }
+
+  const rightContent = (
+    <VncActions
+      onCtrlAltDel={ctrlAltDel}
+      textSendShortcut={textSendShortcut}
+      textCtrlAltDel={textCtrlAltDel}
+      textDisconnect={textDisconnect}
+      onDisconnect={disconnect}
+      additionalButtons={additionalButtons}
+    />
+  )
+
+  const emptyStateDisconnected = (
+    <EmptyState>
+      <EmptyStateBody>{textDisconnected}</EmptyStateBody>
+      <Button
+        variant="primary"
+        onClick={ () => setStatus(CONNECTING)}
+      >
+        {textConnect}
+      </Button>
+    </EmptyState>
+  )
+
+  const emptyStateConnecting = (
+    <EmptyState>
+      <EmptyStateIcon variant="container" component={Spinner} />
+      <EmptyStateBody>{textConnecting}</EmptyStateBody>
+    </EmptyState>
+  )
+
+  return (
+    <>
+      {status === CONNECTED && rightContent}
+      <div className={`pf-c-console__vnc ${className}`}>
+        {status === DISCONNECTED && emptyStateDisconnected}
+        {status === CONNECTING && emptyStateConnecting}
+        {status !== DISCONNECTED && <div id={consoleContainerId} />}
+      </div>
+    </>
+  )
+}
+SpiceConsole.displayName = 'SpiceConsole'
+
+SpiceConsole.propTypes = {
+  /** FQDN or IP of the websocket proxy */
+  host: PropTypes.string.isRequired,
+  /** TCP Port */
+  port: PropTypes.string,
+  /** host:port/path */
+  path: PropTypes.string,
+  encrypt: PropTypes.bool,
+  /** The SPICE ticket */
+  password: PropTypes.string,
+  consoleContainerId: PropTypes.string.isRequired,
+  additionalButtons: PropTypes.array,
+
+  /** Callback. The session is established. */
+  onConnected: PropTypes.func,
+  /** Callback. The session ended, with the error if it was not closed by the user. */
+  onDisconnected: PropTypes.func,
+  /** Initialization of the spice-html5 connection failed */
+  onInitFailed: PropTypes.func,
+
+  /* Text content rendered inside the EmptyState in the "Connect' button for when console is disconnnected */
+  textConnect: PropTypes.string,
+  /* Text content rendered inside the EmptyState for when console is connecting */
+  textConnecting: PropTypes.string,
+  /* Text content rendered inside the EmptyState for when console is disconnnected */
+  textDisconnected: PropTypes.string,
+  /** Text content rendered inside the Disconnect button */
+  textDisconnect: PropTypes.string,
+  /** Text content rendered inside the button Send shortcut dropdown toggle */
+  textSendShortcut: PropTypes.string,
+  /** Text content rendered inside the Ctrl-Alt-Delete dropdown entry */
+  textCtrlAltDel: PropTypes.string,
+  /** styling for the console placeholder - used to toggle fullscreen mode */
+  className: PropTypes.string,
+}
+
+export default SpiceConsole
@@ -12,6 +12,10 @@ import {
 
 import { initLogging } from '@novnc/novnc/core/util/logging'
 import RFB from '@novnc/novnc/core/rfb'
+import KeyTable from '@novnc/novnc/core/input/keysym'
+import keysyms from '@novnc/novnc/core/input/keysymdef'
+
+import { textToKeystrokes } from '_/utils'
 
 import {
   constants,
@@ -52,9 +56,13 @@ const VncConsole = ({
   wsProtocols = [],
   className,
   onConnected = () => {},
+  onClipboard = () => {},
+  renderAdditionalButtons = () => [],
+  disconnectedButtons = [],
 }) => {
   const rfb = useRef()
   const novncElem = useRef(null)
+  const isUserDisconnect = useRef(false)
   // auto-connect when entering the page
   const [status, setStatus] = useState(CONNECTING)
 
@@ -65,7 +73,8 @@ const VncConsole = ({
 
   const setStatusDisconnected = useCallback((e) => {
     setStatus(DISCONNECTED)
-    onDisconnected(e)
+    onDisconnected(e, isUserDisconnect.current)
+    isUserDisconnect.current = false
   }, [setStatus, onDisconnected])
 
   const setStatusDisconnectedSecurityFailure = useCallback((e) => {
@@ -78,17 +87,23 @@ const VncConsole = ({
     onInitFailed(e)
   }, [setStatus, onInitFailed])
 
+  const onRemoteClipboard = useCallback((e) => {
+    onClipboard(e?.detail?.text ?? '')
+  }, [onClipboard])
+
   const addEventListeners = useCallback(() => {
     rfb.current?.addEventListener('connect', setStatusConnected)
     rfb.current?.addEventListener('disconnect', setStatusDisconnected)
     rfb.current?.addEventListener('securityfailure', setStatusDisconnectedSecurityFailure)
-  }, [setStatusConnected, setStatusDisconnected, setStatusDisconnectedSecurityFailure])
+    rfb.current?.addEventListener('clipboard', onRemoteClipboard)
+  }, [setStatusConnected, setStatusDisconnected, setStatusDisconnectedSecurityFailure, onRemoteClipboard])
 
   const removeEventListeners = useCallback(() => {
     rfb.current?.removeEventListener('connect', setStatusConnected)
     rfb.current?.removeEventListener('disconnect', setStatusDisconnected)
     rfb.current?.removeEventListener('securityfailure', setStatusDisconnectedSecurityFailure)
-  }, [setStatusConnected, setStatusDisconnected, setStatusDisconnectedSecurityFailure])
+    rfb.current?.removeEventListener('clipboard', onRemoteClipboard)
+  }, [setStatusConnected, setStatusDisconnected, setStatusDisconnectedSecurityFailure, onRemoteClipboard])
 
   const connect = useCallback(() => {
     try {
@@ -158,7 +173,37 @@ const VncConsole = ({
 
   // buttons are visible only in CONNECTED state
   const onCtrlAltDel = () => rfb.current?.sendCtrlAltDel()
-  const disconnect = () => rfb.current?.disconnect() // callback will trigger state change
+  const disconnect = () => {
+    isUserDisconnect.current = true
+    rfb.current?.disconnect() // callback will trigger state change
+  }
+
+  // put the text to the guest's clipboard, requires clipboard integration in the guest
+  const pasteText = (text) => rfb.current?.clipboardPasteFrom(text)
+
+  // type the text key by key, works without any guest integration (i.e. login prompt, BIOS)
+  const typeText = (text) => textToKeystrokes(text).forEach(({ char, shift }) => {
+    const keysym = char === '\n'
+      ? KeyTable.XK_Return
+      : char === '\t'
+        ? KeyTable.XK_Tab
+        : keysyms.lookup(char.codePointAt(0))
+
+    if (shift) {
+      rfb.current?.sendKey(KeyTable.XK_Shift_L, 'ShiftLeft', true)
+    }
+    rfb.current?.sendKey(keysym, null)
+    if (shift) {
+      rfb.current?.sendKey(KeyTable.XK_Shift_L, 'ShiftLeft', false)
+    }
+  })
+
+  // press the keys in order and release them in reverse order, i.e. Ctrl+Alt+F2
+  const sendKeys = (keys) => {
+    const keysymsToSend = keys.map(key => key.startsWith('XK_') ? KeyTable[key] : keysyms.lookup(key.codePointAt(0)))
+    keysymsToSend.forEach(keysym => rfb.current?.sendKey(keysym, null, true))
+    keysymsToSend.reverse().forEach(keysym => rfb.current?.sendKey(keysym, null, false))
+  }
 
   const rightContent = (
     <VncActions
@@ -167,7 +212,7 @@ const VncConsole = ({
       textCtrlAltDel={textCtrlAltDel}
       textDisconnect={textDisconnect}
       onDisconnect={disconnect}
-      additionalButtons={additionalButtons}
+      additionalButtons={[...additionalButtons, ...renderAdditionalButtons({ pasteText, typeText, sendKeys })]}
     />
   )
 
@@ -193,6 +238,9 @@ const VncConsole = ({
   return (
     <>
       {status === CONNECTED && rightContent}
+      {status === DISCONNECTED && disconnectedButtons.length > 0 && (
+        <div className='pf-c-console__actions-vnc'>{disconnectedButtons}</div>
+      )}
       <div className={`pf-c-console__vnc ${className}`}>
         {children}
         {status === DISCONNECTED && emptyStateDisconnected}
@@ -234,7 +282,7 @@ VncConsole.propTypes = {
   consoleContainerId: PropTypes.string,
   additionalButtons: PropTypes.array,
 
-  /** Callback. VNC server disconnected. */
+  /** Callback. VNC server disconnected: (event, isUserDisconnect: boolean) => any */
   onDisconnected: PropTypes.func,
   /** Initialization of RFB failed */
   onInitFailed: PropTypes.func,
@@ -264,6 +312,12 @@ VncConsole.propTypes = {
   className: PropTypes.string,
   /** Callback removed in PF4 version - used to move focus */
   onConnected: PropTypes.func,
+  /** Callback. The text of the remote (guest) clipboard changed. */
+  onClipboard: PropTypes.func,
+  /** Render buttons that use the connection: ({ pasteText, typeText, sendKeys }) => Array<node> */
+  renderAdditionalButtons: PropTypes.func,
+  /** Buttons shown in the toolbar while disconnected */
+  disconnectedButtons: PropTypes.array,
 }
 
 export default VncConsole
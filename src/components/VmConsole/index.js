@@ -1,5 +1,8 @@
 import React, {
+  useCallback,
   useEffect,
+  useMemo,
+  useRef,
   useState,
 } from 'react'
 import { connect } from 'react-redux'
@@ -11,21 +14,32 @@ import * as Actions from '_/actions'
 import * as C from '_/constants'
 import {
   Button,
+  EmptyState,
+  EmptyStateBody,
+  Label,
+  Switch,
 } from '@patternfly/react-core'
+import { SyncAltIcon } from '@patternfly/react-icons/dist/esm/icons'
 import {
   AccessConsoles,
   constants,
 } from '@patternfly/react-console'
 import VncConsole from './VncConsole'
+import SpiceConsole from './SpiceConsole'
+import ConsoleRecorder from './ConsoleRecorder'
+import ClipboardPanel from './ClipboardPanel'
+import KeyShortcutsMenu from './KeyShortcutsMenu'
 import { withMsg } from '_/intl'
 
 import Loader, { SIZES } from '../Loader'
 
 import { isRunning } from '../utils'
+import { isBrowserConsole, parseKeyShortcuts, reconnectDelayInSeconds } from '_/utils'
 
 const NOVNC_CONTAINER_ID = 'novnc-console-container'
+const SPICE_CONTAINER_ID = 'spice-console-container'
 
-const focusOnConsole = () => document.querySelector(`#${NOVNC_CONTAINER_ID} canvas`)?.focus()
+const focusOnConsole = (containerId = NOVNC_CONTAINER_ID) => document.querySelector(`#${containerId} canvas`)?.focus()
 /**
  * Use cases with expected console states:
  * 1) happy path: INIT_CONSOLE
@@ -36,6 +50,12 @@ const focusOnConsole = () => document.querySelector(`#${NOVNC_CONTAINER_ID} canv
  * 3) re-connect: INIT_CONSOLE -> DISCONNECTED_CONSOLE -> RECONNECTED_CONSOLE
  *    when: user opened the console, disconnected and connected again using the same credentials
  *    limitations: credentials will expire at some point
+ * 4) auto re-connect: INIT_CONSOLE -> DISCONNECTED_CONSOLE -> OPEN_IN_PROGRESS -> INIT_CONSOLE
+ *    when: the (browser VNC) connection dropped without the user disconnecting and auto re-connect
+ *    is enabled for the VM; fresh credentials are fetched after an exponential back-off
+ * 5) failed open: OPEN_IN_PROGRESS -> DISCONNECTED_CONSOLE (without credentials)
+ *    when: the credentials could not be fetched; with auto re-connect enabled, the next
+ *    attempt is scheduled with the same back-off
  */
 const VmConsole = ({
   consoleType,
@@ -46,14 +66,27 @@ const VmConsole = ({
   vmConsoleState,
   msg,
   fullScreenNoVnc,
+  keyShortcutsNoVnc,
+  consoleOptions,
   onDisconnected,
   goToDetails,
   openConsole,
+  reconnectConsole,
   displayError,
   onReconnected,
+  saveConsoleOptions,
 }) => {
   const [isFullScreen, setIsFullScreen] = useState(fullScreenNoVnc)
+  const [remoteClipboard, setRemoteClipboard] = useState('')
+  const keyShortcuts = useMemo(() => parseKeyShortcuts(keyShortcutsNoVnc), [keyShortcutsNoVnc])
+  const [reconnectAttempt, setReconnectAttempt] = useState(0)
+  const [reconnectAt, setReconnectAt] = useState() // time of the scheduled auto re-connect
+  const [now, setNow] = useState(Date.now())
+  const isAutoReconnect = !!consoleOptions?.autoReconnect
+  const prevConsoleStatus = useRef()
   const isVmRunning = isRunning(vm.get('status'))
+  const isBrowserSpice = consoleType === C.BROWSER_SPICE
+  const consoleContainerId = isBrowserSpice ? SPICE_CONTAINER_ID : NOVNC_CONTAINER_ID
   const onFailure = ({ reason, messageId }) => {
     console.warn('foo ', reason, messageId)
     onDisconnected('CONNECTION_FAILURE')
@@ -77,7 +110,7 @@ const VmConsole = ({
   } = vmConsoleState
 
   useEffect(() => {
-    if (!isVmRunning || consoleType !== C.BROWSER_VNC) {
+    if (!isVmRunning || !isBrowserConsole(consoleType)) {
       goToDetails()
     }
   }, [isVmRunning, goToDetails, consoleType])
@@ -91,7 +124,7 @@ const VmConsole = ({
 
   useEffect(() => {
     const onFullScreen = () => {
-      const elem = document.getElementById(NOVNC_CONTAINER_ID)
+      const elem = document.getElementById(consoleContainerId)
       const requestFullscreen = elem?.requestFullscreen ??
       elem?.mozRequestFullScreen ?? /* old Firefox */
       elem?.webkitRequestFullscreen ?? /* old Chrome, Safari & Opera */
@@ -122,14 +155,132 @@ const VmConsole = ({
     if (isFullScreen) {
       onFullScreen()
     }
-    focusOnConsole()
-  }, [isFullScreen])
+    focusOnConsole(consoleContainerId)
+  }, [isFullScreen, consoleContainerId])
 
-  if (!isVmRunning || consoleType !== C.BROWSER_VNC) {
+  useEffect(() => {
+    if (!reconnectAt) {
+      return
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [reconnectAt])
+
+  useEffect(() => {
+    if (reconnectAt && now >= reconnectAt) {
+      setReconnectAt(undefined)
+      reconnectConsole()
+    }
+  }, [now, reconnectAt, reconnectConsole])
+
+  const scheduleReconnect = useCallback(() => {
+    const start = Date.now()
+    setNow(start)
+    setReconnectAt(start + reconnectDelayInSeconds(reconnectAttempt) * 1000)
+    setReconnectAttempt(reconnectAttempt + 1)
+  }, [reconnectAttempt])
+
+  useEffect(() => {
+    // no console is mounted to report a failed open, keep the back-off going from here
+    const isOpenFailed = prevConsoleStatus.current === C.OPEN_IN_PROGRESS && consoleStatus === C.DISCONNECTED_CONSOLE
+    prevConsoleStatus.current = consoleStatus
+    if (isOpenFailed && isAutoReconnect) {
+      scheduleReconnect()
+    }
+  }, [consoleStatus, isAutoReconnect, scheduleReconnect])
+
+  if (!isVmRunning || !isBrowserConsole(consoleType)) {
     return null
   }
 
-  if (consoleStatus === C.DISCONNECTED_CONSOLE || consoleStatus === C.INIT_CONSOLE || consoleStatus === C.RECONNECTED_CONSOLE) {
+  const cancelReconnect = () => {
+    setReconnectAt(undefined)
+    setReconnectAttempt(0)
+  }
+
+  const onVncDisconnected = (e, isUserDisconnect) => {
+    e?.detail?.clean ? onDisconnected() : onDisconnected('CONNECTION_FAILURE')
+    if (isAutoReconnect && !isUserDisconnect) {
+      scheduleReconnect()
+    }
+  }
+
+  const onVncConnected = () => {
+    cancelReconnect()
+    consoleStatus === C.INIT_CONSOLE ? focusOnConsole() : onReconnected()
+  }
+
+  const setAutoReconnect = (autoReconnect) => {
+    if (!autoReconnect) {
+      cancelReconnect()
+    }
+    saveConsoleOptions({ ...consoleOptions, autoReconnect })
+  }
+
+  const reconnectButtons = !reconnectAt
+    ? []
+    : [
+      <Label key='reconnect-countdown' icon={<SyncAltIcon />} className={style['reconnect-countdown']}>
+        {msg.consoleReconnectCountdown({ seconds: Math.max(0, Math.ceil((reconnectAt - now) / 1000)) })}
+      </Label>,
+      <Button key='reconnect-cancel' variant='secondary' onClick={cancelReconnect}>
+        {msg.consoleReconnectCancel()}
+      </Button>,
+    ]
+
+  const additionalButtons = [
+    <Button
+      key='full-screen'
+      variant="secondary"
+      onClick={() => setIsFullScreen(true)}
+    >
+      {msg.fullScreen()}
+    </Button>,
+    <ConsoleRecorder
+      key='recorder'
+      containerId={consoleContainerId}
+      vmName={vm.get('name')}
+    />,
+  ]
+
+  const hasConsole = !!ticket &&
+    (consoleStatus === C.DISCONNECTED_CONSOLE || consoleStatus === C.INIT_CONSOLE || consoleStatus === C.RECONNECTED_CONSOLE)
+
+  if (isBrowserSpice && hasConsole) {
+    return (
+      <div className='pf-c-console'>
+        <SpiceConsole
+          encrypt
+          textConnect={msg.connect()}
+          textConnecting={msg.connecting()}
+          textDisconnected={
+              disconnectReason === 'CONNECTION_FAILURE'
+                ? msg.connectionFailConsoleInfo()
+                : msg.disconectedConsoleInfo()
+            }
+          textDisconnect={msg.disconnect()}
+          textSendShortcut={msg.sendShortcutKey()}
+          textCtrlAltDel={msg.sendCtrlAltDel()}
+
+          password={ticket.value}
+          path={proxyTicket}
+          host={websocketHost}
+          port={websocketPort}
+          consoleContainerId={SPICE_CONTAINER_ID}
+
+          onDisconnected={(error) => error ? onDisconnected('CONNECTION_FAILURE') : onDisconnected()}
+          onConnected={() => consoleStatus === C.INIT_CONSOLE ? focusOnConsole(SPICE_CONTAINER_ID) : onReconnected() }
+          className={isFullScreen ? style['full-screen'] : style['in-page']}
+
+          onInitFailed={(e) => onFailure({ reason: e?.message, messageId: 'spiceConsoleInitializationFailed' })}
+
+          additionalButtons={additionalButtons}
+        />
+      </div>
+    )
+  }
+
+  if (hasConsole) {
     return (
       <AccessConsoles preselectedType={constants.VNC_CONSOLE_TYPE}>
         <VncConsole
@@ -154,28 +305,69 @@ const VmConsole = ({
           port={websocketPort}
           consoleContainerId={NOVNC_CONTAINER_ID}
 
-          onDisconnected={(e) => e?.detail?.clean ? onDisconnected() : onDisconnected('CONNECTION_FAILURE')}
-          onConnected={() => consoleStatus === C.INIT_CONSOLE ? focusOnConsole() : onReconnected() }
+          onDisconnected={onVncDisconnected}
+          onConnected={onVncConnected}
+          onClipboard={setRemoteClipboard}
           wsProtocols={['binary']}
           className={isFullScreen ? style['full-screen'] : style['in-page']}
 
           onInitFailed={(e) => onFailure({ reason: e?.detail?.reason, messageId: 'vncConsoleInitializationFailed' })}
           onSecurityFailure={(e) => onFailure({ reason: e?.detail?.reason, messageId: 'vncConsoleHandshakeFailed' })}
 
-          additionalButtons={[
-            <Button
-              key='full-screen'
-              variant="secondary"
-              onClick={() => setIsFullScreen(true)}
-            >
-              {msg.fullScreen()}
-            </Button>,
+          additionalButtons={additionalButtons}
+          disconnectedButtons={reconnectButtons}
+          renderAdditionalButtons={({ pasteText, typeText, sendKeys }) => [
+            <Switch
+              key='auto-reconnect'
+              id='vnc-console-auto-reconnect'
+              className={style['auto-reconnect']}
+              label={msg.consoleAutoReconnect()}
+              isChecked={isAutoReconnect}
+              onChange={setAutoReconnect}
+            />,
+            <KeyShortcutsMenu
+              key='key-shortcuts'
+              id='vnc-console-key-shortcuts'
+              shortcuts={keyShortcuts}
+              onSelect={(keys) => {
+                sendKeys(keys)
+                focusOnConsole()
+              }}
+            />,
+            <ClipboardPanel
+              key='clipboard'
+              id='vnc-console-clipboard'
+              remoteClipboard={remoteClipboard}
+              onPaste={pasteText}
+              onType={(text) => {
+                typeText(text)
+                focusOnConsole()
+              }}
+            />,
           ]}
         />
       </AccessConsoles>
     )
   }
 
+  if (consoleStatus === C.DISCONNECTED_CONSOLE) {
+    return (
+      <EmptyState>
+        <EmptyStateBody>{msg.connectionFailConsoleInfo()}</EmptyStateBody>
+        <Button
+          variant='primary'
+          onClick={() => {
+            cancelReconnect()
+            reconnectConsole()
+          }}
+        >
+          {msg.connect()}
+        </Button>
+        {reconnectButtons}
+      </EmptyState>
+    )
+  }
+
   return (
     <div>
       <Loader loaderText={msg.loadingTripleDot()} size={SIZES.SMALL} />
@@ -195,11 +387,15 @@ VmConsole.propTypes = {
   vmConsoleState: PropTypes.object,
   msg: PropTypes.object.isRequired,
   fullScreenNoVnc: PropTypes.bool.isRequired,
+  keyShortcutsNoVnc: PropTypes.string,
+  consoleOptions: PropTypes.object,
 
   onReconnected: PropTypes.func.isRequired,
   onDisconnected: PropTypes.func.isRequired,
   goToDetails: PropTypes.func.isRequired,
   openConsole: PropTypes.func.isRequired,
+  reconnectConsole: PropTypes.func.isRequired,
+  saveConsoleOptions: PropTypes.func.isRequired,
   displayError: PropTypes.func.isRequired,
 }
 
@@ -210,10 +406,12 @@ export default connect(
     websocketPort: config.getIn(['websocket', 'port']),
     websocketHost: config.getIn(['websocket', 'host']),
     fullScreenNoVnc: options.getIn(['remoteOptions', 'fullScreenNoVnc', 'content']),
+    keyShortcutsNoVnc: options.getIn(['remoteOptions', 'keyShortcutsNoVnc', 'content']),
+    consoleOptions: options.getIn(['consoleOptions', vmId]),
   }),
   (dispatch, { vmId, consoleType }) => ({
-    onDisconnected: (reason) => dispatch(Actions.setConsoleStatus({ vmId, status: C.DISCONNECTED_CONSOLE, reason, consoleType: C.BROWSER_VNC })),
-    onReconnected: () => dispatch(Actions.setConsoleStatus({ vmId, status: C.RECONNECTED_CONSOLE, consoleType: C.BROWSER_VNC })),
+    onDisconnected: (reason) => dispatch(Actions.setConsoleStatus({ vmId, status: C.DISCONNECTED_CONSOLE, reason, consoleType })),
+    onReconnected: () => dispatch(Actions.setConsoleStatus({ vmId, status: C.RECONNECTED_CONSOLE, consoleType })),
     goToDetails: () => dispatch(push(`/vm/${vmId}`)),
     openConsole: () => dispatch(
       Actions.openConsole({
@@ -221,6 +419,13 @@ export default connect(
         consoleType,
         openInPage: true,
       })),
+    reconnectConsole: () => dispatch(
+      Actions.openConsole({
+        vmId,
+        consoleType,
+        stayOnPage: true,
+      })),
+    saveConsoleOptions: (options) => dispatch(Actions.saveConsoleOptions({ vmId, options })),
     displayError: (message) => dispatch(Actions.addUserMessage({ ...message, type: 'error' })),
   })
 )(withMsg(VmConsole))
@@ -1,16 +1,28 @@
 import React, { useContext } from 'react'
 import PropTypes from 'prop-types'
+import { List } from 'immutable'
 import {
   FormGroup,
   TextArea,
   TextInput,
 } from '@patternfly/react-core'
 import { MsgContext } from '_/intl'
+import SelectBox from '_/components/SelectBox'
+import CloudInitNetworks from '_/components/CloudInitNetworks'
+import cloudInitTimezones from '_/components/utils/cloud-init-timezones.json'
 
 const CloudInitForm = ({ idPrefix, vm, onChange }) => {
   const { msg } = useContext(MsgContext)
   const cloudInitHostName = vm.getIn(['cloudInit', 'hostName'])
   const cloudInitSshAuthorizedKeys = vm.getIn(['cloudInit', 'sshAuthorizedKeys'])
+  const cloudInitUserName = vm.getIn(['cloudInit', 'userName'])
+  const cloudInitPassword = vm.getIn(['cloudInit', 'password'])
+  const cloudInitTimezone = vm.getIn(['cloudInit', 'timezone'])
+  const cloudInitDnsServers = vm.getIn(['cloudInit', 'dnsServers'])
+  const cloudInitDnsSearch = vm.getIn(['cloudInit', 'dnsSearch'])
+  const cloudInitNetworks = vm.getIn(['cloudInit', 'networks'], List()).toJS()
+  const cloudInitCustomScript = vm.getIn(['cloudInit', 'customScript'])
+
   return (
     <>
       <FormGroup
@@ -34,6 +46,85 @@ const CloudInitForm = ({ idPrefix, vm, onChange }) => {
           onChange={value => onChange('cloudInitSshAuthorizedKeys', value)}
         />
       </FormGroup>
+      <FormGroup
+        label={msg.cloudInitUserName()}
+        fieldId={`${idPrefix}-cloud-init-username`}
+        helperText={msg.cloudInitUserNameHelp()}
+      >
+        <TextInput
+          id={`${idPrefix}-cloud-init-username`}
+          type="text"
+          value={cloudInitUserName}
+          onChange={value => onChange('cloudInitUserName', value)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.cloudInitPassword()}
+        fieldId={`${idPrefix}-cloud-init-password`}
+        helperText={msg.cloudInitPasswordHelp()}
+      >
+        <TextInput
+          id={`${idPrefix}-cloud-init-password`}
+          type="password"
+          value={cloudInitPassword}
+          onChange={value => onChange('cloudInitPassword', value)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.timezone()}
+        fieldId={`${idPrefix}-cloud-init-timezone`}
+      >
+        <SelectBox
+          id={`${idPrefix}-cloud-init-timezone`}
+          items={[{ id: '', value: msg.cloudInitTimezoneNotConfigured() }, ...cloudInitTimezones]}
+          selected={cloudInitTimezone || ''}
+          onChange={selectedId => onChange('cloudInitTimezone', selectedId)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.cloudInitDnsServers()}
+        fieldId={`${idPrefix}-cloud-init-dns-servers`}
+        helperText={msg.cloudInitDnsSeparatorHelp()}
+      >
+        <TextInput
+          id={`${idPrefix}-cloud-init-dns-servers`}
+          type="text"
+          value={cloudInitDnsServers}
+          onChange={value => onChange('cloudInitDnsServers', value)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.cloudInitDnsSearch()}
+        fieldId={`${idPrefix}-cloud-init-dns-search`}
+        helperText={msg.cloudInitDnsSeparatorHelp()}
+      >
+        <TextInput
+          id={`${idPrefix}-cloud-init-dns-search`}
+          type="text"
+          value={cloudInitDnsSearch}
+          onChange={value => onChange('cloudInitDnsSearch', value)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.cloudInitNetworks()}
+        fieldId={`${idPrefix}-cloud-init-networks`}
+      >
+        <CloudInitNetworks
+          id={`${idPrefix}-cloud-init-networks`}
+          networks={cloudInitNetworks}
+          onChange={networks => onChange('cloudInitNetworks', networks)}
+        />
+      </FormGroup>
+      <FormGroup
+        label={msg.cloudInitCustomScript()}
+        fieldId={`${idPrefix}-cloud-init-custom-script`}
+      >
+        <TextArea
+          id={`${idPrefix}-cloud-init-custom-script`}
+          value={cloudInitCustomScript}
+          onChange={value => onChange('cloudInitCustomScript', value)}
+        />
+      </FormGroup>
     </>
   )
 }
@@ -1,7 +1,7 @@
 import React, { useContext } from 'react'
 import PropTypes from 'prop-types'
 import { connect } from 'react-redux'
-import { List } from 'immutable'
+import { List, fromJS } from 'immutable'
 
 import * as Actions from '_/actions'
 import { MAX_VM_MEMORY_FACTOR, MAX_VM_VCPU_EDIT } from '_/constants'
@@ -30,6 +30,7 @@ import {
   createOsList,
   getTopology,
   getTopologyPossibleValues,
+  isCloudInitNetworkValid,
   isValidOsIcon,
   validateTopologyValues,
 } from '_/components/utils'
@@ -324,7 +325,11 @@ class DetailsCard extends React.Component {
                 { fieldName: 'cloudInitSshAuthorizedKeys', value: template.getIn(['cloudInit', 'sshAuthorizedKeys']) },
                 { fieldName: 'cloudInitTimezone', value: template.getIn(['cloudInit', 'timezone']) },
                 { fieldName: 'cloudInitCustomScript', value: template.getIn(['cloudInit', 'customScript']) },
-                { fieldName: 'cloudInitPassword', value: template.getIn(['cloudInit', 'password']) }
+                { fieldName: 'cloudInitPassword', value: template.getIn(['cloudInit', 'password']) },
+                { fieldName: 'cloudInitUserName', value: template.getIn(['cloudInit', 'userName']) },
+                { fieldName: 'cloudInitDnsServers', value: template.getIn(['cloudInit', 'dnsServers']) },
+                { fieldName: 'cloudInitDnsSearch', value: template.getIn(['cloudInit', 'dnsSearch']) },
+                { fieldName: 'cloudInitNetworks', value: template.getIn(['cloudInit', 'networks'], List()).toJS() }
               )
             }
           }
@@ -362,7 +367,9 @@ class DetailsCard extends React.Component {
 
         case 'cloudInitTimezone':
           updates = updates.setIn(['cloudInit', 'timezone'], value)
-          initTimezoneUpdates.lastInitTimezone = value // remember the actual change of the sysprep timezone
+          // remember the actual change of the sysprep or cloud-init timezone, cloud-init has no Configure Timezone checkbox
+          initTimezoneUpdates.lastInitTimezone = value || lastInitTimezone
+          initTimezoneUpdates.enableInitTimezone = !!value
           fieldUpdated = 'cloudInit'
           break
 
@@ -376,6 +383,26 @@ class DetailsCard extends React.Component {
           fieldUpdated = 'cloudInit'
           break
 
+        case 'cloudInitUserName':
+          updates = updates.setIn(['cloudInit', 'userName'], value)
+          fieldUpdated = 'cloudInit'
+          break
+
+        case 'cloudInitDnsServers':
+          updates = updates.setIn(['cloudInit', 'dnsServers'], value)
+          fieldUpdated = 'cloudInit'
+          break
+
+        case 'cloudInitDnsSearch':
+          updates = updates.setIn(['cloudInit', 'dnsSearch'], value)
+          fieldUpdated = 'cloudInit'
+          break
+
+        case 'cloudInitNetworks':
+          updates = updates.setIn(['cloudInit', 'networks'], fromJS(value))
+          fieldUpdated = 'cloudInit'
+          break
+
         case 'enableInitTimezone': // Configure Timezone checkbox change
           updates = updates.setIn(['cloudInit', 'timezone'], value ? lastInitTimezone : '')
           initTimezoneUpdates.enableInitTimezone = value
@@ -728,6 +755,8 @@ class DetailsCard extends React.Component {
     // Cloud-Init
     const cloudInitEnabled = vm.getIn(['cloudInit', 'enabled'])
     const isOsWindows = isWindows(vm.getIn(['os', 'type']))
+    const cloudInitNetworksAreValid = isOsWindows || !cloudInitEnabled ||
+      vm.getIn(['cloudInit', 'networks'], List()).every(network => isCloudInitNetworkValid(network.toJS()))
 
     // Boot Menu
     const bootMenuEnabled = vm.get('bootMenuEnabled')
@@ -819,7 +848,7 @@ class DetailsCard extends React.Component {
           editTooltip={msg.edit()}
           editTooltipPlacement={'bottom'}
           idPrefix={idPrefix}
-          disableSaveButton={!vCpuCountIsValid || !vCpuCountIsFactored || !topologyValuesAreValid}
+          disableSaveButton={!vCpuCountIsValid || !vCpuCountIsFactored || !topologyValuesAreValid || !cloudInitNetworksAreValid}
           onStartEdit={this.handleCardOnStartEdit}
           onCancel={this.handleCardOnCancel}
           onSave={this.handleCardOnSave}
@@ -0,0 +1,120 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import { List } from 'immutable'
+
+import { MsgContext } from '_/intl'
+import { localeCompare } from '_/helpers'
+
+import { Grid, Row, Col } from '_/components/Grid'
+import EllipsisValue from '_/components/EllipsisValue'
+import BaseCard from '../../BaseCard'
+import FieldRow from '../DetailsCard/FieldRow'
+
+import style from './style.css'
+
+/**
+ * Guest operating system, timezone, logged in users, installed applications and
+ * devices of a VM, as reported by the guest agent.
+ */
+const GuestInfoCard = ({ vm }) => {
+  const { msg, locale } = useContext(MsgContext)
+  const idPrefix = 'vmdetail-guest-info'
+
+  const guestOs = vm.get('guestOs')
+  const guestTimeZone = vm.get('guestTimeZone')
+  const users = [...new Set(
+    vm.get('sessions', List())
+      .map(session => session.getIn(['user', 'name']))
+      .filter(Boolean)
+  )]
+  const applications = vm.get('applications', List())
+    .map(application => application.get('name'))
+    .sort((a, b) => localeCompare(a, b, locale))
+  const devices = vm.get('reportedDevices', List())
+
+  const notReported = <span>{msg.notAvailableUntilRunningAndGuestAgent()}</span>
+  const osName = guestOs && [guestOs.get('distribution'), guestOs.get('version')].filter(Boolean).join(' ')
+
+  return (
+    <BaseCard
+      title={msg.guestInfo()}
+      editable={false}
+      idPrefix={idPrefix}
+    >
+      <Grid className={style['guest-info-container']}>
+        <Row>
+          <Col cols={6} className={style['guest-info-column']}>
+            <Grid>
+              <FieldRow label={msg.operatingSystem()} id={`${idPrefix}-os`}>
+                { osName ? <EllipsisValue tooltip={osName}>{osName}</EllipsisValue> : notReported }
+              </FieldRow>
+              <FieldRow label={msg.guestInfoKernel()} id={`${idPrefix}-kernel`}>
+                { guestOs?.get('kernel') || notReported }
+              </FieldRow>
+              <FieldRow label={msg.guestInfoArchitecture()} id={`${idPrefix}-architecture`}>
+                { guestOs?.get('architecture') || notReported }
+              </FieldRow>
+              <FieldRow label={msg.timezone()} id={`${idPrefix}-timezone`}>
+                { guestTimeZone
+                  ? `${guestTimeZone.get('name')} (${guestTimeZone.get('offset')})`
+                  : notReported
+                }
+              </FieldRow>
+              <FieldRow label={msg.guestInfoUsers()} id={`${idPrefix}-users`}>
+                { users.length > 0
+                  ? (
+                    <ul className={style['guest-info-list']}>
+                      {users.map(user => <li key={user}>{user}</li>)}
+                    </ul>
+                  )
+                  : notReported
+                }
+              </FieldRow>
+            </Grid>
+          </Col>
+          <Col cols={6} className={style['guest-info-column']}>
+            <Grid>
+              <FieldRow label={msg.guestInfoApplications()} id={`${idPrefix}-applications`}>
+                { applications.size > 0
+                  ? (
+                    <ul className={style['guest-info-list']}>
+                      {applications.map((name, index) => (
+                        <li key={index}>
+                          <EllipsisValue tooltip={name}>{name}</EllipsisValue>
+                        </li>
+                      ))}
+                    </ul>
+                  )
+                  : notReported
+                }
+              </FieldRow>
+              <FieldRow label={msg.guestInfoDevices()} id={`${idPrefix}-devices`}>
+                { devices.size > 0
+                  ? (
+                    <ul className={style['guest-info-list']}>
+                      {devices.map(device => (
+                        <li key={device.get('id')} id={`${idPrefix}-device-${device.get('id')}`}>
+                          {device.get('name')}
+                          {device.get('mac') && ` (${device.get('mac')})`}
+                          <span className={style['device-ips']}>
+                            {device.get('ips').map(ip => ip.get('address')).join(', ')}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )
+                  : notReported
+                }
+              </FieldRow>
+            </Grid>
+          </Col>
+        </Row>
+      </Grid>
+    </BaseCard>
+  )
+}
+GuestInfoCard.propTypes = {
+  vm: PropTypes.object.isRequired,
+}
+
+export default GuestInfoCard
@@ -0,0 +1,69 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import { Alert, AlertActionLink } from '@patternfly/react-core'
+
+import { withMsg } from '_/intl'
+import { PendingTaskTypes } from '_/reducers/pendingTasks'
+import { commitVmSnapshotPreview, undoVmSnapshotPreview } from '../SnapshotsCard/actions'
+
+/**
+ * Banner shown while the VM runs a snapshot preview.  The preview can only be committed
+ * or undone with the VM shut down.
+ */
+const SnapshotPreviewAlert = ({ vm, previewedSnapshot, isPreviewStarting, isFinishing, onCommit, onUndo, msg }) => {
+  if (!previewedSnapshot && !isPreviewStarting) {
+    return null
+  }
+
+  const idPrefix = 'vmdetail-overview-snapshot-preview'
+  const actionsDisabled = !previewedSnapshot || isFinishing || vm.get('status') !== 'down'
+
+  return (
+    <Alert
+      isInline
+      variant='info'
+      id={idPrefix}
+      style={{ margin: '5px 0 0 0' }}
+      title={msg.snapshotPreviewTitle({ snapshotName: previewedSnapshot ? previewedSnapshot.get('description') : '' })}
+      actionLinks={[
+        <AlertActionLink key='commit' id={`${idPrefix}-commit`} isDisabled={actionsDisabled} onClick={onCommit}>
+          {msg.commitSnapshotPreview()}
+        </AlertActionLink>,
+        <AlertActionLink key='undo' id={`${idPrefix}-undo`} isDisabled={actionsDisabled} onClick={onUndo}>
+          {msg.undoSnapshotPreview()}
+        </AlertActionLink>,
+      ]}
+    >
+      {msg.snapshotPreviewInfo()}
+    </Alert>
+  )
+}
+SnapshotPreviewAlert.propTypes = {
+  vm: PropTypes.object.isRequired,
+  previewedSnapshot: PropTypes.object,
+  isPreviewStarting: PropTypes.bool.isRequired,
+  isFinishing: PropTypes.bool.isRequired,
+  onCommit: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  msg: PropTypes.object.isRequired,
+}
+
+export default connect(
+  ({ pendingTasks }, { vm }) => {
+    const vmTasks = pendingTasks.filter(task => task?.vmId === vm.get('id'))
+    return {
+      previewedSnapshot: vm.get('snapshots').find(snapshot => snapshot.get('status') === 'in_preview'),
+      isPreviewStarting: !!vmTasks.find(task => task.type === PendingTaskTypes.SNAPSHOT_PREVIEW),
+      isFinishing: !!vmTasks.find(task => [
+        PendingTaskTypes.SNAPSHOT_PREVIEW_COMMIT,
+        PendingTaskTypes.SNAPSHOT_PREVIEW_UNDO,
+      ].includes(task.type)),
+    }
+  },
+  (dispatch, { vm }) => ({
+    onCommit: () => dispatch(commitVmSnapshotPreview({ vmId: vm.get('id') })),
+    onUndo: () => dispatch(undoVmSnapshotPreview({ vmId: vm.get('id') })),
+  })
+)(withMsg(SnapshotPreviewAlert))
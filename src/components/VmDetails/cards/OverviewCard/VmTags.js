@@ -0,0 +1,92 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+
+import {
+  Label,
+  Select,
+  SelectOption,
+  SelectVariant,
+} from '@patternfly/react-core'
+
+import { attachVmTag, detachVmTag } from '_/actions'
+import { withMsg } from '_/intl'
+import { localeCompare } from '_/helpers'
+
+import style from './style.css'
+
+/**
+ * Tags of the VM.  Users that can edit the VM can attach any of the existing tags to
+ * it, or detach them.  The changes are saved as soon as they are made.
+ */
+const VmTags = ({ vm, tags, isEditable, idPrefix, msg, locale, onAttach, onDetach }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const vmTags = vm.get('tags')
+
+  const attachedIds = vmTags.map(tag => tag.get('id'))
+  const availableTags = Object.values(tags)
+    .filter(({ id }) => !attachedIds.includes(id))
+    .sort((a, b) => localeCompare(a.name, b.name, locale))
+
+  if (vmTags.size === 0 && !isEditable) {
+    return null
+  }
+
+  return (
+    <div className={style['vm-tags']} id={`${idPrefix}-tags`}>
+      {vmTags.map(tag => (
+        <Label
+          key={tag.get('id')}
+          id={`${idPrefix}-tag-${tag.get('name')}`}
+          color='blue'
+          isCompact
+          onClose={isEditable ? () => onDetach(tag.get('id')) : undefined}
+          closeBtnAriaLabel={msg.detachTag({ name: tag.get('name') })}
+        >
+          {tag.get('name')}
+        </Label>
+      ))}
+      {isEditable && availableTags.length > 0 && (
+        <Select
+          variant={SelectVariant.typeahead}
+          toggleId={`${idPrefix}-tags-attach`}
+          typeAheadAriaLabel={msg.attachTag()}
+          placeholderText={msg.attachTag()}
+          selections={null}
+          isOpen={isOpen}
+          onToggle={setIsOpen}
+          onSelect={(event, name) => {
+            setIsOpen(false)
+            // the typeahead matches the options by value, so the options hold the names
+            onAttach(availableTags.find(tag => tag.name === name).id)
+          }}
+        >
+          {availableTags.map(({ id, name }) => (
+            <SelectOption key={id} value={name} />
+          ))}
+        </Select>
+      )}
+    </div>
+  )
+}
+
+VmTags.propTypes = {
+  vm: PropTypes.object.isRequired,
+  tags: PropTypes.object.isRequired,
+  isEditable: PropTypes.bool,
+  idPrefix: PropTypes.string.isRequired,
+  msg: PropTypes.object.isRequired,
+  locale: PropTypes.string.isRequired,
+  onAttach: PropTypes.func.isRequired,
+  onDetach: PropTypes.func.isRequired,
+}
+
+export default connect(
+  ({ tags }) => ({
+    tags,
+  }),
+  (dispatch, { vm }) => ({
+    onAttach: (tagId) => dispatch(attachVmTag({ vmId: vm.get('id'), tagId })),
+    onDetach: (tagId) => dispatch(detachVmTag({ vmId: vm.get('id'), tagId })),
+  })
+)(withMsg(VmTags))
@@ -21,16 +21,21 @@ import {
 import BaseCard from '../../BaseCard'
 import VmIcon from '../../../VmIcon'
 import VmStatusIcon from '../../../VmStatusIcon'
+import { getMigrationProgress } from '_/vm-status'
+import SnapshotPreviewAlert from './SnapshotPreviewAlert'
+import VmTags from './VmTags'
 import style from './style.css'
 
 /**
- * Overview of the VM (icon, OS type, name, state, description)
+ * Overview of the VM (icon, OS type, name, state, description, tags)
  *
  * Edits:
  *   - VM Icon (future work to allow setting a custom icon for the VM)
  *   - VM Name
  *   - VM Description
  *
+ * The VM's tags are attached and detached outside of the card's edit mode.
+ *
  * TODO: The REST API return the current running value and flags "next_run_configuration_exists: true"
  * TODO: and the next_run config can be queried with ;next_run matrix param on Vm query (/vm/<vmId>;next_run)
  * TODO: therefore it is possible to highlight the individual fields that will change on next_run (i.e. VM shutdown)
@@ -281,7 +286,7 @@ class OverviewCard extends React.Component {
                   </div>
 
                   <div className={style['vm-status']} id={`${idPrefix}-status`}>
-                    <VmStatusIcon id={`${idPrefix}-status-icon`} className={style['vm-status-icon']} status={vm.get('status')} />
+                    <VmStatusIcon id={`${idPrefix}-status-icon`} className={style['vm-status-icon']} status={vm.get('status')} progress={getMigrationProgress(vm)} />
                     <span className={style['vm-status-text']} id={`${idPrefix}-status-value`}>{enumMsg('VmStatus', vm.get('status'), msg)}</span>
 
                     { uptime &&
@@ -302,9 +307,19 @@ class OverviewCard extends React.Component {
                       />
                     )}
                   </div>
+
+                  { !isEditing && (
+                    <VmTags
+                      vm={vm}
+                      isEditable={isEditable && !isPoolAutomatic}
+                      idPrefix={idPrefix}
+                    />
+                  )}
                 </div>
               </div>
 
+              <SnapshotPreviewAlert vm={vm} />
+
               { correlatedMessages && correlatedMessages.size > 0 &&
                 correlatedMessages.map((message, key) => (
                   <Alert
@@ -11,14 +11,17 @@ import itemStyle from '../../itemListStyle.css'
 import style from './style.css'
 
 import { withMsg } from '_/intl'
+import { changePage } from '_/actions'
+import { CREATE_PAGE_TYPE } from '_/constants'
+import { CreateVmWizard } from '_/components/CreateVmWizard'
 import RestoreConfirmationModal from './RestoreConfirmationModal'
 import DeleteConfirmationModal from '../../../VmModals/DeleteConfirmationModal'
 import SnapshotDetail from './SnapshotDetail'
-import { deleteVmSnapshot } from './actions'
+import { deleteVmSnapshot, previewVmSnapshot } from './actions'
 import { formatHowLongAgo } from '_/utils/format'
 import { getMinimizedString, escapeHtml } from '../../../utils'
 import { Tooltip, InfoTooltip } from '_/components/tooltips'
-import { CheckCircleIcon, EyeIcon, LockIcon, PlayIcon, TrashIcon } from '@patternfly/react-icons/dist/esm/icons'
+import { CheckCircleIcon, CloneIcon, EyeIcon, HistoryIcon, LockIcon, PlayIcon, TrashIcon } from '@patternfly/react-icons/dist/esm/icons'
 const MAX_DESCRIPTION_SIZE = 50
 
 const SnapshotAction = ({ children, className, disabled, id, onClick }) => {
@@ -61,9 +64,25 @@ class SnapshotItem extends React.Component {
     this.state = {
       isMobile: false,
       isTablet: false,
+      showCreateWizard: false,
     }
 
     this.updateScreenType = this.updateScreenType.bind(this)
+    this.openCreateWizard = this.openCreateWizard.bind(this)
+    this.closeCreateWizard = this.closeCreateWizard.bind(this)
+  }
+
+  openCreateWizard () {
+    this.setState({
+      showCreateWizard: true,
+      previousPage: this.props.currentPage,
+    })
+    this.props.onChangePage({ type: CREATE_PAGE_TYPE })
+  }
+
+  closeCreateWizard () {
+    this.props.onChangePage(this.state.previousPage)
+    this.setState({ showCreateWizard: false })
   }
 
   componentDidUpdate () {
@@ -105,6 +124,9 @@ class SnapshotItem extends React.Component {
     // Snapshot actions
     const isActionsDisabled = !this.props.isEditing || this.props.snapshot.get('status') === 'locked'
     const isRestoreDisabled = isActionsDisabled || !this.props.isVmDown || this.props.isPoolVm
+    const isCreateVmDisabled = isActionsDisabled || !this.props.canCreateVm
+    // only one snapshot of a VM can be previewed at a time
+    const isPreviewDisabled = isRestoreDisabled || this.props.isVmInPreview
     if (!this.props.snapshot.get('isActive')) {
       // Info popover
       buttons.push(
@@ -129,6 +151,15 @@ class SnapshotItem extends React.Component {
       )
 
       if (!this.props.hideActions) {
+        // Preview action
+        buttons.push(
+          <SnapshotAction key='preview' id={`${this.props.id}-preview`} onClick={this.props.onSnapshotPreview} disabled={isPreviewDisabled} className={itemStyle['item-action']}>
+            <Tooltip id={`${this.props.id}-preview-tt`} tooltip={msg.snapshotPreview()}>
+              <HistoryIcon className={isPreviewDisabled ? '' : style.black}/>
+            </Tooltip>
+          </SnapshotAction>
+        )
+
         // Restore action
         buttons.push(
           <RestoreConfirmationModal
@@ -146,6 +177,15 @@ class SnapshotItem extends React.Component {
           />
         )
 
+        // Create VM action
+        buttons.push(
+          <SnapshotAction key='create-vm' id={`${this.props.id}-create-vm`} onClick={this.openCreateWizard} disabled={isCreateVmDisabled} className={itemStyle['item-action']}>
+            <Tooltip id={`${this.props.id}-create-vm-tt`} tooltip={msg.snapshotCreateVm()}>
+              <CloneIcon className={isCreateVmDisabled ? '' : style.black}/>
+            </Tooltip>
+          </SnapshotAction>
+        )
+
         // Delete action
         buttons.push(
           <DeleteConfirmationModal
@@ -199,6 +239,15 @@ class SnapshotItem extends React.Component {
           <span className={itemStyle['item-extra_info']} id={`${this.props.id}-time`}>{`(${formatHowLongAgo(this.props.snapshot.get('date'))})`}</span>
         </span>
         <span className={itemStyle['item-row-actions']} id={`${this.props.id}-actions`}>{ buttons }</span>
+        { this.state.showCreateWizard && (
+          <CreateVmWizard
+            id={`${this.props.id}-create-vm-wizard`}
+            show
+            onHide={this.closeCreateWizard}
+            sourceVm={this.props.vm}
+            sourceSnapshot={this.props.snapshot}
+          />
+        )}
       </div>
     )
   }
@@ -211,8 +260,14 @@ SnapshotItem.propTypes = {
   isEditing: PropTypes.bool,
   hideActions: PropTypes.bool,
   isVmDown: PropTypes.bool,
+  isVmInPreview: PropTypes.bool,
   isPoolVm: PropTypes.bool,
+  vm: PropTypes.object,
+  canCreateVm: PropTypes.bool,
+  currentPage: PropTypes.object,
   onSnapshotDelete: PropTypes.func.isRequired,
+  onSnapshotPreview: PropTypes.func.isRequired,
+  onChangePage: PropTypes.func.isRequired,
   msg: PropTypes.object.isRequired,
   locale: PropTypes.string.isRequired,
 }
@@ -220,8 +275,13 @@ SnapshotItem.propTypes = {
 export default connect(
   (state, { vmId }) => ({
     isPoolVm: !!state.vms.getIn(['vms', vmId, 'pool', 'id'], false),
+    vm: state.vms.getIn(['vms', vmId]),
+    canCreateVm: state.clusters.find(cluster => cluster.get('canUserUseCluster')) !== undefined,
+    currentPage: state.config.get('currentPage'),
   }),
   (dispatch, { vmId, snapshot }) => ({
     onSnapshotDelete: () => dispatch(deleteVmSnapshot({ vmId, snapshotId: snapshot.get('id') })),
+    onSnapshotPreview: () => dispatch(previewVmSnapshot({ vmId, snapshotId: snapshot.get('id') })),
+    onChangePage: ({ type, id }) => dispatch(changePage({ type, id })),
   })
 )(withMsg(SnapshotItem))
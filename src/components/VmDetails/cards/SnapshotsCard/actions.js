@@ -1,4 +1,11 @@
-import { ADD_VM_SNAPSHOT, DELETE_VM_SNAPSHOT, RESTORE_VM_SNAPSHOT } from './constants'
+import {
+  ADD_VM_SNAPSHOT,
+  COMMIT_VM_SNAPSHOT_PREVIEW,
+  DELETE_VM_SNAPSHOT,
+  PREVIEW_VM_SNAPSHOT,
+  RESTORE_VM_SNAPSHOT,
+  UNDO_VM_SNAPSHOT_PREVIEW,
+} from './constants'
 
 export function deleteVmSnapshot ({ vmId, snapshotId }) {
   return {
@@ -29,3 +36,31 @@ export function restoreVmSnapshot ({ vmId, snapshotId }) {
     },
   }
 }
+
+export function previewVmSnapshot ({ vmId, snapshotId }) {
+  return {
+    type: PREVIEW_VM_SNAPSHOT,
+    payload: {
+      vmId,
+      snapshotId,
+    },
+  }
+}
+
+export function commitVmSnapshotPreview ({ vmId }) {
+  return {
+    type: COMMIT_VM_SNAPSHOT_PREVIEW,
+    payload: {
+      vmId,
+    },
+  }
+}
+
+export function undoVmSnapshotPreview ({ vmId }) {
+  return {
+    type: UNDO_VM_SNAPSHOT_PREVIEW,
+    payload: {
+      vmId,
+    },
+  }
+}
@@ -1,3 +1,6 @@
 export const ADD_VM_SNAPSHOT = 'ADD_VM_SNAPSHOT'
+export const COMMIT_VM_SNAPSHOT_PREVIEW = 'COMMIT_VM_SNAPSHOT_PREVIEW'
 export const DELETE_VM_SNAPSHOT = 'DELETE_VM_SNAPSHOT'
+export const PREVIEW_VM_SNAPSHOT = 'PREVIEW_VM_SNAPSHOT'
 export const RESTORE_VM_SNAPSHOT = 'RESTORE_VM_SNAPSHOT'
+export const UNDO_VM_SNAPSHOT_PREVIEW = 'UNDO_VM_SNAPSHOT_PREVIEW'
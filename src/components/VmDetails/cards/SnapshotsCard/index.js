@@ -24,6 +24,7 @@ const Snapshots = ({
   beingCreated,
   beingDeleted,
   beingRestored,
+  beingPreviewed,
   isVmDown,
   canUserManipulateSnapshot,
   isVmRunning,
@@ -31,7 +32,7 @@ const Snapshots = ({
 }) => {
   const isVmInPreview = !!snapshots.find(snapshot => snapshot.get('status') === 'in_preview')
   const isVmLocked = !!snapshots.find(snapshot => snapshot.get('status') === 'locked')
-  const isActionDisabled = isVmInPreview || beingCreated || beingRestored || beingDeleted || isVmLocked || !canUserManipulateSnapshot
+  const isActionDisabled = isVmInPreview || beingCreated || beingRestored || beingDeleted || beingPreviewed || isVmLocked || !canUserManipulateSnapshot
   return (
     <Grid className={style['snapshot-container']}>
       { canUserManipulateSnapshot && (
@@ -61,6 +62,7 @@ const Snapshots = ({
               isEditing={!isActionDisabled}
               hideActions={!canUserManipulateSnapshot}
               isVmDown={isVmDown}
+              isVmInPreview={isVmInPreview || beingPreviewed}
             />
           </Col>
         </Row>
@@ -76,6 +78,7 @@ Snapshots.propTypes = {
   beingCreated: PropTypes.bool,
   beingRestored: PropTypes.bool,
   beingDeleted: PropTypes.bool,
+  beingPreviewed: PropTypes.bool,
   isVmDown: PropTypes.bool,
   isVmRunning: PropTypes.bool,
   canUserManipulateSnapshot: PropTypes.bool,
@@ -89,6 +92,11 @@ const ConnectedSnapshots = connect(
       beingCreated: !!vmTasks.find(task => task.type === PendingTaskTypes.SNAPSHOT_ADD),
       beingRestored: !!vmTasks.find(task => task.type === PendingTaskTypes.SNAPSHOT_RESTORE),
       beingDeleted: !!vmTasks.find(task => task.type === PendingTaskTypes.SNAPSHOT_REMOVAL),
+      beingPreviewed: !!vmTasks.find(task => [
+        PendingTaskTypes.SNAPSHOT_PREVIEW,
+        PendingTaskTypes.SNAPSHOT_PREVIEW_COMMIT,
+        PendingTaskTypes.SNAPSHOT_PREVIEW_UNDO,
+      ].includes(task.type)),
     }
   }
 )(withMsg(Snapshots))
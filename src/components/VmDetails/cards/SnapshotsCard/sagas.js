@@ -10,13 +10,27 @@ import {
   removeSnapshotRestorePendingTask,
   addSnapshotAddPendingTask,
   removeSnapshotAddPendingTask,
+  addSnapshotPreviewPendingTask,
+  removeSnapshotPreviewPendingTask,
+  addSnapshotPreviewCommitPendingTask,
+  removeSnapshotPreviewCommitPendingTask,
+  addSnapshotPreviewUndoPendingTask,
+  removeSnapshotPreviewUndoPendingTask,
+  getSingleVm,
   updateVmSnapshot,
   startActionInProgress,
   stopActionInProgress,
   addUserMessage,
 } from '_/actions'
 
-import { ADD_VM_SNAPSHOT, DELETE_VM_SNAPSHOT, RESTORE_VM_SNAPSHOT } from './constants'
+import {
+  ADD_VM_SNAPSHOT,
+  COMMIT_VM_SNAPSHOT_PREVIEW,
+  DELETE_VM_SNAPSHOT,
+  PREVIEW_VM_SNAPSHOT,
+  RESTORE_VM_SNAPSHOT,
+  UNDO_VM_SNAPSHOT_PREVIEW,
+} from './constants'
 import { toJS } from '_/helpers'
 
 function* addVmSnapshot (action) {
@@ -91,8 +105,87 @@ function* restoreVmSnapshot (action) {
   }
 }
 
+/*
+ * Poll the VM's snapshots until `isDone` accepts their statuses, then store the final
+ * set of snapshots.
+ */
+function* waitForVmSnapshots (vmId, isDone) {
+  for (const delayMilliSec of delayInMsSteps()) {
+    const apiSnapshots = yield callExternalAction(Api.snapshots, { payload: { vmId } }, true)
+    const snapshots = (apiSnapshots?.snapshot ?? []).map(snapshot => Transforms.Snapshot.toInternal({ snapshot }))
+    if (apiSnapshots?.error || isDone(snapshots)) {
+      break
+    }
+    yield delay(delayMilliSec)
+  }
+  yield fetchVmSnapshots({ vmId })
+}
+
+function* previewVmSnapshot (action) {
+  const { vmId, snapshotId } = action.payload
+  const [snapshot = {}, vmName] = yield select(({ vms }) => [
+    toJS(vms.getIn(['vms', vmId, 'snapshots'], [])).find(({ id }) => id === snapshotId),
+    vms.getIn(['vms', vmId, 'name']),
+  ])
+  const { description: snapshotName = '' } = snapshot
+
+  yield put(addSnapshotPreviewPendingTask(vmId, snapshotId))
+  yield put(startActionInProgress({ vmId, name: 'previewSnapshot' }))
+  yield put(updateVmSnapshot({ vmId, snapshot: { ...snapshot, status: 'locked' } }))
+
+  const result = yield callExternalAction(Api.previewSnapshot, action)
+  if (!result.error) {
+    // the preview is done once the engine has unlocked the snapshot
+    yield waitForVmSnapshots(vmId, snapshots =>
+      snapshots.find(({ id }) => id === snapshotId)?.status === 'in_preview'
+    )
+    yield put(getSingleVm({ vmId }))
+    yield put(addUserMessage({ messageDescriptor: { id: 'previewingSnapshot', params: { snapshotName, vmName } }, type: 'SUCCESS' }))
+  } else {
+    yield fetchVmSnapshots({ vmId })
+  }
+
+  yield put(stopActionInProgress({ vmId, name: 'previewSnapshot', result }))
+  yield put(removeSnapshotPreviewPendingTask(vmId, snapshotId))
+}
+
+/*
+ * Commit or undo a VM's snapshot preview.  Either way, the preview is finished once
+ * none of the VM's snapshots are locked or in preview.
+ */
+function* finishVmSnapshotPreview ({ vmId, commit }) {
+  const name = commit ? 'commitSnapshot' : 'undoSnapshot'
+  const vmName = yield select(({ vms }) => vms.getIn(['vms', vmId, 'name']))
+
+  yield put(commit ? addSnapshotPreviewCommitPendingTask(vmId) : addSnapshotPreviewUndoPendingTask(vmId))
+  yield put(startActionInProgress({ vmId, name }))
+
+  const result = yield callExternalAction(commit ? Api.commitSnapshot : Api.undoSnapshot, { payload: { vmId } })
+  if (!result.error) {
+    yield waitForVmSnapshots(vmId, snapshots =>
+      !snapshots.find(({ status }) => status === 'in_preview' || status === 'locked')
+    )
+    yield put(getSingleVm({ vmId }))
+    yield put(addUserMessage({ messageDescriptor: { id: commit ? 'committedSnapshotPreview' : 'undidSnapshotPreview', params: { vmName } }, type: 'SUCCESS' }))
+  }
+
+  yield put(stopActionInProgress({ vmId, name, result }))
+  yield put(commit ? removeSnapshotPreviewCommitPendingTask(vmId) : removeSnapshotPreviewUndoPendingTask(vmId))
+}
+
+function* commitVmSnapshotPreview (action) {
+  yield finishVmSnapshotPreview({ vmId: action.payload.vmId, commit: true })
+}
+
+function* undoVmSnapshotPreview (action) {
+  yield finishVmSnapshotPreview({ vmId: action.payload.vmId, commit: false })
+}
+
 export default [
   takeEvery(ADD_VM_SNAPSHOT, addVmSnapshot),
   takeEvery(DELETE_VM_SNAPSHOT, deleteVmSnapshot),
   takeEvery(RESTORE_VM_SNAPSHOT, restoreVmSnapshot),
+  takeEvery(PREVIEW_VM_SNAPSHOT, previewVmSnapshot),
+  takeEvery(COMMIT_VM_SNAPSHOT_PREVIEW, commitVmSnapshotPreview),
+  takeEvery(UNDO_VM_SNAPSHOT_PREVIEW, undoVmSnapshotPreview),
 ]
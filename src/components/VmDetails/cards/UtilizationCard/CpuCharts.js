@@ -18,15 +18,17 @@ import UtilizationCardData from './UtilizationCardData'
 /**
  * Render current CPU % utilization as a donut chart and historic % utilization values
  * as a sparkline. Sparkline vales to go from oldest far left to most current on far
- * right.
+ * right.  The locally kept `history` is preferred over the engine's usage history.
  */
-const CpuCharts = ({ cpuStats, isRunning, id, vcpus }) => {
+const CpuCharts = ({ cpuStats, isRunning, id, vcpus, history = [], historyDomain }) => {
   const { msg } = useContext(MsgContext)
   const cpuUsed = cpuStats['current.total'].firstDatum / vcpus // the average value considering the number of VM CPUs, same as in Admin Portal
   const cpuAvailable = 100 - cpuUsed
 
   // NOTE: CPU history comes sorted from newest to oldest
-  const history = ((cpuStats['usage.history'] && cpuStats['usage.history'].datum) || []).reverse()
+  const engineHistory = ((cpuStats['usage.history'] && cpuStats['usage.history'].datum) || []).reverse()
+  const useLocalHistory = history.length > 1
+  const historyData = useLocalHistory ? history : engineHistory.map((item, i) => ({ x: i, y: item }))
 
   return (
     <Card className={style['chart-card']} id={id}>
@@ -60,11 +62,12 @@ const CpuCharts = ({ cpuStats, isRunning, id, vcpus }) => {
               title={`${cpuUsed}`}
             />
 
-            { history.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
-            { history.length > 0 && (
+            { historyData.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
+            { historyData.length > 0 && (
               <AreaChart
                 id={`${id}-history-chart`}
-                data={history.map((item, i) => ({ x: i, y: item }))}
+                data={historyData}
+                domain={useLocalHistory ? historyDomain : undefined}
                 labels={({ datum }) => `${datum.y}%`}
               />
             )}
@@ -79,6 +82,8 @@ CpuCharts.propTypes = {
   cpuStats: PropTypes.object.isRequired,
   isRunning: PropTypes.bool,
   vcpus: PropTypes.number.isRequired,
+  history: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+  historyDomain: PropTypes.object,
 }
 
 export default CpuCharts
@@ -4,6 +4,7 @@ import {
   Card,
   CardBody,
 } from '@patternfly/react-core'
+import AreaChart from './UtilizationCharts/AreaChart'
 import BarChart from './UtilizationCharts/BarChart'
 import DonutChart from './UtilizationCharts/DonutChart'
 
@@ -27,11 +28,15 @@ const EmptyBlock = () => (
  *
  * NOTE: File system usage data from the guest agent is not currently (Aug, 2018) available
  *       via REST. Storage allocation is being used instead.
+ *
+ * The history of the overall file system % utilization is only known from the locally
+ * kept `history`.
  */
-const DiskCharts = ({ vm, diskStats, isRunning, id, ...props }) => {
+const DiskCharts = ({ vm, diskStats, isRunning, id, history = [], historyDomain, ...props }) => {
   const { msg } = useContext(MsgContext)
   const diskDetails = diskStats && diskStats.usage && diskStats.usage.datum
   const hasDiskDetails = diskDetails && diskDetails.length > 0
+  const showHistory = isRunning && hasDiskDetails && history.length > 1
 
   let actualSize = 0
   let provisionedSize = 0
@@ -124,11 +129,19 @@ const DiskCharts = ({ vm, diskStats, isRunning, id, ...props }) => {
             { isRunning && !hasDiskDetails &&
               <NoHistoricData id={`${id}-no-historic-data`} message={msg.utilizationCardNoGuestAgent()} />
             }
+            { showHistory && (
+              <AreaChart
+                id={`${id}-history-chart`}
+                data={history}
+                domain={historyDomain}
+                labels={({ datum }) => `${datum.y}%`}
+              />
+            )}
             {/*
-              Disks don't have historic data but stub the space so the card stretches like the others,
-              thus if message above doesn't show, need to insert EmptyBlock
+              Without local history, disks don't have historic data but stub the space so the card
+              stretches like the others, thus if nothing above shows, need to insert EmptyBlock
             */}
-            { !(isRunning && !hasDiskDetails) &&
+            { !(isRunning && !hasDiskDetails) && !showHistory &&
               <EmptyBlock />
             }
           </>
@@ -142,6 +155,8 @@ DiskCharts.propTypes = {
   vm: PropTypes.object.isRequired,
   diskStats: PropTypes.object,
   isRunning: PropTypes.bool,
+  history: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+  historyDomain: PropTypes.object,
 }
 
 export default DiskCharts
@@ -19,13 +19,13 @@ import UtilizationCardData from './UtilizationCardData'
 /**
  * Render current Memory use (free vs available) as a donut chart and historic use values
  * as a sparkline. Sparkline vales to go from oldest far left to most current on far
- * right.
+ * right.  The locally kept `history` is preferred over the engine's usage history.
  *
  * NOTE: If the guest agent is installed in the VM, additional (more accurate?) data
  *       will be available. In future, it may be nice to show the extra detail. The
  *       currently used data should work for VMs with and without the guest agent.
  */
-const MemoryCharts = ({ memoryStats, isRunning, id }) => {
+const MemoryCharts = ({ memoryStats, isRunning, id, history = [], historyDomain }) => {
   const { msg } = useContext(MsgContext)
   const available = isRunning ? memoryStats.free.firstDatum : memoryStats.installed.firstDatum
   const used = !isRunning ? 0 : memoryStats.installed.firstDatum - memoryStats.free.firstDatum
@@ -35,7 +35,11 @@ const MemoryCharts = ({ memoryStats, isRunning, id }) => {
   const totalFormated = userFormatOfBytes(memoryStats.installed.firstDatum, null, 1)
 
   // NOTE: Memory history comes sorted from newest to oldest
-  const history = ((memoryStats['usage.history'] && memoryStats['usage.history'].datum) || []).reverse()
+  const engineHistory = ((memoryStats['usage.history'] && memoryStats['usage.history'].datum) || []).reverse()
+  const useLocalHistory = history.length > 1
+  const historyData = useLocalHistory
+    ? history.map(point => ({ ...point, name: 'memory' }))
+    : engineHistory.map((item, i) => ({ x: i + 1, y: item, name: 'memory' }))
 
   const availableMemoryPercision = availableFormated.number >= 10
     ? availableFormated.number >= 100 ? 0 : 1
@@ -78,11 +82,12 @@ const MemoryCharts = ({ memoryStats, isRunning, id }) => {
               subTitle={msg.utilizationCardUnitUsed({ storageUnit: usedFormated.suffix })}
               title={`${usedFormated.rounded}`}
             />
-            { history.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
-            { history.length > 0 && (
+            { historyData.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
+            { historyData.length > 0 && (
               <AreaChart
                 id={`${id}-history-chart`}
-                data={history.map((item, i) => ({ x: i + 1, y: item, name: 'memory' }))}
+                data={historyData}
+                domain={useLocalHistory ? historyDomain : undefined}
                 labels={({ datum }) => `${datum.y}%`}
               />
             )}
@@ -96,6 +101,8 @@ MemoryCharts.propTypes = {
   id: PropTypes.string.isRequired,
   memoryStats: PropTypes.object.isRequired,
   isRunning: PropTypes.bool,
+  history: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+  historyDomain: PropTypes.object,
 }
 
 export default MemoryCharts
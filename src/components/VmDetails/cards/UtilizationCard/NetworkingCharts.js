@@ -18,12 +18,12 @@ import UtilizationCardData from './UtilizationCardData'
 /**
  * Render current Network % utilization as a donut chart and historic % utilization values
  * as a sparkline. Sparkline vales to go from oldest far left to most current on far
- * right.
+ * right.  The locally kept `history` is preferred over the engine's usage history.
  *
  * NOTE: This is a single % use value from the statistics pull. Could aggregate the
  *       statistics from the NICs to get different, finer grained details.
  */
-const NetworkingCharts = ({ netStats, isRunning, id }) => {
+const NetworkingCharts = ({ netStats, isRunning, id, history = [], historyDomain }) => {
   const { msg } = useContext(MsgContext)
   const haveNetworkStats = !!netStats['current.total']
 
@@ -31,7 +31,11 @@ const NetworkingCharts = ({ netStats, isRunning, id }) => {
   const available = 100 - used
 
   // NOTE: Network history comes sorted from newest to oldest
-  const history = ((netStats['usage.history'] && netStats['usage.history'].datum) || []).reverse()
+  const engineHistory = ((netStats['usage.history'] && netStats['usage.history'].datum) || []).reverse()
+  const useLocalHistory = history.length > 1
+  const historyData = useLocalHistory
+    ? history.map(point => ({ ...point, name: 'cpu' }))
+    : engineHistory.map((item, i) => ({ x: i, y: item, name: 'cpu' }))
 
   return (
     <Card className={style['chart-card']} id={id}>
@@ -66,11 +70,12 @@ const NetworkingCharts = ({ netStats, isRunning, id }) => {
               subTitle={msg.utilizationCardLegendUsedP()}
               title={`${used}`}
             />
-            { history.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
-            { history.length > 0 && (
+            { historyData.length === 0 && <NoHistoricData id={`${id}-no-historic-data`} /> }
+            { historyData.length > 0 && (
               <AreaChart
                 id={`${id}-history-chart`}
-                data={history.map((item, i) => ({ x: i, y: item, name: 'cpu' }))}
+                data={historyData}
+                domain={useLocalHistory ? historyDomain : undefined}
                 labels={({ datum }) => `${datum.y}%`}
               />
             )}
@@ -84,6 +89,8 @@ NetworkingCharts.propTypes = {
   id: PropTypes.string.isRequired,
   netStats: PropTypes.object.isRequired,
   isRunning: PropTypes.bool,
+  history: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+  historyDomain: PropTypes.object,
 }
 
 export default NetworkingCharts
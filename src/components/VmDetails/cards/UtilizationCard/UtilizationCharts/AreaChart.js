@@ -9,13 +9,14 @@ import {
 
 import style from '../style.css'
 
-const AreaChart = ({ data, labels, id }) => {
+const AreaChart = ({ data, labels, id, domain }) => {
   return (
     <div id={id} className={style['area-box']}>
       <ChartGroup
         height={120}
         width={450}
         padding={{ top: 60 }}
+        domain={domain}
         containerComponent={(
           <ChartVoronoiContainer
             labels={labels}
@@ -43,6 +44,7 @@ AreaChart.propTypes = {
   id: PropTypes.string,
   data: PropTypes.arrayOf(datumPropType).isRequired,
   labels: PropTypes.func.isRequired,
+  domain: PropTypes.object,
 }
 
 export default AreaChart
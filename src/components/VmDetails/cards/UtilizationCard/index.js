@@ -1,6 +1,10 @@
-import React, { useContext } from 'react'
+import React, { useContext, useState } from 'react'
 import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
 import { MsgContext } from '_/intl'
+import { METRICS_WINDOWS, metricsInWindow } from '_/utils'
+
+import { ToggleGroup, ToggleGroupItem } from '@patternfly/react-core'
 
 import { Grid, Row, Col } from '_/components/Grid'
 import BaseCard from '../../BaseCard'
@@ -12,11 +16,15 @@ import NetworkingCharts from './NetworkingCharts'
 import DiskCharts from './DiskCharts'
 import NoLiveData from './NoLiveData'
 
+const NO_SAMPLES = []
+
 /**
- * VM dashboard style Utilization charts (CPU, Memory, Network, Disk)
+ * VM dashboard style Utilization charts (CPU, Memory, Network, Disk).  The history
+ * charts plot the selected window of the VM's locally kept metrics samples.
  */
-const UtilizationCard = ({ vm }) => {
+const UtilizationCard = ({ vm, samples }) => {
   const { msg } = useContext(MsgContext)
+  const [historyWindow, setHistoryWindow] = useState('15m')
   const stats = vm.has('statistics') ? vm.get('statistics').toJS() : undefined
   const isRunning = ['up'].includes(vm.get('status'))
 
@@ -24,6 +32,18 @@ const UtilizationCard = ({ vm }) => {
 
   const idPrefix = 'vmdetail-utilization'
 
+  const now = Date.now()
+  const history = {}
+  for (const metric of ['cpu', 'memory', 'network', 'disk']) {
+    history[metric] = metricsInWindow(samples, metric, METRICS_WINDOWS[historyWindow], now)
+  }
+  const historyDomain = { x: [now - METRICS_WINDOWS[historyWindow], now] }
+  const windowTitles = {
+    '15m': msg.utilizationCardHistoryWindow15m(),
+    '1h': msg.utilizationCardHistoryWindow1h(),
+    '6h': msg.utilizationCardHistoryWindow6h(),
+  }
+
   return (
     <BaseCard
       className={style['utilization-card']}
@@ -32,17 +52,30 @@ const UtilizationCard = ({ vm }) => {
       idPrefix={idPrefix}
     >
       <Grid>
+        <Row className={style['row-history-window']}>
+          <ToggleGroup isCompact aria-label={msg.utilizationCardHistoryWindow()} id={`${idPrefix}-history-window`}>
+            {Object.keys(METRICS_WINDOWS).map(key => (
+              <ToggleGroupItem
+                key={key}
+                id={`${idPrefix}-history-window-${key}`}
+                text={windowTitles[key]}
+                isSelected={historyWindow === key}
+                onChange={() => setHistoryWindow(key)}
+              />
+            ))}
+          </ToggleGroup>
+        </Row>
         <Row className={style['row-charts-box']}>
           <Col className={style['row-col-charts-box']}>
             <Col className={style['col-charts-box']}>
               { stats.cpu
-                ? <CpuCharts cpuStats={stats.cpu} isRunning={isRunning} id={`${idPrefix}-cpu`} vcpus={vCpus} />
+                ? <CpuCharts cpuStats={stats.cpu} isRunning={isRunning} id={`${idPrefix}-cpu`} vcpus={vCpus} history={history.cpu} historyDomain={historyDomain} />
                 : <NoLiveData message={msg.loadingTripleDot()} id={`${idPrefix}-cpu-no-data`} />
               }
             </Col>
             <Col className={style['col-charts-box']}>
               { stats.memory
-                ? <MemoryCharts memoryStats={stats.memory} isRunning={isRunning} id={`${idPrefix}-memory`} />
+                ? <MemoryCharts memoryStats={stats.memory} isRunning={isRunning} id={`${idPrefix}-memory`} history={history.memory} historyDomain={historyDomain} />
                 : <NoLiveData message={msg.loadingTripleDot()} id={`${idPrefix}-memory-no-data`} />
               }
             </Col>
@@ -50,13 +83,13 @@ const UtilizationCard = ({ vm }) => {
           <Col className={style['row-col-charts-box']}>
             <Col className={style['col-charts-box']}>
               { stats.network
-                ? <NetworkingCharts netStats={stats.network} isRunning={isRunning} id={`${idPrefix}-network`} />
+                ? <NetworkingCharts netStats={stats.network} isRunning={isRunning} id={`${idPrefix}-network`} history={history.network} historyDomain={historyDomain} />
                 : <NoLiveData message={msg.loadingTripleDot()} id={`${idPrefix}-network-no-data`} />
               }
             </Col>
             <Col className={style['col-charts-box']}>
               { vm.has('disks')
-                ? <DiskCharts vm={vm} diskStats={stats.disks} isRunning={isRunning} id={`${idPrefix}-disk`} />
+                ? <DiskCharts vm={vm} diskStats={stats.disks} isRunning={isRunning} id={`${idPrefix}-disk`} history={history.disk} historyDomain={historyDomain} />
                 : <NoLiveData message={msg.loadingTripleDot()} id={`${idPrefix}-disk-no-data`} />
               }
             </Col>
@@ -68,6 +101,11 @@ const UtilizationCard = ({ vm }) => {
 }
 UtilizationCard.propTypes = {
   vm: PropTypes.object.isRequired,
+  samples: PropTypes.arrayOf(PropTypes.object).isRequired,
 }
 
-export default UtilizationCard
+export default connect(
+  ({ vmMetrics }, { vm }) => ({
+    samples: vmMetrics[vm.get('id')] || NO_SAMPLES,
+  })
+)(UtilizationCard)
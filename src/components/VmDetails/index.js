@@ -11,6 +11,7 @@ import NavigationConfirmationModal from '../NavigationConfirmationModal'
 import { Grid, Row, Col } from '_/components/Grid'
 import DetailsCard from './cards/DetailsCard'
 import DisksCard from './cards/DisksCard'
+import GuestInfoCard from './cards/GuestInfoCard'
 import NicsCard from './cards/NicsCard'
 import OverviewCard from './cards/OverviewCard'
 import SnapshotsCard from './cards/SnapshotsCard'
@@ -86,6 +87,9 @@ class VmDetailsContainer extends React.Component {
             <DisksCard className={styles['col-disks']} vm={vm} onEditChange={(isEdit, isDirty) => this.handleEditChange('disk', isEdit, isDirty)} />
           </Col>
         </Row>
+        <Row>
+          <Col cols={12}><GuestInfoCard vm={vm} /></Col>
+        </Row>
       </Grid>
     )
   }
@@ -43,12 +43,16 @@ const VM_STATUS_TO_ICON = {
 /* eslint-enable key-spacing, no-multi-spaces */
 
 /**
- * Status-dependent icon for a VM
+ * Status-dependent icon for a VM.  A migrating VM's icon carries the `progress` of the
+ * migration when it is known.
  */
-const VmStatusIcon = ({ id, status, className = undefined }) => {
+const VmStatusIcon = ({ id, status, progress, className = undefined }) => {
   const { msg } = useContext(MsgContext)
   const iconData = VM_STATUS_TO_ICON[status] || VM_STATUS_TO_ICON.__default__
-  const tooltip = translate({ ...statusToTooltipId[status] ?? status.__default__, msg })
+  const showProgress = status === 'migrating' && Number.isFinite(progress)
+  const tooltip = showProgress
+    ? msg.vmStatusIconTooltipMigratingProgress({ progress })
+    : translate({ ...statusToTooltipId[status] ?? status.__default__, msg })
   const classNames =
     iconData.className && className
       ? `${iconData.className} ${className}`
@@ -60,13 +64,17 @@ const VmStatusIcon = ({ id, status, className = undefined }) => {
   const Icon = iconData.constructor
   return (
     <Tooltip id={id} tooltip={tooltip} placement={'bottom'}>
-      <Icon className={classNames} />
+      <span>
+        <Icon className={classNames} />
+        {showProgress && <span className={style.progress} id={`${id}-progress`}>{progress}%</span>}
+      </span>
     </Tooltip>
   )
 }
 VmStatusIcon.propTypes = {
   id: PropTypes.string.isRequired,
   status: PropTypes.string.isRequired,
+  progress: PropTypes.number,
   className: PropTypes.string,
 }
 
@@ -8,12 +8,14 @@ import style from './style.css'
 import {
   Card,
   CardBody,
+  Label,
 } from '@patternfly/react-core'
 
 const HEADER_NAME = 'Header'
 const ICON_NAME = 'Icon'
 const TITLE_NAME = 'Title'
 const STATUS_NAME = 'Status'
+const TAGS_NAME = 'Tags'
 
 const IdPrefixContext = React.createContext('')
 
@@ -105,7 +107,33 @@ BaseCardStatus.propTypes = {
   ]).isRequired,
 }
 
-const names = [HEADER_NAME, ICON_NAME, TITLE_NAME, STATUS_NAME]
+class BaseCardTags extends React.Component {
+  render () {
+    const { tags } = this.props
+    if (!tags || tags.size === 0) {
+      return null
+    }
+
+    return (
+      <div className={style['vm-tags']} id={`${this.context}-tags`}>
+        {tags.map(tag => (
+          <Label key={tag.get('id')} color='blue' isCompact>
+            {tag.get('name')}
+          </Label>
+        ))}
+      </div>
+    )
+  }
+}
+
+BaseCardTags.displayName = TAGS_NAME
+BaseCardTags.contextType = IdPrefixContext
+
+BaseCardTags.propTypes = {
+  tags: PropTypes.object, // Immutable.List of tags
+}
+
+const names = [HEADER_NAME, ICON_NAME, TITLE_NAME, STATUS_NAME, TAGS_NAME]
 
 /**
  * Single icon-card in the list for a VM
@@ -136,6 +164,7 @@ const BaseCard = ({ children, idPrefix, topLineColor = 'transparent' }) => {
           <div className={style.content}>
             {childs[BaseCardTitle.displayName]}
             {childs[BaseCardStatus.displayName]}
+            {childs[BaseCardTags.displayName]}
           </div>
 
           {childs.others}
@@ -154,5 +183,6 @@ BaseCard.Header = BaseCardHeader
 BaseCard.Title = BaseCardTitle
 BaseCard.Status = BaseCardStatus
 BaseCard.Icon = BaseCardIcon
+BaseCard.Tags = BaseCardTags
 
 export default BaseCard
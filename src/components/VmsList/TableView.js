@@ -19,9 +19,11 @@ import {
   ICON,
   POOL_INFO,
   ACTIONS,
+  SELECTION,
   NAME,
   OS,
   STATUS,
+  OPTIONAL_COLUMNS,
 } from '_/utils'
 
 import {
@@ -36,9 +38,11 @@ const TableView = ({
   locale,
   vmsAndPools,
   sort,
+  selectedColumns,
   setSort,
 }) => {
   const columns = [
+    { id: SELECTION },
     { id: ICON },
     {
       ...SortFields[NAME],
@@ -53,6 +57,9 @@ const TableView = ({
       ...SortFields[OS],
       sort: true,
     },
+    ...OPTIONAL_COLUMNS
+      .filter(id => selectedColumns.includes(id))
+      .map(id => ({ ...SortFields[id], sort: true })),
     { id: ACTIONS },
   ]
 
@@ -94,13 +101,14 @@ const TableView = ({
             </Tr>
           </Thead>
           <Tbody>
-            { vmsAndPools.map(entity => (
+            { vmsAndPools.map((entity, rowIndex) => (
               entity.get('isVm')
                 ? (
                   <TableVm
                     columns={columns}
                     key={entity.get('id')}
                     vm={entity}
+                    rowIndex={rowIndex}
                   />
                 )
                 : (
@@ -126,6 +134,7 @@ TableView.propTypes = {
     id: PropTypes.string.isRequired,
     isAsc: PropTypes.bool,
   }),
+  selectedColumns: PropTypes.arrayOf(PropTypes.string).isRequired,
   setSort: PropTypes.func.isRequired,
 }
 
@@ -3,27 +3,50 @@ import PropTypes from 'prop-types'
 import { connect } from 'react-redux'
 import { withRouter } from 'react-router-dom'
 
-import { startVm } from '_/actions'
+import { setVmSelection, startVm } from '_/actions'
 import { enumMsg, withMsg } from '_/intl'
 import { getOsHumanName, getVmIcon } from '_/components/utils'
 
 import BaseCard from './BaseCard'
 import VmActions from '../VmActions'
 import VmStatusIcon from '../VmStatusIcon'
+import { getMigrationProgress } from '_/vm-status'
 
+import { Checkbox } from '@patternfly/react-core'
 import {
   Td,
   Tr,
 } from '@patternfly/react-table'
 
-import { ICON, NAME, STATUS, POOL_INFO, OS, ACTIONS } from '_/utils'
+import {
+  ICON,
+  NAME,
+  STATUS,
+  POOL_INFO,
+  OS,
+  ACTIONS,
+  SELECTION,
+  HOST,
+  CLUSTER,
+  IP,
+  MEMORY,
+  VCPUS,
+  UPTIME,
+  CPU_USAGE,
+  MEMORY_USAGE,
+  CREATION_TIME,
+  formatUptimeDuration,
+  getVmUptime,
+  getVmUtilization,
+} from '_/utils'
 
 import sharedStyle from '../sharedStyle.css'
 import style from './style.css'
-import { translate } from '_/helpers'
+import { translate, userFormatOfBytes } from '_/helpers'
+import moment from 'moment'
 
 const connectVm = (WrappedComponent) => {
-  const EnhancedComponent = ({ vm, icons, os, vms, msg, ...otherProps }) => {
+  const EnhancedComponent = ({ vm, icons, os, vms, hosts, clusters, msg, ...otherProps }) => {
     const poolId = vm.getIn(['pool', 'id'])
     const isPoolVm = !!poolId
     const status = vm.get('status')
@@ -33,9 +56,13 @@ const connectVm = (WrappedComponent) => {
       icon: getVmIcon(icons, os, vm),
       status,
       statusValue: enumMsg('VmStatus', status, msg),
+      migrationProgress: getMigrationProgress(vm),
       poolId,
       isPoolVm,
       pool: isPoolVm ? vms.getIn(['pools', poolId]) : null,
+      isSelected: vms.get('selectedVms').has(vm.get('id')),
+      hostName: hosts[vm.get('hostId')]?.name,
+      clusterName: clusters.getIn([vm.getIn(['cluster', 'id']), 'name']),
     }
     const forwardedProps = {
       vm,
@@ -54,6 +81,8 @@ const connectVm = (WrappedComponent) => {
     icons: PropTypes.object.isRequired,
     vms: PropTypes.object.isRequired,
     os: PropTypes.object.isRequired,
+    hosts: PropTypes.object.isRequired,
+    clusters: PropTypes.object.isRequired,
     msg: PropTypes.object.isRequired,
   }
   return withRouter(
@@ -62,9 +91,12 @@ const connectVm = (WrappedComponent) => {
         icons: state.icons,
         vms: state.vms,
         os: state.operatingSystems, // deep immutable, {[id: string]: OperatingSystem}
+        hosts: state.hosts,
+        clusters: state.clusters,
       }),
       (dispatch, { vm }) => ({
         onStart: () => dispatch(startVm({ vmId: vm.get('id') })),
+        onSelect: (selected) => dispatch(setVmSelection({ vmIds: [vm.get('id')], selected })),
       })
     )(withMsg(EnhancedComponent)))
 }
@@ -79,12 +111,22 @@ const TableVm = ({
   icon,
   status,
   statusValue,
+  migrationProgress,
   isPoolVm,
   pool,
+  isSelected,
+  hostName,
+  clusterName,
   onStart,
+  onSelect,
   msg,
   columns,
+  rowIndex,
 }) => {
+  const uptime = getVmUptime(vm)
+  const utilization = getVmUtilization(vm)
+  const creationTime = vm.get('creationTime')
+
   // the order of columns is determined by the parent
   const columnDefinition = {
     [ICON]: (
@@ -94,13 +136,16 @@ const TableVm = ({
       />),
     [STATUS]: (
       <BaseCard.Status>
-        <VmStatusIcon id={`${idPrefix}-status-icon`} status={status} />&nbsp;{statusValue}
+        <VmStatusIcon id={`${idPrefix}-status-icon`} status={status} progress={migrationProgress} />&nbsp;{statusValue}
       </BaseCard.Status>),
     [NAME]: (
-      <BaseCard.Title
-        url={`/vm/${vm.get('id')}`}
-        name={vm.get('name')}
-      />),
+      <>
+        <BaseCard.Title
+          url={`/vm/${vm.get('id')}`}
+          name={vm.get('name')}
+        />
+        <BaseCard.Tags tags={vm.get('tags')} />
+      </>),
     [POOL_INFO]: (
       <>
         {isPoolVm && pool && (
@@ -123,17 +168,39 @@ const TableVm = ({
         onStart={onStart}
         idPrefix={idPrefix}
       />),
+    [HOST]: hostName,
+    [CLUSTER]: clusterName,
+    [IP]: vm.get('nics')
+      .flatMap(nic => nic.get('ips').map(ip => ip.get('address')))
+      .join(', '),
+    [MEMORY]: userFormatOfBytes(vm.getIn(['memory', 'total'])).str,
+    [VCPUS]: vm.getIn(['cpu', 'vCPUs']),
+    [UPTIME]: uptime && formatUptimeDuration({ interval: uptime }),
+    [CPU_USAGE]: utilization.cpu !== undefined && `${utilization.cpu}%`,
+    [MEMORY_USAGE]: utilization.memory !== undefined && `${utilization.memory}%`,
+    [CREATION_TIME]: creationTime && moment(creationTime).format('L LT'),
   }
   return (
     <Tr key={vm.get('id')}>
-      {columns.map(({ id, messageDescriptor }) => (
-        <Td
-          key={id}
-          dataLabel={messageDescriptor?.id ? translate({ ...messageDescriptor, msg }) : ''}
-        >
-          {columnDefinition[id] ?? null}
-        </Td>
-      ))}
+      {columns.map(({ id, messageDescriptor }) => id === SELECTION
+        ? (
+          <Td
+            key={id}
+            select={{
+              rowIndex,
+              onSelect: (_event, selected) => onSelect(selected),
+              isSelected,
+            }}
+          />
+        )
+        : (
+          <Td
+            key={id}
+            dataLabel={messageDescriptor?.id ? translate({ ...messageDescriptor, msg }) : ''}
+          >
+            {columnDefinition[id] ?? null}
+          </Td>
+        ))}
     </Tr>
   )
 }
@@ -144,10 +211,16 @@ TableVm.propTypes = {
   osName: PropTypes.string,
   status: PropTypes.string,
   statusValue: PropTypes.string,
+  migrationProgress: PropTypes.number,
   idPrefix: PropTypes.string,
   isPoolVm: PropTypes.bool.isRequired,
+  isSelected: PropTypes.bool.isRequired,
+  hostName: PropTypes.string,
+  clusterName: PropTypes.string,
   onStart: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
   msg: PropTypes.object.isRequired,
+  rowIndex: PropTypes.number,
 
   columns: PropTypes.arrayOf(
     PropTypes.shape({
@@ -157,13 +230,20 @@ TableVm.propTypes = {
     })).isRequired,
 }
 
-const CardVm = ({ vm, idPrefix, osName, icon, status, statusValue, isPoolVm, pool, onStart, msg }) => {
+const CardVm = ({ vm, idPrefix, osName, icon, status, statusValue, migrationProgress, isPoolVm, pool, isSelected, onStart, onSelect, msg }) => {
   return (
     <BaseCard idPrefix={idPrefix}>
       <BaseCard.Header>
         <span className={sharedStyle['operating-system-label']} id={`${idPrefix}-os`}>{osName}</span>
         {isPoolVm && pool && <span className={style['pool-vm-label']} style={{ backgroundColor: pool.get('color') }}>{ pool.get('name') }</span>}
         {!isPoolVm && <span className={style['pool-vm-label']}/>}
+        <Checkbox
+          id={`${idPrefix}-select`}
+          className={style['vm-select-checkbox']}
+          aria-label={msg.bulkSelectVm({ name: vm.get('name') })}
+          isChecked={isSelected}
+          onChange={onSelect}
+        />
       </BaseCard.Header>
       <BaseCard.Icon url={`/vm/${vm.get('id')}`} icon={icon} />
       <BaseCard.Title
@@ -171,8 +251,9 @@ const CardVm = ({ vm, idPrefix, osName, icon, status, statusValue, isPoolVm, poo
         name={vm.get('name')}
       />
       <BaseCard.Status>
-        <VmStatusIcon id={`${idPrefix}-status-icon`} status={status} />&nbsp;{statusValue}
+        <VmStatusIcon id={`${idPrefix}-status-icon`} status={status} progress={migrationProgress} />&nbsp;{statusValue}
       </BaseCard.Status>
+      <BaseCard.Tags tags={vm.get('tags')} />
       <VmActions isOnCard className={style['actions-container']} vm={vm} pool={pool} onStart={onStart} idPrefix={idPrefix} />
     </BaseCard>
   )
@@ -184,9 +265,12 @@ CardVm.propTypes = {
   osName: PropTypes.string,
   status: PropTypes.string,
   statusValue: PropTypes.string,
+  migrationProgress: PropTypes.number,
   idPrefix: PropTypes.string,
   isPoolVm: PropTypes.bool.isRequired,
+  isSelected: PropTypes.bool.isRequired,
   onStart: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
   msg: PropTypes.object.isRequired,
 }
 
@@ -7,10 +7,8 @@ import { withRouter } from 'react-router-dom'
 import style from './style.css'
 import { getByPage } from '_/actions'
 import useInfiniteScroll from '@closeio/use-infinite-scroll'
-import {
-  filterVms,
-  sortFunction,
-} from '_/utils'
+import { filterAndSortVmsAndPools } from '_/utils'
+import { toJS } from '_/helpers'
 
 import {
   EmptyState,
@@ -102,8 +100,11 @@ InfiniteScroller.propTypes = {
 
 const VmsList = ({
   alwaysShowPoolCard,
+  clusters,
+  hosts,
   fetchMoreVmsAndPools,
   tableView,
+  tableColumns,
   vms,
   waitForFirstFetch,
   msg,
@@ -121,25 +122,9 @@ const VmsList = ({
   }
 
   const sort = vms.get('sort').toJS()
-  const filters = vms.get('filters').toJS()
-
-  // Filter the VMs (1. apply the filter bar criteria, 2. only show Pool VMs if the Pool exists)
-  const filteredVms = vms.get('vms')
-    .filter(vm => filterVms(vm, filters))
-    .filter(vm => vm.getIn(['pool', 'id'], false) ? !!vms.getIn(['pools', vm.getIn(['pool', 'id'])], false) : true)
-    .toList()
-    .map(vm => vm.set('isVm', true))
-
-  // Filter the Pools (only show a Pool card if the user can currently 'Take' a VM from it)
-  const filteredPools = vms.get('pools')
-    .filter(pool =>
-      (alwaysShowPoolCard || (pool.get('vmsCount') < pool.get('maxUserVms') && pool.get('size') > 0)) &&
-      filterVms(pool, filters)
-    )
-    .toList()
-
-  // Display the VMs and Pools together, sorted nicely
-  const vmsAndPools = [...filteredVms, ...filteredPools].sort(sortFunction(sort, locale, msg))
+
+  // Display the VMs and Pools together, filtered and sorted nicely
+  const vmsAndPools = filterAndSortVmsAndPools({ vms, clusters, hosts, alwaysShowPoolCard, locale, msg })
 
   return (
     <InfiniteScroller
@@ -147,15 +132,18 @@ const VmsList = ({
       fetchMoreVmsAndPools={fetchMoreVmsAndPools}
       vms={vms}
     >
-      {tableView && <TableView vmsAndPools={vmsAndPools} sort={sort}/>}
+      {tableView && <TableView vmsAndPools={vmsAndPools} sort={sort} selectedColumns={tableColumns}/>}
       {!tableView && <VmCardList vmsAndPools={vmsAndPools}/>}
     </InfiniteScroller>
   )
 }
 VmsList.propTypes = {
   alwaysShowPoolCard: PropTypes.bool,
+  clusters: PropTypes.object.isRequired,
+  hosts: PropTypes.object.isRequired,
   fetchMoreVmsAndPools: PropTypes.func.isRequired,
   tableView: PropTypes.bool.isRequired,
+  tableColumns: PropTypes.arrayOf(PropTypes.string).isRequired,
   vms: PropTypes.object.isRequired,
   waitForFirstFetch: PropTypes.bool.isRequired,
 
@@ -164,10 +152,13 @@ VmsList.propTypes = {
 }
 
 export default withRouter(connect(
-  ({ vms, config, options }) => ({
+  ({ vms, clusters, hosts, config, options }) => ({
     vms,
+    clusters,
+    hosts,
     alwaysShowPoolCard: !config.get('filter'),
     tableView: options.getIn(['remoteOptions', 'viewForVirtualMachines', 'content']) === 'table',
+    tableColumns: toJS(options.getIn(['remoteOptions', 'columnsForVirtualMachines', 'content'], [])),
     waitForFirstFetch: (
       vms.get('vmsPage') === 0 && !!vms.get('vmsExpectMorePages') &&
       vms.get('poolsPage') === 0 && !!vms.get('poolsExpectMorePages')
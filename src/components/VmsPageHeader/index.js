@@ -10,6 +10,7 @@ import { MsgContext } from '_/intl'
 import { Tooltip } from '../tooltips'
 import {
   CogIcon,
+  DesktopIcon,
   SyncAltIcon,
   BellIcon,
 } from '@patternfly/react-icons/dist/esm/icons'
@@ -32,7 +33,7 @@ import AboutDialog from '../About'
 /**
  * Main application header on top of the page
  */
-const VmsPageHeader = ({ appReady, onRefresh, onCloseNotificationDrawer, isDrawerExpanded, unreadNotificationCount, goToSettings }) => {
+const VmsPageHeader = ({ appReady, onRefresh, onCloseNotificationDrawer, isDrawerExpanded, unreadNotificationCount, goToSettings, goToConsoleWall }) => {
   const { msg } = useContext(MsgContext)
   const idPrefix = 'pageheader'
   const [isKebabDropdownOpen, setKebabDropdownOpen] = useState(false)
@@ -69,6 +70,16 @@ const VmsPageHeader = ({ appReady, onRefresh, onCloseNotificationDrawer, isDrawe
               </ToolbarItem>
             )}
 
+            {appReady && (
+              <ToolbarItem>
+                <Tooltip id={`${idPrefix}-tooltip`} tooltip={msg.consoleWall()} placement='bottom'>
+                  <Button aria-label={msg.consoleWall()} variant={ButtonVariant.plain} onClick={goToConsoleWall} id={`${idPrefix}-console-wall`}>
+                    <DesktopIcon />
+                  </Button>
+                </Tooltip>
+              </ToolbarItem>
+            )}
+
             {appReady && (
               <ToolbarItem>
                 <Tooltip id={`${idPrefix}-tooltip`} tooltip={msg.accountSettings()} placement='bottom'>
@@ -100,6 +111,11 @@ const VmsPageHeader = ({ appReady, onRefresh, onCloseNotificationDrawer, isDrawe
                     <SyncAltIcon /> {msg.refresh()}
                   </DropdownItem>
                 ),
+                appReady && (
+                  <DropdownItem key="console-wall" onClick={goToConsoleWall}>
+                    <DesktopIcon /> {msg.consoleWall()}
+                  </DropdownItem>
+                ),
                 appReady && (
                   <DropdownItem key="settings" onClick={goToSettings}>
                     <CogIcon /> {msg.accountSettings()}
@@ -127,6 +143,7 @@ VmsPageHeader.propTypes = {
   unreadNotificationCount: PropTypes.number.isRequired,
 
   goToSettings: PropTypes.func.isRequired,
+  goToConsoleWall: PropTypes.func.isRequired,
   onRefresh: PropTypes.func.isRequired,
   onCloseNotificationDrawer: PropTypes.func.isRequired,
 }
@@ -140,5 +157,6 @@ export default connect(
   (dispatch) => ({
     onRefresh: () => dispatch(manualRefresh()),
     goToSettings: () => dispatch(push('/settings')),
+    goToConsoleWall: () => dispatch(push('/consoles')),
   })
 )(VmsPageHeader)
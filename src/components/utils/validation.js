@@ -115,3 +115,29 @@ export function isNicNameUnique (nicList: Object, nicEditing: Object): boolean {
 
   return nameUnique
 }
+
+const IPV4_OCTET = '(25[0-5]|2[0-4][0-9]|1[0-9]{2}|[1-9]?[0-9])'
+const IPV4_REGEX = new RegExp(`^${IPV4_OCTET}(\\.${IPV4_OCTET}){3}$`)
+
+/**
+ * check if the address is an IPv4 address in the dotted decimal notation
+ */
+export function isIpv4AddressValid (addressCandidate: string): boolean {
+  return IPV4_REGEX.test(addressCandidate)
+}
+
+/**
+ * check if a cloud-init network configuration has a NIC name and, for a static boot
+ * protocol, a valid address, netmask and an optional valid gateway
+ */
+export function isCloudInitNetworkValid (network: Object): boolean {
+  if (!network.name || !charactersRegExpTest(network.name)) {
+    return false
+  }
+  if (network.bootProtocol !== 'static') {
+    return true
+  }
+  return isIpv4AddressValid(network.address) &&
+    isIpv4AddressValid(network.netmask) &&
+    (!network.gateway || isIpv4AddressValid(network.gateway))
+}
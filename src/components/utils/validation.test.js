@@ -5,6 +5,8 @@ import {
   isNicNameValid,
   isNicNameUnique,
   isDiskNameValid,
+  isIpv4AddressValid,
+  isCloudInitNetworkValid,
 } from './validation'
 
 describe('check host names', function () {
@@ -109,3 +111,30 @@ describe('check NIC name uniqueness', function () {
     expect(isNicNameUnique(nicList, { id: '5', name: 'nic5' })).toEqual(true)
   })
 })
+describe('check IPv4 addresses', function () {
+  it('valid addresses', function () {
+    expect(isIpv4AddressValid('0.0.0.0')).toEqual(true)
+    expect(isIpv4AddressValid('192.168.1.10')).toEqual(true)
+    expect(isIpv4AddressValid('255.255.255.0')).toEqual(true)
+  })
+  it('invalid addresses', function () {
+    expect(isIpv4AddressValid('')).toEqual(false)
+    expect(isIpv4AddressValid('192.168.1')).toEqual(false)
+    expect(isIpv4AddressValid('192.168.1.256')).toEqual(false)
+    expect(isIpv4AddressValid('192.168.01.1')).toEqual(false)
+    expect(isIpv4AddressValid('192.168.1.1/24')).toEqual(false)
+  })
+})
+describe('check cloud-init network configurations', function () {
+  it('valid networks', function () {
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'dhcp' })).toEqual(true)
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'static', address: '10.0.0.5', netmask: '255.0.0.0', gateway: '' })).toEqual(true)
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'static', address: '10.0.0.5', netmask: '255.0.0.0', gateway: '10.0.0.1' })).toEqual(true)
+  })
+  it('invalid networks', function () {
+    expect(isCloudInitNetworkValid({ name: '', bootProtocol: 'dhcp' })).toEqual(false)
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'static', address: '', netmask: '255.0.0.0' })).toEqual(false)
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'static', address: '10.0.0.5', netmask: '24' })).toEqual(false)
+    expect(isCloudInitNetworkValid({ name: 'eth0', bootProtocol: 'static', address: '10.0.0.5', netmask: '255.0.0.0', gateway: '10.0.0' })).toEqual(false)
+  })
+})
@@ -12,7 +12,15 @@ const AppConfiguration = {
   applicationURL: '/', // url where this app is available (dev server path or webapp context root)
   applicationLogoutURL: '', // url to invalidate the user's SSO token ('' skips SSO token invalidation)
   pageLimit: 20,
+  bulkActionConcurrency: 5,
+  httpTimeoutInSeconds: 60, // 0 to wait for a response forever
+  httpRetryCount: 3,
+  httpRetryDelayInMs: 1000, // doubled on each retry
+  reconnectMaxDelayInSeconds: 60,
   schedulerFixedDelayInSeconds: 60,
+  eventRefreshIntervalInSeconds: 15, // list page incremental refresh from the event feed, 0 to disable
+  eventRefreshMaxEvents: 100,
+  migrationTrackingTimeoutInMinutes: 60, // how long a live migration's progress is followed
   notificationSnoozeDurationInMinutes: 10,
   showNotificationsDefault: true,
   persistLocale: true,
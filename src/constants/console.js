@@ -14,6 +14,7 @@ export const RECONNECTED_CONSOLE: 'RECONNECTED_CONSOLE' = 'RECONNECTED_CONSOLE'
 export const OPEN_CONSOLE = 'OPEN_CONSOLE'
 export const ADD_CONSOLE_ERROR = 'ADD_CONSOLE_ERROR'
 export const DISMISS_CONSOLE_ERROR = 'DISMISS_CONSOLE_ERROR'
+export const SET_CONSOLE_WALL_VMS = 'SET_CONSOLE_WALL_VMS'
 
 export const CONSOLE_IN_USE: 'IN_USE' = 'IN_USE'
 export const CONSOLE_LOGON: 'LOGON' = 'LOGON'
@@ -30,3 +31,4 @@ export const NATIVE: 'Native' = 'Native'
 // UI console types (for spice and rdp protocol name is used directly)
 export const BROWSER_VNC: 'BrowserVnc' = 'BrowserVnc'
 export const NATIVE_VNC: 'NativeVnc' = 'NativeVnc'
+export const BROWSER_SPICE: 'BrowserSpice' = 'BrowserSpice'
@@ -7,17 +7,26 @@ export const ADD_ACTIVE_REQUEST = 'ADD_ACTIVE_REQUEST'
 export const ADD_DISK_REMOVAL_PENDING_TASK = 'ADD_DISK_REMOVAL_PENDING_TASK'
 export const ADD_NETWORKS_TO_VNIC_PROFILES = 'ADD_NETWORKS_TO_VNIC_PROFILES'
 export const ADD_SNAPSHOT_ADD_PENDING_TASK = 'ADD_SNAPSHOT_ADD_PENDING_TASK'
+export const ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK = 'ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK'
+export const ADD_SNAPSHOT_PREVIEW_PENDING_TASK = 'ADD_SNAPSHOT_PREVIEW_PENDING_TASK'
+export const ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK = 'ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK'
 export const ADD_SNAPSHOT_REMOVAL_PENDING_TASK = 'ADD_SNAPSHOT_REMOVAL_PENDING_TASK'
 export const ADD_SNAPSHOT_RESTORE_PENDING_TASK = 'ADD_SNAPSHOT_RESTORE_PENDING_TASK'
+export const ADD_VM_METRICS_SAMPLE = 'ADD_VM_METRICS_SAMPLE'
 export const ADD_VM_NIC = 'ADD_VM_NIC'
 export const ADD_USER_MESSAGE = 'ADD_USER_MESSAGE'
+export const APPLY_VM_LIST_VIEW = 'APPLY_VM_LIST_VIEW'
 export const APP_CONFIGURED = 'APP_CONFIGURED'
+export const ATTACH_VM_TAG = 'ATTACH_VM_TAG'
 export const AUTO_ACKNOWLEDGE = 'AUTO_ACKNOWLEDGE'
+export const BULK_VM_ACTION = 'BULK_VM_ACTION'
 export const CHANGE_PAGE = 'CHANGE_PAGE'
 export const CHANGE_VM_CDROM = 'CHANGE_VM_CDROM'
 export const CHECK_CONSOLE_IN_USE = 'CHECK_CONSOLE_IN_USE'
 export const CHECK_TOKEN_EXPIRED = 'CHECK_TOKEN_EXPIRED'
 export const CLEAR_USER_MSGS = 'CLEAR_USER_MSGS'
+export const CLEAR_VM_SELECTION = 'CLEAR_VM_SELECTION'
+export const CLONE_VM = 'CLONE_VM'
 export const COMPOSE_CREATE_VM = 'COMPOSE_CREATE_VM'
 export const CREATE_DISK_FOR_VM = 'CREATE_DISK_FOR_VM'
 export const CREATE_VM = 'CREATE_VM'
@@ -26,6 +35,7 @@ export const DEFAULT_ARCH = '_'
 export const DELAYED_REMOVE_ACTIVE_REQUEST = 'DELAYED_REMOVE_ACTIVE_REQUEST'
 export const DELETE_USER_OPTION = 'DELETE_USER_OPTION'
 export const DELETE_VM_NIC = 'DELETE_VM_NIC'
+export const DETACH_VM_TAG = 'DETACH_VM_TAG'
 export const DISMISS_USER_MSG = 'DISMISS_USER_MSG'
 export const DISMISS_EVENT = 'DISMISS_EVENT'
 export const DONT_DISTURB = 'DONT_DISTURB'
@@ -33,6 +43,7 @@ export const EDIT_VM = 'EDIT_VM'
 export const EDIT_VM_DISK = 'EDIT_VM_DISK'
 export const EDIT_VM_NIC = 'EDIT_VM_NIC'
 export const EXPORT_LOCALE = 'EXPORT_LOCALE'
+export const EXPORT_VMS = 'EXPORT_VMS'
 export const FAILED_EXTERNAL_ACTION = 'FAILED_EXTERNAL_ACTION'
 export const FETCH_OPTIONS = 'FETCH_OPTIONS'
 export const GET_ALL_EVENTS = 'GET_ALL_EVENTS'
@@ -53,6 +64,7 @@ export const LOGOUT = 'LOGOUT'
 export const MANUAL_REFRESH = 'MANUAL_REFRESH'
 export const MAX_VM_MEMORY_FACTOR = 4 // see Edit VM flow; magic constant to stay aligned with Web Admin
 export const MAX_VM_VCPU_EDIT = 4096
+export const MIGRATE_VM = 'MIGRATE_VM'
 export const OPEN_CONSOLE_VM = 'OPEN_CONSOLE_VM'
 export const PERSIST_OPTION = 'PERSIST_OPTION'
 export const POOL_ACTION_IN_PROGRESS = 'POOL_ACTION_IN_PROGRESS'
@@ -61,6 +73,9 @@ export const REMOVE_ACTIVE_REQUEST = 'REMOVE_ACTIVE_REQUEST'
 export const REMOVE_DISK = 'REMOVE_DISK'
 export const REMOVE_DISK_REMOVAL_PENDING_TASK = 'REMOVE_DISK_REMOVAL_PENDING_TASK'
 export const REMOVE_SNAPSHOT_ADD_PENDING_TASK = 'REMOVE_SNAPSHOT_ADD_PENDING_TASK'
+export const REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK = 'REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK'
+export const REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK = 'REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK'
+export const REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK = 'REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK'
 export const REMOVE_SNAPSHOT_REMOVAL_PENDING_TASK = 'REMOVE_SNAPSHOT_REMOVAL_PENDING_TASK'
 export const REMOVE_SNAPSHOT_RESTORE_PENDING_TASK = 'REMOVE_SNAPSHOT_RESTORE_PENDING_TASK'
 export const REMOVE_VM = 'REMOVE_VM'
@@ -84,6 +99,8 @@ export const SET_DATA_CENTERS = 'SET_DATA_CENTERS'
 export const SET_DEFAULT_TIMEZONE = 'SET_DEFAULT_TIMEZONE'
 export const SET_FILTERS = 'SET_FILTERS'
 export const SET_HOSTS = 'SET_HOSTS'
+export const SET_LAST_EVENT_INDEX = 'SET_LAST_EVENT_INDEX'
+export const SET_OFFLINE = 'SET_OFFLINE'
 export const SET_OPERATING_SYSTEMS = 'SET_OPERATING_SYSTEMS'
 export const SET_OPTION = 'SET_OPTION'
 export const SET_OVIRT_API_VERSION = 'SET_OVIRT_API_VERSION'
@@ -91,6 +108,7 @@ export const SET_ROLES = 'SET_ROLES'
 export const SET_SSH_KEY = 'SET_SSH_KEY'
 export const SET_STORAGE_DOMAIN_FILES = 'SET_STORAGE_DOMAIN_FILES'
 export const SET_STORAGE_DOMAINS = 'SET_STORAGE_DOMAINS'
+export const SET_TAGS = 'SET_TAGS'
 export const SET_TEMPLATES = 'SET_TEMPLATES'
 export const SET_USB_AUTOSHARE = 'SET_USB_AUTOSHARE'
 export const SET_USB_FILTER = 'SET_USB_FILTER'
@@ -102,9 +120,12 @@ export const SET_SERVER_MESSAGES = 'SET_SERVER_MESSAGES'
 export const SET_USERMSG_NOTIFIED = 'SET_USERMSG_NOTIFIED'
 export const SET_VM_ACTION_RESULT = 'SET_VM_ACTION_RESULT'
 export const SET_VM_DISKS = 'SET_VM_DISKS'
+export const SET_VM_METRICS = 'SET_VM_METRICS'
 export const SET_VM_NICS = 'SET_VM_NICS'
+export const SET_VM_SELECTION = 'SET_VM_SELECTION'
 export const SET_VM_SESSIONS = 'SET_VM_SESSIONS'
 export const SET_VM_SORT = 'SET_VM_SORT'
+export const SET_VM_TAGS = 'SET_VM_TAGS'
 export const SET_VNIC_PROFILES = 'SET_VNIC_PROFILES'
 export const SET_VM_SNAPSHOTS = 'SET_VM_SNAPSHOTS'
 export const SET_WEBSOCKET = 'SET_WEBSOCKET'
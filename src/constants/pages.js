@@ -1,4 +1,5 @@
 export const CONSOLE_PAGE_TYPE = 'consolePage'
+export const CONSOLE_WALL_PAGE_TYPE = 'consoleWallPage'
 export const CREATE_PAGE_TYPE = 'createPage'
 export const DETAIL_PAGE_TYPE = 'detailPage'
 export const LIST_PAGE_TYPE = 'listPage'
@@ -86,6 +86,11 @@ export function hidePassword ({ action, param }) {
         action.payload.action.payload.credentials && action.payload.action.payload.credentials.password) {
         hidden.payload.action.payload.credentials.password = '*****'
       }
+
+      // the run once cloud-init root password or sysprep admin password
+      if (action.payload.runOnce && action.payload.runOnce.cloudInit && action.payload.runOnce.cloudInit.password) {
+        hidden.payload.runOnce.cloudInit.password = '*****'
+      }
     }
     return hidden
   }
@@ -177,6 +182,27 @@ export function fileDownload ({ data, fileName = 'myFile.dat', mimeType = 'appli
   }
 }
 
+/**
+ * Download given binary content as a file in the browser
+ *
+ * @param blob Content of the file
+ * @param fileName
+ */
+export function blobDownload ({ blob, fileName = 'myFile.dat' }) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.style = 'display: none'
+  a.setAttribute('download', fileName)
+
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+
+  // release the blob after the download had a chance to start
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
 export function generateUnique (prefix) {
   prefix = prefix || ''
   return prefix + 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
@@ -1,5 +1,5 @@
 /* eslint-env jest */
-import { userFormatOfBytes } from '_/helpers'
+import { hidePassword, userFormatOfBytes } from '_/helpers'
 
 describe('test userFormatOfBytes', function () {
   it('B to KiB', function () {
@@ -26,3 +26,12 @@ describe('test userFormatOfBytes', function () {
       .toMatchObject({ str: '1.5 GiB', rounded: '1.5', suffix: 'GiB' })
   })
 })
+
+describe('test hidePassword', function () {
+  it('run once cloud-init password', function () {
+    const action = { type: 'START_VM', payload: { vmId: 'vm1', runOnce: { cloudInit: { hostName: 'web', password: 'secret' } } } }
+    expect(hidePassword({ action }).payload.runOnce.cloudInit)
+      .toEqual({ hostName: 'web', password: '*****' })
+    expect(action.payload.runOnce.cloudInit.password).toEqual('secret')
+  })
+})
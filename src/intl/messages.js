@@ -30,6 +30,8 @@ export const messages: { [messageId: string]: MessageType } = {
   actionFeedbackSuspendVm: 'Request to suspend VM - {VmName} has been received.',
   actionFeedbackStartVm: 'Request to run VM - {VmName} has been received.',
   actionFeedbackAllocateVm: 'Request to allocate VM from a new pool {poolname} has been received.',
+  actionFeedbackCloneVm: 'Request to clone VM - {VmName} to {newName} has been received.',
+  actionFeedbackMigrateVm: 'Request to migrate VM - {VmName} has been received.',
   activeFilters: 'Active Filters:',
   actualStateVmIsIn: 'The actual state the virtual machine is in.',
   addNewNic: 'Add new NIC',
@@ -55,6 +57,7 @@ export const messages: { [messageId: string]: MessageType } = {
   areYouSureYouWantToDeleteSnapshot: 'Are you sure you want to delete snapshot {snapshotName}?',
   areYouSureYouWantToRestoreSnapshot: 'Are you sure you want to restore snapshot {snapshotName}?',
   ascending: 'Ascending',
+  attachTag: 'Attach a tag',
   authorizationExpired: 'Authorization expired. The page is going to be reloaded to re-login.',
   automaticPoolsNotEditable: 'The pool type of {poolName} is automatic so the details of this virtual machine are not editable.',
   availableVmsFromPool: 'Available VMs',
@@ -64,6 +67,19 @@ export const messages: { [messageId: string]: MessageType } = {
   bootMenuWarning: 'All changes will take effect after reboot only.',
   bootOrder: 'Boot Order',
   bootSequence: 'Boot Sequence',
+  bulkActions: 'Actions',
+  bulkRebootVmsQuestion: 'Are you sure you want to reboot {count} selected virtual machines?',
+  bulkRemoveVmsQuestion: 'Are you sure you want to permanently delete {count} selected virtual machines?',
+  bulkSelectAllVms: 'Select all virtual machines',
+  bulkSelectedVms: '{count} selected',
+  bulkSelectNoVms: 'Select none',
+  bulkSelectVm: 'Select {name}',
+  bulkShutdownVmsQuestion: 'Are you sure you want to shut down {count} selected virtual machines?',
+  bulkSuspendVmsQuestion: 'Are you sure you want to suspend {count} selected virtual machines?',
+  bulkVmActionSummary: {
+    message: '{action}: succeeded for {succeeded} of {total} virtual machines.',
+    description: 'Summary of an action run on multiple selected virtual machines. The per-VM results are listed below it.',
+  },
   cancel: 'Cancel',
   cannotUpdateCloudInitHostname: 'Host name cannot be synchronized with VM name because the VM name is not a valid host name.',
   cantLogonToConsole: 'Single sign on failed. Please check to see if the guest agent is running on your virtual machine. Error message: {message}',
@@ -84,19 +100,45 @@ export const messages: { [messageId: string]: MessageType } = {
   clearMessages: 'Clear Messages',
   clearAutoconnectVmNotAvailable: 'VM chosen for automatic console connection is no longer available. The setting will be cleared.',
   clickForHelp: 'Click for help',
+  clone: 'Clone',
+  cloneVm: 'Clone Virtual Machine',
+  cloneVmSuggestedName: '{name}_clone',
   close: 'Close',
   cloudInit: {
     message: 'Cloud-Init',
     description: 'Name of technology allowing to initialize operating system installation. Most likely not translatable.',
   },
+  cloudInitAddNetwork: 'Add Network',
+  cloudInitBootProtocol: 'Boot Protocol',
+  cloudInitBootProtocolDhcp: 'DHCP',
+  cloudInitBootProtocolStatic: 'Static',
+  cloudInitCustomScript: 'Custom Script (YAML)',
+  cloudInitDnsSearch: 'DNS Search Domains',
+  cloudInitDnsServers: 'DNS Servers',
+  cloudInitDnsSeparatorHelp: 'Separate multiple entries with spaces.',
   cloudInitEnable: {
     message: 'Enable Cloud-init/Sysprep',
     description: 'Create VM form, label on checkbox to enable cloud-init/sys-prep fields',
   },
+  cloudInitGateway: 'Gateway',
+  cloudInitNetmask: 'Netmask',
+  cloudInitNetworkName: {
+    message: 'NIC Name',
+    description: 'Name of the network interface inside the guest operating system, e.g. eth0',
+  },
+  cloudInitNetworks: 'Network Interfaces',
+  cloudInitNoNetworks: 'No network interfaces are configured, the guest operating system default is used.',
   cloudInitOptions: 'Cloud-init Options',
+  cloudInitPassword: 'Password',
+  cloudInitPasswordHelp: 'Password of the user, or of root if no user name is set.',
+  cloudInitTimezoneNotConfigured: '-- Not configured --',
   cloudInitTooltip: 'Set up early initialization of Linux virtual machine using cloud-init.',
+  cloudInitUserName: 'User Name',
+  cloudInitUserNameHelp: 'The user is created if it does not exist yet.',
   cluster: 'Cluster',
   clusterCanOnlyChangeWhenVmStopped: 'Cluster can only be changed when the VM is stopped.',
+  commitSnapshotPreview: 'Commit',
+  committedSnapshotPreview: 'Committed the snapshot preview of VM {vmName}.',
   confirmDelete: 'Confirm Delete',
   connect: {
     message: 'Connect',
@@ -110,10 +152,44 @@ export const messages: { [messageId: string]: MessageType } = {
   connectAutomaticallyTooltip: 'When you open VM Portal and if the selected VM has an available console, automatically connect to the VM\'s console. If possible the console is chosen according to user preferences.',
   connectionFailConsoleInfo: 'Disconnected with errors. Please check the browser logs for details. Press the \'Connect\' button to reconnect the console.',
   console: 'Console',
+  consoleAutoReconnect: 'Auto reconnect',
+  consoleClipboard: 'Clipboard',
+  consoleClipboardCopyRemote: 'Copy to local clipboard',
+  consoleClipboardPaste: 'Paste to guest',
+  consoleClipboardReadHost: 'Use local clipboard',
+  consoleClipboardRemote: 'Guest clipboard',
+  consoleClipboardRemoteEmpty: 'Nothing has been copied in the guest yet.',
+  consoleClipboardText: 'Text',
+  consoleClipboardType: {
+    message: 'Type text',
+    description: 'Button to type the text key by key in the console, for guests without clipboard integration',
+  },
   consoleDefaultNotAvailable: 'The default console type {defaultConsole} is not available for {vmName}. All available console types are available on the VM Details page.',
   consoleInstructions: 'Console Instructions',
   consoleInUseContinue: 'Console in use, continue?',
   consoleNotAvailableHeadless: 'No console is available for {vmName}. It is a headless VM.',
+  consoleReconnectCancel: 'Cancel Reconnect',
+  consoleReconnectCountdown: {
+    message: 'Reconnecting in {seconds} s',
+    description: 'Countdown to the automatic reconnect of a disconnected console',
+  },
+  consoleRecording: {
+    message: 'Recording {elapsed}',
+    description: 'Indicator of a console session being recorded, {elapsed} is the recording length as mm:ss',
+  },
+  consoleStartRecording: 'Record',
+  consoleStopRecording: 'Stop Recording',
+  consoleWall: 'Console Wall',
+  consoleWallAdd: 'Add Console',
+  consoleWallEmpty: 'Select a running virtual machine to add its VNC console to the wall.',
+  consoleWallGrid: 'Tile View',
+  consoleWallLayout: 'Console wall layout',
+  consoleWallNoWebsocket: 'The browser VNC console is not configured on the engine.',
+  consoleWallNotConnected: 'The console is not connected.',
+  consoleWallReconnect: 'Reconnect',
+  consoleWallRemove: 'Remove from the wall',
+  consoleWallSelectVm: 'Select a virtual machine',
+  consoleWallTabs: 'Tab View',
   containsConfigurationAndDisksWhichWillBeUsedToCreateThisVm: 'Contains the configuration and disks which will be used to create this virtual machine. Please customize as needed.',
   continueSessionSecondary: {
     message: 'To continue with your session, click on the \'Continue\' button.',
@@ -131,9 +207,12 @@ export const messages: { [messageId: string]: MessageType } = {
   create: 'Create',
   createANewVm: 'Create A New Virtual Machine',
   created: 'Created',
+  createdFrom: 'Created From',
+  createdTo: 'Created To',
   createNewDisk: 'Create New Disk',
   createSnapshot: 'Create Snapshot',
   createVm: 'Create VM',
+  createVmFromSnapshot: 'Create Virtual Machine from Snapshot',
   createVmNetEditActions: 'NIC Actions',
   createVmNetEmptyInfo: 'No NICs have been defined for this VM.',
   createVmNetEmptyTitle: 'No NICs Defined',
@@ -178,6 +257,7 @@ export const messages: { [messageId: string]: MessageType } = {
   createVmWizardSelectProvisionSource: 'Select Provision Source',
   createVmWizardSelectTemplate: 'Select Template',
   createVmWizardSourceISO: 'ISO',
+  createVmWizardSourceSnapshot: 'Snapshot',
   createVmWizardSourceTemplate: 'Template',
   createVmWizardStepTitleBasic: 'Basic Settings',
   createVmWizardStepTitleNetwork: 'Networking',
@@ -199,6 +279,7 @@ export const messages: { [messageId: string]: MessageType } = {
   delete: 'Delete',
   descending: 'Descending',
   description: 'Description',
+  detachTag: 'Detach the tag {name}',
   details: 'Details',
   disableTpmDevice: 'Disable TPM device?',
   diskNameValidationRules: "Disk name can contain only alphanumeric, '.', '_' or '-' characters.",
@@ -263,6 +344,8 @@ export const messages: { [messageId: string]: MessageType } = {
   email: 'Email',
   empty: 'Empty',
   emptySnapshotDescription: 'Snapshot description is missing.',
+  engineOfflineReconnecting: 'Reconnecting. Automatic refresh is paused until the connection is restored.',
+  engineOfflineTitle: 'Connection to the engine has been lost',
   enterVmDescription: 'Enter VM Description (optional)',
   enterVmName: 'Enter VM Name',
   enum_DiskInterface_ide: { message: 'IDE', description: 'IDE controller VM disk attachment interface' },
@@ -358,6 +441,9 @@ export const messages: { [messageId: string]: MessageType } = {
   everyMinute: 'Every minute',
   every2Minute: 'Every 2 minutes',
   every5Minute: 'Every 5 minutes',
+  exportVms: 'Export',
+  exportVmsCsv: 'Export as CSV',
+  exportVmsJson: 'Export as JSON',
   failedToChangeVmIcon: 'Failed to change VM icon',
   failedToChangeVmIconToDefault: 'Failed to change VM icon to default',
   failedToGetVmConsole: 'Failed to get the VM console',
@@ -397,6 +483,12 @@ export const messages: { [messageId: string]: MessageType } = {
   globalSettingsTooltip: 'The settings featured here will be applied globally across all VMs.',
   goBack: 'Go Back',
   groupOfHostsVmCanBeRunningOn: 'Group of hosts the virtual machine can be running on.',
+  guestInfo: 'Guest Information',
+  guestInfoApplications: 'Applications',
+  guestInfoArchitecture: 'Architecture',
+  guestInfoDevices: 'Reported Devices',
+  guestInfoKernel: 'Kernel',
+  guestInfoUsers: 'Logged-in Users',
   hdBoot: 'Hard Disk',
   host: { message: 'Host', description: 'Label for host where the VM is running' },
   hostConsole: {
@@ -421,6 +513,9 @@ export const messages: { [messageId: string]: MessageType } = {
   ipAddress: { message: 'IP Address', description: 'Label for IP addresses reported by VM guest agent' },
   isPersistMemorySnapshot: 'Content of the memory of the virtual machine is included in the snapshot.',
   itemDoesntExistOrDontHavePermissions: 'The item doesn\'t exist or you do not have the permissions to view it.',
+  keyShortcuts: 'Key Shortcuts',
+  keyShortcutsInvalid: 'These shortcuts are not valid and are not offered in the console: {shortcuts}',
+  keyShortcutsTooltip: 'Key combinations to send to the console, one per line. Join the keys with "+", i.e. Ctrl+Alt+F2. Use the key names Ctrl, Alt, AltGr, Shift, Win, SysRq, Print, Tab, Enter, Esc, Backspace, Delete, Insert, Home, End, PageUp, PageDown, Up, Down, Left, Right, Space, Menu and F1 to F12, or single characters.',
   language: 'Language',
   less: {
     message: 'less',
@@ -450,6 +545,11 @@ export const messages: { [messageId: string]: MessageType } = {
   memory: 'Memory',
   memoryIncluded: '(State included)',
   messages: 'Messages',
+  migrate: 'Migrate',
+  migrateVm: 'Migrate Virtual Machine',
+  migrateVmAutomaticHost: 'Automatically choose a host',
+  migrateVmDestinationHost: 'Destination host',
+  migrateVmNoHosts: 'There is no other host in the cluster of the VM. The engine will pick the destination host.',
   more: {
     message: 'more',
     description: 'more/less pair used to control collapsible long listing',
@@ -551,13 +651,16 @@ export const messages: { [messageId: string]: MessageType } = {
   },
   persistLanguage: 'Persist language',
   persistLanguageTooltip: 'If enabled your language settings will be saved on the server',
+  pleaseEnterValidCloudInitNetwork: 'Please enter a NIC name and, for a static boot protocol, a valid IPv4 address, netmask and gateway.',
   pleaseEnterValidHostName: "Please enter a valid host name. Only lower-case and upper-case letters, numbers, and '_','-','.' are allowed.",
   pleaseEnterValidVmName: "Please enter a valid virtual machine name. Only lower-case and upper-case letters, numbers, and '_','-','.' are allowed.",
+  pool: 'Pool',
   poolStatus: '{allocatedVms} / {totalVms}',
   preferredConsole: 'Preferred Console',
   preferredConsoleTooltip: 'The chosen console type will be the first console displayed on a VM card',
   preserveDisks: 'Preserve disks',
   pressF11ExitFullScreen: 'Press F11 to exit full screen mode',
+  previewingSnapshot: 'VM {vmName} is now previewing snapshot {snapshotName}.',
   provisionSource: {
     message: 'Provision Source',
     description: 'label on Create New VM',
@@ -614,6 +717,16 @@ export const messages: { [messageId: string]: MessageType } = {
     description: 'Number of currently fetched VMs (including pools) that satisfy current filters',
   },
   run: 'Run',
+  runOnce: 'Run Once',
+  runOnceAttachCd: 'Attach CD',
+  runOnceConsoleProtocol: 'Console Protocol',
+  runOnceConsoleProtocolDefault: 'As configured',
+  runOnceConsoleProtocolSpice: 'SPICE',
+  runOnceConsoleProtocolVnc: 'VNC',
+  runOnceInfo: 'The settings apply to this run only, the virtual machine configuration is not changed.',
+  runOnceStartPaused: 'Start in paused mode',
+  runOnceUseCloudInit: 'Use Cloud-init',
+  runOnceUseSysprep: 'Use Sysprep',
   save: 'Save',
   saveChanges: 'Save Changes',
   saveMemory: 'Save Memory',
@@ -649,7 +762,12 @@ export const messages: { [messageId: string]: MessageType } = {
   smartcardEnabled: 'Smartcard enabled:',
   smartcardTooltip: 'Smartcard is a physical card that can be used to authenticate to VMs connected to a SPICE console.',
   snapshot: 'Snapshots',
+  snapshotPreview: 'Preview Snapshot',
+  snapshotPreviewInfo: 'The VM runs with the disks and configuration of the snapshot. Commit the preview to keep it, or undo the preview to return to the state before the preview. The VM has to be shut down to commit or undo the preview.',
+  snapshotPreviewTitle: 'Previewing snapshot {snapshotName}',
   snapshotRestore: 'Restore Snapshot',
+  snapshotCreateVm: 'Create VM from Snapshot',
+  snapshotDefined: 'Snapshot Defined',
   snapshotDelete: 'Delete Snapshot',
   snapshotInfo: 'All attached disks will be included in the snapshot. Content of memory can be included only if VM is running.',
   snapshotsTooltip: 'VM snapshots.',
@@ -659,6 +777,8 @@ export const messages: { [messageId: string]: MessageType } = {
   sshKey: 'SSH Key',
   sshKeyTooltip: 'This public key provides access to the guest serial console via SSH authentication.',
   spiceConsole: 'SPICE Console',
+  spiceConsoleBrowser: 'SPICE Console (Browser)',
+  spiceConsoleInitializationFailed: 'Failed to initialize SPICE in the browser. Reason: {reason}',
   startVmOnCreation: 'Start virtual machine on creation',
   state: 'State',
   status: 'Status',
@@ -686,6 +806,7 @@ export const messages: { [messageId: string]: MessageType } = {
   sysPrepTimezoneConfigure: 'Configure Timezone',
   sysPrepOptions: 'SysPrep Options',
   tableView: 'Table View',
+  tag: 'Tag',
   takeVm: 'Take a Virtual Machine',
   template: 'Template',
   templateDefined: 'Template Defined',
@@ -708,6 +829,8 @@ export const messages: { [messageId: string]: MessageType } = {
   troubleWithFindingPage: 'We\'re having trouble finding that page.',
   typeOfWorkloadVmConfigurationIsOptimizedFor: 'Type of workload the virtual machine configuration is optimized for.',
   uiRefresh: 'UI refresh',
+  undidSnapshotPreview: 'Undid the snapshot preview of VM {vmName}.',
+  undoSnapshotPreview: 'Undo',
   uniqueNameOfTheVirtualMachine: 'Unique name of the virtual machine.',
   unknown: {
     message: 'unknown',
@@ -741,6 +864,10 @@ export const messages: { [messageId: string]: MessageType } = {
     message: '{used} of {total} {storageUnits} Used',
     description: 'Used amount of a single file system on a VM (HTML may be embedded to emphasize the amounts',
   },
+  utilizationCardHistoryWindow: 'History window',
+  utilizationCardHistoryWindow15m: '15 min',
+  utilizationCardHistoryWindow1h: '1 hour',
+  utilizationCardHistoryWindow6h: '6 hours',
   utilizationCardOf: {
     message: 'of {number} {storageUnits}',
     description: 'example: "of 3.2 GiB"',
@@ -789,10 +916,25 @@ export const messages: { [messageId: string]: MessageType } = {
   viewAllVirtualMachines: 'View All Virtual Machines',
   virtualMachines: 'Virtual Machines',
   virtualSockets: 'Virtual Sockets',
+  vmFilterTypePlaceholderCluster: 'Filter by Cluster',
+  vmFilterTypePlaceholderDataCenter: 'Filter by Data Center',
+  vmFilterTypePlaceholderHost: 'Filter by Host',
+  vmFilterTypePlaceholderIp: 'Filter by IP Address',
   vmFilterTypePlaceholderName: 'Filter by Name',
   vmFilterTypePlaceholderOS: 'Filter by Operating System',
+  vmFilterTypePlaceholderPool: 'Filter by Pool',
   vmFilterTypePlaceholderStatus: 'Filter by Status',
+  vmFilterTypePlaceholderTag: 'Filter by Tag',
+  vmFilterTypePlaceholderTemplate: 'Filter by Template',
   vmHasPendingConfigurationChanges: 'This VM has pending configurations changes that will be applied once the VM is shutdown (or rebooted).',
+  vmListViews: 'Views',
+  vmListViewsCopyLink: 'Copy a link to share this view',
+  vmListViewsDefault: 'Default',
+  vmListViewsEmpty: 'There are no saved views.',
+  vmListViewsLinkCopied: 'Link copied',
+  vmListViewsManage: 'Manage Views',
+  vmListViewsNameRequired: 'The view needs a name.',
+  vmListViewsSave: 'Save Current View',
   vmMemory: 'VM Memory',
   vmPortal: 'VM Portal',
   vmPoolSnapshotRestoreUnavailable: 'This VM is from a pool, so this action is unavailable.',
@@ -806,6 +948,7 @@ export const messages: { [messageId: string]: MessageType } = {
   vmStatusIconTooltipUnknown: 'The VM status is unknown.',
   vmStatusIconTooltipUnassigned: 'The VM status is unassigned.',
   vmStatusIconTooltipMigrating: 'The VM is being migrated.',
+  vmStatusIconTooltipMigratingProgress: 'The VM is being migrated ({progress}% done).',
   vmStatusIconTooltipWaitForLaunch: 'The VM is scheduled for launch.',
   vmStatusIconTooltipRebootInProgress: 'The VM is being rebooted.',
   vmStatusIconTooltipSavingState: 'The VM is saving its state.',
@@ -815,6 +958,11 @@ export const messages: { [messageId: string]: MessageType } = {
   vmType_desktop: 'Desktop',
   vmType_highPerformance: 'High Performance',
   vmType_server: 'Server',
+  vmsTableColumnCpuUsage: 'CPU %',
+  vmsTableColumnMemoryUsage: 'Memory %',
+  vmsTableColumns: 'Columns',
+  vmsTableColumnUptime: 'Uptime',
+  vmsTableColumnVCpus: 'vCPUs',
   vncConsole: 'VNC Console',
   vncConsoleBrowser: 'VNC Console (Browser)',
   vncConsoleHandshakeFailed: 'Failed to establish a secure VNC connection. Reason: {reason}',
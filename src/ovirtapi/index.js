@@ -3,6 +3,7 @@ import type {
   CdRomType,
   DiskType,
   NicType,
+  RunOnceType,
   SnapshotType,
   VmType,
   ActionResponseType,
@@ -13,12 +14,14 @@ import AppConfiguration from '../config'
 
 import {
   addHttpListener as transportAddHttpListener,
+  addConnectionListener as transportAddConnectionListener,
   updateLocale as transportUpdateLocale,
   assertLogin,
   httpGet,
   httpPost,
   httpPut,
   httpDelete,
+  thenCancelable,
 } from './transport'
 
 import * as Transforms from './transform'
@@ -28,8 +31,24 @@ type PoolIdType = { poolId: string }
 
 const zeroUUID: string = '00000000-0000-0000-0000-000000000000'
 
+/**
+ * Build the `search=` query parameter for a collection fetch, combining the search
+ * criteria with the sort and page needed for a paged fetch.
+ */
+function buildSearchParam ({ search, page }: { search?: string, page?: number }): string {
+  const query = [
+    search,
+    page ? `SORTBY NAME ASC page ${page}` : '',
+  ]
+    .filter(p => !!p)
+    .join(' ')
+
+  return query ? 'search=' + encodeURIComponent(query) : ''
+}
+
 const OvirtApi = {
   addHttpListener: transportAddHttpListener,
+  addConnectionListener: transportAddConnectionListener,
   updateLocale: transportUpdateLocale,
 
   //
@@ -83,6 +102,11 @@ const OvirtApi = {
     const url = `${AppConfiguration.applicationContext}/api/hosts`
     return httpGet({ url })
   },
+  getAllTags (): Promise<Object> {
+    assertLogin({ methodName: 'getAllTags' })
+    const url = `${AppConfiguration.applicationContext}/api/tags`
+    return httpGet({ url })
+  },
   getAllOperatingSystems (): Promise<Object> {
     assertLogin({ methodName: 'getAllOperatingSystems' })
     const url = `${AppConfiguration.applicationContext}/api/operatingsystems`
@@ -110,14 +134,14 @@ const OvirtApi = {
     }
     return httpGet({ url, custHeaders: { 'All-Content': true } })
   },
-  getVms ({ count, page, additional }: { count?: number, page?: number, additional?: Array<string> }): Promise<Object> {
+  getVms ({ count, page, additional, search }: { count?: number, page?: number, additional?: Array<string>, search?: string }): Promise<Object> {
     assertLogin({ methodName: 'getAllVms' })
     const max = count ? `;max=${count}` : ''
     const params =
       [
         'detail=current_graphics_consoles',
         'current', // for backward compatibility only (before 4.4.7)
-        page ? 'search=' + encodeURIComponent(`SORTBY NAME ASC page ${page}`) : '',
+        buildSearchParam({ search, page }),
         additional && additional.length > 0 ? 'follow=' + encodeURIComponent(`${additional.join(',')}`) : '',
       ]
         .filter(p => !!p)
@@ -188,11 +212,14 @@ const OvirtApi = {
       input: '{}',
     })
   },
-  start ({ vmId }: VmIdType): Promise<ActionResponseType> {
+  start ({ vmId, runOnce }: { vmId: string, runOnce?: RunOnceType }): Promise<ActionResponseType> {
     assertLogin({ methodName: 'start' })
+    // the run once overrides are not persisted to the VM's configuration
+    const input = runOnce ? JSON.stringify(Transforms.RunOnce.toApi({ runOnce })) : '{}'
+
     return httpPost({
       url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/start`,
-      input: '{}',
+      input,
     })
   },
   suspend ({ vmId }: VmIdType): Promise<ActionResponseType> {
@@ -209,6 +236,33 @@ const OvirtApi = {
       input: '{}',
     })
   },
+  cloneVm ({ vmId, name, clusterId, storageDomainId }: { vmId: string, name: string, clusterId?: string, storageDomainId?: string }): Promise<ActionResponseType> {
+    assertLogin({ methodName: 'cloneVm' })
+    const input = JSON.stringify({
+      vm: {
+        name,
+        cluster: clusterId ? { id: clusterId } : undefined,
+      },
+      storage_domain: storageDomainId ? { id: storageDomainId } : undefined,
+    })
+    console.log(`OvirtApi.cloneVm(): ${input}`)
+
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/clone`,
+      input,
+    })
+  },
+  migrateVm ({ vmId, hostId }: { vmId: string, hostId?: string }): Promise<ActionResponseType> {
+    assertLogin({ methodName: 'migrateVm' })
+    // without a host, the engine picks the destination host
+    const input = JSON.stringify(hostId ? { host: { id: hostId } } : {})
+    console.log(`OvirtApi.migrateVm(): ${input}`)
+
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/migrate`,
+      input,
+    })
+  },
 
   // ---- Snapshots
   addNewSnapshot ({ vmId, snapshot }: { vmId: string, snapshot: SnapshotType }): Promise<Object> {
@@ -233,6 +287,27 @@ const OvirtApi = {
       contentType: 'application/xml',
     })
   },
+  previewSnapshot ({ snapshotId, vmId }: { snapshotId: string, vmId: string }): Promise<Object> {
+    assertLogin({ methodName: 'previewSnapshot' })
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/previewsnapshot`,
+      input: JSON.stringify({ snapshot: { id: snapshotId } }),
+    })
+  },
+  commitSnapshot ({ vmId }: VmIdType): Promise<Object> {
+    assertLogin({ methodName: 'commitSnapshot' })
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/commitsnapshot`,
+      input: '{}',
+    })
+  },
+  undoSnapshot ({ vmId }: VmIdType): Promise<Object> {
+    assertLogin({ methodName: 'undoSnapshot' })
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/undosnapshot`,
+      input: '{}',
+    })
+  },
   snapshotDisks ({ vmId, snapshotId }: { vmId: string, snapshotId: string }): Promise<Object> {
     assertLogin({ methodName: 'snapshotDisks' })
     return httpGet({ url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/snapshots/${snapshotId}/disks` })
@@ -297,6 +372,13 @@ const OvirtApi = {
     })
   },
 
+  eventsSince ({ from, max }: { from?: number, max?: number }): Promise<Object> {
+    assertLogin({ methodName: 'eventsSince' })
+    const url = `${AppConfiguration.applicationContext}/api/events` +
+      (max ? `;max=${max}` : '') +
+      (from !== undefined && from !== null ? `?from=${from}` : '')
+    return httpGet({ url })
+  },
   events (): Promise<Object> {
     assertLogin({ methodName: 'events' })
     return httpGet({ url: `${AppConfiguration.applicationContext}/api/events?search=severity%3Derror` })
@@ -322,12 +404,12 @@ const OvirtApi = {
     const url = `${AppConfiguration.applicationContext}/api/vmpools/${poolId}`
     return httpGet({ url })
   },
-  getPools ({ count, page, additional }: { count?: number, page?: number, additional?: Array<string> }): Promise<Object> {
+  getPools ({ count, page, additional, search }: { count?: number, page?: number, additional?: Array<string>, search?: string }): Promise<Object> {
     assertLogin({ methodName: 'getPools' })
     const max = count ? `;max=${count}` : ''
     const params =
       [
-        page ? 'search=' + encodeURIComponent(`SORTBY NAME ASC page ${page}`) : '',
+        buildSearchParam({ search, page }),
         additional && additional.length > 0 ? 'follow=' + encodeURIComponent(`${additional.join(',')}`) : '',
       ]
         .filter(p => !!p)
@@ -403,6 +485,24 @@ const OvirtApi = {
     })
   },
 
+  getVmTags ({ vmId }: { vmId: string }): Promise<Object> {
+    assertLogin({ methodName: 'getVmTags' })
+    return httpGet({ url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/tags` })
+  },
+  addTagToVm ({ tagId, vmId }: { tagId: string, vmId: string }): Promise<Object> {
+    assertLogin({ methodName: 'addTagToVm' })
+    return httpPost({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/tags`,
+      input: JSON.stringify({ id: tagId }),
+    })
+  },
+  removeTagFromVm ({ tagId, vmId }: { tagId: string, vmId: string }): Promise<Object> {
+    assertLogin({ methodName: 'removeTagFromVm' })
+    return httpDelete({
+      url: `${AppConfiguration.applicationContext}/api/vms/${vmId}/tags/${tagId}`,
+    })
+  },
+
   getUSBFilter (): Promise<Object> {
     assertLogin({ methodName: 'getUSBFilter' })
     return httpGet({
@@ -483,10 +583,10 @@ const OvirtApi = {
        * Since legacy POST method does not return the newly created key/key_id we need to
        * fetch it immediately after (successful) creation.
        */
-      return httpPost({
+      return thenCancelable(httpPost({
         url: `${AppConfiguration.applicationContext}/api/users/${userId}/sshpublickeys`,
         input,
-      }).then(({ content, id }) => {
+      }), ({ content, id }) => {
         if (content && id) {
           return ({ content, id })
         }
@@ -499,8 +599,10 @@ const OvirtApi = {
     assertLogin({ methodName: 'getSSHKey' })
     // Expected result from GET: { ssh_public_key : [ { user: <> , content: <>, id: <>, href: <> }]}
     // return empty key if there are no keys
-    return httpGet({ url: `${AppConfiguration.applicationContext}/api/users/${userId}/sshpublickeys` })
-      .then(({ ssh_public_key: [firstKey = {}] = [] }) => firstKey)
+    return thenCancelable(
+      httpGet({ url: `${AppConfiguration.applicationContext}/api/users/${userId}/sshpublickeys` }),
+      ({ ssh_public_key: [firstKey = {}] = [] }) => firstKey
+    )
   },
 
   persistUserOption ({ name, content, optionId, userId }: Object): Promise<Object> {
@@ -509,10 +611,10 @@ const OvirtApi = {
     console.log('optionId', optionId, 'input', input)
     if (optionId) {
       // delete existing property and create a new one with updated content
-      return httpDelete({
+      return thenCancelable(httpDelete({
         url: `${AppConfiguration.applicationContext}/api/users/${userId}/options/${optionId}`,
         input: '',
-      }).then(() => httpPost({
+      }), () => httpPost({
         url: `${AppConfiguration.applicationContext}/api/users/${userId}/options`,
         input,
       }))
@@ -526,8 +628,10 @@ const OvirtApi = {
   fetchUserOptions ({ userId }: { userId: string }): Promise<Object> {
     assertLogin({ methodName: 'fetchUserOptions' })
     // Expected result from GET: { user_option : [ { user: <> , content: <>, id: <>, name: <> }]}
-    return httpGet({ url: `${AppConfiguration.applicationContext}/api/users/${userId}/options` })
-      .then(({ user_option: options = [] }) => options)
+    return thenCancelable(
+      httpGet({ url: `${AppConfiguration.applicationContext}/api/users/${userId}/options` }),
+      ({ user_option: options = [] }) => options
+    )
   },
 
   deleteUserOption ({ userId, optionId }: Object): Promise<Object> {
@@ -3,6 +3,7 @@
 import type {
   ApiCdRomType, CdRomType,
   ApiCloudInitType, CloudInitType,
+  ApiRunOnceType, RunOnceType,
   ApiClusterType, ClusterType,
   ApiDataCenterType, DataCenterType,
   ApiDiskAttachmentType, ApiDiskType, DiskType,
@@ -16,6 +17,7 @@ import type {
   ApiSshKeyType, SshKeyType,
   ApiStorageDomainFileType, StorageDomainFileType,
   ApiStorageDomainType, StorageDomainType,
+  ApiTagType, TagType,
   ApiTemplateType, TemplateType,
   ApiVmConsolesType, VmConsolesType,
   ApiVmSessionsType, VmSessionsType,
@@ -196,6 +198,7 @@ const VM = {
       sessions: [],
       nics: [],
       statistics: [],
+      tags: [],
 
       /**
        * console SSO logon is deprecated as it relies on deprecated ovirtGuestAgentChannel (by default not supported i.e. for RHEL 8+)
@@ -214,6 +217,15 @@ const VM = {
         offset: vm.time_zone.utc_offset,
       },
 
+      // reported by the guest agent
+      guestOs: vm.guest_operating_system && GuestOperatingSystem.toInternal({ guestOs: vm.guest_operating_system }),
+      guestTimeZone: vm.guest_time_zone && {
+        name: vm.guest_time_zone.name,
+        offset: vm.guest_time_zone.utc_offset,
+      },
+      applications: [],
+      reportedDevices: [],
+
       // roles are required to calculate permits and 'canUse*', therefore its done in sagas
       permissions,
       userPermits: new Set(),
@@ -221,6 +233,7 @@ const VM = {
       canUserEditVm: false,
       canUserEditVmStorage: false,
       canUserManipulateSnapshots: false,
+      canUserMigrateVm: false,
 
       // engine option config values that map to the VM's custom compatibility version.
       // the mapping from engine options are done in sagas. if custom compatibility version
@@ -268,6 +281,24 @@ const VM = {
       parsedVm.statistics = VmStatistics.toInternal({ statistics: vm.statistics.statistic })
     }
 
+    if (vm.applications && vm.applications.application) {
+      parsedVm.applications = vm.applications.application.map(
+        application => VmApplication.toInternal({ application })
+      )
+    }
+
+    if (vm.tags && vm.tags.tag) {
+      parsedVm.tags = vm.tags.tag.map(
+        tag => Tag.toInternal({ tag })
+      )
+    }
+
+    if (vm.reported_devices && vm.reported_devices.reported_device) {
+      parsedVm.reportedDevices = vm.reported_devices.reported_device.map(
+        device => ReportedDevice.toInternal({ device })
+      )
+    }
+
     return parsedVm
   },
 
@@ -325,17 +356,7 @@ const VM = {
         : undefined,
 
       // NOTE: Disable cloudInit by sending "initialization: {}"
-      initialization: vm.cloudInit && (
-        vm.cloudInit.enabled
-          ? {
-            host_name: vm.cloudInit.hostName,
-            authorized_ssh_keys: vm.cloudInit.sshAuthorizedKeys,
-            root_password: vm.cloudInit.password,
-            custom_script: vm.cloudInit.customScript,
-            timezone: vm.cloudInit.timezone,
-          }
-          : {}
-      ),
+      initialization: vm.cloudInit && CloudInit.toApi({ cloudInit: vm.cloudInit }),
 
       large_icon: vm.icons && vm.icons.large && (vm.icons.large.id || (vm.icons.large.data && vm.icons.large.media_type))
         ? vm.icons.large
@@ -359,6 +380,7 @@ const VmStatistics = {
         description: 'Elapsed VM runtime (default to 0)',
       },
       disks: {},
+      migration: {},
     }
 
     for (const stat: ApiVmStatisticType of statistics) {
@@ -400,7 +422,7 @@ const VmStatistics = {
           ? datum[0]
           : undefined
 
-      const nameParts = /^(memory|cpu|network|disks)\.(.*)?$/.exec(stat.name)
+      const nameParts = /^(memory|cpu|network|disks|migration)\.(.*)?$/.exec(stat.name)
       if (nameParts) {
         base[nameParts[1]][nameParts[2]] = {
           firstDatum,
@@ -992,6 +1014,20 @@ const Host = {
   toApi: undefined,
 }
 
+//
+//
+const Tag = {
+  toInternal ({ tag }: { tag: ApiTagType }): TagType {
+    return {
+      id: tag.id,
+      name: tag.name,
+      description: tag.description,
+    }
+  },
+
+  toApi: undefined,
+}
+
 //
 //
 const OS = {
@@ -1066,6 +1102,7 @@ const VmSessions = {
         consoleUser: c.console_user === 'true',
         user: {
           id: c.user ? c.user.id : null,
+          name: c.user ? c.user.user_name : undefined,
         },
       }
     })
@@ -1074,6 +1111,55 @@ const VmSessions = {
   toApi: undefined,
 }
 
+//
+//
+const GuestOperatingSystem = {
+  toInternal ({ guestOs }: { guestOs: Object }): Object {
+    return {
+      architecture: guestOs.architecture,
+      codename: guestOs.codename,
+      distribution: guestOs.distribution,
+      family: guestOs.family,
+      kernel: guestOs.kernel && guestOs.kernel.version && guestOs.kernel.version.full_version,
+      version: guestOs.version && guestOs.version.full_version,
+    }
+  },
+
+  toApi: undefined,
+}
+
+//
+//
+const VmApplication = {
+  toInternal ({ application }: { application: Object }): Object {
+    return {
+      id: application.id,
+      name: application.name,
+    }
+  },
+
+  toApi: undefined,
+}
+
+//
+//
+const ReportedDevice = {
+  toInternal ({ device }: { device: Object }): Object {
+    const ips = (device.ips && device.ips.ip) || []
+
+    return {
+      id: device.id,
+      name: device.name,
+      type: device.type,
+      description: device.description,
+      mac: device.mac && device.mac.address,
+      ips: ips.map(ip => ({ address: ip.address, version: ip.version })),
+    }
+  },
+
+  toApi: undefined,
+}
+
 //
 //
 const Permissions = {
@@ -1117,17 +1203,86 @@ const Role = {
 //
 const CloudInit = {
   toInternal ({ vm }: { vm: ApiCloudInitType }): CloudInitType {
+    const init = vm.initialization || {}
+    const nicConfigurations = (init.nic_configurations && init.nic_configurations.nic_configuration) || []
+
     return {
       enabled: !!vm.initialization,
-      hostName: (vm.initialization && vm.initialization.host_name) || '',
-      sshAuthorizedKeys: (vm.initialization && vm.initialization.authorized_ssh_keys) || '',
-      timezone: (vm.initialization && vm.initialization.timezone) || '',
-      customScript: (vm.initialization && vm.initialization.custom_script) || '',
-      password: (vm.initialization && vm.initialization.root_password) || '',
+      hostName: init.host_name || '',
+      sshAuthorizedKeys: init.authorized_ssh_keys || '',
+      timezone: init.timezone || '',
+      customScript: init.custom_script || '',
+      password: init.root_password || '',
+      userName: init.user_name || '',
+      dnsServers: init.dns_servers || '',
+      dnsSearch: init.dns_search || '',
+      networks: nicConfigurations.map(nic => ({
+        name: nic.name,
+        bootProtocol: nic.boot_protocol === 'static' ? 'static' : 'dhcp',
+        address: (nic.ip && nic.ip.address) || '',
+        netmask: (nic.ip && nic.ip.netmask) || '',
+        gateway: (nic.ip && nic.ip.gateway) || '',
+      })),
     }
   },
 
-  toApi: undefined,
+  // NOTE: Disable cloudInit by sending "initialization: {}"
+  toApi ({ cloudInit }: { cloudInit: CloudInitType }): ApiCloudInitType {
+    if (!cloudInit.enabled) {
+      return {}
+    }
+
+    return {
+      host_name: cloudInit.hostName,
+      authorized_ssh_keys: cloudInit.sshAuthorizedKeys,
+      root_password: cloudInit.password,
+      custom_script: cloudInit.customScript,
+      timezone: cloudInit.timezone,
+      user_name: cloudInit.userName || undefined,
+      dns_servers: cloudInit.dnsServers || undefined,
+      dns_search: cloudInit.dnsSearch || undefined,
+      nic_configurations: cloudInit.networks && {
+        nic_configuration: cloudInit.networks.map(network => ({
+          name: network.name,
+          on_boot: true,
+          boot_protocol: network.bootProtocol,
+          ip: network.bootProtocol === 'static'
+            ? {
+              address: network.address,
+              netmask: network.netmask,
+              gateway: network.gateway || undefined,
+              version: 'v4',
+            }
+            : undefined,
+        })),
+      },
+    }
+  },
+}
+
+//
+// Run once settings override the VM's configuration for a single start only
+//
+const RunOnce = {
+  toInternal: undefined,
+
+  toApi ({ runOnce }: { runOnce: RunOnceType }): ApiRunOnceType {
+    const { cdImageId, bootDevices, startPaused, cloudInit, useSysprep, consoleProtocol } = runOnce
+
+    return {
+      pause: startPaused ? 'true' : undefined,
+      use_cloud_init: cloudInit && !useSysprep ? 'true' : undefined,
+      use_sysprep: cloudInit && useSysprep ? 'true' : undefined,
+      vm: {
+        os: bootDevices && bootDevices.length > 0
+          ? { boot: { devices: { device: bootDevices.filter(device => !!device) } } }
+          : undefined,
+        cdroms: cdImageId ? { cdrom: [{ file: { id: cdImageId } }] } : undefined,
+        initialization: cloudInit ? CloudInit.toApi({ cloudInit: { ...cloudInit, enabled: true } }) : undefined,
+        display: consoleProtocol ? { type: consoleProtocol } : undefined,
+      },
+    }
+  },
 }
 
 //
@@ -1165,11 +1320,14 @@ const RemoteUserOptions = {
       preferredConsole,
       fullScreenVnc,
       fullScreenNoVnc,
+      keyShortcutsNoVnc,
       ctrlAltEndVnc,
       fullScreenSpice,
       ctrlAltEndSpice,
       smartcardSpice,
       viewForVirtualMachines,
+      columnsForVirtualMachines,
+      vmListViews,
     } = fromEntries
 
     return {
@@ -1180,11 +1338,14 @@ const RemoteUserOptions = {
       preferredConsole,
       fullScreenVnc,
       fullScreenNoVnc,
+      keyShortcutsNoVnc,
       ctrlAltEndVnc,
       fullScreenSpice,
       ctrlAltEndSpice,
       smartcardSpice,
       viewForVirtualMachines,
+      columnsForVirtualMachines,
+      vmListViews,
     }
   },
 }
@@ -1330,6 +1491,7 @@ export {
   VNicProfile,
   Network,
   Host,
+  Tag,
   OS,
   StorageDomainFile,
   SSHKey,
@@ -1337,7 +1499,11 @@ export {
   VmConsoles,
   VmSessions,
   VmStatistics,
+  VmApplication,
+  GuestOperatingSystem,
+  ReportedDevice,
   CloudInit,
+  RunOnce,
   Permissions,
   Event,
   Role,
@@ -392,7 +392,7 @@ const TRANSFORM_TESTS = [
   ],
 
   [
-    'gauge, decimal, percent, single datum - migration.progress (not captured, so expect stats base)',
+    'gauge, decimal, percent, single datum - migration.progress',
     {
       id: '9',
       kind: 'gauge',
@@ -406,7 +406,16 @@ const TRANSFORM_TESTS = [
       name: 'migration.progress',
       description: 'Migration Progress',
     },
-    { memory: {}, cpu: {}, network: {}, elapsedUptime: { datum: [0], unit: 'seconds', description: 'Elapsed VM runtime (default to 0)' }, disks: {} },
+    {
+      migration: {
+        progress: {
+          firstDatum: 0,
+          datum: [0],
+          unit: 'percent',
+          description: 'Migration Progress',
+        },
+      },
+    },
   ],
 
   [
@@ -498,6 +507,7 @@ describe('Test transform.js VmStatistics.toInternal()', () => {
     disks: {},
     elapsedUptime: { datum: [0], description: 'Elapsed VM runtime (default to 0)', firstDatum: undefined, unit: 'seconds' },
     memory: {},
+    migration: {},
     network: {},
   }
 
@@ -1,10 +1,11 @@
 // @flow
 
-import $ from 'jquery'
+import { CANCEL } from 'redux-saga'
 import { DEFAULT_LOCALE } from '_/intl'
 import uniqueId from 'lodash/uniqueId'
 import { Exception } from '../exceptions'
 import Selectors from '../selectors'
+import AppConfiguration from '../config'
 
 //
 // SSO Token Checks
@@ -60,6 +61,185 @@ function notifyStop (requestTracker: RequestTrackerType) {
   listeners.forEach(listener => listener(requestTracker, 'STOP'))
 }
 
+//
+// Connection Listener Handling
+//
+type ConnectionListenerType = (isOnline: boolean) => void
+
+const connectionListeners: Set<ConnectionListenerType> = new Set()
+let isOnline = true
+
+function addConnectionListener (listener: ConnectionListenerType) {
+  connectionListeners.add(listener)
+}
+
+/**
+ * Track if the server is reachable, notifying the listeners only when that changes.
+ */
+function updateConnection (online: boolean) {
+  if (online !== isOnline) {
+    isOnline = online
+    connectionListeners.forEach(listener => listener(online))
+  }
+}
+
+//
+// Fetch, Timeout and Retry
+//
+type ResponseErrorType = {
+  status: number,
+  statusText: string,
+  responseText: string,
+  responseJSON?: Object
+}
+
+/**
+ * Build the error a failed request is rejected with.  The error keeps the shape of the
+ * jQuery ajax errors the rest of the app was written against: `status`, `statusText`,
+ * `responseText` and, if the response body is JSON, `responseJSON`.
+ */
+function toResponseError (status: number, statusText: string, responseText: string = ''): ResponseErrorType {
+  const error: ResponseErrorType = { status, statusText, responseText }
+  try {
+    error.responseJSON = JSON.parse(responseText)
+  } catch (e) {
+    // not a JSON response body
+  }
+  return error
+}
+
+/**
+ * A request failed without any response from the server if the network is down, the
+ * server is not reachable or the request timed out.
+ */
+function isNetworkFailure (error: ResponseErrorType): boolean {
+  return !error || error.status === 0
+}
+
+/**
+ * GETs are idempotent, so they are retried on any network failure or gateway error.
+ * Other methods are never retried.  Even a 502 or 503 from a proxy can come back after
+ * the engine has already run the action, and it should not be run twice.
+ */
+function isRetryable (method: MethodType, error: ResponseErrorType): boolean {
+  return method === 'GET' && (isNetworkFailure(error) || [502, 503, 504].includes(error.status))
+}
+
+/**
+ * Send a single request, aborting it if the configured timeout passes or `signal` is
+ * aborted.  Resolves to the parsed JSON response body, or the body text if the response
+ * is not JSON.
+ */
+async function fetchOnce (method: MethodType, url: string, init: Object, signal: AbortSignal): Promise<Object> {
+  if (signal.aborted) {
+    throw toResponseError(0, 'abort')
+  }
+
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  signal.addEventListener('abort', abort)
+
+  const timeout = AppConfiguration.httpTimeoutInSeconds * 1000
+  let timedOut = false
+  const timer = timeout > 0
+    ? setTimeout(() => { timedOut = true; controller.abort() }, timeout)
+    : null
+
+  let response, text
+  try {
+    response = await fetch(url, {
+      ...init,
+      method,
+      credentials: 'same-origin',
+      signal: controller.signal,
+    })
+    text = await response.text()
+  } catch (error) {
+    throw toResponseError(0, timedOut ? 'timeout' : signal.aborted ? 'abort' : 'error')
+  } finally {
+    clearTimeout(timer)
+    signal.removeEventListener('abort', abort)
+  }
+
+  if (!response.ok) {
+    throw toResponseError(response.status, response.statusText || 'error', text)
+  }
+
+  const contentType = response.headers.get('Content-Type') || ''
+  if (!contentType.includes('json')) {
+    return text
+  }
+  try {
+    return text ? JSON.parse(text) : {}
+  } catch (e) {
+    throw toResponseError(response.status, 'parsererror', text)
+  }
+}
+
+/**
+ * Send a request with the configured timeout, retrying a failed request with an
+ * exponential back-off if the failure is retryable.  Nothing is retried once `signal`
+ * is aborted.
+ */
+function fetchWithRetry (method: MethodType, url: string, init: Object, signal: AbortSignal, requestTracker: RequestTrackerType): Promise<Object> {
+  const {
+    httpRetryCount,
+    httpRetryDelayInMs,
+  } = AppConfiguration
+
+  const attempt = (retry: number): Promise<Object> => fetchOnce(method, url, init, signal)
+    .then(
+      (data: Object): Object => {
+        updateConnection(true)
+        return data
+      },
+      (error: ResponseErrorType): Promise<Object> => {
+        if (signal.aborted) {
+          return Promise.reject(error)
+        }
+
+        if (retry < httpRetryCount && isRetryable(method, error)) {
+          const wait = httpRetryDelayInMs * (2 ** retry)
+          console.log(`http ${method}[${requestTracker.uid}] 🡒 status ${error.status} "${error.statusText}", retry ${retry + 1} of ${httpRetryCount} in ${wait}ms`)
+          return new Promise(resolve => setTimeout(resolve, wait)).then(() => attempt(retry + 1))
+        }
+
+        updateConnection(!isNetworkFailure(error))
+        return Promise.reject(error)
+      }
+    )
+
+  return attempt(0)
+}
+
+/**
+ * redux-saga calls the `[CANCEL]` function of a promise a saga is blocked on when that
+ * saga is cancelled (e.g. by `race()` or `takeLatest()`).  Abort the request so the
+ * cancelled saga does not leave its request running.
+ */
+function abortOnCancel (promise: Promise<Object>, controller: AbortController): Promise<Object> {
+  (promise: any)[CANCEL] = () => controller.abort()
+  return promise
+}
+
+/**
+ * Chain `onFulfilled` to a request's promise without losing the request's `[CANCEL]`
+ * hook.  If `onFulfilled` sends a follow-up request, cancelling aborts that request
+ * instead.
+ */
+function thenCancelable (promise: Promise<Object>, onFulfilled: (Object) => any): Promise<Object> {
+  let current: any = promise
+  const chained: any = promise.then((data: Object): any => {
+    const result = onFulfilled(data)
+    if (result && result[CANCEL]) {
+      current = result
+    }
+    return result
+  })
+  chained[CANCEL] = () => current[CANCEL] && current[CANCEL]()
+  return chained
+}
+
 //
 // HTTP Verbs
 //
@@ -71,6 +251,7 @@ const logHeaders = (headers) => JSON.stringify({ ...headers, Authorization: '***
 
 function httpGet ({ url, custHeaders = {} }: GetRequestType): Promise<Object> {
   const requestTracker = notifyStart('GET', url)
+  const controller = new AbortController()
   const headers = {
     Accept: 'application/json',
     Authorization: `Bearer ${_getLoginToken()}`,
@@ -80,89 +261,100 @@ function httpGet ({ url, custHeaders = {} }: GetRequestType): Promise<Object> {
   }
 
   console.log(`http GET[${requestTracker.uid}] 🡒 url: "${url}", headers: ${logHeaders(headers)}`)
-  return $.ajax(url, {
-    type: 'GET',
-    headers,
-  })
-    .then((data: Object): Object => {
-      notifyStop(requestTracker)
-      console.log(`http GET[${requestTracker.uid}] 🡐 data:`, data)
-      return data
-    })
-    .catch((data: Object): Promise<Object> => {
-      console.log(`Ajax GET failed: ${JSON.stringify(data)}`)
-      notifyStop(requestTracker)
-      return Promise.reject(data)
-    })
+  return abortOnCancel(
+    fetchWithRetry('GET', url, {
+      headers,
+    }, controller.signal, requestTracker)
+      .then((data: Object): Object => {
+        notifyStop(requestTracker)
+        console.log(`http GET[${requestTracker.uid}] 🡐 data:`, data)
+        return data
+      })
+      .catch((data: Object): Promise<Object> => {
+        console.log(`Fetch GET failed: ${JSON.stringify(data)}`)
+        notifyStop(requestTracker)
+        return Promise.reject(data)
+      }),
+    controller
+  )
 }
 
 function httpPost ({ url, input, contentType = 'application/json' }: InputRequestType): Promise<Object> {
   const requestTracker = notifyStart('POST', url)
-  return $.ajax(url, {
-    type: 'POST',
-    headers: {
-      Accept: 'application/json',
-      Authorization: `Bearer ${_getLoginToken()}`,
-      'Accept-Language': currentLocale,
-      Filter: Selectors.getFilter(),
-      'Content-Type': contentType,
-    },
-    data: input,
-  })
-    .then((data: Object): Object => {
-      notifyStop(requestTracker)
-      return data
-    })
-    .catch((data: Object): Promise<Object> => {
-      console.log(`Ajax POST failed: ${JSON.stringify(data)}`)
-      notifyStop(requestTracker)
-      return Promise.reject(data)
-    })
+  const controller = new AbortController()
+  return abortOnCancel(
+    fetchWithRetry('POST', url, {
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${_getLoginToken()}`,
+        'Accept-Language': currentLocale,
+        Filter: Selectors.getFilter(),
+        'Content-Type': contentType,
+      },
+      body: input,
+    }, controller.signal, requestTracker)
+      .then((data: Object): Object => {
+        notifyStop(requestTracker)
+        return data
+      })
+      .catch((data: Object): Promise<Object> => {
+        console.log(`Fetch POST failed: ${JSON.stringify(data)}`)
+        notifyStop(requestTracker)
+        return Promise.reject(data)
+      }),
+    controller
+  )
 }
 
 function httpPut ({ url, input, contentType = 'application/json' }: InputRequestType): Promise<Object> {
   const requestTracker = notifyStart('PUT', url)
-  return $.ajax(url, {
-    type: 'PUT',
-    headers: {
-      Accept: 'application/json',
-      Authorization: `Bearer ${_getLoginToken()}`,
-      'Accept-Language': currentLocale,
-      Filter: Selectors.getFilter(),
-      'Content-Type': contentType,
-    },
-    data: input,
-  })
-    .then((data: Object): Object => {
-      notifyStop(requestTracker)
-      return data
-    })
-    .catch((data: Object): Promise<Object> => {
-      console.log(`Ajax PUT failed: ${JSON.stringify(data)}`)
-      notifyStop(requestTracker)
-      return Promise.reject(data)
-    })
+  const controller = new AbortController()
+  return abortOnCancel(
+    fetchWithRetry('PUT', url, {
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${_getLoginToken()}`,
+        'Accept-Language': currentLocale,
+        Filter: Selectors.getFilter(),
+        'Content-Type': contentType,
+      },
+      body: input,
+    }, controller.signal, requestTracker)
+      .then((data: Object): Object => {
+        notifyStop(requestTracker)
+        return data
+      })
+      .catch((data: Object): Promise<Object> => {
+        console.log(`Fetch PUT failed: ${JSON.stringify(data)}`)
+        notifyStop(requestTracker)
+        return Promise.reject(data)
+      }),
+    controller
+  )
 }
 
 function httpDelete ({ url, custHeaders = { Accept: 'application/json' } }: DeleteRequestType): Promise<Object> {
   const requestTracker = notifyStart('DELETE', url)
-  return $.ajax(url, {
-    type: 'DELETE',
-    headers: {
-      Authorization: `Bearer ${_getLoginToken()}`,
-      Filter: Selectors.getFilter(),
-      ...custHeaders,
-    },
-  })
-    .then((data: Object): Object => {
-      notifyStop(requestTracker)
-      return data
-    })
-    .catch((data: Object): Promise<Object> => {
-      console.log(`Ajax DELETE failed: ${JSON.stringify(data)}`)
-      notifyStop(requestTracker)
-      return Promise.reject(data)
-    })
+  const controller = new AbortController()
+  return abortOnCancel(
+    fetchWithRetry('DELETE', url, {
+      headers: {
+        Authorization: `Bearer ${_getLoginToken()}`,
+        Filter: Selectors.getFilter(),
+        ...custHeaders,
+      },
+    }, controller.signal, requestTracker)
+      .then((data: Object): Object => {
+        notifyStop(requestTracker)
+        return data
+      })
+      .catch((data: Object): Promise<Object> => {
+        console.log(`Fetch DELETE failed: ${JSON.stringify(data)}`)
+        notifyStop(requestTracker)
+        return Promise.reject(data)
+      }),
+    controller
+  )
 }
 
 //
@@ -172,13 +364,17 @@ export type {
   MethodType,
   RequestTrackerType,
   ListenerType,
+  ConnectionListenerType,
+  ResponseErrorType,
 }
 export {
   addHttpListener,
+  addConnectionListener,
   updateLocale,
   assertLogin,
   httpGet,
   httpPost,
   httpPut,
   httpDelete,
+  thenCancelable,
 }
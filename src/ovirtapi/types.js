@@ -62,7 +62,8 @@ export type VmStatisticsType = {
   cpu: { [cpuSubKey: string]: StatisticValueType },
   network: { [networkSubKey: string]: StatisticValueType },
   elapsedUptime: StatisticValueType,
-  disks: { [disksSubKey: string]: StatisticValueType }
+  disks: { [disksSubKey: string]: StatisticValueType },
+  migration: { [migrationSubKey: string]: StatisticValueType }
 }
 
 export type ApiTemplateType = Object
@@ -255,6 +256,9 @@ export type NetworkType = Object
 export type ApiHostType = Object
 export type HostType = Object
 
+export type ApiTagType = Object
+export type TagType = Object
+
 export type ApiOsType = Object
 export type OsType = Object
 
@@ -274,7 +278,7 @@ export type UserOptionType<T> = {
 export type ApiVmConsolesType = Object
 export type VmConsolesType = Object
 
-export type UiConsoleType = typeof C.SPICE | typeof C.RDP | typeof C.NATIVE_VNC | typeof C.BROWSER_VNC
+export type UiConsoleType = typeof C.SPICE | typeof C.RDP | typeof C.NATIVE_VNC | typeof C.BROWSER_VNC | typeof C.BROWSER_SPICE
 
 export type ConsoleErrorType = {|
   vmId: string,
@@ -282,7 +286,8 @@ export type ConsoleErrorType = {|
   consoleType: UiConsoleType,
   status: typeof C.CONSOLE_LOGON | typeof C.CONSOLE_IN_USE,
   consoleId: string,
-  logoutOtherUsers: boolean
+  logoutOtherUsers: boolean,
+  stayOnPage: boolean
 |}
 
 export type UiConsoleStateType = {
@@ -317,11 +322,14 @@ export type RemoteUserOptionsType = {|
   preferredConsole?: UserOptionType<string>,
   fullScreenVnc?: UserOptionType<boolean>,
   fullScreenNoVnc?: UserOptionType<boolean>,
+  keyShortcutsNoVnc?: UserOptionType<string>,
   ctrlAltEndVnc?: UserOptionType<boolean>,
   fullScreenSpice?: UserOptionType<boolean>,
   ctrlAltEndSpice?: UserOptionType<boolean>,
   smartcardSpice?: UserOptionType<boolean>,
-  viewForVirtualMachines?: UserOptionType<string>
+  viewForVirtualMachines?: UserOptionType<string>,
+  columnsForVirtualMachines?: UserOptionType<Array<string>>,
+  vmListViews?: UserOptionType<Array<Object>>
 |}
 
 export type UserOptionsType = {|
@@ -332,7 +340,7 @@ export type UserOptionsType = {|
   remoteOptions: RemoteUserOptionsType,
   ssh?: SshKeyType,
   lastTransactions: { global?: { transactionId: string } },
-  consoleOptions: {[vmId: string]: { autoconnect?: boolean}}
+  consoleOptions: {[vmId: string]: { autoconnect?: boolean, autoReconnect?: boolean }}
 |}
 
 export type UserType = {
@@ -355,12 +363,34 @@ export type RoleType = {
 }
 
 export type ApiCloudInitType = Object
+export type CloudInitNetworkType = {
+  name: string,
+  bootProtocol: 'dhcp' | 'static',
+  address: string,
+  netmask: string,
+  gateway: string
+}
 export type CloudInitType = {
   enabled: boolean,
   hostName: string,
   sshAuthorizedKeys: string,
   timezone: string,
-  customScript: string
+  customScript: string,
+  password: string,
+  userName: string,
+  dnsServers: string,
+  dnsSearch: string,
+  networks: Array<CloudInitNetworkType>
+}
+
+export type ApiRunOnceType = Object
+export type RunOnceType = {
+  cdImageId?: string,
+  bootDevices?: Array<string>,
+  startPaused?: boolean,
+  cloudInit?: CloudInitType,
+  useSysprep?: boolean,
+  consoleProtocol?: 'vnc' | 'spice'
 }
 
 export type ApiEventType = Object
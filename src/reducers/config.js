@@ -15,6 +15,7 @@ import {
   SET_DEFAULT_TIMEZONE,
   SET_GLOBAL_DEFAULT_CONSOLE,
   SET_GLOBAL_DEFAULT_VNC_MODE,
+  SET_OFFLINE,
   SET_OVIRT_API_VERSION,
   SET_USB_AUTOSHARE,
   SET_USB_FILTER,
@@ -41,6 +42,7 @@ const initialState = Immutable.fromJS({
   loginToken: undefined,
   logoutWasManual: false,
   isTokenExpired: false,
+  isOffline: false, // the engine is not reachable
   appConfigured: false,
 
   currentPage: { type: NO_REFRESH_TYPE },
@@ -121,6 +123,9 @@ const config = actionReducer(initialState, {
   [SHOW_TOKEN_EXPIRED_MSG] (state) {
     return state.set('isTokenExpired', true)
   },
+  [SET_OFFLINE] (state, { payload: { offline } }) {
+    return state.set('isOffline', offline)
+  },
   [SET_USB_AUTOSHARE] (state, { payload: { usbAutoshare } }) {
     return state.set('usbAutoshare', usbAutoshare)
   },
@@ -6,6 +6,7 @@ import {
   SET_CONSOLE_STATUS,
   ADD_CONSOLE_ERROR,
   DISMISS_CONSOLE_ERROR,
+  SET_CONSOLE_WALL_VMS,
 } from '_/constants'
 
 import { actionReducer } from './utils'
@@ -15,11 +16,16 @@ const initialState: {
   errors: Array<ConsoleErrorType>,
   vms: {
     [vmId: string]: VmConsoleType
+  },
+  wallVms: {
+    [vmId: string]: Object
   }
 } = {
   errors: [],
   vms: {
   },
+  wallVms: {
+  },
 }
 
 const consoles: any = actionReducer(initialState, {
@@ -47,9 +53,10 @@ const consoles: any = actionReducer(initialState, {
       status,
       consoleId,
       logoutOtherUsers,
+      stayOnPage,
     },
   }: any): any => {
-    draft.errors.push({ vmId, vmName, consoleType, status, consoleId, logoutOtherUsers })
+    draft.errors.push({ vmId, vmName, consoleType, status, consoleId, logoutOtherUsers, stayOnPage })
   }),
   [DISMISS_CONSOLE_ERROR]: produce((draft: any, {
     payload: {
@@ -59,6 +66,9 @@ const consoles: any = actionReducer(initialState, {
   }: any): any => {
     draft.errors = draft.errors.filter(({ vmId: id, consoleType: type }) => id !== vmId || type !== consoleType)
   }),
+  [SET_CONSOLE_WALL_VMS]: produce((draft: any, { payload: { vms } }: any): any => {
+    draft.wallVms = Object.fromEntries(vms.map(vm => [vm.id, vm]))
+  }),
 
 })
 
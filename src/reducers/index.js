@@ -6,6 +6,7 @@ import options from './options'
 import templates from './templates'
 import clusters from './clusters'
 import hosts from './hosts'
+import tags from './tags'
 import operatingSystems from './operatingSystems'
 import storageDomains from './storageDomains'
 import dataCenters from './dataCenters'
@@ -14,6 +15,7 @@ import activeRequests from './activeRequests'
 import consoles from './consoles'
 import pendingTasks from './pendingTasks'
 import roles from './roles'
+import vmMetrics from './vmMetrics'
 
 export default {
   config,
@@ -24,6 +26,7 @@ export default {
   templates,
   clusters,
   hosts,
+  tags,
   operatingSystems,
   storageDomains,
   dataCenters,
@@ -32,4 +35,5 @@ export default {
   consoles,
   pendingTasks,
   roles,
+  vmMetrics,
 }
@@ -40,6 +40,10 @@ const defaultOptions: UserOptionsType = {
       id: undefined,
       content: false,
     },
+    keyShortcutsNoVnc: {
+      id: undefined,
+      content: '',
+    },
     ctrlAltEndVnc: {
       id: undefined,
       content: false,
@@ -60,6 +64,14 @@ const defaultOptions: UserOptionsType = {
       id: undefined,
       content: 'card',
     },
+    columnsForVirtualMachines: {
+      id: undefined,
+      content: [],
+    },
+    vmListViews: {
+      id: undefined,
+      content: [],
+    },
   },
   ssh: undefined,
   lastTransactions: {},
@@ -15,10 +15,16 @@ import {
   ADD_SNAPSHOT_REMOVAL_PENDING_TASK,
   ADD_SNAPSHOT_RESTORE_PENDING_TASK,
   ADD_SNAPSHOT_ADD_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+  ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
   REMOVE_DISK_REMOVAL_PENDING_TASK,
   REMOVE_SNAPSHOT_REMOVAL_PENDING_TASK,
   REMOVE_SNAPSHOT_RESTORE_PENDING_TASK,
   REMOVE_SNAPSHOT_ADD_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK,
+  REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK,
 } from '_/constants'
 
 export const PendingTaskTypes = {
@@ -26,6 +32,9 @@ export const PendingTaskTypes = {
   SNAPSHOT_REMOVAL: 'SNAPSHOT_REMOVAL',
   SNAPSHOT_RESTORE: 'SNAPSHOT_RESTORE',
   SNAPSHOT_ADD: 'SNAPSHOT_ADD',
+  SNAPSHOT_PREVIEW: 'SNAPSHOT_PREVIEW',
+  SNAPSHOT_PREVIEW_COMMIT: 'SNAPSHOT_PREVIEW_COMMIT',
+  SNAPSHOT_PREVIEW_UNDO: 'SNAPSHOT_PREVIEW_UNDO',
 }
 
 const initialState = fromJS([])
@@ -122,4 +131,73 @@ export default actionReducer(initialState, {
     )
     return pendingTasks.delete(index)
   },
+
+  [ADD_SNAPSHOT_PREVIEW_PENDING_TASK] (pendingTasks, { payload: { vmId, snapshotId } }) {
+    const existingTask = pendingTasks.find(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW &&
+      task.vmId === vmId &&
+      task.snapshotId === snapshotId
+    )
+    if (existingTask) {
+      return pendingTasks
+    }
+    return pendingTasks.push({
+      type: PendingTaskTypes.SNAPSHOT_PREVIEW,
+      started: new Date(),
+      vmId,
+      snapshotId,
+    })
+  },
+  [REMOVE_SNAPSHOT_PREVIEW_PENDING_TASK] (pendingTasks, { payload: { vmId, snapshotId } }) {
+    const index = pendingTasks.findKey(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW &&
+      task.vmId === vmId &&
+      task.snapshotId === snapshotId
+    )
+    return pendingTasks.delete(index)
+  },
+
+  [ADD_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK] (pendingTasks, { payload: { vmId } }) {
+    const existingTask = pendingTasks.find(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW_COMMIT &&
+      task.vmId === vmId
+    )
+    if (existingTask) {
+      return pendingTasks
+    }
+    return pendingTasks.push({
+      type: PendingTaskTypes.SNAPSHOT_PREVIEW_COMMIT,
+      started: new Date(),
+      vmId,
+    })
+  },
+  [REMOVE_SNAPSHOT_PREVIEW_COMMIT_PENDING_TASK] (pendingTasks, { payload: { vmId } }) {
+    const index = pendingTasks.findKey(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW_COMMIT &&
+      task.vmId === vmId
+    )
+    return pendingTasks.delete(index)
+  },
+
+  [ADD_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK] (pendingTasks, { payload: { vmId } }) {
+    const existingTask = pendingTasks.find(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW_UNDO &&
+      task.vmId === vmId
+    )
+    if (existingTask) {
+      return pendingTasks
+    }
+    return pendingTasks.push({
+      type: PendingTaskTypes.SNAPSHOT_PREVIEW_UNDO,
+      started: new Date(),
+      vmId,
+    })
+  },
+  [REMOVE_SNAPSHOT_PREVIEW_UNDO_PENDING_TASK] (pendingTasks, { payload: { vmId } }) {
+    const index = pendingTasks.findKey(task =>
+      task.type === PendingTaskTypes.SNAPSHOT_PREVIEW_UNDO &&
+      task.vmId === vmId
+    )
+    return pendingTasks.delete(index)
+  },
 })
@@ -0,0 +1,20 @@
+// @flow
+
+import produce from 'immer'
+import { SET_TAGS } from '_/constants'
+import { arrayToMap } from '_/helpers'
+import { actionReducer } from './utils'
+
+type TagsStateType = {
+  [tagId: string]: Object
+}
+
+const initialState: TagsStateType = {}
+
+const tags = actionReducer(initialState, {
+  [SET_TAGS]: produce((draft: TagsStateType, { payload: tags }: { payload: { tags: Array<Object> }}) => {
+    return arrayToMap(tags, tag => tag.id)
+  }),
+})
+
+export default tags
@@ -0,0 +1,27 @@
+// @flow
+
+import produce from 'immer'
+import { ADD_VM_METRICS_SAMPLE, LOGOUT, SET_VM_METRICS } from '_/constants'
+import { appendMetricsSample } from '_/utils'
+import { actionReducer } from './utils'
+
+type VmMetricsStateType = {
+  [vmId: string]: Array<Object>
+}
+
+const initialState: VmMetricsStateType = {}
+
+/*
+ * Rolling buffer of utilization samples per VM, sorted from oldest to newest.
+ */
+const vmMetrics = actionReducer(initialState, {
+  [SET_VM_METRICS]: produce((draft: VmMetricsStateType, { payload: { vmId, samples } }: any) => {
+    draft[vmId] = samples
+  }),
+  [ADD_VM_METRICS_SAMPLE]: produce((draft: VmMetricsStateType, { payload: { vmId, sample } }: any) => {
+    draft[vmId] = appendMetricsSample(draft[vmId] || [], sample)
+  }),
+  [LOGOUT]: () => initialState,
+})
+
+export default vmMetrics
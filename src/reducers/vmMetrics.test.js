@@ -0,0 +1,13 @@
+/* eslint-env jest */
+import vmMetrics from './vmMetrics'
+import { addVmMetricsSample, logout, setVmMetrics } from '_/actions'
+
+describe('vmMetrics', () => {
+  test('the buffers are cleared on logout', () => {
+    const loaded = vmMetrics(undefined, setVmMetrics({ vmId: 'vm1', samples: [{ time: 1000, cpu: 10 }] }))
+    const sampled = vmMetrics(loaded, addVmMetricsSample({ vmId: 'vm1', sample: { time: 2000, cpu: 20 } }))
+    expect(sampled.vm1).toHaveLength(2)
+
+    expect(vmMetrics(sampled, logout())).toEqual({})
+  })
+})
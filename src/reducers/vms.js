@@ -1,4 +1,5 @@
 import Immutable from 'immutable'
+import isEmpty from 'lodash/isEmpty'
 
 import AppConfiguration from '_/config'
 import * as C from '_/constants'
@@ -16,6 +17,7 @@ const initialState = Immutable.fromJS({
   sort: { ...SortFields[NAME], isAsc: true },
 
   missedVms: Immutable.Set(),
+  selectedVms: Immutable.Set(),
 
   vmsPage: 0,
   vmsExpectMorePages: true,
@@ -23,6 +25,9 @@ const initialState = Immutable.fromJS({
   poolsPage: 0,
   poolsExpectMorePages: true,
 
+  lastEventIndex: null,
+  lastFullListRefresh: 0,
+
   correlationResult: {},
 })
 
@@ -134,6 +139,15 @@ const vms = actionReducer(initialState, {
     return state
   },
 
+  [C.SET_VM_TAGS] (state, { payload: { vmId, tags } }) {
+    if (state.getIn(['vms', vmId])) {
+      return state.setIn(['vms', vmId, 'tags'], Immutable.fromJS(tags))
+    } else { // fail, if VM not found
+      console.error(`vms.setVmTags() reducer: vmId ${vmId} not found`)
+    }
+    return state
+  },
+
   [C.SET_VM_SESSIONS] (state, { payload: { vmId, sessions } }) {
     let consoleInUse = false
     for (const i in sessions) {
@@ -182,11 +196,47 @@ const vms = actionReducer(initialState, {
   },
 
   [C.LOGOUT] (state) { // see the config() reducer
-    return state.set('vms', Immutable.fromJS({}))
+    return state
+      .set('vms', Immutable.fromJS({}))
+      .set('selectedVms', Immutable.Set())
+      .set('lastEventIndex', null)
+      .set('lastFullListRefresh', 0)
+  },
+
+  [C.SET_LAST_EVENT_INDEX] (state, { payload: { index, fullRefreshTime } }) {
+    return fullRefreshTime
+      ? state.set('lastEventIndex', index).set('lastFullListRefresh', fullRefreshTime)
+      : state.set('lastEventIndex', index)
+  },
+
+  [C.SET_VM_SELECTION] (state, { payload: { vmIds, selected } }) {
+    return state.update('selectedVms', selectedVms => selected
+      ? selectedVms.union(vmIds.filter(vmId => state.hasIn(['vms', vmId])))
+      : selectedVms.subtract(vmIds)
+    )
+  },
+
+  [C.CLEAR_VM_SELECTION] (state) {
+    return state.set('selectedVms', Immutable.Set())
   },
 
   [C.SET_FILTERS] (state, { payload: { filters } }) { // see the config() reducer
-    return state.set('filters', Immutable.fromJS(filters))
+    const newFilters = Immutable.fromJS(filters)
+    if (Immutable.is(state.get('filters'), newFilters)) {
+      return state
+    }
+
+    // the filters are applied by the server's search, so the list starts over
+    return state.merge({
+      filters: newFilters,
+      vms: Immutable.Map(),
+      pools: Immutable.Map(),
+      selectedVms: Immutable.Set(),
+      vmsPage: initialState.get('vmsPage'),
+      vmsExpectMorePages: initialState.get('vmsExpectMorePages'),
+      poolsPage: initialState.get('poolsPage'),
+      poolsExpectMorePages: initialState.get('poolsExpectMorePages'),
+    })
   },
 
   [C.SET_VM_SORT] (state, { payload: { sort } }) { // see the config() reducer
@@ -210,6 +260,7 @@ function updateVms (state, updatedVms, keepSubResources) {
       updates[vm.id] = {
         ...updates[vm.id],
         ...pullVmSubResources(existingVm),
+        ...pickFetchedWithList(vm),
       }
     }
   })
@@ -222,6 +273,19 @@ function updateVms (state, updatedVms, keepSubResources) {
   return state
 }
 
+/**
+ * The list's table view may fetch the NICs (for the IP addresses) and the statistics (for
+ * the usage and uptime columns) along with the VMs.  Those fresh values replace the ones
+ * kept from the existing VM.  Sub resources that were not fetched are empty.
+ */
+function pickFetchedWithList (vm) {
+  return Object.fromEntries(
+    ['nics', 'statistics']
+      .filter(name => !isEmpty(vm[name]))
+      .map(name => [name, vm[name]])
+  )
+}
+
 /**
  * Pull the VM_FETCH_ADDITIONAL_DEEP values from a vm
  */
@@ -235,6 +299,8 @@ function pullVmSubResources (vm) {
   subResources.disks = vm.disks || []
   subResources.nics = vm.nics || []
   subResources.sessions = vm.sessions || []
+  subResources.applications = vm.applications || []
+  subResources.reportedDevices = vm.reportedDevices || []
   subResources.snapshots = vm.snapshots || []
   subResources.statistics = vm.statistics || []
 
@@ -244,6 +310,7 @@ function pullVmSubResources (vm) {
   subResources.canUserEditVm = !!vm.canUserEditVm
   subResources.canUserManipulateSnapshots = !!vm.canUserManipulateSnapshots
   subResources.canUserEditVmStorage = !!vm.canUserEditVmStorage
+  subResources.canUserMigrateVm = !!vm.canUserMigrateVm
 
   return subResources
 }
@@ -252,6 +319,7 @@ function removeVms (state, vmIds) {
   const mutable = state.asMutable()
   vmIds.forEach(vmId => mutable.deleteIn(['vms', vmId]))
   mutable.update('missedVms', missedVms => missedVms.union(vmIds))
+  mutable.update('selectedVms', selectedVms => selectedVms.subtract(vmIds))
   return mutable.asImmutable()
 }
 
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+import vms, { initialState } from './vms'
+import { logout, setLastEventIndex, updateVms } from '_/actions'
+
+const baseVm = {
+  id: 'vm1',
+  name: 'web',
+  consoles: [],
+  nics: [],
+  statistics: [],
+}
+
+describe('UPDATE_VMS with keepSubResources', () => {
+  const fetched = vms(initialState, updateVms({
+    vms: [{
+      ...baseVm,
+      nics: [{ id: 'n1', ips: [{ address: '10.0.0.1' }] }],
+      statistics: { cpu: { current: { datum: 10 } } },
+      snapshots: [{ id: 's1' }],
+    }],
+  }))
+
+  test('sub resources missing from the refresh are kept', () => {
+    const state = vms(fetched, updateVms({ vms: [{ ...baseVm }], keepSubResources: true }))
+
+    expect(state.getIn(['vms', 'vm1', 'snapshots']).toJS()).toEqual([{ id: 's1' }])
+    expect(state.getIn(['vms', 'vm1', 'nics']).toJS()).toEqual([{ id: 'n1', ips: [{ address: '10.0.0.1' }] }])
+    expect(state.getIn(['vms', 'vm1', 'statistics']).toJS()).toEqual({ cpu: { current: { datum: 10 } } })
+  })
+
+  test('NICs and statistics fetched with the refresh replace the kept ones', () => {
+    const state = vms(fetched, updateVms({
+      vms: [{
+        ...baseVm,
+        nics: [{ id: 'n1', ips: [{ address: '10.0.0.2' }] }],
+        statistics: { cpu: { current: { datum: 55 } } },
+      }],
+      keepSubResources: true,
+    }))
+
+    expect(state.getIn(['vms', 'vm1', 'snapshots']).toJS()).toEqual([{ id: 's1' }])
+    expect(state.getIn(['vms', 'vm1', 'nics', 0, 'ips', 0, 'address'])).toEqual('10.0.0.2')
+    expect(state.getIn(['vms', 'vm1', 'statistics', 'cpu', 'current', 'datum'])).toEqual(55)
+  })
+
+  test('statistics of a VM loaded before they were fetched are filled in', () => {
+    const shallow = vms(initialState, updateVms({ vms: [{ ...baseVm }] }))
+    const state = vms(shallow, updateVms({
+      vms: [{ ...baseVm, statistics: { memory: { used: { datum: 1024 } } } }],
+      keepSubResources: true,
+    }))
+
+    expect(state.getIn(['vms', 'vm1', 'statistics', 'memory', 'used', 'datum'])).toEqual(1024)
+  })
+})
+
+describe('SET_LAST_EVENT_INDEX', () => {
+  test('the time of a full list refresh is kept until logout', () => {
+    const refreshed = vms(initialState, setLastEventIndex({ index: 10, fullRefreshTime: 1000 }))
+    const followed = vms(refreshed, setLastEventIndex({ index: 12 }))
+
+    expect(followed.get('lastEventIndex')).toEqual(12)
+    expect(followed.get('lastFullListRefresh')).toEqual(1000)
+
+    const loggedOut = vms(followed, logout())
+    expect(loggedOut.get('lastEventIndex')).toBeNull()
+    expect(loggedOut.get('lastFullListRefresh')).toEqual(0)
+  })
+})
@@ -15,12 +15,14 @@ import {
   VmsListPage,
   GlobalSettingsPage,
   VmConsolePage,
+  ConsoleWallPage,
 } from './components/Pages'
 
 import {
   DETAIL_PAGE_TYPE,
   LIST_PAGE_TYPE,
   CONSOLE_PAGE_TYPE,
+  CONSOLE_WALL_PAGE_TYPE,
   NO_REFRESH_TYPE,
   SETTINGS_PAGE_TYPE,
 } from '_/constants'
@@ -78,6 +80,17 @@ export default function getRoutes () {
             type: SETTINGS_PAGE_TYPE,
           },
 
+          {
+            path: '/consoles',
+            exact: true,
+            title: ({ msg }) => msg.consoleWall(),
+            component: ConsoleWallPage,
+            // console wall page has embeded toolbar
+            toolbars: (match) => null,
+            isToolbarFullWidth: true,
+            type: CONSOLE_WALL_PAGE_TYPE,
+          },
+
         ],
       },
 
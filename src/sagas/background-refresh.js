@@ -19,21 +19,25 @@ import {
 import * as Actions from '_/actions'
 import * as C from '_/constants'
 
+import Api from '_/ovirtapi'
 import AppConfiguration from '_/config'
 import { isNumber } from '_/utils'
-import { delay } from './utils'
+import { callExternalAction, delay } from './utils'
 
 import {
   fetchAndPutSingleVm,
   fetchByPage,
+  fetchEventsSince,
   fetchPools,
   fetchSinglePool,
   fetchSingleVm,
   fetchVms,
+  selectListSearch,
 } from './index'
 import { getConsoleOptions } from './console'
 import { fetchIsoFiles } from './storageDomains'
 import { fetchUnknownIcons } from './osIcons'
+import { recordVmMetrics, recordVmsMetrics } from './vmMetrics'
 
 const BACKGROUND_REFRESH = 'BACKGROUND_REFRESH'
 
@@ -112,10 +116,116 @@ const pagesRefreshers = {
   [C.DETAIL_PAGE_TYPE]: refreshDetailPage,
   [C.CREATE_PAGE_TYPE]: refreshCreatePage,
   [C.CONSOLE_PAGE_TYPE]: refreshConsolePage,
+  [C.CONSOLE_WALL_PAGE_TYPE]: refreshConsoleWallPage,
   [C.SETTINGS_PAGE_TYPE]: loadUserOptions,
 }
 
-function* refreshListPage () {
+/**
+ * Refresh the list page.  A scheduled refresh only refreshes the VMs referenced by the
+ * engine events logged since the last refresh.  A full refresh of every VM and Pool
+ * shown is done on page change, on manual refresh, once per refresh interval, and any
+ * time the event feed can't be followed or the set of VMs and Pools may have changed.
+ */
+function* refreshListPage ({ schedulerRefresh }) {
+  const useEvents = AppConfiguration.eventRefreshIntervalInSeconds > 0
+
+  if (useEvents && schedulerRefresh && !(yield isFullListRefreshDue())) {
+    const lastEventIndex = yield select(({ vms }) => vms.get('lastEventIndex'))
+    if (!isNumber(lastEventIndex)) {
+      // the event feed is not available, wait for the next full refresh
+      return
+    }
+
+    const refreshed = yield refreshListPageFromEvents(lastEventIndex)
+    if (refreshed) {
+      return
+    }
+    console.log('🔄 refreshListPage() 🡒 event feed could not be followed, doing a full refresh')
+  }
+
+  // pick up the latest event index first so no event logged during the refresh is missed
+  const latestEvents = useEvents ? yield fetchEventsSince({ max: 1 }) : null
+  const latestEventIndex = latestEvents ? Math.max(0, ...latestEvents.map(({ index }) => Number(index))) : null
+
+  yield refreshListPageFully()
+
+  yield put(Actions.setLastEventIndex({ index: latestEventIndex, fullRefreshTime: Date.now() }))
+}
+
+function* isFullListRefreshDue () {
+  const { refreshInterval, lastFullListRefresh } = yield select(({ options, vms }) => ({
+    refreshInterval: options.getIn(['remoteOptions', 'refreshInterval', 'content'], AppConfiguration.schedulerFixedDelayInSeconds),
+    lastFullListRefresh: vms.get('lastFullListRefresh'),
+  }))
+  return Date.now() - lastFullListRefresh >= refreshInterval * 1000
+}
+
+// engine audit log types of the events logged for a VM that was added (created, cloned
+// or imported): USER_ADD_VM, USER_ADD_VM_STARTED, USER_ADD_VM_FINISHED_SUCCESS and
+// IMPORTEXPORT_IMPORT_VM
+const VM_ADDED_EVENT_CODES = [34, 37, 53, 1152]
+
+/**
+ * Refresh the VMs referenced by the events logged since the last list refresh.  Only
+ * changes of the VMs already in the list are picked up this way.  Events of VMs on the
+ * pages not fetched yet are ignored, unless the VM was just added.  Changes of Pools that
+ * don't involve any of their VMs wait for the next full refresh.
+ *
+ * @returns {boolean} `false` if the events can't bring the list up to date and a full
+ *                    refresh is needed instead
+ */
+function* refreshListPageFromEvents (lastEventIndex) {
+  const { existingVmIds, poolVmIds, vmsExpectMorePages } = yield select(({ vms }) => ({
+    existingVmIds: new Set(vms.get('vms').keys()),
+    poolVmIds: new Set(vms.get('vms').filter(vm => vm.getIn(['pool', 'id'])).keys()),
+    vmsExpectMorePages: !!vms.get('vmsExpectMorePages'),
+  }))
+
+  // The feed has a gap if the fetch failed, if there may be more new events than were
+  // fetched, or if the event index went backwards (the engine's event log was reset)
+  const max = AppConfiguration.eventRefreshMaxEvents
+  const events = yield fetchEventsSince({ from: lastEventIndex, max })
+  if (!events || events.length >= max || events.some(({ index }) => Number(index) <= lastEventIndex)) {
+    return false
+  }
+  if (events.length === 0) {
+    return true
+  }
+
+  // A VM not in the list needs to be added to it if it was just added or if all of the
+  // pages have been fetched, and a change of a Pool's VM changes the Pool as well.  Either
+  // way the list's pages need to be fetched again.
+  const isVmSetChange = ({ vm, code }) => !existingVmIds.has(vm.id) &&
+    (!vmsExpectMorePages || VM_ADDED_EVENT_CODES.includes(Number(code)))
+  const vmEvents = events.filter(({ vm }) => vm?.id)
+  if (vmEvents.some(event => isVmSetChange(event) || poolVmIds.has(event.vm.id))) {
+    return false
+  }
+
+  const vmIds = Array.from(new Set(vmEvents.map(({ vm }) => vm.id).filter(vmId => existingVmIds.has(vmId))))
+
+  const results = yield all(
+    vmIds.map(vmId => call(fetchSingleVm, Actions.getSingleVm({ vmId, shallowFetch: true })))
+  )
+
+  // a removed VM leaves a gap in the fetched pages
+  if (results.some(({ error }) => error?.status === 404)) {
+    return false
+  }
+
+  const refreshed = results.filter(({ error }) => !error).map(({ internalVm }) => internalVm)
+  yield put(Actions.updateVms({
+    keepSubResources: true,
+    vms: refreshed,
+  }))
+  yield fetchUnknownIcons({ vms: refreshed })
+  yield recordVmsMetrics(refreshed)
+
+  yield put(Actions.setLastEventIndex({ index: Math.max(...events.map(({ index }) => Number(index))) }))
+  return true
+}
+
+function* refreshListPageFully () {
   const {
     vmsPage,
     vmsExpectMorePages,
@@ -162,11 +272,13 @@ function* refreshListPage () {
     }
   }
 
+  const { vmsSearch, poolsSearch } = yield selectListSearch()
   const [vmsResults, poolsResults] = yield all([
     call(function* () {
       // fetch the VMs we are expecting to be in the pages we have fetched
       const { internalVms: expectedVms } = yield fetchVms(Actions.getVmsByCount({
         count: vmsPage * AppConfiguration.pageLimit,
+        search: vmsSearch,
       }))
 
       return yield filterAndFetchMissing({
@@ -182,6 +294,7 @@ function* refreshListPage () {
       // fetch the Pools we are expecting to be in the pages we have fetched
       const { internalPools: expectedPools } = yield fetchPools(Actions.getPoolsByCount({
         count: poolsPage * AppConfiguration.pageLimit,
+        search: poolsSearch,
       }))
 
       return yield filterAndFetchMissing({
@@ -204,10 +317,23 @@ function* refreshListPage () {
     removePoolIds: poolsResults.missedIds,
   }))
   yield fetchUnknownIcons({ vms: vmsResults.refreshed })
+  yield recordVmsMetrics(vmsResults.refreshed)
+}
+
+/**
+ * The console wall offers all of the running VMs, independently of the VM list's fetched
+ * pages and filters.  The VMs are kept if the fetch fails.
+ */
+function* refreshConsoleWallPage () {
+  const { internalVms } = yield fetchVms({ payload: { search: 'status=up' } })
+  if (internalVms) {
+    yield put(Actions.setConsoleWallVms({ vms: internalVms }))
+  }
 }
 
 function* refreshDetailPage ({ id: vmId, manualRefresh }) {
-  yield fetchAndPutSingleVm(Actions.getSingleVm({ vmId }))
+  const { internalVm } = yield fetchAndPutSingleVm(Actions.getSingleVm({ vmId }))
+  yield recordVmMetrics(internalVm)
   yield getConsoleOptions(Actions.getConsoleOptions({ vmId }))
 
   // TODO: If the VM is from a Pool, refresh the Pool as well.
@@ -232,6 +358,7 @@ function* refreshCreatePage ({ id: vmId, manualRefresh }) {
 function* refreshConsolePage ({ id: vmId }) {
   if (vmId) {
     yield fetchAndPutSingleVm(Actions.getSingleVm({ vmId, shallowFetch: true }))
+    yield getConsoleOptions(Actions.getConsoleOptions({ vmId }))
   }
 }
 
@@ -334,10 +461,46 @@ function* backgroundRefreshTimer (timerDuration = AppConfiguration.schedulerFixe
     return
   }
 
+  const isOffline = yield select(state => state.config.get('isOffline'))
+  if (isOffline) {
+    console.log(`⏰ backgroundRefreshTimer[${myId}] 🡒 timer has been paused, engine is not reachable`)
+    return
+  }
+
   console.log(`⏰ backgroundRefreshTimer[${myId}] 🡒 timer event!, duration: ${timerDuration}`)
   yield put(backgroundRefreshAction('timer'))
 }
 
+//
+// Reconnect (the background refresh is paused while the engine is not reachable)
+//
+/**
+ * While offline, check if the engine is reachable again with an exponential back-off.
+ * Any successful request puts the app back online.  Once back online, refresh the
+ * current page and restart the background refresh timer.
+ */
+function* reconnect ({ payload: { offline } }) {
+  if (!offline) {
+    const targetPage = yield select(({ config }) => config.get('currentPage'))
+    console.log('🔌 reconnect() 🡒 engine is reachable again, refreshing', targetPage)
+    yield put(backgroundRefreshAction('manual', targetPage))
+    return
+  }
+
+  const maxDelay = AppConfiguration.reconnectMaxDelayInSeconds * 1000
+  for (let attempt = 0; ; attempt++) {
+    yield delay(Math.min(AppConfiguration.httpRetryDelayInMs * (2 ** attempt), maxDelay))
+
+    const isOffline = yield select(state => state.config.get('isOffline'))
+    if (!isOffline) {
+      return
+    }
+
+    console.log(`🔌 reconnect() 🡒 checking if the engine is reachable, attempt ${attempt + 1}`)
+    yield callExternalAction(Api.getOvirtApiMeta, { payload: {} }, true)
+  }
+}
+
 //
 // Resume notifications timer (the do not disturb interval ends with a resume notifications action)
 //
@@ -402,6 +565,12 @@ function* handleBackgroundChannel (action) {
   }
 
   if (startNewTimer) {
+    // the list page follows the event feed more often than the refresh interval
+    const currentPageType = yield select(({ config }) => config.getIn(['currentPage', 'type']))
+    if (currentPageType === C.LIST_PAGE_TYPE && AppConfiguration.eventRefreshIntervalInSeconds > 0) {
+      timerDuration = Math.min(timerDuration, AppConfiguration.eventRefreshIntervalInSeconds)
+    }
+
     yield spawn(backgroundRefreshTimer, timerDuration)
   }
 }
@@ -420,8 +589,8 @@ export default [
   *       currently running `changePage()` saga and start the new one.
   *
   *       There are two important things to think about with task cancellation.  First,
-  *       our external call handler does not detect task cancellation and abort the API
-  *       call.  The transport call will always complete.  Second, the cancellation
+  *       the transport aborts the API call a cancelled saga is waiting on, so the old
+  *       page's requests do not keep running.  Second, the cancellation
   *       propagates down, so the safest thing to do is to do a single `put()` action at
   *       the end of the saga to update the store.  That will help prevent state from
   *       getting broken in the case when `CHANGE_PAGE` actions overlap.
@@ -431,6 +600,7 @@ export default [
   takeLatest(C.CHANGE_PAGE, changePage),
 
   takeEvery(C.START_REFRESH_TIMER, restartBackgroundRefreshTimer),
+  takeLatest(C.SET_OFFLINE, reconnect),
 
   takeEvery(C.START_RESUME_NOTIFICATIONS_TIMER, startResumeNotificationsTimer),
   takeEvery(C.LOGOUT, logoutAndCancelScheduler),
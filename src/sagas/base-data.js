@@ -17,6 +17,7 @@ import {
   setClusters,
   setHosts,
   setOperatingSystems,
+  setTags,
   setTemplates,
   setUser,
   setUserGroups,
@@ -62,6 +63,18 @@ export function* fetchAllHosts () {
   }
 }
 
+export function* fetchAllTags () {
+  const tags = yield callExternalAction(Api.getAllTags)
+
+  if (tags && tags.tag) {
+    const tagsInternal = tags.tag.map(
+      tag => Transforms.Tag.toInternal({ tag })
+    )
+
+    yield put(setTags(tagsInternal))
+  }
+}
+
 export function* fetchAllOS () {
   const operatingSystems = yield callExternalAction(Api.getAllOperatingSystems)
 
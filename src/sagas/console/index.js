@@ -1,3 +1,4 @@
+import { fromJS } from 'immutable'
 import {
   takeEvery,
   put,
@@ -23,7 +24,7 @@ import RDPBuilder from './rdpBuilder'
 import { push } from 'connected-react-router'
 import * as C from '_/constants'
 import { canConsole, statusToTooltipId } from '_/vm-status'
-import { getConsoles } from '_/utils/console'
+import { getConsoles, isBrowserConsole } from '_/utils/console'
 
 // ----- Connection files
 /**
@@ -40,6 +41,7 @@ function* downloadOrOpenVmConsole ({
   skipSSO,
   openInPage,
   logoutOtherUsers,
+  stayOnPage,
 }) {
   if (attemptSsoOnOpenConsole && !skipSSO) {
     const result = yield callExternalAction(Api.vmLogon, { payload: { vmId } }, true)
@@ -53,6 +55,7 @@ function* downloadOrOpenVmConsole ({
 
   let data = yield callExternalAction(Api.console, { type: 'INTERNAL_CONSOLE', payload: { vmId, consoleId } })
   if (data.error) {
+    yield consoleOpenFailed({ vmId, consoleType })
     return
   }
 
@@ -68,21 +71,36 @@ function* downloadOrOpenVmConsole ({
     yield put(Actions.setConsoleStatus({ vmId, status: C.DOWNLOAD_CONSOLE, consoleType }))
   }
 
-  const isNoVNC = consoleType === C.BROWSER_VNC
-  if (isNoVNC) {
+  const isInBrowser = isBrowserConsole(consoleType)
+  if (isInBrowser) {
     const dataTicket = yield callExternalAction(Api.consoleProxyTicket,
       { type: 'INTRENAL_CONSOLE', payload: { vmId, consoleId } })
     const ticket = yield callExternalAction(Api.consoleTicket,
       { type: 'INTRENAL_CONSOLE', payload: { vmId, consoleId } })
+    if (dataTicket.error || ticket.error) {
+      yield consoleOpenFailed({ vmId, consoleType })
+      return
+    }
     yield put(Actions.setConsoleTickets({ vmId, proxyTicket: dataTicket.proxy_ticket.value, ticket: ticket.ticket }))
     yield put(Actions.setConsoleStatus({ vmId, status: C.INIT_CONSOLE, consoleType }))
   }
 
-  if (openInPage || isNoVNC) {
+  // the console wall shows the browser consoles in place
+  if (!stayOnPage && (openInPage || isInBrowser)) {
     yield put(push('/vm/' + vmId + '/console/' + consoleType))
   }
 }
 
+/**
+ * Leave the OPEN_IN_PROGRESS state of a console that could not be opened.  The tickets
+ * of the previous connection are stale by now, so they are dropped and the console shows
+ * as disconnected until it is opened again.
+ */
+function* consoleOpenFailed ({ vmId, consoleType }) {
+  yield put(Actions.setConsoleTickets({ vmId, proxyTicket: undefined, ticket: undefined }))
+  yield put(Actions.setConsoleStatus({ vmId, status: C.DISCONNECTED_CONSOLE, reason: 'CONNECTION_FAILURE', consoleType }))
+}
+
 /**
  * Legacy options were saved in browser's local storage.
  * The UI for setting theose options was removed in previous versions.
@@ -161,6 +179,7 @@ export function* openConsole ({
     openInPage,
     skipSSO,
     logoutOtherUsers,
+    stayOnPage,
   },
 }) {
   yield put(Actions.setConsoleStatus({ vmId, status: C.OPEN_IN_PROGRESS, consoleType }))
@@ -175,17 +194,21 @@ export function* openConsole ({
     fqdn,
     domain,
     username,
-  } = yield select(({ config, vms }) => ({
-    usbAutoshare: config.get('usbAutoshare'),
-    usbFilter: config.get('usbFilter'),
-    userId: config.getIn(['user', 'id']),
-    domain: config.get('domain'),
-    username: config.getIn(['user', 'name']),
-    vmName: vms.getIn(['vms', vmId, 'name']),
-    attemptSsoOnOpenConsole: vms.getIn(['vms', vmId, 'attemptSsoOnOpenConsole']),
-    consoleId: idFromType({ consoleType, vm: vms.getIn(['vms', vmId]) }),
-    fqdn: vms.getIn(['vms', vmId, 'fqdn']),
-  }))
+  } = yield select(({ config, vms, consoles }) => {
+    // the console wall's VMs need not be on the VM list's fetched pages
+    const vm = vms.getIn(['vms', vmId]) ?? fromJS(consoles.wallVms[vmId])
+    return {
+      usbAutoshare: config.get('usbAutoshare'),
+      usbFilter: config.get('usbFilter'),
+      userId: config.getIn(['user', 'id']),
+      domain: config.get('domain'),
+      username: config.getIn(['user', 'name']),
+      vmName: vm.get('name'),
+      attemptSsoOnOpenConsole: vm.get('attemptSsoOnOpenConsole'),
+      consoleId: idFromType({ consoleType, vm }),
+      fqdn: vm.get('fqdn'),
+    }
+  })
 
   if (consoleType === C.RDP) {
     yield call(getRDPVm, {
@@ -212,6 +235,7 @@ export function* openConsole ({
       consoleType,
       status: C.CONSOLE_IN_USE,
       consoleId,
+      stayOnPage,
     }))
   } else {
     yield call(downloadOrOpenVmConsole, {
@@ -225,6 +249,7 @@ export function* openConsole ({
       openInPage,
       skipSSO: skipSSO || doesVmSessionExistForUserId(sessionsInternal, userId),
       logoutOtherUsers,
+      stayOnPage,
     })
   }
 }
@@ -257,10 +282,10 @@ function cannotOpenConsole ({ id, params }) {
 }
 
 function* autoconnect () {
-  // edge case: if user started VM Portal with a direct link to console/BrowserVnc screen then
+  // edge case: if user started VM Portal with a direct link to console/BrowserVnc (or BrowserSpice) screen then
   // a console is already being loaded. There is no point to autoconnect to another(or the same) console.
   // NOTE the check is low level because page router is starting in parallel (config.currentPage is not valid yet)
-  if (window?.location?.pathname.endsWith?.(C.BROWSER_VNC)) {
+  if (window?.location?.pathname.endsWith?.(C.BROWSER_VNC) || window?.location?.pathname.endsWith?.(C.BROWSER_SPICE)) {
     return
   }
 
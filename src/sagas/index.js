@@ -8,6 +8,7 @@ import {
   select,
 } from 'redux-saga/effects'
 import { push } from 'connected-react-router'
+import Immutable from 'immutable'
 
 import Api, { Transforms } from '_/ovirtapi'
 import { saveToLocalStorage } from '_/storage'
@@ -18,6 +19,8 @@ import sagasRefresh from './background-refresh'
 import sagasDisks from './disks'
 import sagasLogin from './login'
 import sagasVmChanges from './vmChanges'
+import sagasVmListViews from './vmListViews'
+import sagasVmsExport from './vmsExport'
 import sagasVmSnapshots from '_/components/VmDetails/cards/SnapshotsCard/sagas'
 
 import {
@@ -28,6 +31,7 @@ import {
   dismissUserMessage,
 
   setVmNics,
+  setVmTags,
   removeActiveRequest,
   getVmCdRom,
   setVmsFilters,
@@ -45,10 +49,12 @@ import { fetchUnknownIcons } from './osIcons'
 
 import {
   ADD_VM_NIC,
+  ATTACH_VM_TAG,
   CHECK_TOKEN_EXPIRED,
   CLEAR_USER_MSGS,
   DELAYED_REMOVE_ACTIVE_REQUEST,
   DELETE_VM_NIC,
+  DETACH_VM_TAG,
   DISMISS_EVENT,
   EDIT_VM_NIC,
   GET_ALL_EVENTS,
@@ -57,6 +63,7 @@ import {
   GET_POOLS,
   GET_VM,
   GET_VMS,
+  LIST_PAGE_TYPE,
   NAVIGATE_TO_VM_DETAILS,
   SAVE_FILTERS,
 } from '_/constants'
@@ -67,24 +74,52 @@ import {
   canUserEditVm,
   canUserEditVmStorage,
   canUserManipulateSnapshots,
+  canUserMigrateVm,
+  buildPoolsSearchQuery,
+  buildVmsSearchQuery,
+  hasUnsearchedFilters,
+  CPU_USAGE,
+  IP,
+  MEMORY_USAGE,
 } from '_/utils'
+import { toJS } from '_/helpers'
 import AppConfiguration from '_/config'
 
 const VM_FETCH_ADDITIONAL_DEEP = [
+  'applications',
   'cdroms',
   'disk_attachments.disk.permissions',
   'graphics_consoles',
   'nics.reporteddevices',
   'permissions',
+  'reporteddevices',
   'sessions',
   'snapshots',
   'statistics',
+  'tags',
 ]
 
 const VM_FETCH_ADDITIONAL_SHALLOW = [
   'graphics_consoles', // for backward compatibility only (before 4.4.7)
+  'tags',
 ]
 
+// sub resources a shallow fetch needs for the optional columns of the list's table view
+const VM_FETCH_ADDITIONAL_FOR_COLUMNS = {
+  [IP]: ['nics.reporteddevices'],
+  [CPU_USAGE]: ['statistics'],
+  [MEMORY_USAGE]: ['statistics'],
+}
+
+function* selectShallowFetchAdditional () {
+  const { tableView, columns } = yield select(({ options }) => ({
+    tableView: options.getIn(['remoteOptions', 'viewForVirtualMachines', 'content']) === 'table',
+    columns: toJS(options.getIn(['remoteOptions', 'columnsForVirtualMachines', 'content'], [])),
+  }))
+  const forColumns = tableView ? columns.flatMap(column => VM_FETCH_ADDITIONAL_FOR_COLUMNS[column] ?? []) : []
+  return [...new Set([...VM_FETCH_ADDITIONAL_SHALLOW, ...forColumns])]
+}
+
 export const EVERYONE_GROUP_ID = 'eee00000-0000-0000-0000-123456789eee'
 
 export function* transformAndPermitVm (vm) {
@@ -95,6 +130,7 @@ export function* transformAndPermitVm (vm) {
   internalVm.canUserEditVm = canUserEditVm(internalVm.userPermits)
   internalVm.canUserManipulateSnapshots = canUserManipulateSnapshots(internalVm.userPermits)
   internalVm.canUserEditVmStorage = canUserEditVmStorage(internalVm.userPermits)
+  internalVm.canUserMigrateVm = canUserMigrateVm(internalVm.userPermits)
 
   // Map VM attribute derived config values to the VM. The mappings are based on the
   // VM's custom compatibility version and CPU architecture.
@@ -114,11 +150,37 @@ export function* transformAndPermitVm (vm) {
   return internalVm
 }
 
+/**
+ * Select the search queries for the VMs and Pools that match the list filters.
+ */
+export function* selectListSearch () {
+  const { filters, names } = yield select(({ vms, clusters, dataCenters, hosts, tags, templates }) => {
+    const toNames = (entities) => Object.fromEntries(Object.values(entities).map(({ id, name }) => [id, name]))
+    return {
+      filters: vms.get('filters').toJS(),
+      names: {
+        cluster: clusters.map(cluster => cluster.get('name')).toJS(),
+        dataCenter: toNames(dataCenters),
+        host: toNames(hosts),
+        tag: toNames(tags),
+        template: templates.map(template => template.get('name')).toJS(),
+      },
+    }
+  })
+  return {
+    vmsSearch: buildVmsSearchQuery(filters, names),
+    poolsSearch: buildPoolsSearchQuery(filters, names),
+    fetchAllPages: hasUnsearchedFilters(filters),
+  }
+}
+
 /**
  * Fetch VMs and Pools in a paged manner, and track if any more pages are (expected to
  * be) available,
+ *
+ * @param {boolean} poolsOnly Only fetch the next page of Pools, leave the VMs' pages as they are
  */
-export function* fetchByPage () {
+export function* fetchByPage ({ poolsOnly = false } = {}) {
   const {
     vmsPage,
     vmsExpectMorePages,
@@ -126,7 +188,7 @@ export function* fetchByPage () {
     poolsExpectMorePages,
   } = yield select(({ vms }) => ({
     vmsPage: vms.get('vmsPage'),
-    vmsExpectMorePages: !!vms.get('vmsExpectMorePages'),
+    vmsExpectMorePages: !poolsOnly && !!vms.get('vmsExpectMorePages'),
     poolsPage: vms.get('poolsPage'),
     poolsExpectMorePages: !!vms.get('poolsExpectMorePages'),
   }))
@@ -136,16 +198,17 @@ export function* fetchByPage () {
   // If no more pages are expected, skip the fetch
   //
   const count = AppConfiguration.pageLimit
+  const { vmsSearch, poolsSearch, fetchAllPages } = yield selectListSearch()
   const {
     vms: { internalVms: vms },
     pools: { internalPools: pools },
   } = yield all({
     vms: vmsExpectMorePages
-      ? call(fetchVms, { payload: { count, page: vmsPage + 1 } })
+      ? call(fetchVms, { payload: { count, page: vmsPage + 1, search: vmsSearch } })
       : { internalVms: null },
 
     pools: poolsExpectMorePages
-      ? call(fetchPools, { payload: { count, page: poolsPage + 1 } })
+      ? call(fetchPools, { payload: { count, page: poolsPage + 1, search: poolsSearch } })
       : { internalPools: null },
   })
 
@@ -165,11 +228,19 @@ export function* fetchByPage () {
   if (vms) {
     yield fetchUnknownIcons({ vms })
   }
+
+  // the filters the search can't do only apply to the loaded pages, so load all of them
+  if (fetchAllPages) {
+    const expectMorePages = yield select(({ vms }) => (!poolsOnly && vms.get('vmsExpectMorePages')) || vms.get('poolsExpectMorePages'))
+    if (expectMorePages) {
+      yield fetchByPage({ poolsOnly })
+    }
+  }
 }
 
-export function* fetchVms ({ payload: { count, page, shallowFetch = true } }) {
-  const additional = shallowFetch ? VM_FETCH_ADDITIONAL_SHALLOW : VM_FETCH_ADDITIONAL_DEEP
-  const apiVms = yield callExternalAction(Api.getVms, { payload: { count, page, additional } })
+export function* fetchVms ({ payload: { count, page, search, shallowFetch = true } }) {
+  const additional = shallowFetch ? yield selectShallowFetchAdditional() : VM_FETCH_ADDITIONAL_DEEP
+  const apiVms = yield callExternalAction(Api.getVms, { payload: { count, page, search, additional } })
 
   if (!apiVms || apiVms.error) {
     return { internalVms: null }
@@ -336,6 +407,36 @@ function* editVmNic (action) {
   yield put(setVmNics({ vmId: action.payload.vmId, nics: nicsInternal }))
 }
 
+/**
+ * @returns {Array} The VM's tags, or `null` if the fetch failed
+ */
+function* fetchVmTags ({ vmId }) {
+  const tags = yield callExternalAction(Api.getVmTags, { type: 'GET_VM_TAGS', payload: { vmId } })
+  if (!tags || tags.error) {
+    return null
+  }
+  // a VM without tags gives an empty object
+  return (tags.tag || []).map(tag => Transforms.Tag.toInternal({ tag }))
+}
+
+function* attachVmTag (action) {
+  yield callExternalAction(Api.addTagToVm, action)
+
+  const tagsInternal = yield fetchVmTags({ vmId: action.payload.vmId })
+  if (tagsInternal) {
+    yield put(setVmTags({ vmId: action.payload.vmId, tags: tagsInternal }))
+  }
+}
+
+function* detachVmTag (action) {
+  yield callExternalAction(Api.removeTagFromVm, action)
+
+  const tagsInternal = yield fetchVmTags({ vmId: action.payload.vmId })
+  if (tagsInternal) {
+    yield put(setVmTags({ vmId: action.payload.vmId, tags: tagsInternal }))
+  }
+}
+
 function* fetchAllEvents () {
   const { userId, userName } = yield select(state => ({
     userId: state.config.getIn(['user', 'id']),
@@ -356,6 +457,19 @@ function* fetchAllEvents () {
   yield put(setServerMessages({ messages: internalEvents }))
 }
 
+/**
+ * Fetch the events logged after the event with index `from`, or the latest events if no
+ * `from` is given.  Returns `null` if the events could not be fetched.
+ */
+export function* fetchEventsSince ({ from, max }) {
+  const events = yield callExternalAction(Api.eventsSince, { payload: { from, max } }, true)
+
+  if (!events || events.error) {
+    return null
+  }
+  return Array.isArray(events.event) ? events.event : []
+}
+
 function* dismissEvent ({ payload: { event: { source, id: eventId } } }) {
   if (source === 'server') {
     const result = yield callExternalAction(Api.dismissEvent, { payload: { eventId } })
@@ -388,11 +502,28 @@ export function* fetchVmSessions ({ vmId }) {
   return []
 }
 
+/**
+ * Persist the list filters and, since the filters are applied by the server's search,
+ * start the list over from the first page if the list page is showing.
+ */
 function* saveFilters (actions) {
   const { filters } = actions.payload
-  const userId = yield select(state => state.config.getIn(['user', 'id']))
+  const { userId, currentFilters, currentPageType } = yield select(state => ({
+    userId: state.config.getIn(['user', 'id']),
+    currentFilters: state.vms.get('filters'),
+    currentPageType: state.config.getIn(['currentPage', 'type']),
+  }))
   saveToLocalStorage(`vmFilters-${userId}`, JSON.stringify(filters))
+
+  if (Immutable.is(currentFilters, Immutable.fromJS(filters))) {
+    return
+  }
+
+  // the reducer resets the list's paging state when the filters change
   yield put(setVmsFilters({ filters }))
+  if (currentPageType === LIST_PAGE_TYPE) {
+    yield fetchByPage()
+  }
 }
 
 export function* fetchVmSnapshots ({ vmId }) {
@@ -497,14 +628,18 @@ export function* rootSaga () {
     takeEvery(ADD_VM_NIC, addVmNic),
     takeEvery(DELETE_VM_NIC, deleteVmNic),
     takeEvery(EDIT_VM_NIC, editVmNic),
+    takeEvery(ATTACH_VM_TAG, attachVmTag),
+    takeEvery(DETACH_VM_TAG, detachVmTag),
 
-    takeEvery(SAVE_FILTERS, saveFilters),
+    takeLatest(SAVE_FILTERS, saveFilters),
 
     // Sagas from Components
     ...sagasConsole,
     ...sagasDisks,
     ...sagasOptions,
     ...sagasVmChanges,
+    ...sagasVmListViews,
+    ...sagasVmsExport,
     ...sagasVmSnapshots,
   ])
 }
@@ -31,6 +31,7 @@ import {
   fetchAllClusters,
   fetchAllHosts,
   fetchAllOS,
+  fetchAllTags,
   fetchAllVnicProfiles,
   fetchAllTemplates,
   fetchCurrentUser,
@@ -42,7 +43,10 @@ import { fetchDataCentersAndStorageDomains, fetchIsoFiles } from './storageDomai
 import { loadIconsFromLocalStorage } from './osIcons'
 
 import { loadFromLocalStorage, removeFromLocalStorage } from '_/storage'
+import { VM_FILTER_NAMES } from '_/utils'
 import { loadUserOptions } from './options'
+import { applyInitialVmListView } from './vmListViews'
+import { clearStoredVmMetrics, pruneStoredVmMetrics } from './vmMetrics'
 
 function isFirstLogin (sessionAgeInSecAtPageLoad) {
   const threshold = AppConfiguration.sessionAgeFirstLoginThresholdInSeconds
@@ -124,6 +128,8 @@ function* login (action) {
  * NOTE: The __config__ reducer also responds to the logout action
  */
 function* logout () {
+  yield call(clearStoredVmMetrics)
+
   if (AppConfiguration.applicationLogoutURL && AppConfiguration.applicationLogoutURL.length > 0) {
     window.location.href = AppConfiguration.applicationLogoutURL
   }
@@ -187,13 +193,14 @@ function* checkUserFilterPermissions () {
 
 function* loadFilters () {
   const userId = yield select(state => state.config.getIn(['user', 'id']))
-  const { os, name, status } = JSON.parse(loadFromLocalStorage(`vmFilters-${userId}`)) || {}
+  const storedFilters = JSON.parse(loadFromLocalStorage(`vmFilters-${userId}`)) || {}
   // discard legacy format used for "os" and "status"
   // example:
   // {"os":"FreeBSD 9.2","status":"Not responding","name":["asd","qwert","gdfgdfg"]}
   // problems: translated labels used, single filter per category
   const toArray = (prop) => Array.isArray(prop) ? prop : []
-  yield put(saveVmsFilters({ filters: { os: toArray(os), status: toArray(status), name } }))
+  const filters = Object.fromEntries(VM_FILTER_NAMES.map(name => [name, toArray(storedFilters[name])]))
+  yield put(saveVmsFilters({ filters }))
 }
 
 function* initialLoad () {
@@ -206,12 +213,17 @@ function* initialLoad () {
     call(fetchUserGroups),
     call(fetchAllOS),
     call(fetchAllHosts),
+    call(fetchAllTags),
     call(loadFilters),
     call(loadUserOptions, { isLogin: true }),
+    call(pruneStoredVmMetrics),
   ])
   console.log('\u2714 data loads with no prerequisites are complete')
   console.groupEnd('no data prerequisites')
 
+  // requires the stored filters and the user options
+  yield call(applyInitialVmListView)
+
   // requires user groups and roles to be in redux store for authorization checks
   console.group('needs user groups and roles')
   yield all([
@@ -193,6 +193,7 @@ function* saveGlobalOptions ({
     preferredConsole,
     fullScreenVnc,
     fullScreenNoVnc,
+    keyShortcutsNoVnc,
     ctrlAltEndVnc,
     fullScreenSpice,
     ctrlAltEndSpice,
@@ -208,6 +209,7 @@ function* saveGlobalOptions ({
     preferredConsole: call(saveRemoteOption, ...Object.entries({ preferredConsole })),
     fullScreenVnc: call(saveRemoteOption, ...Object.entries({ fullScreenVnc })),
     fullScreenNoVnc: call(saveRemoteOption, ...Object.entries({ fullScreenNoVnc })),
+    keyShortcutsNoVnc: call(saveRemoteOption, ...Object.entries({ keyShortcutsNoVnc })),
     ctrlAltEndVnc: call(saveRemoteOption, ...Object.entries({ ctrlAltEndVnc })),
     fullScreenSpice: call(saveRemoteOption, ...Object.entries({ fullScreenSpice })),
     ctrlAltEndSpice: call(saveRemoteOption, ...Object.entries({ ctrlAltEndSpice })),
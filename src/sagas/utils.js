@@ -1,4 +1,5 @@
 import {
+  all,
   call,
   fork,
   put,
@@ -51,6 +52,25 @@ export function* debounce (interval, pattern, saga) {
   }
 }
 
+/**
+ * Call the `saga` once for each of the `items`, running at most `limit` of the calls
+ * at the same time.  The results are returned in the same order as the `items`.
+ */
+export function* allWithConcurrency (items, limit, saga) {
+  const results = new Array(items.length)
+  let next = 0
+
+  function* worker () {
+    while (next < items.length) {
+      const index = next++
+      results[index] = yield call(saga, items[index])
+    }
+  }
+
+  yield all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, () => call(worker)))
+  return results
+}
+
 /**
  * Compare the actual { major, minor, build} version to the required { major, minor} and
  * return if the **actual** is greater then or equal to **required**.
@@ -70,7 +90,9 @@ export function* callExternalAction (method, action = {}, canBeMissing = false)
     const result = yield call(method, action.payload || {})
     return result
   } catch (e) {
-    if (!canBeMissing) {
+    // while the engine can't be reached, the offline banner is shown instead of errors
+    const isOffline = yield select(state => state.config.get('isOffline'))
+    if (!canBeMissing && !(isOffline && e.status === 0)) {
       console.log(`External action exception: ${JSON.stringify(e)}`)
 
       if (e.status === 401) { // Unauthorized
@@ -1,7 +1,7 @@
 /* eslint-env jest */
 import Immutable from 'immutable'
 import { runSaga } from 'redux-saga'
-import { compareVersion, mapConfigKeyVersion } from './utils'
+import { allWithConcurrency, compareVersion, delay, mapConfigKeyVersion } from './utils'
 
 describe('compareVersion', () => {
   const cases = [
@@ -156,3 +156,52 @@ describe('mapConfigKeyVersion', () => {
     }
   )
 })
+
+describe('allWithConcurrency', () => {
+  test('returns the results in the order of the items', async () => {
+    const { result } = await returnSaga(
+      {},
+      allWithConcurrency,
+      [30, 10, 20],
+      2,
+      function* (ms) {
+        yield delay(ms)
+        return ms * 2
+      }
+    )
+
+    expect(result).toEqual([60, 20, 40])
+  })
+
+  test.each([
+    [1, 1],
+    [2, 2],
+    [10, 4],
+  ])(
+    'with limit %p, runs at most %p calls at the same time',
+    async (limit, expected) => {
+      let running = 0
+      let maxRunning = 0
+
+      await returnSaga(
+        {},
+        allWithConcurrency,
+        [1, 2, 3, 4],
+        limit,
+        function* () {
+          running++
+          maxRunning = Math.max(maxRunning, running)
+          yield delay(5)
+          running--
+        }
+      )
+
+      expect(maxRunning).toBe(expected)
+    }
+  )
+
+  test('handles an empty list of items', async () => {
+    const { result } = await returnSaga({}, allWithConcurrency, [], 5, function* () {})
+    expect(result).toEqual([])
+  })
+})
@@ -2,12 +2,13 @@ import { put, select, takeEvery, takeLatest, all, call } from 'redux-saga/effect
 import { push } from 'connected-react-router'
 import merge from 'lodash/merge'
 
-import Api from '_/ovirtapi'
+import Api, { Transforms } from '_/ovirtapi'
+import AppConfiguration from '_/config'
 import * as A from '_/actions'
 import * as C from '_/constants'
 import { arrayMatch } from '_/utils'
 
-import { callExternalAction, delay, delayInMsSteps } from './utils'
+import { allWithConcurrency, callExternalAction, delay, delayInMsSteps } from './utils'
 import { addVmNic, fetchAndPutSingleVm } from './index'
 import { createDiskForVm } from './disks'
 
@@ -51,15 +52,20 @@ function* composeAndCreateVm ({ payload: { basic, nics, disks }, meta: { correla
     },
     tpm_enabled: basic.tpmEnabled,
 
-    initialization: basic.cloudInitEnabled
-      ? {
-        authorized_ssh_keys: basic.initSshKeys,
-        custom_script: basic.initCustomScript,
-        host_name: basic.initHostname,
-        root_password: basic.initAdminPassword,
+    initialization: Transforms.CloudInit.toApi({
+      cloudInit: {
+        enabled: basic.cloudInitEnabled,
+        hostName: basic.initHostname,
+        sshAuthorizedKeys: basic.initSshKeys,
+        customScript: basic.initCustomScript,
+        password: basic.initAdminPassword,
         timezone: basic.initTimezone,
-      }
-      : {},
+        userName: basic.initUsername,
+        dnsServers: basic.initDnsServers,
+        dnsSearch: basic.initDnsSearch,
+        networks: basic.initNetworks,
+      },
+    }),
   }
   let vmRequiresClone = false
 
@@ -80,6 +86,13 @@ function* composeAndCreateVm ({ payload: { basic, nics, disks }, meta: { correla
     merge(vm, vmUpdates)
   }
 
+  // Provision = SNAPSHOT
+  const vmCopiesSnapshot = basic.provisionSource === 'snapshot'
+  if (vmCopiesSnapshot) {
+    const vmUpdates = yield composeProvisionSourceSnapshot({ basic, disks })
+    merge(vm, vmUpdates)
+  }
+
   const clonePermissions = basic.provisionSource === 'template'
 
   /*
@@ -96,7 +109,7 @@ function* composeAndCreateVm ({ payload: { basic, nics, disks }, meta: { correla
   }
 
   // Wait for the VM image to be unlocked before adding NICs and Disks
-  yield waitForVmToBeUnlocked(newVmId, vmRequiresClone)
+  yield waitForVmToBeUnlocked(newVmId, vmRequiresClone || vmCopiesSnapshot)
 
   // Assuming NICs cannot be added along with the VM create request, add them now
   yield all(nics.filter(nic => !nic.isFromTemplate).map(nic =>
@@ -145,6 +158,38 @@ function* composeProvisionSourceIso ({ vm, basic }) {
   return [vmUpdates, cdrom]
 }
 
+/*
+ * The engine copies the snapshot's configuration, NICs and disks to the new VM.  The
+ * snapshot disks are sent along so they are copied to the storage domains selected on
+ * the wizard.
+ *
+ * See: http://ovirt.github.io/ovirt-engine-api-model/master/#services/vms/methods/add
+ */
+function* composeProvisionSourceSnapshot ({ basic, disks }) {
+  const vmUpdates = {
+    template: { id: yield select(state => state.config.get('blankTemplateId')) },
+    snapshots: {
+      snapshot: [{ id: basic.snapshotId }],
+    },
+  }
+
+  const disksFromSnapshot = disks.filter(disk => disk.isFromSnapshot)
+  if (disksFromSnapshot.length > 0) {
+    vmUpdates.disk_attachments = {
+      disk_attachment: disksFromSnapshot.map(disk => ({
+        disk: {
+          id: disk.diskId,
+          storage_domains: {
+            storage_domain: [{ id: disk.storageDomainId }],
+          },
+        },
+      })),
+    }
+  }
+
+  return vmUpdates
+}
+
 function* composeProvisionSourceTemplate ({ vm, basic, disks }) {
   const {
     template,
@@ -600,6 +645,160 @@ function* removeVm (action) {
   yield stopProgress({ vmId, name: 'remove', result })
 }
 
+/*
+ * Clone a VM to a new VM with the given name.  The clone's disks are copied in the
+ * background, so wait for the new VM to be unlocked before moving the user to the
+ * new VM's details page.
+ */
+function* cloneVm (action) {
+  const { vmId, name } = action.payload
+  yield startProgress({ vmId, name: 'clone' })
+
+  const result = yield callExternalAction(Api.cloneVm, action)
+  if (!result.error) {
+    const vmName = yield select(state => state.vms.getIn(['vms', vmId, 'name']))
+    yield put(A.addUserMessage({ messageDescriptor: { id: 'actionFeedbackCloneVm', params: { VmName: vmName, newName: name } }, type: 'success' }))
+
+    // the clone action does not always report the new VM, so look it up by its unique name
+    let newVmId = result.vm?.id
+    if (!newVmId) {
+      const clones = yield callExternalAction(Api.getVms, A.getVmsByCount({ count: 1, search: `name=${name}` }), true)
+      newVmId = clones?.vm?.[0]?.id
+    }
+
+    if (newVmId) {
+      const { error } = yield fetchAndPutSingleVm(A.getSingleVm({ vmId: newVmId }))
+      if (!error) {
+        yield waitForVmToBeUnlocked(newVmId, true)
+        yield put(A.navigateToVmDetails(newVmId))
+      }
+    }
+  }
+
+  yield stopProgress({ vmId, name: 'clone', result })
+}
+
+/*
+ * Live migrate a running VM, to the given host or to a host picked by the engine.  The
+ * VM is followed until the migration ends so the migration progress stays current.  A
+ * migration still running after `migrationTrackingTimeoutInMinutes` is left to the
+ * background refresh.
+ */
+function* migrateVm (action) {
+  const { vmId } = action.payload
+  yield startProgress({ vmId, name: 'migrate' })
+
+  const [vmName, sourceHostId] = yield select(state => [
+    state.vms.getIn(['vms', vmId, 'name']),
+    state.vms.getIn(['vms', vmId, 'hostId']),
+  ])
+
+  const result = yield callExternalAction(Api.migrateVm, action)
+  if (!result.error) {
+    yield put(A.addUserMessage({ messageDescriptor: { id: 'actionFeedbackMigrateVm', params: { VmName: vmName } }, type: 'success' }))
+
+    const deadline = Date.now() + AppConfiguration.migrationTrackingTimeoutInMinutes * 60 * 1000
+    const delays = delayInMsSteps(30, 1000)
+    let seenMigrating = false
+    while (Date.now() < deadline) {
+      // once the back-off steps run out, keep polling every 5 seconds
+      yield delay(delays.next().value ?? 5000)
+
+      const { internalVm, error } = yield fetchAndPutSingleVm(A.getSingleVm({ vmId }))
+      if (error) {
+        break
+      }
+      if (internalVm.status === 'migrating') {
+        seenMigrating = true
+      } else if (seenMigrating || internalVm.hostId !== sourceHostId) {
+        break
+      }
+    }
+  }
+
+  yield stopProgress({ vmId, name: 'migrate', result })
+}
+
+const bulkVmActions = {
+  start: {
+    method: Api.start,
+    toAction: ({ vmId }) => A.startVm({ vmId }),
+    title: { id: 'run' },
+  },
+  shutdown: {
+    method: Api.shutdown,
+    toAction: ({ vmId, force }) => A.shutdownVm({ vmId, force }),
+    title: { id: 'shutdown' },
+  },
+  restart: {
+    method: Api.restart,
+    toAction: ({ vmId }) => A.restartVm({ vmId }),
+    title: { id: 'reboot' },
+  },
+  suspend: {
+    method: Api.suspend,
+    toAction: ({ vmId }) => A.suspendVm({ vmId }),
+    title: { id: 'suspend' },
+  },
+  remove: {
+    method: Api.remove,
+    toAction: ({ vmId, preserveDisks }) => A.removeVm({ vmId, preserveDisks }),
+    title: { id: 'remove' },
+  },
+}
+
+/*
+ * Run a VM action on every selected VM, with a limited number of API calls in flight
+ * at any one time.  Individual failures are not reported as they happen.  Instead, a
+ * single message with the result for each VM is added once all of the calls complete.
+ */
+function* bulkVmAction ({ payload: { name, vmIds, force, preserveDisks } }) {
+  const bulkAction = bulkVmActions[name]
+  if (!bulkAction || !vmIds || vmIds.length === 0) {
+    return
+  }
+
+  const results = yield allWithConcurrency(
+    vmIds,
+    AppConfiguration.bulkActionConcurrency,
+    function* (vmId) {
+      const vmName = yield select(state => state.vms.getIn(['vms', vmId, 'name'], vmId))
+      yield startProgress({ vmId, name })
+
+      const result = yield callExternalAction(bulkAction.method, bulkAction.toAction({ vmId, force, preserveDisks }), true)
+      if (!result.error && name === 'remove') {
+        yield put(A.updateVms({ removeVmIds: [vmId] }))
+      }
+
+      // job tracking for the action is handled without blocking the next VM's action
+      yield put(A.stopActionInProgress({ vmId, name, result }))
+
+      return { vmName, error: result.error }
+    }
+  )
+
+  if (results.some(({ error }) => error?.status === 401)) {
+    yield put(A.checkTokenExpired())
+  }
+
+  const succeeded = results.filter(({ error }) => !error).length
+  const details = results
+    .map(({ vmName, error }) => error
+      ? `\u2716 ${vmName}: ${A.extractErrorText(error)}`
+      : `\u2714 ${vmName}`
+    )
+    .join('\n')
+
+  yield put(A.addUserMessage({
+    message: details,
+    messageDescriptor: {
+      id: 'bulkVmActionSummary',
+      params: { action: bulkAction.title, succeeded, total: results.length },
+    },
+    type: succeeded === results.length ? 'success' : succeeded === 0 ? 'error' : 'warning',
+  }))
+}
+
 export default [
   // Create and make changes to a VM
   takeLatest(C.COMPOSE_CREATE_VM, composeAndCreateVm),
@@ -607,6 +806,9 @@ export default [
   takeLatest(C.CHANGE_VM_CDROM, changeVmCdRom),
   takeLatest(C.EDIT_VM, editVm),
   takeLatest(C.REMOVE_VM, removeVm),
+  takeEvery(C.CLONE_VM, cloneVm),
+  takeEvery(C.MIGRATE_VM, migrateVm),
+  takeEvery(C.BULK_VM_ACTION, bulkVmAction),
 
   // VM Status Changes
   takeEvery(C.ACTION_IN_PROGRESS_START, function* (action) { yield startProgress(action.payload) }),
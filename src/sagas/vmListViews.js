@@ -0,0 +1,116 @@
+import { put, select, takeEvery } from 'redux-saga/effects'
+import { LOCATION_CHANGE, push, replace } from 'connected-react-router'
+
+import { saveVmsFilters, setOption, setVmSort } from '_/actions'
+import { APP_CONFIGURED, APPLY_VM_LIST_VIEW, SET_FILTERS, SET_OPTION, SET_VM_SORT } from '_/constants'
+import { toJS } from '_/helpers'
+import { VIEW_QUERY_PARAM, decodeVmListView, fromListQuery, toListQuery, toStoreSort } from '_/utils'
+
+const isListPage = (location) => location.pathname === '/'
+
+function* applyVmListView ({ payload: { view } }) {
+  yield put(saveVmsFilters({ filters: view.filters }))
+  yield put(setVmSort({ sort: toStoreSort(view.sort) }))
+}
+
+/**
+ * Apply the list state parsed from the list page's URL.  The view mode only applies to
+ * this session, the user's saved view mode is left as it is.
+ */
+function* applyListQuery ({ filters, sort, viewMode }) {
+  yield put(saveVmsFilters({ filters }))
+  if (sort) {
+    yield put(setVmSort({ sort: toStoreSort(sort) }))
+  }
+  if (viewMode) {
+    yield put(setOption({ key: ['remoteOptions', 'viewForVirtualMachines', 'content'], value: viewMode }))
+  }
+}
+
+/**
+ * Keep the list page's URL in step with the list's filters, sort and view mode.  Filter
+ * changes add a history entry so the browser's back and forward buttons step through
+ * them, any other change updates the current entry.
+ */
+function* updateListUrl ({ addHistoryEntry = false } = {}) {
+  const { location, query } = yield select(({ router, vms, options }) => ({
+    location: router.location,
+    query: toListQuery({
+      filters: toJS(vms.get('filters')),
+      sort: toJS(vms.get('sort')),
+      viewMode: options.getIn(['remoteOptions', 'viewForVirtualMachines', 'content']),
+    }),
+  }))
+
+  const search = query ? `?${query}` : ''
+  if (!isListPage(location) || location.search === search) {
+    return
+  }
+  yield put((addHistoryEntry ? push : replace)({ ...location, search }))
+}
+
+function* onListStateChange (action) {
+  const appConfigured = yield select(({ config }) => config.get('appConfigured'))
+  if (!appConfigured) {
+    return
+  }
+  if (action.type === SET_OPTION && !action.payload.key.includes('viewForVirtualMachines')) {
+    return
+  }
+  yield updateListUrl({ addHistoryEntry: action.type === SET_FILTERS })
+}
+
+/**
+ * Going back or forward in the browser's history restores the list state held by the
+ * URL.  Navigating to the list page any other way keeps the current list state.
+ */
+function* onLocationChange ({ payload: { location, action } }) {
+  const appConfigured = yield select(({ config }) => config.get('appConfigured'))
+  if (!appConfigured || !isListPage(location)) {
+    return
+  }
+
+  const listQuery = action === 'POP' && fromListQuery(location.search)
+  if (listQuery) {
+    yield applyListQuery(listQuery)
+  } else {
+    yield updateListUrl()
+  }
+}
+
+/**
+ * On login, apply the first of:
+ *   - the view shared by the page's URL
+ *   - the list state held by the list page's URL
+ *   - the user's default view
+ *
+ * If none of them apply, the stored filters stay in place.  The list page's URL is updated
+ * to hold the list state once the app is configured.
+ *
+ * Note: This needs to run after the stored filters and the user options are loaded.
+ */
+export function* applyInitialVmListView () {
+  const { location, views } = yield select(({ router, options }) => ({
+    location: router.location,
+    views: toJS(options.getIn(['remoteOptions', 'vmListViews', 'content'], [])),
+  }))
+
+  const sharedView = decodeVmListView(new URLSearchParams(location.search).get(VIEW_QUERY_PARAM))
+  const listQuery = isListPage(location) && fromListQuery(location.search)
+  if (sharedView) {
+    yield applyVmListView({ payload: { view: sharedView } })
+  } else if (listQuery) {
+    yield applyListQuery(listQuery)
+  } else {
+    const defaultView = views.find(({ isDefault }) => isDefault)
+    if (defaultView) {
+      yield applyVmListView({ payload: { view: defaultView } })
+    }
+  }
+}
+
+export default [
+  takeEvery(APPLY_VM_LIST_VIEW, applyVmListView),
+  takeEvery([APP_CONFIGURED, SET_FILTERS, SET_VM_SORT, SET_OPTION], onListStateChange),
+  takeEvery(LOCATION_CHANGE, onLocationChange),
+]
@@ -0,0 +1,78 @@
+import { all, call, put, select } from 'redux-saga/effects'
+import isEmpty from 'lodash/isEmpty'
+
+import * as Actions from '_/actions'
+import { deleteFromIndexedDb, loadFromIndexedDb, saveToIndexedDb } from '_/storage'
+import { METRICS_MAX_AGE, toMetricsSample } from '_/utils'
+
+const METRICS_STORE = 'vmMetrics'
+
+/*
+ * Add a sample of a running VM's utilization to the VM's metrics buffer and persist the
+ * buffer so it survives a page reload.  The persisted buffer is picked up the first
+ * time a VM is sampled.  Failing to use IndexedDB only costs the persistence.
+ */
+export function* recordVmMetrics (internalVm) {
+  if (!internalVm || internalVm.status !== 'up') {
+    return
+  }
+  const vmId = internalVm.id
+
+  const isLoaded = yield select(({ vmMetrics }) => !!vmMetrics[vmId])
+  if (!isLoaded) {
+    try {
+      const stored = yield call(loadFromIndexedDb, METRICS_STORE, vmId)
+      yield put(Actions.setVmMetrics({ vmId, samples: Array.isArray(stored) ? stored : [] }))
+    } catch (error) {
+      console.warn('recordVmMetrics() 🡒 could not load the stored VM metrics', error)
+      yield put(Actions.setVmMetrics({ vmId, samples: [] }))
+    }
+  }
+
+  const sample = toMetricsSample({ statistics: internalVm.statistics, vCPUs: internalVm.cpu?.vCPUs })
+  yield put(Actions.addVmMetricsSample({ vmId, sample }))
+
+  const samples = yield select(({ vmMetrics }) => vmMetrics[vmId])
+  try {
+    yield call(saveToIndexedDb, METRICS_STORE, vmId, samples)
+  } catch (error) {
+    console.warn('recordVmMetrics() 🡒 could not store the VM metrics', error)
+  }
+}
+
+/*
+ * Record a sample for each of the running VMs fetched with their statistics.  The list
+ * page only fetches the statistics for the table view's utilization columns.
+ */
+export function* recordVmsMetrics (internalVms = []) {
+  yield all(
+    internalVms
+      .filter(internalVm => !isEmpty(internalVm?.statistics))
+      .map(internalVm => call(recordVmMetrics, internalVm))
+  )
+}
+
+/*
+ * Drop the persisted buffers without any sample in the metrics max age, i.e. those of
+ * VMs that were removed, stopped or not looked at since.
+ */
+export function* pruneStoredVmMetrics () {
+  const oldest = Date.now() - METRICS_MAX_AGE
+  const isExpired = (samples) => !Array.isArray(samples) || !(samples[samples.length - 1]?.time >= oldest)
+  try {
+    yield call(deleteFromIndexedDb, METRICS_STORE, isExpired)
+  } catch (error) {
+    console.warn('pruneStoredVmMetrics() 🡒 could not prune the stored VM metrics', error)
+  }
+}
+
+/*
+ * Drop all of the persisted buffers, the next user of the browser should not see them.
+ */
+export function* clearStoredVmMetrics () {
+  try {
+    yield call(deleteFromIndexedDb, METRICS_STORE, () => true)
+  } catch (error) {
+    console.warn('clearStoredVmMetrics() 🡒 could not clear the stored VM metrics', error)
+  }
+}
@@ -0,0 +1,101 @@
+import { call, select, takeLatest } from 'redux-saga/effects'
+import Immutable from 'immutable'
+
+import Api, { Transforms } from '_/ovirtapi'
+import AppConfiguration from '_/config'
+import { EXPORT_VMS } from '_/constants'
+import { blobDownload } from '_/helpers'
+import { createMessages } from '_/intl'
+import { getOsHumanName } from '_/components/utils'
+import { filterAndSortVmsAndPools, toCsv, toExportRecords } from '_/utils'
+
+import { callExternalAction } from './utils'
+import { fetchByPage, selectListSearch } from './index'
+
+const EXPORT_FORMATS = {
+  csv: { fileName: 'vms.csv', type: 'text/csv', format: records => toCsv(records) },
+  json: { fileName: 'vms.json', type: 'application/json', format: records => JSON.stringify(records, null, 2) },
+}
+
+// the list's sorts and filters need the statistics and tags, the export needs the NICs and disks
+const VM_EXPORT_ADDITIONAL = [
+  'disk_attachments.disk',
+  'nics.reporteddevices',
+  'statistics',
+  'tags',
+]
+
+/**
+ * Fetch all the VMs matching the list search along with their NICs and disks.  The list
+ * page's fetch does not include them.
+ *
+ * @returns {Immutable.Map} Map of VM id to the Immutable internal VM, or `null` if the fetch failed
+ */
+function* fetchVmsWithDetails () {
+  const { vmsSearch } = yield selectListSearch()
+  const count = AppConfiguration.pageLimit
+  const vmsWithDetails = {}
+
+  for (let page = 1; ; page++) {
+    const apiVms = yield callExternalAction(Api.getVms, {
+      payload: { count, page, search: vmsSearch, additional: VM_EXPORT_ADDITIONAL },
+    })
+    if (!apiVms || apiVms.error) {
+      return null
+    }
+
+    const vms = apiVms.vm || []
+    for (const vm of vms) {
+      vmsWithDetails[vm.id] = Transforms.VM.toInternal({ vm })
+    }
+    if (vms.length < count) {
+      return Immutable.fromJS(vmsWithDetails)
+    }
+  }
+}
+
+/**
+ * Export the VMs and Pools of the list page, as filtered and sorted there, to a CSV or JSON
+ * file.  All the VMs are fetched with their details and the remaining Pool pages are fetched
+ * first so the export is complete.
+ */
+function* exportVms ({ payload: { format } }) {
+  const exportFormat = EXPORT_FORMATS[format]
+  if (!exportFormat) {
+    console.warn(`exportVms() 🡒 unknown export format ${format}`)
+    return
+  }
+
+  // without the details, the export falls back to paging through the list's VMs with no IPs and disks
+  const vmsWithDetails = yield call(fetchVmsWithDetails)
+  const poolsOnly = !!vmsWithDetails
+  while (yield select(({ vms }) => (!poolsOnly && vms.get('vmsExpectMorePages')) || vms.get('poolsExpectMorePages'))) {
+    yield call(fetchByPage, { poolsOnly })
+  }
+
+  const { vms, clusters, hosts, alwaysShowPoolCard, locale } = yield select(({ vms, clusters, hosts, config, options }) => ({
+    vms: vmsWithDetails ? vms.set('vms', vmsWithDetails) : vms,
+    clusters,
+    hosts,
+    alwaysShowPoolCard: !config.get('filter'),
+    locale: options.getIn(['remoteOptions', 'locale', 'content']),
+  }))
+
+  const vmsAndPools = filterAndSortVmsAndPools({ vms, clusters, hosts, alwaysShowPoolCard, locale, msg: createMessages(locale) })
+  const records = toExportRecords({
+    vmsAndPools,
+    clusters,
+    hosts,
+    pools: vms.get('pools'),
+    getOsName: getOsHumanName,
+  })
+
+  blobDownload({
+    blob: new Blob([exportFormat.format(records)], { type: exportFormat.type }),
+    fileName: exportFormat.fileName,
+  })
+}
+
+export default [
+  takeLatest(EXPORT_VMS, exportVms),
+]
@@ -1,5 +1,5 @@
 /*
- Local/Session Storage manipulation
+ Local/Session Storage and IndexedDB manipulation
  */
 
 export function saveToLocalStorage (key, value) {
@@ -22,3 +22,71 @@ export function saveToSessionStorage (key, value) {
 export function loadFromSessionStorage (key) {
   return window.sessionStorage.getItem(key)
 }
+
+// --------------------
+const DB_NAME = 'ovirt-web-ui'
+const DB_VERSION = 1
+const DB_STORES = ['vmMetrics']
+
+let _db = null
+
+function openDb () {
+  if (!_db) {
+    _db = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        DB_STORES
+          .filter(store => !db.objectStoreNames.contains(store))
+          .forEach(store => db.createObjectStore(store))
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    _db.catch(() => { _db = null })
+  }
+  return _db
+}
+
+export function saveToIndexedDb (store, key, value) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, 'readwrite')
+    transaction.objectStore(store).put(value, key)
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+  }))
+}
+
+/**
+ * Delete the entries of a store that `shouldDelete(value)` returns true for.
+ */
+export function deleteFromIndexedDb (store, shouldDelete) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, 'readwrite')
+    const request = transaction.objectStore(store).openCursor()
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (cursor) {
+        if (shouldDelete(cursor.value)) {
+          cursor.delete()
+        }
+        cursor.continue()
+      }
+    }
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+  }))
+}
+
+export function loadFromIndexedDb (store, key) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const request = db.transaction(store, 'readonly').objectStore(store).get(key)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }))
+}
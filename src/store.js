@@ -10,7 +10,7 @@ import OvirtApi from '_/ovirtapi'
 import reducers from '_/reducers'
 import { rootSaga } from '_/sagas'
 
-import { addActiveRequest, delayedRemoveActiveRequest } from '_/actions'
+import { addActiveRequest, delayedRemoveActiveRequest, setOffline } from '_/actions'
 
 const composeEnhancers: any = composeWithDevToolsDevelopmentOnly({
   actionsDenylist: ['ADD_ACTIVE_REQUEST', 'REMOVE_ACTIVE_REQUEST', 'DELAYED_REMOVE_ACTIVE_REQUEST'],
@@ -29,6 +29,10 @@ function initializeApiTransportListener (store: Store<any, any>) {
         break
     }
   })
+
+  OvirtApi.addConnectionListener((isOnline) => {
+    store.dispatch(setOffline({ offline: !isOnline }))
+  })
 }
 
 /**
@@ -17,6 +17,7 @@ export function idFromType ({ vm, consoleType }: {vm: any, consoleType: UiConsol
     case C.NATIVE_VNC:
       return vncId
     case C.SPICE:
+    case C.BROWSER_SPICE:
       return spiceId
     default:
       return undefined
@@ -30,6 +31,17 @@ export const toUiConsole = (vncMode: typeof C.NO_VNC | typeof C.NATIVE, protocol
   return vncMode === C.NATIVE ? C.NATIVE_VNC : C.BROWSER_VNC
 }
 
+const RECONNECT_BASE_DELAY = 2
+const RECONNECT_MAX_DELAY = 60
+
+/**
+ * Exponential back-off of the console auto-reconnect: the delay, in seconds, before the
+ * given (zero based) reconnect attempt.
+ */
+export function reconnectDelayInSeconds (attempt: number): number {
+  return Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt)
+}
+
 export function isNativeConsole (consoleType: UiConsoleType): boolean {
   switch (consoleType) {
     case C.NATIVE_VNC:
@@ -42,6 +54,10 @@ export function isNativeConsole (consoleType: UiConsoleType): boolean {
   }
 }
 
+export function isBrowserConsole (consoleType: UiConsoleType): boolean {
+  return consoleType === C.BROWSER_VNC || consoleType === C.BROWSER_SPICE
+}
+
 export function getConsoles ({
   vmConsoles = [],
   vmOsType,
@@ -80,6 +96,12 @@ export function getConsoles ({
       protocol: C.SPICE,
       consoleType: C.SPICE,
       shortTitle: { id: 'spiceConsole' },
+    },
+    {
+      priority: 0,
+      consoleType: C.BROWSER_SPICE,
+      shortTitle: { id: 'spiceConsoleBrowser' },
+      actionDisabled: !websocket,
     })
   }
 
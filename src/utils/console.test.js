@@ -0,0 +1,16 @@
+/* eslint-env jest */
+import { reconnectDelayInSeconds } from './console'
+
+describe('reconnectDelayInSeconds', () => {
+  it('doubles the delay with each attempt', () => {
+    expect(reconnectDelayInSeconds(0)).toEqual(2)
+    expect(reconnectDelayInSeconds(1)).toEqual(4)
+    expect(reconnectDelayInSeconds(2)).toEqual(8)
+    expect(reconnectDelayInSeconds(4)).toEqual(32)
+  })
+
+  it('caps the delay at one minute', () => {
+    expect(reconnectDelayInSeconds(5)).toEqual(60)
+    expect(reconnectDelayInSeconds(20)).toEqual(60)
+  })
+})
@@ -11,6 +11,11 @@ export * from './storage-conversion'
 export * from './type-validation'
 export * from './vms-filters'
 export * from './vms-sort'
+export * from './vms-export'
+export * from './vnc-keys'
+export * from './vm-list-query'
+export * from './vm-list-views'
+export * from './vm-metrics'
 
 export function flatMap<T, U> (array: Array<T>, mapper: (T) => Array<U>): Array<U> {
   return array.map(mapper)
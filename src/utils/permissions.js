@@ -34,6 +34,10 @@ export function canUserUseVnicProfile (permits: Array<string>): boolean {
   return checkUserPermit('configure_vm_network', permits)
 }
 
+export function canUserMigrateVm (permits: Array<string>): boolean {
+  return checkUserPermit('migrate_vm', permits)
+}
+
 export function canUserManipulateSnapshots (permits: Array<string>): boolean {
   return checkUserPermit('manipulate_vm_snapshots', permits)
 }
@@ -0,0 +1,64 @@
+import { VM_FILTER_NAMES } from './vms-filters'
+import { SortFields } from './vms-sort'
+
+/**
+ * Query parameters of the VM list page that hold the list's sort field, sort direction
+ * and card/table view mode.  Each filter has its own, repeatable, parameter named after
+ * the filter.
+ */
+export const SORT_QUERY_PARAM = 'sort'
+export const ORDER_QUERY_PARAM = 'order'
+export const MODE_QUERY_PARAM = 'mode'
+
+const VIEW_MODES = ['card', 'table']
+
+/**
+ * Serialize the VM list's state to a query string (without the leading `?`).
+ */
+export function toListQuery ({ filters = {}, sort, viewMode }) {
+  const params = new URLSearchParams()
+  for (const name of VM_FILTER_NAMES) {
+    for (const value of filters[name] || []) {
+      params.append(name, value)
+    }
+  }
+  if (sort?.id) {
+    params.set(SORT_QUERY_PARAM, sort.id)
+    params.set(ORDER_QUERY_PARAM, sort.isAsc === false ? 'desc' : 'asc')
+  }
+  if (VIEW_MODES.includes(viewMode)) {
+    params.set(MODE_QUERY_PARAM, viewMode)
+  }
+  return params.toString()
+}
+
+/**
+ * Parse the VM list's state from a query string.  The filters missing from the query are
+ * empty.  The sort and view mode are only included if the query has a valid one.
+ *
+ * @returns {object} The list state, or `null` if the query has none of the list's parameters
+ */
+export function fromListQuery (search) {
+  const params = new URLSearchParams(search)
+  const hasListParams = [...VM_FILTER_NAMES, SORT_QUERY_PARAM, ORDER_QUERY_PARAM, MODE_QUERY_PARAM]
+    .some(name => params.has(name))
+  if (!hasListParams) {
+    return null
+  }
+
+  const listState = {
+    filters: Object.fromEntries(VM_FILTER_NAMES.map(name => [name, params.getAll(name).filter(value => value !== '')])),
+  }
+
+  const sortId = params.get(SORT_QUERY_PARAM)
+  if (SortFields[sortId]) {
+    listState.sort = { id: sortId, isAsc: params.get(ORDER_QUERY_PARAM) !== 'desc' }
+  }
+
+  const viewMode = params.get(MODE_QUERY_PARAM)
+  if (VIEW_MODES.includes(viewMode)) {
+    listState.viewMode = viewMode
+  }
+
+  return listState
+}
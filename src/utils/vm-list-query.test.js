@@ -0,0 +1,42 @@
+/* eslint-env jest */
+import { fromListQuery, toListQuery } from './vm-list-query'
+import { VM_FILTER_NAMES } from './vms-filters'
+import { NAME, OS } from './vms-sort'
+
+const noFilters = Object.fromEntries(VM_FILTER_NAMES.map(name => [name, []]))
+
+describe('toListQuery', () => {
+  test('filters, sort and view mode', () => {
+    expect(toListQuery({
+      filters: { name: ['web*', 'db'], status: ['up'], bogus: ['x'] },
+      sort: { id: OS, isAsc: false },
+      viewMode: 'table',
+    })).toEqual('name=web*&name=db&status=up&sort=os&order=desc&mode=table')
+  })
+
+  test('empty list state', () => {
+    expect(toListQuery({ filters: {}, sort: undefined, viewMode: undefined })).toEqual('')
+  })
+})
+
+describe('fromListQuery', () => {
+  test('round trip', () => {
+    const listState = {
+      filters: { ...noFilters, name: ['web*', 'a&b'], ip: ['10.0.0.1'] },
+      sort: { id: NAME, isAsc: true },
+      viewMode: 'card',
+    }
+    expect(fromListQuery(`?${toListQuery(listState)}`)).toEqual(listState)
+  })
+
+  test('query without list parameters', () => {
+    expect(fromListQuery('')).toBeNull()
+    expect(fromListQuery('?view=x')).toBeNull()
+  })
+
+  test('invalid sort and view mode are left out', () => {
+    expect(fromListQuery('?sort=bogus&mode=list&status=up')).toEqual({
+      filters: { ...noFilters, status: ['up'] },
+    })
+  })
+})
@@ -0,0 +1,73 @@
+import { VM_FILTER_NAMES } from './vms-filters'
+import { NAME, SortFields } from './vms-sort'
+
+/**
+ * Query parameter of the VM list page that holds a shared view.
+ */
+export const VIEW_QUERY_PARAM = 'view'
+
+/**
+ * Keep only the known filters, each as an array of strings.
+ */
+export function sanitizeViewFilters (filters) {
+  const sanitized = {}
+  for (const name of VM_FILTER_NAMES) {
+    const values = filters?.[name]
+    if (Array.isArray(values) && values.length > 0) {
+      sanitized[name] = values.filter(value => typeof value === 'string')
+    }
+  }
+  return sanitized
+}
+
+/**
+ * Sort of a view, as kept in the store.  An unknown sort field falls back to the name.
+ */
+export function toStoreSort (sort) {
+  const sortField = SortFields[sort?.id] || SortFields[NAME]
+  return { ...sortField, isAsc: sort?.isAsc !== false }
+}
+
+/**
+ * A view (a named set of filters and a sort order) of the VM list.  Only the sort field
+ * and direction are kept.
+ */
+export function toVmListView ({ id, name, filters, sort, isDefault = false }) {
+  const { id: sortId, isAsc } = toStoreSort(sort)
+  return {
+    id,
+    name,
+    filters: sanitizeViewFilters(filters),
+    sort: { id: sortId, isAsc },
+    isDefault,
+  }
+}
+
+/**
+ * Encode a view for the `view` query parameter of a shared link.  The view's id and
+ * default flag are private to the user and are not shared.
+ */
+export function encodeVmListView (view) {
+  const { name, filters, sort } = toVmListView(view)
+  return JSON.stringify({ name, filters, sort })
+}
+
+/**
+ * Decode a view from the `view` query parameter of a shared link.
+ *
+ * @returns {object} The view, or `null` if the parameter is missing or not a valid view
+ */
+export function decodeVmListView (param) {
+  if (!param) {
+    return null
+  }
+  try {
+    const { name, filters, sort } = JSON.parse(param)
+    return typeof name === 'string' && typeof filters === 'object'
+      ? toVmListView({ name, filters, sort })
+      : null
+  } catch (error) {
+    console.warn('decodeVmListView() 🡒 the shared view is not valid', error)
+    return null
+  }
+}
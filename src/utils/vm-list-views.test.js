@@ -0,0 +1,48 @@
+/* eslint-env jest */
+import { decodeVmListView, encodeVmListView, toStoreSort, toVmListView } from './vm-list-views'
+import { NAME, OS, SortFields } from './vms-sort'
+
+describe('toVmListView', () => {
+  test('unknown filters, empty filters and sort details are dropped', () => {
+    expect(toVmListView({
+      id: 'v1',
+      name: 'Running',
+      filters: { status: ['up'], name: [], bogus: ['x'] },
+      sort: { ...SortFields[OS], isAsc: false },
+    })).toEqual({
+      id: 'v1',
+      name: 'Running',
+      filters: { status: ['up'] },
+      sort: { id: OS, isAsc: false },
+      isDefault: false,
+    })
+  })
+})
+
+describe('toStoreSort', () => {
+  test('known sort field', () => {
+    expect(toStoreSort({ id: OS, isAsc: false })).toEqual({ ...SortFields[OS], isAsc: false })
+  })
+
+  test('unknown sort field falls back to the name', () => {
+    expect(toStoreSort({ id: 'bogus' })).toEqual({ ...SortFields[NAME], isAsc: true })
+  })
+})
+
+describe('encodeVmListView and decodeVmListView', () => {
+  test('a view survives the round trip, without its id and default flag', () => {
+    const view = toVmListView({ id: 'v1', name: 'Mine', filters: { name: ['web*'] }, sort: { id: NAME, isAsc: true }, isDefault: true })
+    const encoded = encodeVmListView(view)
+
+    expect(JSON.parse(encoded)).toEqual({ name: 'Mine', filters: { name: ['web*'] }, sort: { id: NAME, isAsc: true } })
+    expect(decodeVmListView(encoded)).toEqual({ ...view, id: undefined, isDefault: false })
+  })
+
+  test('missing or invalid parameter', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(decodeVmListView(null)).toBeNull()
+    expect(decodeVmListView('{"filters":{}}')).toBeNull()
+    expect(decodeVmListView('not json')).toBeNull()
+    console.warn.mockRestore()
+  })
+})
@@ -0,0 +1,70 @@
+import { isNumber } from './type-validation'
+import { round } from './round'
+
+/*
+ * Windows of VM metrics history the utilization charts can show, and how long the
+ * samples for the largest window are kept.
+ */
+export const METRICS_WINDOWS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+}
+export const METRICS_MAX_AGE = METRICS_WINDOWS['6h']
+
+// enough for the max age at a 10 second background refresh interval
+export const METRICS_MAX_SAMPLES = METRICS_MAX_AGE / (10 * 1000)
+
+function percent (used, total) {
+  return isNumber(used) && isNumber(total) && total > 0
+    ? round(used / total * 100, 1)
+    : undefined
+}
+
+/*
+ * Take a sample of a VM's CPU, memory, network and disk % utilization from its internal
+ * statistics.  Any value the statistics do not provide is left undefined.
+ */
+export function toMetricsSample ({ statistics = {}, vCPUs = 1, time = Date.now() }) {
+  const { cpu = {}, memory = {}, network = {}, disks = {} } = statistics
+
+  const cpuTotal = cpu['current.total']?.firstDatum
+  const memoryInstalled = memory.installed?.firstDatum
+  const memoryFree = memory.free?.firstDatum
+  const fileSystems = disks.usage?.datum || []
+
+  return {
+    time,
+    cpu: isNumber(cpuTotal) ? round(cpuTotal / vCPUs, 1) : undefined,
+    memory: isNumber(memoryFree) ? percent(memoryInstalled - memoryFree, memoryInstalled) : undefined,
+    network: network['current.total']?.firstDatum,
+    disk: fileSystems.length > 0
+      ? percent(
+        fileSystems.reduce((sum, { used }) => sum + used, 0),
+        fileSystems.reduce((sum, { total }) => sum + total, 0)
+      )
+      : undefined,
+  }
+}
+
+/*
+ * Add a sample to the end of a VM's buffer of samples, dropping the samples that fall
+ * out of the buffer by age or by count.  The buffer is sorted from oldest to newest.
+ */
+export function appendMetricsSample (samples, sample, { maxAge = METRICS_MAX_AGE, maxSamples = METRICS_MAX_SAMPLES } = {}) {
+  const oldest = sample.time - maxAge
+  const kept = samples.filter(({ time }) => time >= oldest && time < sample.time)
+  return [...kept.slice(Math.max(0, kept.length - maxSamples + 1)), sample]
+}
+
+/*
+ * Return the `metric` values of the samples taken within a window ending at `now`, as
+ * chart data points.
+ */
+export function metricsInWindow (samples, metric, windowMs, now = Date.now()) {
+  const start = now - windowMs
+  return samples
+    .filter(({ time }) => time >= start && time <= now)
+    .filter(sample => isNumber(sample[metric]))
+    .map(sample => ({ x: sample.time, y: sample[metric] }))
+}
@@ -0,0 +1,85 @@
+/* eslint-env jest */
+import { appendMetricsSample, metricsInWindow, toMetricsSample } from './vm-metrics'
+
+describe('toMetricsSample', () => {
+  test('empty statistics give an empty sample', () => {
+    expect(toMetricsSample({ time: 1000 })).toEqual({
+      time: 1000,
+      cpu: undefined,
+      memory: undefined,
+      network: undefined,
+      disk: undefined,
+    })
+  })
+
+  test('statistics are converted to % utilization', () => {
+    const statistics = {
+      cpu: { 'current.total': { firstDatum: 50 } },
+      memory: { installed: { firstDatum: 4096 }, free: { firstDatum: 1024 } },
+      network: { 'current.total': { firstDatum: 3 } },
+      disks: {
+        usage: {
+          datum: [
+            { path: '/', total: 100, used: 20 },
+            { path: '/home', total: 300, used: 80 },
+          ],
+        },
+      },
+    }
+
+    expect(toMetricsSample({ statistics, vCPUs: 4, time: 1000 })).toEqual({
+      time: 1000,
+      cpu: 12.5,
+      memory: 75,
+      network: 3,
+      disk: 25,
+    })
+  })
+})
+
+describe('appendMetricsSample', () => {
+  test('samples are appended in time order', () => {
+    const samples = appendMetricsSample([{ time: 1 }], { time: 2 })
+    expect(samples).toEqual([{ time: 1 }, { time: 2 }])
+  })
+
+  test('samples older than the max age are dropped', () => {
+    const samples = appendMetricsSample([{ time: 1 }, { time: 5 }, { time: 8 }], { time: 10 }, { maxAge: 5 })
+    expect(samples).toEqual([{ time: 5 }, { time: 8 }, { time: 10 }])
+  })
+
+  test('the oldest samples are dropped past the max sample count', () => {
+    const samples = appendMetricsSample([{ time: 1 }, { time: 2 }, { time: 3 }], { time: 4 }, { maxSamples: 2 })
+    expect(samples).toEqual([{ time: 3 }, { time: 4 }])
+  })
+
+  test('samples newer than the appended sample are replaced', () => {
+    const samples = appendMetricsSample([{ time: 1 }, { time: 5 }], { time: 3 })
+    expect(samples).toEqual([{ time: 1 }, { time: 3 }])
+  })
+})
+
+describe('metricsInWindow', () => {
+  const samples = [
+    { time: 1000, cpu: 10 },
+    { time: 2000, cpu: undefined },
+    { time: 3000, cpu: 30 },
+    { time: 4000, cpu: 40 },
+  ]
+
+  test('only samples in the window with the metric are returned', () => {
+    expect(metricsInWindow(samples, 'cpu', 2000, 4000)).toEqual([
+      { x: 3000, y: 30 },
+      { x: 4000, y: 40 },
+    ])
+    expect(metricsInWindow(samples, 'cpu', 5000, 4000)).toEqual([
+      { x: 1000, y: 10 },
+      { x: 3000, y: 30 },
+      { x: 4000, y: 40 },
+    ])
+  })
+
+  test('a missing metric gives no data', () => {
+    expect(metricsInWindow(samples, 'memory', 5000, 4000)).toEqual([])
+  })
+})
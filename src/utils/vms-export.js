@@ -0,0 +1,67 @@
+import { List } from 'immutable'
+
+/**
+ * Fields of an exported VM or Pool, in the column order of a CSV export.  The memory and
+ * disks size are in bytes.
+ */
+export const EXPORT_FIELDS = ['name', 'status', 'os', 'cluster', 'host', 'ips', 'memory', 'vCPUs', 'disksSize', 'pool']
+
+function vmToRecord ({ vm, clusters, hosts, pools, getOsName }) {
+  return {
+    name: vm.get('name'),
+    status: vm.get('status'),
+    os: getOsName(vm.getIn(['os', 'type'])),
+    cluster: clusters.getIn([vm.getIn(['cluster', 'id']), 'name'], ''),
+    host: hosts[vm.get('hostId')]?.name ?? '',
+    ips: vm.get('nics', List())
+      .flatMap(nic => nic.get('ips', List()).map(ip => ip.get('address')))
+      .toArray(),
+    memory: vm.getIn(['memory', 'total']),
+    vCPUs: vm.getIn(['cpu', 'vCPUs']),
+    disksSize: vm.get('disks', List()).reduce((size, disk) => size + (disk.get('provisionedSize') || 0), 0),
+    pool: pools.getIn([vm.getIn(['pool', 'id']), 'name'], ''),
+  }
+}
+
+function poolToRecord ({ pool, clusters, getOsName }) {
+  return {
+    name: pool.get('name'),
+    status: '',
+    os: getOsName(pool.getIn(['os', 'type'])),
+    cluster: clusters.getIn([pool.getIn(['vm', 'cluster', 'id']), 'name'], ''),
+    host: '',
+    ips: [],
+    memory: pool.getIn(['vm', 'memory', 'total']),
+    vCPUs: pool.getIn(['vm', 'cpu', 'vCPUs']),
+    disksSize: undefined,
+    pool: pool.get('name'),
+  }
+}
+
+/**
+ * Build the export records of the VMs and Pools shown on the list page.
+ *
+ * @param {Array} vmsAndPools VMs (flagged with `isVm`) and Pools as shown on the list page
+ * @param {function} getOsName Maps an OS type to its display name
+ */
+export function toExportRecords ({ vmsAndPools, clusters, hosts = {}, pools, getOsName = type => type }) {
+  return vmsAndPools.map(entity => entity.get('isVm')
+    ? vmToRecord({ vm: entity, clusters, hosts, pools, getOsName })
+    : poolToRecord({ pool: entity, clusters, getOsName })
+  )
+}
+
+function toCsvValue (value) {
+  const text = Array.isArray(value) ? value.join(' ') : value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format export records as CSV (RFC 4180) with a header line.  Multi-valued fields are
+ * space separated.
+ */
+export function toCsv (records, fields = EXPORT_FIELDS) {
+  return [fields, ...records.map(record => fields.map(field => record[field]))]
+    .map(values => values.map(toCsvValue).join(','))
+    .join('\r\n') + '\r\n'
+}
@@ -0,0 +1,85 @@
+/* eslint-env jest */
+import { fromJS } from 'immutable'
+import { toCsv, toExportRecords } from './vms-export'
+
+const clusters = fromJS({ c1: { name: 'Default' } })
+const hosts = { h1: { id: 'h1', name: 'host-1' } }
+const pools = fromJS({ p1: { id: 'p1', name: 'desktops' } })
+
+describe('toExportRecords', () => {
+  test('VM record', () => {
+    const vm = fromJS({
+      isVm: true,
+      id: 'vm1',
+      name: 'web',
+      status: 'up',
+      os: { type: 'rhel_8x64' },
+      cluster: { id: 'c1' },
+      hostId: 'h1',
+      memory: { total: 1073741824 },
+      cpu: { vCPUs: 2 },
+      pool: { id: 'p1' },
+      nics: [
+        { ips: [{ address: '10.0.0.2', version: 'v4' }, { address: 'fe80::1', version: 'v6' }] },
+        { ips: [] },
+      ],
+      disks: [{ provisionedSize: 100 }, { provisionedSize: 50 }],
+    })
+
+    expect(toExportRecords({ vmsAndPools: [vm], clusters, hosts, pools, getOsName: type => `OS ${type}` })).toEqual([{
+      name: 'web',
+      status: 'up',
+      os: 'OS rhel_8x64',
+      cluster: 'Default',
+      host: 'host-1',
+      ips: ['10.0.0.2', 'fe80::1'],
+      memory: 1073741824,
+      vCPUs: 2,
+      disksSize: 150,
+      pool: 'desktops',
+    }])
+  })
+
+  test('VM record without a cluster or host', () => {
+    const vm = fromJS({ isVm: true, id: 'vm1', name: 'web', nics: [], disks: [{ provisionedSize: 10 }] })
+
+    const [record] = toExportRecords({ vmsAndPools: [vm], clusters, hosts, pools })
+    expect(record.disksSize).toEqual(10)
+    expect(record.host).toEqual('')
+    expect(record.cluster).toEqual('')
+  })
+
+  test('Pool record', () => {
+    const pool = fromJS({
+      id: 'p1',
+      name: 'desktops',
+      os: { type: 'windows_10' },
+      vm: { cluster: { id: 'c1' }, memory: { total: 2048 }, cpu: { vCPUs: 4 } },
+    })
+
+    expect(toExportRecords({ vmsAndPools: [pool], clusters, hosts, pools })).toEqual([{
+      name: 'desktops',
+      status: '',
+      os: 'windows_10',
+      cluster: 'Default',
+      host: '',
+      ips: [],
+      memory: 2048,
+      vCPUs: 4,
+      disksSize: undefined,
+      pool: 'desktops',
+    }])
+  })
+})
+
+describe('toCsv', () => {
+  test('header and values', () => {
+    expect(toCsv([{ a: 1, b: ['x', 'y'] }, { a: undefined, b: null }], ['a', 'b']))
+      .toEqual('a,b\r\n1,x y\r\n,\r\n')
+  })
+
+  test('values are quoted as needed', () => {
+    expect(toCsv([{ a: 'one, two', b: 'say "hi"' }, { a: 'multi\nline', b: 'plain' }], ['a', 'b']))
+      .toEqual('a,b\r\n"one, two","say ""hi"""\r\n"multi\nline",plain\r\n')
+  })
+})
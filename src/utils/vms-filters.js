@@ -1,16 +1,143 @@
+import { List } from 'immutable'
+
+// Pools do not have their own cluster or template, those of the Pool's VM are used
+const clusterIdOf = (item) => item.getIn(['cluster', 'id']) ?? item.getIn(['vm', 'cluster', 'id'])
+const templateIdOf = (item) => item.getIn(['template', 'id']) ?? item.getIn(['vm', 'template', 'id'])
+const isPool = (item) => item.has('maxUserVms')
+
+// an ISO date (YYYY-MM-DD), as saved by the date picker filter, at local midnight
+const startOfDay = (isoDate) => new Date(`${isoDate}T00:00:00`)
+const endOfDay = (isoDate) => {
+  const date = startOfDay(isoDate)
+  date.setDate(date.getDate() + 1)
+  return date
+}
 
 const compareMap = {
   name: (item, filters = []) => !filters?.length || !!filters.find(n => item.get('name').toUpperCase().includes(n.toUpperCase())),
   os: (item, filters) => !filters?.length || !!filters.find(type => type === item.getIn(['os', 'type'])),
   status: (item, filters) => !filters?.length || !!filters.find(status => status === item.get('status')),
+  cluster: (item, filters) => !filters?.length || filters.includes(clusterIdOf(item)),
+  dataCenter: (item, filters, { clusters }) => {
+    // without the cluster (i.e. not visible to the user), rely on the search query
+    const dataCenterId = clusters?.getIn([clusterIdOf(item), 'dataCenterId'])
+    return !filters?.length || !dataCenterId || filters.includes(dataCenterId)
+  },
+  host: (item, filters) => !filters?.length || filters.includes(item.get('hostId')),
+  template: (item, filters) => !filters?.length || filters.includes(templateIdOf(item)),
+  // the Pool filter holds names, the list's Pools are refetched whenever the filters change
+  pool: (item, filters, { pools }) => !filters?.length ||
+    filters.includes(isPool(item) ? item.get('name') : pools?.getIn([item.getIn(['pool', 'id']), 'name'])),
+  ip: (item, filters) => {
+    if (!filters?.length) {
+      return true
+    }
+    if (isPool(item)) {
+      return false
+    }
+    // the list's VMs are fetched without their NICs, the search query already matched them
+    const ips = item.get('nics', List()).flatMap(nic => nic.get('ips', List()).map(ip => ip.get('address')))
+    return ips.isEmpty() || !!filters.find(filter => ips.some(address => address.includes(filter)))
+  },
+  tag: (item, filters) => !filters?.length ||
+    (!isPool(item) && item.get('tags', List()).some(tag => filters.includes(tag.get('id')))),
+  createdFrom: (item, filters) => !filters?.length ||
+    (!!item.get('creationTime') && filters.every(date => new Date(item.get('creationTime')) >= startOfDay(date))),
+  createdTo: (item, filters) => !filters?.length ||
+    (!!item.get('creationTime') && filters.every(date => new Date(item.get('creationTime')) < endOfDay(date))),
 }
 
-export function filterVms (item, filters) {
+/**
+ * Names of the list filters.
+ */
+export const VM_FILTER_NAMES = Object.keys(compareMap)
+
+/**
+ * Check if a VM or Pool matches all of the list filters.
+ *
+ * @param {object} item VM or Pool
+ * @param {object} filters Map of filter name to an array of filter values
+ * @param {object} context Store entities needed by some of the filters, i.e. `clusters`
+ *                         and `pools`
+ */
+export function filterVms (item, filters, context = {}) {
   let res = true
   for (const name in filters) {
     if (compareMap[name]) {
-      res &&= compareMap[name](item, filters[name])
+      res &&= compareMap[name](item, filters[name], context)
     }
   }
   return res
 }
+
+/**
+ * Quote a search value if it contains characters the engine's search parser would
+ * otherwise treat as syntax.  The parser has no escape for a double quote, so any
+ * embedded double quotes are dropped.
+ */
+function quoteSearchValue (value) {
+  const unquoted = String(value).replace(/"/g, '')
+  return /[\s()=<>!]/.test(unquoted) ? `"${unquoted}"` : unquoted
+}
+
+// entity filters (except the Pool filter) hold ids, the search matches the entities by name
+const nameOf = (names, id) => names?.[id] ?? id
+
+const searchMap = {
+  name: (name) => `name=${quoteSearchValue(`*${name}*`)}`,
+  os: (type) => `os=${quoteSearchValue(type)}`,
+  // the search engine uses the backend status names, i.e. 'not_responding' is 'notresponding'
+  status: (status) => `status=${quoteSearchValue(status.replace(/_/g, ''))}`,
+  cluster: (id, names) => `cluster=${quoteSearchValue(nameOf(names.cluster, id))}`,
+  dataCenter: (id, names) => `datacenter=${quoteSearchValue(nameOf(names.dataCenter, id))}`,
+  host: (id, names) => `host=${quoteSearchValue(nameOf(names.host, id))}`,
+  template: (id, names) => `templates.name=${quoteSearchValue(nameOf(names.template, id))}`,
+  pool: (name) => `pool=${quoteSearchValue(name)}`,
+  ip: (ip) => `ip=${quoteSearchValue(`*${ip}*`)}`,
+  tag: (id, names) => `tag=${quoteSearchValue(nameOf(names.tag, id))}`,
+}
+
+const VMS_SEARCH_FIELDS = ['name', 'os', 'status', 'cluster', 'dataCenter', 'host', 'template', 'pool', 'ip', 'tag']
+const POOLS_SEARCH_FIELDS = ['name', 'cluster']
+
+// the engine's search can't reliably compare dates, its date format depends on the engine's locale
+const UNSEARCHED_FILTER_NAMES = ['createdFrom', 'createdTo']
+
+/**
+ * Check if any of the filters without a search term (the creation date) is set.  These
+ * filters are only applied to the loaded VMs and Pools by `filterVms()`, so all of the
+ * list's pages need to be fetched for them to apply to the whole list.
+ */
+export function hasUnsearchedFilters (filters = {}) {
+  return UNSEARCHED_FILTER_NAMES.some(name => filters[name]?.length > 0)
+}
+
+/**
+ * Translate a set of list filters to an oVirt REST API `search=` query.  Values of the
+ * same filter are OR'ed together, different filters are AND'ed together.  Only the
+ * filters included in `fields` are used.  Filters without a search term (see
+ * `hasUnsearchedFilters()`) are only applied to the loaded VMs and Pools by `filterVms()`.
+ *
+ * @param {object} filters Map of filter name to an array of filter values
+ * @param {string[]} fields Filter names the search should include
+ * @param {object} names Map of filter name to a map of entity id to entity name, used to
+ *                       search for the entity filters' values
+ * @returns {string} Search query, or an empty string if no filters apply
+ */
+export function buildSearchQuery (filters = {}, fields = Object.keys(searchMap), names = {}) {
+  return fields
+    .filter(field => searchMap[field] && Array.isArray(filters[field]) && filters[field].length > 0)
+    .map(field => {
+      const terms = filters[field].map(value => searchMap[field](value, names))
+      return terms.length > 1 ? `(${terms.join(' or ')})` : terms[0]
+    })
+    .join(' and ')
+}
+
+export const buildVmsSearchQuery = (filters, names) => buildSearchQuery(filters, VMS_SEARCH_FIELDS, names)
+
+/**
+ * Pools only support searching on a subset of the VM filters, the rest of the filters
+ * are still applied to the loaded pools by `filterVms()`.
+ */
+export const buildPoolsSearchQuery = (filters, names) => buildSearchQuery(filters, POOLS_SEARCH_FIELDS, names)
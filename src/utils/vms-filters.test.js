@@ -0,0 +1,136 @@
+/* eslint-env jest */
+import { fromJS } from 'immutable'
+import { buildPoolsSearchQuery, buildSearchQuery, buildVmsSearchQuery, filterVms, hasUnsearchedFilters } from './vms-filters'
+
+describe('buildSearchQuery', () => {
+  test('no filters gives an empty query', () => {
+    expect(buildSearchQuery()).toEqual('')
+    expect(buildSearchQuery({})).toEqual('')
+    expect(buildSearchQuery({ name: [], os: [], status: [] })).toEqual('')
+  })
+
+  test('single values', () => {
+    expect(buildSearchQuery({ name: ['web'] })).toEqual('name=*web*')
+    expect(buildSearchQuery({ os: ['rhel_8x64'] })).toEqual('os=rhel_8x64')
+    expect(buildSearchQuery({ status: ['not_responding'] })).toEqual('status=notresponding')
+  })
+
+  test('values of one filter are OR\'ed, filters are AND\'ed', () => {
+    expect(buildSearchQuery({
+      name: ['web', 'db'],
+      status: ['up'],
+    })).toEqual('(name=*web* or name=*db*) and status=up')
+  })
+
+  test('values with spaces or syntax characters are quoted', () => {
+    expect(buildSearchQuery({ name: ['my vm'] })).toEqual('name="*my vm*"')
+    expect(buildSearchQuery({ name: ['a"b'] })).toEqual('name=*ab*')
+    expect(buildSearchQuery({ name: ['a=b'] })).toEqual('name="*a=b*"')
+  })
+
+  test('unknown filters are ignored', () => {
+    expect(buildSearchQuery({ unknown: ['x'], name: ['web'] })).toEqual('name=*web*')
+  })
+
+  test('VMs and pools use different sets of fields', () => {
+    const filters = { name: ['web'], os: ['rhel_8x64'], status: ['up'] }
+    expect(buildVmsSearchQuery(filters)).toEqual('name=*web* and os=rhel_8x64 and status=up')
+    expect(buildPoolsSearchQuery(filters)).toEqual('name=*web*')
+  })
+
+  test('entity filters search by name', () => {
+    const names = { cluster: { c1: 'Default' }, dataCenter: { d1: 'Main DC' }, host: { h1: 'host-1' } }
+    const filters = { cluster: ['c1'], dataCenter: ['d1'], host: ['h1', 'h2'], pool: ['desktops'], ip: ['10.0.'] }
+    expect(buildVmsSearchQuery(filters, names))
+      .toEqual('cluster=Default and datacenter="Main DC" and (host=host-1 or host=h2) and pool=desktops and ip=*10.0.*')
+    expect(buildPoolsSearchQuery(filters, names)).toEqual('cluster=Default')
+  })
+
+  test('tag filter searches by name', () => {
+    expect(buildVmsSearchQuery({ tag: ['t1', 't2'] }, { tag: { t1: 'prod' } })).toEqual('(tag=prod or tag=t2)')
+    expect(buildPoolsSearchQuery({ tag: ['t1'] }, { tag: { t1: 'prod' } })).toEqual('')
+  })
+
+  test('template filter searches by name', () => {
+    expect(buildVmsSearchQuery({ template: ['t1', 't2'] }, { template: { t1: 'Fedora 40' } }))
+      .toEqual('(templates.name="Fedora 40" or templates.name=t2)')
+    expect(buildPoolsSearchQuery({ template: ['t1'] }, { template: { t1: 'Fedora 40' } })).toEqual('')
+  })
+
+  test('creation date filters are not searched', () => {
+    const filters = { createdFrom: ['2024-01-01'], createdTo: ['2024-02-01'] }
+    expect(buildVmsSearchQuery(filters)).toEqual('')
+    expect(hasUnsearchedFilters(filters)).toBe(true)
+    expect(hasUnsearchedFilters({ name: ['web'], template: ['t1'], createdFrom: [] })).toBe(false)
+  })
+})
+
+describe('filterVms', () => {
+  const vm = fromJS({
+    id: 'vm1',
+    name: 'web',
+    status: 'up',
+    hostId: 'h1',
+    cluster: { id: 'c1' },
+    template: { id: 't1' },
+    pool: { id: 'p1' },
+    creationTime: new Date(2024, 0, 15, 10, 30),
+    nics: [],
+  })
+  const pool = fromJS({
+    id: 'p1',
+    name: 'desktops',
+    maxUserVms: 1,
+    vm: { cluster: { id: 'c2' }, template: { id: 't2' } },
+  })
+  const context = {
+    clusters: fromJS({ c1: { dataCenterId: 'd1' }, c2: { dataCenterId: 'd2' } }),
+    pools: fromJS({ p1: pool }),
+  }
+
+  test('no filters match everything', () => {
+    expect(filterVms(vm, {}, context)).toBe(true)
+    expect(filterVms(pool, { cluster: [], ip: [], createdFrom: [] }, context)).toBe(true)
+  })
+
+  test('cluster, data center, host and template', () => {
+    expect(filterVms(vm, { cluster: ['c1'] }, context)).toBe(true)
+    expect(filterVms(pool, { cluster: ['c1'] }, context)).toBe(false)
+    expect(filterVms(pool, { dataCenter: ['d2'] }, context)).toBe(true)
+    expect(filterVms(vm, { dataCenter: ['d2'] }, context)).toBe(false)
+    expect(filterVms(vm, { host: ['h1', 'h2'] }, context)).toBe(true)
+    expect(filterVms(pool, { host: ['h1'] }, context)).toBe(false)
+    expect(filterVms(vm, { template: ['t2'] }, context)).toBe(false)
+    expect(filterVms(pool, { template: ['t2'] }, context)).toBe(true)
+  })
+
+  test('pools are matched by name', () => {
+    expect(filterVms(vm, { pool: ['desktops'] }, context)).toBe(true)
+    expect(filterVms(pool, { pool: ['desktops'] }, context)).toBe(true)
+    expect(filterVms(pool, { pool: ['servers'] }, context)).toBe(false)
+  })
+
+  test('IP addresses', () => {
+    const vmWithIps = vm.set('nics', fromJS([{ ips: [{ address: '10.0.0.2' }] }]))
+    expect(filterVms(vmWithIps, { ip: ['10.0.'] }, context)).toBe(true)
+    expect(filterVms(vmWithIps, { ip: ['192.168.'] }, context)).toBe(false)
+    // VMs without reported NICs are left to the search query
+    expect(filterVms(vm, { ip: ['192.168.'] }, context)).toBe(true)
+    expect(filterVms(pool, { ip: ['10.0.'] }, context)).toBe(false)
+  })
+
+  test('tags', () => {
+    const taggedVm = vm.set('tags', fromJS([{ id: 't1', name: 'prod' }]))
+    expect(filterVms(taggedVm, { tag: ['t1', 't2'] }, context)).toBe(true)
+    expect(filterVms(taggedVm, { tag: ['t2'] }, context)).toBe(false)
+    expect(filterVms(vm, { tag: ['t1'] }, context)).toBe(false)
+    expect(filterVms(pool, { tag: ['t1'] }, context)).toBe(false)
+  })
+
+  test('creation date range', () => {
+    expect(filterVms(vm, { createdFrom: ['2024-01-15'], createdTo: ['2024-01-15'] }, context)).toBe(true)
+    expect(filterVms(vm, { createdFrom: ['2024-01-16'] }, context)).toBe(false)
+    expect(filterVms(vm, { createdTo: ['2024-01-14'] }, context)).toBe(false)
+    expect(filterVms(pool, { createdFrom: ['2024-01-01'] }, context)).toBe(false)
+  })
+})
@@ -1,11 +1,50 @@
-import { getOsHumanName } from '../components/utils'
+import { List } from 'immutable'
+import { getOsHumanName, isRunning } from '../components/utils'
 import { enumMsg } from '_/intl'
 import { localeCompare } from '_/helpers'
+import { filterVms } from './vms-filters'
+import { toMetricsSample } from './vm-metrics'
 
-const getFieldValueMap = (msg) => ({
+/**
+ * Uptime of a running VM in milliseconds, from its statistics if they were fetched or
+ * from its start time otherwise.
+ */
+export function getVmUptime (vm) {
+  if (!isRunning(vm.get('status'))) {
+    return undefined
+  }
+  const elapsedUptime = vm.getIn(['statistics', 'elapsedUptime', 'firstDatum'], 0)
+  const startTime = vm.get('startTime')
+  return elapsedUptime > 0
+    ? elapsedUptime * 1000
+    : startTime ? Date.now() - new Date(startTime).getTime() : undefined
+}
+
+/**
+ * CPU and memory % utilization of a VM, undefined if the VM's statistics were not fetched.
+ */
+export function getVmUtilization (vm) {
+  const statistics = vm.get('statistics')
+  const { cpu, memory } = toMetricsSample({
+    statistics: statistics?.toJS ? statistics.toJS() : undefined,
+    vCPUs: vm.getIn(['cpu', 'vCPUs']),
+  })
+  return { cpu, memory }
+}
+
+const getFieldValueMap = (msg, { hosts = {}, clusters } = {}) => ({
   name: (item) => item.get('name'),
   os: (item) => getOsHumanName(item.getIn(['os', 'type'])),
   status: (item) => enumMsg('VmStatus', item.get('status'), msg),
+  host: (item) => hosts[item.get('hostId')]?.name,
+  cluster: (item) => clusters?.getIn([item.getIn(['cluster', 'id']), 'name']),
+  ip: (item) => item.get('nics', List()).flatMap(nic => nic.get('ips', List()).map(ip => ip.get('address'))).first(),
+  memory: (item) => item.getIn(['memory', 'total']),
+  vCPUs: (item) => item.getIn(['cpu', 'vCPUs']),
+  uptime: (item) => getVmUptime(item),
+  cpuUsage: (item) => getVmUtilization(item).cpu,
+  memoryUsage: (item) => getVmUtilization(item).memory,
+  creationTime: (item) => item.get('creationTime') ? new Date(item.get('creationTime')).getTime() : undefined,
 })
 
 export const ICON = 'icon'
@@ -14,6 +53,22 @@ export const OS = 'os'
 export const STATUS = 'status'
 export const POOL_INFO = 'pool_info'
 export const ACTIONS = 'actions'
+export const SELECTION = 'selection'
+export const HOST = 'host'
+export const CLUSTER = 'cluster'
+export const IP = 'ip'
+export const MEMORY = 'memory'
+export const VCPUS = 'vCPUs'
+export const UPTIME = 'uptime'
+export const CPU_USAGE = 'cpuUsage'
+export const MEMORY_USAGE = 'memoryUsage'
+export const CREATION_TIME = 'creationTime'
+
+/**
+ * Columns of the VM list's table view the user can choose to show, in the order the
+ * table shows them.
+ */
+export const OPTIONAL_COLUMNS = [HOST, CLUSTER, IP, MEMORY, VCPUS, UPTIME, CPU_USAGE, MEMORY_USAGE, CREATION_TIME]
 
 export const SortFields = {
   [NAME]: {
@@ -28,15 +83,96 @@ export const SortFields = {
     id: STATUS,
     messageDescriptor: { id: 'status' },
   },
+  [HOST]: {
+    id: HOST,
+    messageDescriptor: { id: 'host' },
+  },
+  [CLUSTER]: {
+    id: CLUSTER,
+    messageDescriptor: { id: 'cluster' },
+  },
+  [IP]: {
+    id: IP,
+    messageDescriptor: { id: 'ipAddress' },
+  },
+  [MEMORY]: {
+    id: MEMORY,
+    messageDescriptor: { id: 'memory' },
+  },
+  [VCPUS]: {
+    id: VCPUS,
+    messageDescriptor: { id: 'vmsTableColumnVCpus' },
+  },
+  [UPTIME]: {
+    id: UPTIME,
+    messageDescriptor: { id: 'vmsTableColumnUptime' },
+  },
+  [CPU_USAGE]: {
+    id: CPU_USAGE,
+    messageDescriptor: { id: 'vmsTableColumnCpuUsage' },
+  },
+  [MEMORY_USAGE]: {
+    id: MEMORY_USAGE,
+    messageDescriptor: { id: 'vmsTableColumnMemoryUsage' },
+  },
+  [CREATION_TIME]: {
+    id: CREATION_TIME,
+    messageDescriptor: { id: 'created' },
+  },
 }
 
-export const sortFunction = (sortType, locale, msg) =>
+const isMissing = (value) => value === undefined || value === null || value === ''
+
+/**
+ * Compare function for VMs and Pools by the sort field, values missing on a VM or Pool
+ * sort first.
+ *
+ * @param {object} context Store entities needed by some of the sort fields, i.e. `hosts`
+ *                         and `clusters`
+ */
+export const sortFunction = (sortType, locale, msg, context) =>
   (vmA, vmB) => {
-    const vmAValue = getFieldValueMap(msg)[sortType.id](vmA)
-    const vmBValue = getFieldValueMap(msg)[sortType.id](vmB)
-    if (!vmAValue) {
-      return sortType.isAsc ? -1 : 1
+    const getValue = getFieldValueMap(msg, context)[sortType.id]
+    const vmAValue = getValue(vmA)
+    const vmBValue = getValue(vmB)
+    if (isMissing(vmAValue) || isMissing(vmBValue)) {
+      const compareValue = isMissing(vmAValue) ? (isMissing(vmBValue) ? 0 : -1) : 1
+      return sortType.isAsc ? compareValue : -compareValue
     }
-    const compareValue = localeCompare(vmAValue, vmBValue, locale)
+    const compareValue = typeof vmAValue === 'number' && typeof vmBValue === 'number'
+      ? vmAValue - vmBValue
+      : localeCompare(String(vmAValue), String(vmBValue), locale)
     return sortType.isAsc ? compareValue : -compareValue
   }
+
+/**
+ * The VMs and Pools shown on the list page, filtered and sorted the way the page shows
+ * them.  VMs of a Pool are only included if the Pool is known, and a Pool is only included
+ * if the user can currently take a VM from it (or `alwaysShowPoolCard` is set).
+ *
+ * @param {object} vms The `vms` part of the store
+ * @param {object} clusters The `clusters` part of the store, used by the data center filter
+ *                          and the cluster sort
+ * @param {object} hosts The `hosts` part of the store, used by the host sort
+ * @returns {Array} VMs (flagged with `isVm`) and Pools
+ */
+export function filterAndSortVmsAndPools ({ vms, clusters, hosts, alwaysShowPoolCard, locale, msg }) {
+  const sort = vms.get('sort').toJS()
+  const filters = vms.get('filters').toJS()
+  const context = { clusters, pools: vms.get('pools') }
+
+  const filteredVms = vms.get('vms')
+    .filter(vm => filterVms(vm, filters, context))
+    .filter(vm => vm.getIn(['pool', 'id'], false) ? !!vms.getIn(['pools', vm.getIn(['pool', 'id'])], false) : true)
+    .toList()
+    .map(vm => vm.set('isVm', true))
+
+  const filteredPools = vms.get('pools')
+    .filter(pool =>
+      (alwaysShowPoolCard || (pool.get('vmsCount') < pool.get('maxUserVms') && pool.get('size') > 0)) &&
+      filterVms(pool, filters, context)
+    )
+    .toList()
+
+  return [...filteredVms, ...filteredPools].sort(sortFunction(sort, locale, msg, { hosts, clusters }))
+}
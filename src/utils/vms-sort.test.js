@@ -0,0 +1,29 @@
+/* eslint-env jest */
+import { fromJS } from 'immutable'
+import { sortFunction } from './vms-sort'
+
+const names = (items) => items.map(item => item.get('name'))
+
+describe('sortFunction', () => {
+  const vms = [
+    fromJS({ name: 'b', hostId: 'h2', memory: { total: 2048 }, cpu: { vCPUs: 2 } }),
+    fromJS({ name: 'a10', hostId: 'h1', memory: { total: 512 }, cpu: { vCPUs: 0 } }),
+    fromJS({ name: 'a2', memory: {}, cpu: { vCPUs: 4 } }),
+  ]
+  const context = { hosts: { h1: { name: 'host-z' }, h2: { name: 'host-a' } } }
+
+  test('names sort naturally', () => {
+    expect(names([...vms].sort(sortFunction({ id: 'name', isAsc: true }, 'en', {}, context)))).toEqual(['a2', 'a10', 'b'])
+    expect(names([...vms].sort(sortFunction({ id: 'name', isAsc: false }, 'en', {}, context)))).toEqual(['b', 'a10', 'a2'])
+  })
+
+  test('numbers sort numerically, missing values first', () => {
+    expect(names([...vms].sort(sortFunction({ id: 'memory', isAsc: true }, 'en', {}, context)))).toEqual(['a2', 'a10', 'b'])
+    expect(names([...vms].sort(sortFunction({ id: 'memory', isAsc: false }, 'en', {}, context)))).toEqual(['b', 'a10', 'a2'])
+    expect(names([...vms].sort(sortFunction({ id: 'vCPUs', isAsc: true }, 'en', {}, context)))).toEqual(['a10', 'b', 'a2'])
+  })
+
+  test('hosts sort by name', () => {
+    expect(names([...vms].sort(sortFunction({ id: 'host', isAsc: true }, 'en', {}, context)))).toEqual(['a2', 'b', 'a10'])
+  })
+})
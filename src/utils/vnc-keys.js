@@ -0,0 +1,94 @@
+// characters typed with Shift on a US keyboard layout, besides the upper case letters
+const US_SHIFTED_SYMBOLS = '~!@#$%^&*()_+{}|:"<>?'
+
+/*
+ * Split a text to the keystrokes typing it on a US keyboard layout.  A keystroke needs
+ * Shift held for an upper case letter or a shifted symbol.  Line breaks are normalized
+ * to a single '\n'.
+ */
+export function textToKeystrokes (text) {
+  return Array.from(text.replace(/\r\n?/g, '\n')).map(char => ({
+    char,
+    shift: char !== char.toLowerCase() || US_SHIFTED_SYMBOLS.includes(char),
+  }))
+}
+
+// names of the keys usable in a key shortcut, mapped to the noVNC key table
+const SHORTCUT_KEYS = {
+  ctrl: 'XK_Control_L',
+  control: 'XK_Control_L',
+  alt: 'XK_Alt_L',
+  altgr: 'XK_ISO_Level3_Shift',
+  shift: 'XK_Shift_L',
+  win: 'XK_Super_L',
+  super: 'XK_Super_L',
+  meta: 'XK_Super_L',
+  sysrq: 'XK_Sys_Req',
+  print: 'XK_Print',
+  tab: 'XK_Tab',
+  enter: 'XK_Return',
+  return: 'XK_Return',
+  esc: 'XK_Escape',
+  escape: 'XK_Escape',
+  backspace: 'XK_BackSpace',
+  delete: 'XK_Delete',
+  del: 'XK_Delete',
+  insert: 'XK_Insert',
+  home: 'XK_Home',
+  end: 'XK_End',
+  pageup: 'XK_Page_Up',
+  pagedown: 'XK_Page_Down',
+  up: 'XK_Up',
+  down: 'XK_Down',
+  left: 'XK_Left',
+  right: 'XK_Right',
+  space: 'XK_space',
+  menu: 'XK_Menu',
+}
+
+function toShortcutKey (name) {
+  const key = name.trim().toLowerCase()
+  if (SHORTCUT_KEYS[key]) {
+    return SHORTCUT_KEYS[key]
+  }
+  const [, functionKey] = key.match(/^f([1-9]|1[0-2])$/) || []
+  if (functionKey) {
+    return `XK_F${functionKey}`
+  }
+  if (key.length === 1 && key.trim()) {
+    return key
+  }
+  return undefined
+}
+
+function parseKeyShortcutLines (text = '') {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => !!line)
+    .map(line => ({
+      label: line,
+      keys: line.split(/\s*\+\s*(?=.)/).map(toShortcutKey),
+    }))
+}
+
+const isValidShortcut = ({ keys }) => keys.length > 0 && keys.every(key => !!key)
+
+/*
+ * Parse the user defined key shortcuts, one per line, i.e. "Ctrl+Alt+F2" or "Win+R".
+ * Each shortcut is a list of keys pressed in the order given and released in reverse.
+ * A key is either the name of a noVNC key table entry (XK_*) or a single character.
+ * Lines that can not be parsed are left out, see `invalidKeyShortcuts()`.
+ */
+export function parseKeyShortcuts (text = '') {
+  return parseKeyShortcutLines(text).filter(isValidShortcut)
+}
+
+/*
+ * Return the lines of the user defined key shortcuts that can not be parsed.
+ */
+export function invalidKeyShortcuts (text = '') {
+  return parseKeyShortcutLines(text)
+    .filter(shortcut => !isValidShortcut(shortcut))
+    .map(({ label }) => label)
+}
@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import { invalidKeyShortcuts, parseKeyShortcuts, textToKeystrokes } from './vnc-keys'
+
+describe('textToKeystrokes', () => {
+  it('types lower case letters, digits and plain symbols without Shift', () => {
+    expect(textToKeystrokes('a1-')).toEqual([
+      { char: 'a', shift: false },
+      { char: '1', shift: false },
+      { char: '-', shift: false },
+    ])
+  })
+
+  it('holds Shift for upper case letters and shifted symbols', () => {
+    expect(textToKeystrokes('A!_')).toEqual([
+      { char: 'A', shift: true },
+      { char: '!', shift: true },
+      { char: '_', shift: true },
+    ])
+  })
+
+  it('normalizes line breaks', () => {
+    expect(textToKeystrokes('a\r\nb\rc').map(({ char }) => char)).toEqual(['a', '\n', 'b', '\n', 'c'])
+  })
+})
+
+describe('parseKeyShortcuts', () => {
+  it('parses one shortcut per line', () => {
+    expect(parseKeyShortcuts('Ctrl+Alt+F2\n  win + r  \n\nAlt+SysRq+h')).toEqual([
+      { label: 'Ctrl+Alt+F2', keys: ['XK_Control_L', 'XK_Alt_L', 'XK_F2'] },
+      { label: 'win + r', keys: ['XK_Super_L', 'r'] },
+      { label: 'Alt+SysRq+h', keys: ['XK_Alt_L', 'XK_Sys_Req', 'h'] },
+    ])
+  })
+
+  it('accepts the plus key itself', () => {
+    expect(parseKeyShortcuts('Ctrl++')).toEqual([
+      { label: 'Ctrl++', keys: ['XK_Control_L', '+'] },
+    ])
+  })
+
+  it('leaves out unknown keys', () => {
+    expect(parseKeyShortcuts('Ctrl+Foo\nF13\nCtrl+')).toEqual([])
+  })
+})
+
+describe('invalidKeyShortcuts', () => {
+  it('lists the lines that can not be parsed', () => {
+    expect(invalidKeyShortcuts('Ctrl+Alt+F2\n Ctrl+Atl+F2 \n\nWin+R\nF13')).toEqual(['Ctrl+Atl+F2', 'F13'])
+    expect(invalidKeyShortcuts(undefined)).toEqual([])
+  })
+})
@@ -22,6 +22,14 @@ export function canRemove (state) {
   return ['down'].includes(state)
 }
 
+export function canClone (state) {
+  return ['down'].includes(state)
+}
+
+export function canMigrate (state) {
+  return ['up'].includes(state)
+}
+
 export function canChangeCluster (state) {
   return ['down'].includes(state)
 }
@@ -38,6 +46,17 @@ export function canExternalService (state, fqdn) {
   return fqdn ? canRestart(state) : false
 }
 
+/*
+ * Percentage of a migrating VM's migration that is done, or undefined if the VM is not
+ * migrating or the engine does not report the progress.
+ */
+export function getMigrationProgress (vm) {
+  if (vm.get('status') !== 'migrating') {
+    return undefined
+  }
+  return vm.getIn(['statistics', 'migration', 'progress', 'firstDatum'])
+}
+
 /* eslint-disable key-spacing, no-multi-spaces */
 export const statusToTooltipId = {
   up                : { id: 'vmStatusIconTooltipUp' },